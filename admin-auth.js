@@ -0,0 +1,142 @@
+/**
+ * Admin Auth - one check for every admin route
+ *
+ * A request is an admin request when it carries either:
+ *   - an admin key in X-Internal-Key: INTERNAL_KEY (named "internal") or any
+ *     named key from ADMIN_KEYS='{"ops":"...","ci":"..."}'
+ *   - a signed request (signed-request.js) from a wallet with the admin role
+ *
+ * The middleware sets req.admin = { by, type: 'key'|'wallet', name?, address? }
+ * where `by` ("key:ops" or the wallet) is what logs and audit records use.
+ * Failures always answer { error, code, hint }:
+ *   401 admin_auth_required   no key and no signature
+ *   401 invalid_key           X-Internal-Key matches no admin key
+ *   401 invalid_signature     the signed request didn't verify
+ *   403 not_admin             signed by a wallet without the admin role
+ *
+ * Usage:
+ *   const { createAdminAuth, loadAdminKeys } = require('./admin-auth');
+ *   const adminAuth = createAdminAuth({ keys: loadAdminKeys(), verifyRequest: req => requestVerifier.verify(req), isAdmin: w => roles.has(w, 'admin') });
+ *   app.use(['/admin', '/internal'], adminAuth.requireAdmin());
+ *   const result = adminAuth.identify(req);   // { admin } or { status, error, code, hint } or null without credentials
+ *
+ * CRON_SECRET is not an admin key. Vercel cron jobs send it as
+ * "Authorization: Bearer <secret>", and requireCronSecret() checks it on the
+ * routes they call, setting req.admin = { by: 'cron', type: 'cron' }:
+ *   app.get('/cron/payments/run', requireCronSecret(process.env.CRON_SECRET), runPayments);
+ */
+
+const crypto = require('crypto');
+
+const HINT = 'Send an admin key in X-Internal-Key, or sign the request with an admin wallet (see Signed Requests)';
+
+/**
+ * Named admin keys from the environment: INTERNAL_KEY as "internal", plus ADMIN_KEYS
+ * Returns [{ name, key }]
+ */
+function loadAdminKeys(env = process.env) {
+  const keys = [];
+  if (env.INTERNAL_KEY) keys.push({ name: 'internal', key: env.INTERNAL_KEY });
+  if (env.ADMIN_KEYS) {
+    try {
+      for (const [name, key] of Object.entries(JSON.parse(env.ADMIN_KEYS))) {
+        if (key) keys.push({ name, key: String(key) });
+      }
+    } catch (err) {
+      console.error(`[ADMIN AUTH] Ignoring ADMIN_KEYS: ${err.message}`);
+    }
+  }
+  return keys;
+}
+
+// Compare digests so the check takes the same time whatever the key
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Create the admin check
+ * @param {object} opts
+ * @param {Array} opts.keys - [{ name, key }] (loadAdminKeys())
+ * @param {Function} opts.verifyRequest - (req) => { signer } or { error } (signed-request.js verify)
+ * @param {Function} opts.isAdmin - (wallet) => boolean
+ */
+function createAdminAuth({ keys = [], verifyRequest, isAdmin }) {
+  const hashed = keys.map(({ name, key }) => ({ name, hash: digest(key) }));
+
+  /**
+   * Who is making this admin request
+   * Returns { admin }, a failure { status, error, code, hint }, or null when the
+   * request carries no admin credentials at all. The result is kept on the
+   * request, so a signed request's nonce is only spent once
+   */
+  function identify(req) {
+    if (req.adminAuth !== undefined) return req.adminAuth;
+
+    let result = null;
+    const key = req.headers['x-internal-key'];
+    if (key) {
+      const presented = digest(key);
+      const match = hashed.find(k => crypto.timingSafeEqual(k.hash, presented));
+      result = match
+        ? { admin: { by: `key:${match.name}`, type: 'key', name: match.name } }
+        : { status: 401, error: 'Invalid admin key', code: 'invalid_key', hint: HINT };
+    } else if (req.headers['x-signature']) {
+      const verified = verifyRequest(req);
+      if (verified.error) {
+        result = { status: 401, error: verified.error, code: 'invalid_signature', hint: HINT };
+      } else if (!isAdmin(verified.signer)) {
+        result = { status: 403, error: 'Wallet is not an admin', code: 'not_admin', hint: HINT, signer: verified.signer };
+      } else {
+        result = { admin: { by: verified.signer, type: 'wallet', address: verified.signer } };
+      }
+    }
+
+    req.adminAuth = result;
+    return result;
+  }
+
+  /**
+   * Middleware: reject non-admin requests, set req.admin on admin ones
+   */
+  function requireAdmin() {
+    return (req, res, next) => {
+      const result = identify(req) || { status: 401, error: 'Admin auth required', code: 'admin_auth_required', hint: HINT };
+      if (!result.admin) {
+        console.log(`[ADMIN AUTH] Rejected ${req.method} ${req.originalUrl}: ${result.error}`);
+        const { status, ...body } = result;
+        return res.status(status).json(body);
+      }
+      req.admin = result.admin;
+      next();
+    };
+  }
+
+  /**
+   * Is this an admin request? (for routes where admin unlocks extras)
+   */
+  function isAdminRequest(req) {
+    return !!identify(req)?.admin;
+  }
+
+  return { identify, requireAdmin, isAdminRequest };
+}
+
+/**
+ * Middleware for routes a Vercel cron job calls: only "Authorization: Bearer <secret>"
+ * is accepted, and every request is refused while the secret is unset
+ */
+function requireCronSecret(secret) {
+  const hash = secret ? digest(secret) : null;
+  return (req, res, next) => {
+    const presented = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+    if (!hash || !presented || !crypto.timingSafeEqual(hash, digest(presented))) {
+      console.log(`[ADMIN AUTH] Rejected ${req.method} ${req.originalUrl}: invalid cron secret`);
+      return res.status(401).json({ error: 'Invalid cron secret', code: 'invalid_cron_secret', hint: 'Send CRON_SECRET as Authorization: Bearer <secret>' });
+    }
+    req.admin = { by: 'cron', type: 'cron' };
+    next();
+  };
+}
+
+module.exports = { createAdminAuth, loadAdminKeys, requireCronSecret };
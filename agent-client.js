@@ -10,6 +10,11 @@
  */
 
 const { ethers } = require('ethers');
+const { TRANSFER_WITH_AUTHORIZATION_TYPES, decodePaymentResponse } = require('./facilitator');
+const { getNetwork } = require('./networks');
+const { splitMessage } = require('./payout-split');
+const { signRequest } = require('./signed-request');
+const { signModAction } = require('./mod-auth');
 
 class AIBountyAgent {
   constructor(config) {
@@ -63,32 +68,35 @@ class AIBountyAgent {
   }
 
   /**
-   * Create a bounty (requires x402 payment)
+   * POST to a paid route: on 402, pay the first accepted requirement and retry
+   * The settlement from X-PAYMENT-RESPONSE is kept on this.lastSettlement
    */
-  async createBounty(bounty) {
-    // First request to get payment requirements
-    const res1 = await fetch(`${this.serverUrl}/bounties`, {
+  async paidPost(path, body) {
+    const url = `${this.serverUrl}${path}`;
+    const res1 = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(bounty)
+      body: JSON.stringify(body)
     });
 
     if (res1.status === 402) {
       const paymentRequired = await res1.json();
-      console.log('Payment required:', paymentRequired.x402);
+      if (!paymentRequired.accepts?.length) {
+        return paymentRequired;
+      }
+      console.log('Payment required:', paymentRequired.accepts[0]);
 
-      // Create x402 payment
-      const payment = await this.createPayment(paymentRequired.x402);
-      
-      // Retry with payment
-      const res2 = await fetch(`${this.serverUrl}/bounties`, {
+      // Create x402 payment and retry with it
+      const payment = await this.createPayment(paymentRequired.accepts[0]);
+      const res2 = await fetch(url, {
         method: 'POST',
-        headers: { 
+        headers: {
           'Content-Type': 'application/json',
           'X-Payment': payment
         },
-        body: JSON.stringify(bounty)
+        body: JSON.stringify(body)
       });
+      this.lastSettlement = decodePaymentResponse(res2.headers.get('x-payment-response'));
       return res2.json();
     }
 
@@ -96,74 +104,199 @@ class AIBountyAgent {
   }
 
   /**
-   * Create x402 payment signature
+   * Send a request signed by this agent's wallet (claim, submit, release, cancel, submission edits)
+   */
+  async signedFetch(method, path, body = {}) {
+    const payload = JSON.stringify(body);
+    const headers = await signRequest(this.wallet, { method, path, body: payload });
+    const res = await fetch(`${this.serverUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: payload
+    });
+    return res.json();
+  }
+
+  /**
+   * Create a bounty (requires x402 payment)
+   */
+  async createBounty(bounty) {
+    return this.paidPost('/bounties', bounty);
+  }
+
+  /**
+   * Create x402 payment (EIP-3009 transferWithAuthorization signature)
+   * requirements: one entry of a 402 response's accepts array
    */
   async createPayment(requirements) {
-    const nonce = Date.now().toString();
-    const message = `x402:${requirements.recipient}:${requirements.amount}:${nonce}`;
-    const signature = await this.wallet.signMessage(message);
+    const chain = getNetwork(requirements.network);
+    if (!chain) {
+      throw new Error(`Unsupported network: ${requirements.network}`);
+    }
+    const now = Math.floor(Date.now() / 1000);
+    const authorization = {
+      from: this.address,
+      to: requirements.payTo,
+      value: requirements.maxAmountRequired,
+      validAfter: '0',
+      validBefore: String(now + (requirements.maxTimeoutSeconds || 300)),
+      nonce: ethers.hexlify(ethers.randomBytes(32))
+    };
+
+    const signature = await this.wallet.signTypedData(
+      {
+        name: requirements.extra?.name || 'USD Coin',
+        version: requirements.extra?.version || '2',
+        chainId: chain.chainId,
+        verifyingContract: requirements.asset
+      },
+      TRANSFER_WITH_AUTHORIZATION_TYPES,
+      authorization
+    );
 
     const payload = {
-      version: '1.0',
+      x402Version: 1,
+      scheme: requirements.scheme,
       network: requirements.network,
-      payer: this.address,
-      recipient: requirements.recipient,
-      amount: requirements.amount,
-      token: requirements.token,
-      nonce,
-      signature
+      payload: { signature, authorization }
     };
 
     return Buffer.from(JSON.stringify(payload)).toString('base64');
   }
 
   /**
-   * Claim a bounty (take the job)
+   * Add to an open bounty's escrow (requires x402 payment of amount)
    */
-  async claimBounty(bountyId) {
-    const res = await fetch(`${this.serverUrl}/bounties/${bountyId}/claim`, {
+  async fundBounty(bountyId, amount) {
+    return this.paidPost(`/bounties/${bountyId}/fund`, { amount: String(amount) });
+  }
+
+  /**
+   * Tip the worker on a completed bounty (requires x402 payment of amount)
+   */
+  async tipBounty(bountyId, amount, message = '') {
+    return this.paidPost(`/bounties/${bountyId}/tip`, { amount: String(amount), message });
+  }
+
+  /**
+   * Signed payout receipts for a bounty (one per confirmed transfer)
+   */
+  async getReceipts(bountyId) {
+    const res = await fetch(`${this.serverUrl}/bounties/${bountyId}/receipt`);
+    return res.json();
+  }
+
+  /**
+   * Ask the server to verify a payout receipt
+   * Receipts can also be checked offline: ethers.verifyTypedData(domain, types, message, signature)
+   */
+  async verifyReceipt(receipt) {
+    const res = await fetch(`${this.serverUrl}/receipts/verify`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        agentAddress: this.address
-      })
+      body: JSON.stringify({ receipt })
     });
     return res.json();
   }
 
+  /**
+   * Sign a payout split for a team bounty
+   * recipients: [{ address, bps }] with bps adding up to 10000
+   */
+  async signSplit(bountyId, recipients) {
+    const signature = await this.wallet.signMessage(splitMessage(bountyId, recipients));
+    return { recipients, signature };
+  }
+
+  /**
+   * Claim a bounty (take the job)
+   * Pass { split } (from signSplit) to pay the reward to several wallets
+   */
+  async claimBounty(bountyId, { split = null } = {}) {
+    return this.signedFetch('POST', `/bounties/${bountyId}/claim`, {
+      address: this.address,
+      ...(split && { split })
+    });
+  }
+
   /**
    * Submit work for a bounty
+   * Milestone bounties need { milestoneId } (e.g. 'm1')
    */
-  async submitWork(bountyId, submission, proof = null) {
-    const res = await fetch(`${this.serverUrl}/bounties/${bountyId}/submit`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        agentAddress: this.address,
-        submission,
-        proof
-      })
+  async submitWork(bountyId, submission, proof = null, { split = null, milestoneId = null } = {}) {
+    return this.signedFetch('POST', `/bounties/${bountyId}/submit`, {
+      address: this.address,
+      submission,
+      proof,
+      ...(split && { split }),
+      ...(milestoneId && { milestoneId })
     });
-    return res.json();
   }
 
   /**
-   * Approve a submission (bounty creator only)
+   * Edit one of your submissions
+   */
+  async editSubmission(bountyId, subId, { submission, proof } = {}) {
+    return this.signedFetch('PUT', `/bounties/${bountyId}/submissions/${subId}`, { address: this.address, submission, proof });
+  }
+
+  /**
+   * Delete one of your submissions
+   */
+  async deleteSubmission(bountyId, subId) {
+    return this.signedFetch('DELETE', `/bounties/${bountyId}/submissions/${subId}`, { address: this.address });
+  }
+
+  /**
+   * Give up a claim so others can take the bounty
    */
-  async approveSubmission(bountyId) {
-    const message = `approve:${bountyId}:${Date.now()}`;
-    const signature = await this.wallet.signMessage(message);
+  async releaseBounty(bountyId) {
+    return this.signedFetch('POST', `/bounties/${bountyId}/release`, { address: this.address });
+  }
+
+  /**
+   * Cancel one of your open bounties (escrow is refunded)
+   */
+  async cancelBounty(bountyId) {
+    return this.signedFetch('POST', `/bounties/${bountyId}/cancel`, { address: this.address });
+  }
 
-    const res = await fetch(`${this.serverUrl}/bounties/${bountyId}/approve`, {
+  /**
+   * Sign a mod action over the latest submission (for milestoneId, if given) and POST it
+   */
+  async modAction(bountyId, action, { milestoneId, ...extra } = {}) {
+    const bounty = await this.getBounty(bountyId);
+    const reviewed = (bounty.submissions || []).filter(s => !milestoneId || s.milestoneId === milestoneId);
+    const submission = reviewed[reviewed.length - 1];
+    const signed = await signModAction(this.wallet, {
+      bountyId,
+      action,
+      submissionId: submission?.id,
+      milestoneId
+    });
+
+    const res = await fetch(`${this.serverUrl}/bounties/${bountyId}/${action}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        creatorSignature: signature
-      })
+      body: JSON.stringify({ ...signed, ...extra })
     });
     return res.json();
   }
 
+  /**
+   * Approve a submission (mod wallets only)
+   */
+  async approveSubmission(bountyId, milestoneId) {
+    return this.modAction(bountyId, 'approve', { milestoneId });
+  }
+
+  /**
+   * Reject a submission (mod wallets only)
+   */
+  async rejectSubmission(bountyId, reason, milestoneId) {
+    return this.modAction(bountyId, 'reject', { milestoneId, reason });
+  }
+
   /**
    * Get platform stats
    */
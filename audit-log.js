@@ -0,0 +1,99 @@
+/**
+ * Audit Log - append-only record of every bounty change
+ *
+ * Each event names the bounty, who acted (wallet, "key:<name>" for admin keys,
+ * or a system actor like "payment-relay"), the action, the request id and a
+ * diff of the top-level fields that changed ({ field: { from, to } }).
+ * Events are never updated or deleted.
+ *
+ * Events also list the wallets involved (actor, creator, claimer before and
+ * after), so a wallet's history includes changes made to its bounties by others.
+ *
+ * Usage:
+ *   const { createAuditLog } = require('./audit-log');
+ *   const audit = createAuditLog(store.map('bountyEvents'));
+ *   audit.record({ bountyId, action: 'claim', actor: wallet, requestId, before, after });
+ *   audit.query({ bountyId });            // oldest first
+ *   audit.query({ wallet, limit: 50 });
+ */
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', 'revision'];
+
+/**
+ * Top-level fields that differ between two bounty states
+ * Returns { field: { from, to } } (from/to undefined when the field was added/removed)
+ */
+function diffBounty(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+function walletsOf(actor, before, after) {
+  const wallets = [actor, before?.creator, before?.claimedBy, after?.creator, after?.claimedBy]
+    .filter(w => typeof w === 'string' && /^0x[0-9a-fA-F]{40}$/.test(w))
+    .map(w => w.toLowerCase());
+  return [...new Set(wallets)];
+}
+
+/**
+ * Create an audit log backed by a Map-like store (Map or PersistentMap)
+ * @param {Map} events - Storage for events, keyed by sortable event id
+ */
+function createAuditLog(events = new Map()) {
+  /**
+   * Append an event for a bounty change
+   * Changes that leave every field as it was are skipped (returns null)
+   */
+  function record({ bountyId, action, actor, requestId = null, before = null, after = null, details = null }) {
+    const changes = diffBounty(before, after);
+    if (!Object.keys(changes).length && !details) return null;
+
+    const at = Date.now();
+    const id = `${String(at).padStart(15, '0')}:${String(events.size).padStart(6, '0')}`;
+    const event = {
+      id,
+      at,
+      bountyId: String(bountyId),
+      action,
+      actor: actor || 'system',
+      requestId,
+      statusFrom: before?.status ?? null,
+      statusTo: after?.status ?? null,
+      changes,
+      wallets: walletsOf(actor, before, after),
+      ...(details && { details })
+    };
+    events.set(id, event);
+    return event;
+  }
+
+  /**
+   * Events matching every given filter, oldest first
+   * `limit` keeps the newest N
+   */
+  function query({ bountyId, wallet, action, actor, since, limit = 100 } = {}) {
+    const address = wallet?.toLowerCase();
+    const matches = [...events.values()]
+      .filter(e => !bountyId || e.bountyId === String(bountyId))
+      .filter(e => !address || e.wallets.includes(address))
+      .filter(e => !action || e.action === action)
+      .filter(e => !actor || e.actor === actor)
+      .filter(e => !since || e.at >= since)
+      .sort((a, b) => (a.id < b.id ? -1 : 1));
+    return matches.slice(-limit);
+  }
+
+  return { record, query };
+}
+
+module.exports = { createAuditLog, diffBounty };
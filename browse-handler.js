@@ -2,7 +2,16 @@
  * Human-browsable bounty page with 1-click claim UI
  * GET /browse
  */
-function registerBrowseHandler(app, getAllBounties) {
+const { fundersOf } = require('./crowdfund');
+const { assetOf, formatAmount, explorerTx } = require('./networks');
+const { MESSAGE_PREFIX } = require('./signed-request');
+
+/**
+ * @param {object} app - Express app
+ * @param {Function} getAllBounties
+ * @param {Function} getHistory - (bountyId) => audit events, oldest first (audit-log.js)
+ */
+function registerBrowseHandler(app, getAllBounties, getHistory = () => []) {
 
 app.get('/browse', async (req, res) => {
   try {
@@ -51,7 +60,7 @@ app.get('/browse', async (req, res) => {
 
   const statusColors = {
     open: '#10b981', claimed: '#f59e0b', submitted: '#3b82f6',
-    completed: '#8b5cf6', cancelled: '#ef4444'
+    completed: '#8b5cf6', cancelled: '#ef4444', expired: '#6b7280'
   };
 
   const bountyCards = paginatedBounties.map(b => {
@@ -61,6 +70,13 @@ app.get('/browse', async (req, res) => {
     const reqsHtml = (reqList.length > 0)
       ? '<div class="requirements"><strong>Requirements:</strong><ul>' + reqList.map(r => '<li>' + esc(r) + '</li>').join('') + '</ul></div>'
       : '';
+    const milestones = Array.isArray(b.milestones) ? b.milestones : [];
+    const paidMilestones = milestones.filter(m => m.status === 'paid').length;
+    const milestonesHtml = milestones.length > 0
+      ? '<div class="milestones"><div class="milestones-head"><strong>Milestones</strong><span>' + paidMilestones + '/' + milestones.length + ' paid</span></div>' +
+        '<div class="milestone-bar"><div class="milestone-fill" style="width:' + Math.round(paidMilestones / milestones.length * 100) + '%"></div></div>' +
+        '<ul>' + milestones.map(m => '<li class="milestone-' + esc(m.status) + '">' + esc(m.title) + ' <span class="milestone-share">' + (m.bps / 100) + '% · ' + esc(m.status) + '</span></li>').join('') + '</ul></div>'
+      : '';
     const claimedMeta = b.claimedBy
       ? '<div class="meta-item"><span class="meta-label">Claimed by</span><span class="meta-value">' + b.claimedBy.slice(0,6) + '...' + b.claimedBy.slice(-4) + '</span></div>'
       : '';
@@ -103,13 +119,14 @@ app.get('/browse', async (req, res) => {
       '<div class="meta-item"><span class="meta-label">Creator</span><span class="meta-value">' + (b.creator || '').slice(0,6) + '...' + (b.creator || '').slice(-4) + '</span></div>' +
       '<div class="meta-item"><span class="meta-label">Deadline</span><span class="meta-value">' + new Date(b.deadline).toLocaleDateString() + '</span></div>' +
       claimedMeta + '</div>' +
-      reqsHtml + subsHtml +
+      reqsHtml + milestonesHtml + subsHtml +
       '<div class="bounty-actions">' + actionBtns + '</div></div>';
   }).join('');
 
   const bountiesJson = JSON.stringify(allBounties.map(b => ({
     id: b.id, title: b.title, description: b.description, status: b.status,
     reward: b.reward, rewardFormatted: b.rewardFormatted, claimedBy: b.claimedBy,
+    milestones: (b.milestones || []).map(m => ({ id: m.id, title: m.title, status: m.status })),
     submissions: (b.submissions || []).map(s => ({
       id: s.id, content: s.content, proof: s.proof, submittedAt: s.submittedAt, editedAt: s.editedAt
     }))
@@ -239,6 +256,13 @@ app.get('/browse', async (req, res) => {
     '.requirements { background: rgba(0,0,0,0.2); padding: 1rem; border-radius: 8px; margin-bottom: 1rem; font-size: 0.85rem; }\n' +
     '.requirements ul { margin-left: 1.5rem; margin-top: 0.5rem; color: #aaa; }\n' +
     '.requirements li { margin-bottom: 0.3rem; }\n' +
+    '.milestones { background: rgba(0,0,0,0.2); padding: 1rem; border-radius: 8px; margin-bottom: 1rem; font-size: 0.85rem; }\n' +
+    '.milestones-head { display: flex; justify-content: space-between; color: #ccc; }\n' +
+    '.milestone-bar { height: 6px; background: rgba(255,255,255,0.1); border-radius: 3px; margin: 0.5rem 0; overflow: hidden; }\n' +
+    '.milestone-fill { height: 100%; background: linear-gradient(90deg, #00d4ff, #7b2cbf); }\n' +
+    '.milestones ul { margin-left: 1.5rem; color: #aaa; }\n' +
+    '.milestone-share { color: #666; font-size: 0.75rem; }\n' +
+    '.milestone-paid { color: #10b981; }\n' +
     '.submissions-section { margin-bottom: 1rem; padding: 1rem; background: rgba(0,0,0,0.2); border-radius: 10px; }\n' +
     '.submissions-title { font-size: 0.9rem; margin-bottom: 0.75rem; color: #ccc; }\n' +
     '.submission-item { display: flex; justify-content: space-between; align-items: flex-start; padding: 0.75rem; background: rgba(255,255,255,0.03); border-radius: 8px; margin-bottom: 0.5rem; border: 1px solid rgba(255,255,255,0.06); }\n' +
@@ -354,6 +378,7 @@ app.get('/browse', async (req, res) => {
     'var ALL_BOUNTIES = ' + allBountiesJson + ';\n' +
     'var userAddress = localStorage.getItem("bb_address") || "";\n' +
     'var walletSource = localStorage.getItem("bb_wallet_source") || "";\n' +
+    'var SIGNED_REQUEST_PREFIX = ' + JSON.stringify(MESSAGE_PREFIX) + ';\n' +
     '\n' +
     'function findBounty(id) { return BOUNTIES.find(function(b) { return String(b.id) === String(id); }); }\n' +
     'function escH(s) { var d = document.createElement("div"); d.textContent = s || ""; return d.innerHTML; }\n' +
@@ -361,6 +386,26 @@ app.get('/browse', async (req, res) => {
     'function openModal(html) { document.getElementById("modal-content").innerHTML = html; document.getElementById("modal-overlay").classList.add("open"); }\n' +
     'function closeModal() { document.getElementById("modal-overlay").classList.remove("open"); }\n' +
     '\n' +
+    '// Claim, submit and submission edits are signed by the acting wallet (personal_sign, see signed-request.js)\n' +
+    'function toHex(bytes) { return Array.prototype.map.call(bytes, function(b) { return ("0" + b.toString(16)).slice(-2); }).join(""); }\n' +
+    'function signedFetch(method, path, body) {\n' +
+    '  if (!window.ethereum) return Promise.reject(new Error("Connect MetaMask to sign this request"));\n' +
+    '  var payload = JSON.stringify(body);\n' +
+    '  var nonce = "0x" + toHex(crypto.getRandomValues(new Uint8Array(16)));\n' +
+    '  var expires = Math.floor(Date.now() / 1000) + 300;\n' +
+    '  var signer;\n' +
+    '  return window.ethereum.request({ method: "eth_requestAccounts" }).then(function(accounts) {\n' +
+    '    signer = (accounts[0] || "").toLowerCase();\n' +
+    '    if (body.address && body.address.toLowerCase() !== signer) throw new Error("Switch MetaMask to " + body.address + " to sign this request");\n' +
+    '    return crypto.subtle.digest("SHA-256", new TextEncoder().encode(payload));\n' +
+    '  }).then(function(digest) {\n' +
+    '    var message = SIGNED_REQUEST_PREFIX + "\\n" + method + " " + path + "\\nBody: sha256:" + toHex(new Uint8Array(digest)) + "\\nNonce: " + nonce + "\\nExpires: " + expires;\n' +
+    '    return window.ethereum.request({ method: "personal_sign", params: ["0x" + toHex(new TextEncoder().encode(message)), signer] });\n' +
+    '  }).then(function(signature) {\n' +
+    '    return fetch(path, { method: method, headers: { "Content-Type": "application/json", "X-Signature": signature, "X-Signature-Nonce": nonce, "X-Signature-Expires": String(expires) }, body: payload });\n' +
+    '  });\n' +
+    '}\n' +
+    '\n' +
     'function initWallet() {\n' +
     '  if (window.ethereum) { document.getElementById("btn-metamask").style.display = ""; document.getElementById("wallet-or").style.display = ""; }\n' +
     '  if (userAddress) showConnected(userAddress);\n' +
@@ -464,7 +509,7 @@ app.get('/browse', async (req, res) => {
     '    \'<form id="claim-form" onsubmit="submitClaim(event, \\\'\' + bountyId + \'\\\')"><div class="form-group">\' +\n' +
     '    \'<label>Wallet Address *</label>\' +\n' +
     '    \'<input type="text" id="claim-address" value="\' + escH(userAddress) + \'" placeholder="0x..." required />\' +\n' +
-    '    \'<p class="hint">The address that will receive payment if your work is approved</p></div>\' +\n' +
+    '    \'<p class="hint">The address that will receive payment if your work is approved. MetaMask will ask you to sign the claim.</p></div>\' +\n' +
     '    \'<div class="form-group"><label>Name (optional)</label>\' +\n' +
     '    \'<input type="text" id="claim-name" placeholder="Your name or handle" /></div>\' +\n' +
     '    \'<button type="submit" class="btn-modal-submit btn-modal-claim" id="claim-btn">🎯 Claim Bounty</button></form>\'\n' +
@@ -479,10 +524,8 @@ app.get('/browse', async (req, res) => {
     '  var okEl = document.getElementById("claim-success");\n' +
     '  if (!addr.match(/^0x[a-f0-9]{40}$/i)) { errEl.textContent = "Invalid wallet address"; errEl.style.display = "block"; return; }\n' +
     '  btn.disabled = true; btn.textContent = "Claiming..."; errEl.style.display = "none";\n' +
-    '  fetch("/bounties/" + bountyId + "/claim", {\n' +
-    '    method: "POST", headers: { "Content-Type": "application/json" },\n' +
-    '    body: JSON.stringify({ address: addr })\n' +
-    '  }).then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Claim failed"); return d; }); })\n' +
+    '  signedFetch("POST", "/bounties/" + bountyId + "/claim", { address: addr.toLowerCase() })\n' +
+    '  .then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Claim failed"); return d; }); })\n' +
     '  .then(function(data) {\n' +
     '    userAddress = addr.toLowerCase();\n' +
     '    localStorage.setItem("bb_address", userAddress);\n' +
@@ -508,6 +551,7 @@ app.get('/browse', async (req, res) => {
     '    \'<label>Your Address *</label>\' +\n' +
     '    \'<input type="text" id="submit-address" value="\' + escH(userAddress) + \'" placeholder="0x..." required />\' +\n' +
     '    \'<p class="hint">Must match claimer (\' + hintAddr + \')</p></div>\' +\n' +
+    '    milestoneSelect(b) +\n' +
     '    \'<div class="form-group"><label>Proof URL</label>\' +\n' +
     '    \'<input type="url" id="submit-proof-url" placeholder="https://github.com/..." />\' +\n' +
     '    \'<p class="hint">Link to your work — PR, demo, deployed site</p></div>\' +\n' +
@@ -517,21 +561,27 @@ app.get('/browse', async (req, res) => {
     '  );\n' +
     '}\n' +
     '\n' +
+    'function milestoneSelect(b) {\n' +
+    '  var open = (b.milestones || []).filter(function(m) { return m.status === "pending" || m.status === "submitted"; });\n' +
+    '  if (!open.length) return "";\n' +
+    '  return \'<div class="form-group"><label>Milestone *</label><select id="submit-milestone" class="filter-select">\' +\n' +
+    '    open.map(function(m) { return \'<option value="\' + escH(m.id) + \'">\' + escH(m.title) + \'</option>\'; }).join("") + \'</select></div>\';\n' +
+    '}\n' +
+    '\n' +
     'function submitProof(e, bountyId) {\n' +
     '  e.preventDefault();\n' +
     '  var addr = document.getElementById("submit-address").value.trim();\n' +
     '  var proof = document.getElementById("submit-proof-url").value.trim();\n' +
     '  var desc = document.getElementById("submit-description").value.trim();\n' +
+    '  var milestoneEl = document.getElementById("submit-milestone");\n' +
     '  var btn = document.getElementById("submit-btn");\n' +
     '  var errEl = document.getElementById("submit-error");\n' +
     '  var okEl = document.getElementById("submit-success");\n' +
     '  if (!addr.match(/^0x[a-f0-9]{40}$/i)) { errEl.textContent = "Invalid address"; errEl.style.display = "block"; return; }\n' +
     '  if (!desc) { errEl.textContent = "Description required"; errEl.style.display = "block"; return; }\n' +
     '  btn.disabled = true; btn.textContent = "Submitting..."; errEl.style.display = "none";\n' +
-    '  fetch("/bounties/" + bountyId + "/submit", {\n' +
-    '    method: "POST", headers: { "Content-Type": "application/json" },\n' +
-    '    body: JSON.stringify({ address: addr, submission: desc, proof: proof || null })\n' +
-    '  }).then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Submit failed"); return d; }); })\n' +
+    '  signedFetch("POST", "/bounties/" + bountyId + "/submit", { address: addr.toLowerCase(), submission: desc, proof: proof || null, milestoneId: milestoneEl ? milestoneEl.value : undefined })\n' +
+    '  .then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Submit failed"); return d; }); })\n' +
     '  .then(function(data) {\n' +
     '    okEl.textContent = "✅ Proof submitted! Creator will review your work."; okEl.style.display = "block";\n' +
     '    btn.textContent = "✅ Submitted!"; setTimeout(function() { location.reload(); }, 1500);\n' +
@@ -569,10 +619,8 @@ app.get('/browse', async (req, res) => {
     '  var errEl = document.getElementById("edit-error");\n' +
     '  var okEl = document.getElementById("edit-success");\n' +
     '  btn.disabled = true; btn.textContent = "Saving..."; errEl.style.display = "none";\n' +
-    '  fetch("/bounties/" + bountyId + "/submissions/" + subId, {\n' +
-    '    method: "PUT", headers: { "Content-Type": "application/json" },\n' +
-    '    body: JSON.stringify({ address: addr, submission: desc, proof: proof || null })\n' +
-    '  }).then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Edit failed"); return d; }); })\n' +
+    '  signedFetch("PUT", "/bounties/" + bountyId + "/submissions/" + subId, { address: addr.toLowerCase(), submission: desc, proof: proof || null })\n' +
+    '  .then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Edit failed"); return d; }); })\n' +
     '  .then(function() {\n' +
     '    okEl.textContent = "✅ Updated!"; okEl.style.display = "block";\n' +
     '    btn.textContent = "✅ Saved!"; setTimeout(function() { location.reload(); }, 1200);\n' +
@@ -586,10 +634,8 @@ app.get('/browse', async (req, res) => {
     '  if (!confirm("Delete this submission? This cannot be undone.")) return;\n' +
     '  var addr = userAddress || prompt("Enter your wallet address to confirm:");\n' +
     '  if (!addr) return;\n' +
-    '  fetch("/bounties/" + bountyId + "/submissions/" + subId, {\n' +
-    '    method: "DELETE", headers: { "Content-Type": "application/json" },\n' +
-    '    body: JSON.stringify({ address: addr })\n' +
-    '  }).then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Delete failed"); return d; }); })\n' +
+    '  signedFetch("DELETE", "/bounties/" + bountyId + "/submissions/" + subId, { address: addr.toLowerCase() })\n' +
+    '  .then(function(r) { return r.json().then(function(d) { if (!r.ok) throw new Error(d.error || "Delete failed"); return d; }); })\n' +
     '  .then(function() { showToast("Submission deleted", "success"); setTimeout(function() { location.reload(); }, 800); })\n' +
     '  .catch(function(err) { showToast(err.message, "error"); });\n' +
     '}\n' +
@@ -635,9 +681,13 @@ app.get('/bounty/:id', async (req, res) => {
       return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#039;');
     }
     
-    const statusColors = { open: '#10b981', claimed: '#f59e0b', submitted: '#3b82f6', completed: '#8b5cf6', cancelled: '#ef4444' };
+    const statusColors = { open: '#10b981', claimed: '#f59e0b', submitted: '#3b82f6', completed: '#8b5cf6', cancelled: '#ef4444', expired: '#6b7280' };
     const statusColor = statusColors[bounty.status] || '#666';
-    const reward = bounty.rewardFormatted || ((bounty.reward / 1e6) + ' USDC');
+    const asset = assetOf(bounty);
+    const reward = bounty.rewardFormatted || formatAmount(bounty.reward, asset);
+    const funders = bounty.escrow?.contributions ? fundersOf(bounty.escrow, asset) : [];
+    const history = getHistory(bounty.id);
+    const who = actor => /^0x[0-9a-fA-F]{40}$/.test(actor) ? `${actor.slice(0,8)}...` : actor;
     
     res.send(`<!DOCTYPE html>
 <html lang="en">
@@ -671,6 +721,26 @@ app.get('/bounty/:id', async (req, res) => {
     .btn-secondary { background: #333; color: #fff; }
     .payment { margin-top: 1.5rem; padding: 1rem; background: #10b98122; border-radius: 8px; border: 1px solid #10b981; }
     .payment-title { color: #10b981; font-weight: 600; margin-bottom: 0.5rem; }
+    .funders { margin-top: 1.5rem; padding: 1rem; background: #222; border-radius: 8px; border: 1px solid #333; }
+    .funders .payment-title { color: #ffb74d; }
+    .tips { margin-top: 1.5rem; padding: 1rem; background: #222; border-radius: 8px; border: 1px solid #333; }
+    .tips .payment-title { color: #f472b6; }
+    .tip-message { font-size: 0.875rem; color: #999; font-style: italic; }
+    .milestones { margin-top: 1.5rem; padding: 1rem; background: #222; border-radius: 8px; border: 1px solid #333; }
+    .milestones .payment-title { color: #e5e5e5; }
+    .milestone { padding: 0.5rem 0; border-top: 1px solid #333; }
+    .milestone-row { display: flex; justify-content: space-between; gap: 1rem; color: #fff; }
+    .milestone-status { font-size: 0.75rem; text-transform: uppercase; color: #888; }
+    .milestone-paid { color: #10b981; }
+    .milestone-approved, .milestone-submitted { color: #3b82f6; }
+    .milestone-info { font-size: 0.875rem; color: #888; }
+    .milestone ul { margin: 0.25rem 0 0 1.25rem; font-size: 0.875rem; color: #999; }
+    .timeline { margin-top: 1.5rem; padding: 1rem; background: #222; border-radius: 8px; border: 1px solid #333; }
+    .timeline .payment-title { color: #e5e5e5; }
+    .event { display: flex; gap: 1rem; padding: 0.375rem 0; border-top: 1px solid #333; font-size: 0.875rem; }
+    .event-time { color: #666; min-width: 140px; }
+    .event-action { color: #fff; font-weight: 600; }
+    .event-info { color: #888; }
   </style>
 </head>
 <body>
@@ -686,10 +756,16 @@ app.get('/bounty/:id', async (req, res) => {
     <div class="meta">
       ${bounty.creator ? `<div class="meta-item"><span class="meta-label">Creator:</span> ${esc(bounty.creator.slice(0,8))}...</div>` : ''}
       ${bounty.claimedBy ? `<div class="meta-item"><span class="meta-label">Claimed by:</span> ${esc(bounty.claimedBy.slice(0,8))}...</div>` : ''}
+      ${bounty.milestones ? `<div class="meta-item"><span class="meta-label">Milestones:</span> ${bounty.milestones.filter(m => m.status === 'paid').length}/${bounty.milestones.length} paid</div>` : ''}
+      ${bounty.payoutSplit ? `<div class="meta-item"><span class="meta-label">Payout split:</span> ${bounty.payoutSplit.recipients.map(r => `${esc(r.address.slice(0,8))}... (${r.bps / 100}%)`).join(', ')}</div>` : ''}
       ${bounty.createdAt ? `<div class="meta-item"><span class="meta-label">Created:</span> ${new Date(bounty.createdAt).toLocaleDateString()}</div>` : ''}
       ${bounty.submissionUrl ? `<div class="meta-item"><span class="meta-label">Submission:</span> <a href="${esc(bounty.submissionUrl)}" target="_blank">${esc(bounty.submissionUrl.slice(0, 50))}...</a></div>` : ''}
     </div>
-    ${bounty.payment ? '<div class="payment"><div class="payment-title">✅ Payment Complete</div><div class="meta-item"><span class="meta-label">Amount:</span> ' + (bounty.payment.netRewardFormatted || (((bounty.payment.netReward || 0) / 1e6).toFixed(2) + ' USDC')) + '</div>' + (bounty.payment.txHash ? '<div class="meta-item"><span class="meta-label">TX:</span> <a href="https://basescan.org/tx/' + bounty.payment.txHash + '" target="_blank">' + bounty.payment.txHash.slice(0,16) + '...</a></div>' : '') + '</div>' : ''}
+    ${funders.length ? `<div class="funders"><div class="payment-title">🤝 Funded by ${funders.length} wallet${funders.length === 1 ? '' : 's'}</div>${funders.map(f => `<div class="meta-item"><span class="meta-label">${esc(f.address.slice(0,8))}...${f.creator ? ' (creator)' : ''}</span> ${esc(f.amountFormatted)}${f.contributions > 1 ? ` in ${f.contributions} contributions` : ''}</div>`).join('')}</div>` : ''}
+    ${bounty.milestones ? `<div class="milestones"><div class="payment-title">Milestones</div>${bounty.milestones.map(m => `<div class="milestone"><div class="milestone-row"><span>${esc(m.title)}</span><span class="milestone-status milestone-${esc(m.status)}">${esc(m.status)}</span></div><div class="milestone-info">${esc(m.amountFormatted || formatAmount(m.amount, asset))} (${m.bps / 100}%)${m.txHash ? ` — <a href="${esc(explorerTx(bounty.network, m.txHash))}" target="_blank">${esc(m.txHash.slice(0,16))}...</a>` : ''}</div>${m.requirements && m.requirements.length ? `<ul>${m.requirements.map(req => `<li>${esc(req)}</li>`).join('')}</ul>` : ''}</div>`).join('')}</div>` : ''}
+    ${bounty.payment ? '<div class="payment"><div class="payment-title">✅ Payment Complete — <a href="/bounties/' + esc(bounty.id) + '/receipt?format=html" target="_blank">🧾 Receipt</a></div><div class="meta-item"><span class="meta-label">Amount:</span> ' + (bounty.payment.netRewardFormatted || formatAmount(bounty.payment.netReward || 0, asset)) + '</div>' + (bounty.payment.splits ? bounty.payment.splits.map(sp => '<div class="meta-item"><span class="meta-label">' + esc(sp.recipient.slice(0,8)) + '...:</span> ' + esc(sp.netRewardFormatted) + ' (' + (sp.bps / 100) + '%) — <a href="' + esc(explorerTx(bounty.network, sp.txHash)) + '" target="_blank">' + esc(sp.txHash.slice(0,16)) + '...</a></div>').join('') : bounty.payment.txHash ? '<div class="meta-item"><span class="meta-label">TX:</span> <a href="' + esc(explorerTx(bounty.network, bounty.payment.txHash)) + '" target="_blank">' + bounty.payment.txHash.slice(0,16) + '...</a></div>' : '') + '</div>' : ''}
+    ${bounty.tips && bounty.tips.length ? `<div class="tips"><div class="payment-title">🎁 ${bounty.tips.length} tip${bounty.tips.length === 1 ? '' : 's'}</div>${bounty.tips.map(t => `<div class="meta-item"><span class="meta-label">${esc(t.from.slice(0,8))}...</span> ${esc(t.amountFormatted)}${t.payout.txHash && t.payout.state === 'confirmed' ? ` — <a href="${esc(explorerTx(bounty.network, t.payout.txHash))}" target="_blank">${esc(t.payout.txHash.slice(0,16))}...</a>` : ' (forwarding)'}${t.message ? `<div class="tip-message">“${esc(t.message)}”</div>` : ''}</div>`).join('')}</div>` : ''}
+    ${history.length ? `<div class="timeline"><div class="payment-title">🕓 History</div>${history.map(e => `<div class="event"><span class="event-time">${new Date(e.at).toLocaleString()}</span><span><span class="event-action">${esc(e.action.replace(/_/g, ' '))}</span> <span class="event-info">by ${esc(who(e.actor))}${e.statusFrom !== e.statusTo ? ` — ${esc(e.statusFrom || 'new')} → ${esc(e.statusTo)}` : ''}</span></span></div>`).join('')}</div>` : ''}
     <div class="actions">
       ${bounty.status === 'open' ? `<a href="/browse" class="btn btn-primary">Claim This Bounty</a>` : ''}
       <a href="/browse" class="btn btn-secondary">View All Bounties</a>
@@ -0,0 +1,336 @@
+/**
+ * Chain - adapter between the board and the chains it pays on
+ *
+ * Two implementations share the same interface:
+ *   - ethers: JSON-RPC through ethers, one provider per network
+ *   - fake:   in-memory chain with token balances, nonces, tx hashes, receipts
+ *             and events, so claim -> approve -> pay -> reputation runs on a
+ *             dev box (SANDBOX=1). State resets on restart.
+ *
+ * chain.wallet(privateKey) returns a wallet bound to that key (null without a
+ * key). Every wallet method takes the network name first:
+ *   address
+ *   getNonce(network, 'latest' | 'pending')
+ *   getReceipt(network, txHash)               { hash, status, blockNumber, fee } or null
+ *   getTransaction(network, txHash)           { hash, nonce, maxFeePerGas, maxPriorityFeePerGas } or null
+ *   balanceOf(network, token, owner)          bigint, token is the contract address
+ *   transfer(network, token, to, amount, overrides)                  ERC-20 transfer, returns a tx
+ *   send(network, { to, abi, method, args, overrides })             any contract call, returns a tx
+ * Transactions are { hash, nonce, maxFeePerGas, maxPriorityFeePerGas, wait() }.
+ *
+ * Reads that need no key live on the chain itself:
+ *   chain.getReceipt(network, txHash)
+ *   chain.getTransfers(network, txHash)       ERC-20 Transfer logs [{ token, from, to, value }] or null if not mined
+ *   chain.balanceOf(network, token, owner)    ERC-20 balance (bigint)
+ *   chain.getBalance(network, owner)          native gas token balance (wei, bigint)
+ *
+ * Usage:
+ *   const { createEthersChain, createFakeChain } = require('./chain');
+ *   const chain = process.env.SANDBOX === '1' ? createFakeChain() : createEthersChain();
+ *   const wallet = chain.wallet(process.env.RELAY_PRIVATE_KEY);
+ *   const tx = await wallet.transfer('base', usdcAddress, recipient, 5000000n, { nonce });
+ *   chain.mint('base', usdcAddress, wallet.address, 1000000000n);   // fake only
+ *   chain.mint('base', NATIVE, wallet.address, 10n ** 18n);          // fake only: 1 ETH for gas
+ */
+
+const { ethers } = require('ethers');
+const { getNetwork } = require('./networks');
+
+const MAX_FAKE_EVENTS = 10000;
+
+// Token "address" the fake chain keeps native (gas) balances under
+const NATIVE = 'native';
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function balanceOf(address) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+const TRANSFER_TOPIC = erc20.getEvent('Transfer').topicHash;
+
+/**
+ * Live chains over JSON-RPC
+ * @param {object} opts
+ * @param {Function} opts.rpcUrlFor - RPC URL for a network name (default: the networks registry)
+ */
+function createEthersChain({ rpcUrlFor = network => getNetwork(network).rpcUrl } = {}) {
+  const providers = new Map();
+
+  function provider(network) {
+    if (!providers.has(network)) {
+      providers.set(network, new ethers.JsonRpcProvider(rpcUrlFor(network)));
+    }
+    return providers.get(network);
+  }
+
+  function wallet(privateKey) {
+    if (!privateKey) return null;
+    const address = new ethers.Wallet(privateKey).address;
+    const signers = new Map();   // network -> ethers.Wallet
+    const contracts = new Map(); // network:address -> token contract
+
+    function signer(network) {
+      if (!signers.has(network)) {
+        signers.set(network, new ethers.Wallet(privateKey, provider(network)));
+      }
+      return signers.get(network);
+    }
+
+    function token(network, tokenAddress) {
+      const key = `${network}:${tokenAddress.toLowerCase()}`;
+      if (!contracts.has(key)) {
+        contracts.set(key, new ethers.Contract(tokenAddress, ERC20_ABI, signer(network)));
+      }
+      return contracts.get(key);
+    }
+
+    return {
+      address,
+      getNonce: (network, tag = 'pending') => provider(network).getTransactionCount(address, tag),
+      getReceipt: (network, txHash) => provider(network).getTransactionReceipt(txHash),
+      getTransaction: (network, txHash) => provider(network).getTransaction(txHash),
+      balanceOf: (network, tokenAddress, owner) => token(network, tokenAddress).balanceOf(owner),
+      transfer: (network, tokenAddress, to, amount, overrides = {}) => token(network, tokenAddress).transfer(to, amount, overrides),
+      send(network, { to, abi, method, args = [], overrides = {} }) {
+        return new ethers.Contract(to, abi, signer(network))[method](...args, overrides);
+      }
+    };
+  }
+
+  async function getTransfers(network, txHash) {
+    const receipt = await provider(network).getTransactionReceipt(txHash);
+    if (!receipt) return null;
+    return receipt.logs
+      .filter(log => log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3)
+      .map(log => {
+        const { args } = erc20.parseLog(log);
+        return { token: log.address.toLowerCase(), from: args.from.toLowerCase(), to: args.to.toLowerCase(), value: args.value };
+      });
+  }
+
+  return {
+    mode: 'ethers',
+    wallet,
+    getReceipt: (network, txHash) => provider(network).getTransactionReceipt(txHash),
+    getTransfers,
+    balanceOf: (network, tokenAddress, owner) => new ethers.Contract(tokenAddress, ERC20_ABI, provider(network)).balanceOf(owner),
+    getBalance: (network, owner) => provider(network).getBalance(owner)
+  };
+}
+
+/**
+ * In-memory chain for sandbox mode and dev boxes
+ * Transactions mine as soon as they are sent unless autoMine is false, in
+ * which case they wait in a mempool until mine(). A transfer with too little
+ * balance is mined with status 0 (reverted), like the real thing. Gas fees
+ * come out of the sender's NATIVE balance (never below zero; mint some to
+ * watch it drain).
+ * @param {object} opts
+ * @param {boolean} opts.autoMine - Mine every tx right away (default true)
+ * @param {bigint} opts.gasPrice - Gas price in wei used for receipt fees
+ */
+function createFakeChain({ autoMine = true, gasPrice = 1000000n } = {}) {
+  const balances = new Map(); // network:token:owner -> bigint
+  const minedNonces = new Map(); // network:address -> next nonce to mine
+  const txs = new Map();      // network:hash -> tx
+  const receipts = new Map(); // network:hash -> receipt
+  const mempool = [];
+  const events = [];
+  let blockNumber = 0;
+  let txCount = 0;
+  let executing = null; // tx being mined, collects its Transfer logs
+
+  const lower = value => String(value).toLowerCase();
+  const balanceKey = (network, token, owner) => `${network}:${lower(token)}:${lower(owner)}`;
+  const nonceKey = (network, address) => `${network}:${lower(address)}`;
+
+  function emit(event) {
+    events.push({ blockNumber, ...event });
+    if (events.length > MAX_FAKE_EVENTS) events.shift();
+  }
+
+  function balance(network, token, owner) {
+    return balances.get(balanceKey(network, token, owner)) || 0n;
+  }
+
+  function credit(network, token, owner, amount) {
+    balances.set(balanceKey(network, token, owner), balance(network, token, owner) + BigInt(amount));
+  }
+
+  /** Give an address tokens out of thin air */
+  function mint(network, token, owner, amount) {
+    credit(network, token, owner, amount);
+    emit({ network, type: 'Mint', token: lower(token), to: lower(owner), value: BigInt(amount).toString() });
+  }
+
+  function moveTokens(network, token, from, to, value) {
+    if (balance(network, token, from) < value) return false;
+    credit(network, token, from, -value);
+    credit(network, token, to, value);
+    emit({ network, type: 'Transfer', token: lower(token), from: lower(from), to: lower(to), value: value.toString() });
+    if (executing) executing.transfers.push({ token: lower(token), from: lower(from), to: lower(to), value });
+    return true;
+  }
+
+  function storeReceipt(tx, status) {
+    const gasUsed = tx.gasUsed || 21000n;
+    const receipt = { hash: tx.hash, status, blockNumber, gasUsed, gasPrice, fee: gasUsed * gasPrice, from: tx.from, transfers: status ? tx.transfers : [] };
+    receipts.set(`${tx.network}:${tx.hash}`, receipt);
+    if (tx.nonce !== null) {
+      // Settlements are paid for by the facilitator, wallet txs by their sender
+      const gas = balance(tx.network, NATIVE, tx.from);
+      credit(tx.network, NATIVE, tx.from, -(gas < receipt.fee ? gas : receipt.fee));
+    }
+    tx.resolve(receipt);
+    return receipt;
+  }
+
+  /** Mine every mempool tx whose nonce is next in line for its sender */
+  function mine() {
+    blockNumber++;
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const tx of [...mempool]) {
+        const key = nonceKey(tx.network, tx.from);
+        if ((minedNonces.get(key) || 0) !== tx.nonce) continue;
+        mempool.splice(mempool.indexOf(tx), 1);
+        minedNonces.set(key, tx.nonce + 1);
+        executing = tx;
+        const ok = tx.execute();
+        executing = null;
+        storeReceipt(tx, ok ? 1 : 0);
+        progressed = true;
+      }
+    }
+    return blockNumber;
+  }
+
+  function submit(network, from, nonce, execute, overrides = {}) {
+    const key = nonceKey(network, from);
+    if (nonce === undefined || nonce === null) {
+      nonce = (minedNonces.get(key) || 0) + mempool.filter(t => nonceKey(t.network, t.from) === key).length;
+    }
+    if (nonce < (minedNonces.get(key) || 0)) {
+      throw new Error(`nonce too low: ${nonce}`);
+    }
+    // Same sender + nonce replaces what is waiting in the mempool (speed-ups)
+    const replaced = mempool.findIndex(t => nonceKey(t.network, t.from) === key && t.nonce === nonce);
+    if (replaced >= 0) mempool.splice(replaced, 1);
+
+    let resolve;
+    const mined = new Promise(r => { resolve = r; });
+    const tx = {
+      hash: ethers.keccak256(ethers.toUtf8Bytes(`${network}:${lower(from)}:${nonce}:${++txCount}`)),
+      network,
+      from: lower(from),
+      nonce,
+      maxFeePerGas: overrides.maxFeePerGas ? BigInt(overrides.maxFeePerGas) : gasPrice * 2n,
+      maxPriorityFeePerGas: overrides.maxPriorityFeePerGas ? BigInt(overrides.maxPriorityFeePerGas) : gasPrice,
+      transfers: [],
+      execute,
+      resolve,
+      wait: () => mined
+    };
+    txs.set(`${network}:${tx.hash}`, tx);
+    mempool.push(tx);
+    if (autoMine) mine();
+    return tx;
+  }
+
+  function wallet(privateKey) {
+    if (!privateKey) return null;
+    const address = new ethers.Wallet(privateKey).address;
+    const key = network => nonceKey(network, address);
+
+    return {
+      address,
+      async getNonce(network, tag = 'pending') {
+        const mined = minedNonces.get(key(network)) || 0;
+        if (tag === 'latest') return mined;
+        return mined + mempool.filter(t => nonceKey(t.network, t.from) === key(network)).length;
+      },
+      async getReceipt(network, txHash) {
+        return receipts.get(`${network}:${txHash}`) || null;
+      },
+      async getTransaction(network, txHash) {
+        const tx = txs.get(`${network}:${txHash}`);
+        if (!tx || (!mempool.includes(tx) && !receipts.has(`${network}:${txHash}`))) return null;
+        return { hash: tx.hash, nonce: tx.nonce, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+      },
+      async balanceOf(network, token, owner) {
+        return balance(network, token, owner);
+      },
+      async transfer(network, token, to, amount, overrides = {}) {
+        const value = BigInt(amount);
+        return submit(network, address, overrides.nonce, () => moveTokens(network, token, address, to, value), overrides);
+      },
+      async send(network, { to, method, args = [], overrides = {} }) {
+        return submit(network, address, overrides.nonce, () => {
+          emit({ network, type: 'Call', from: lower(address), contract: lower(to), method, args: args.map(String) });
+          return true;
+        }, overrides);
+      }
+    };
+  }
+
+  /**
+   * Settle an EIP-3009 authorization (what a facilitator does on a real chain)
+   * Sandbox payers are funded on demand, so any dev wallet can pay
+   * Returns the tx hash
+   */
+  function settleAuthorization(network, token, { from, to, value }) {
+    const amount = BigInt(value);
+    const shortfall = amount - balance(network, token, from);
+    if (shortfall > 0n) mint(network, token, from, shortfall);
+    blockNumber++;
+    const hash = ethers.keccak256(ethers.toUtf8Bytes(`${network}:settle:${lower(from)}:${++txCount}`));
+    const tx = { hash, network, from: lower(from), nonce: null, transfers: [], resolve: () => {} };
+    executing = tx;
+    moveTokens(network, token, from, to, amount);
+    executing = null;
+    txs.set(`${network}:${hash}`, tx);
+    storeReceipt(tx, 1);
+    return hash;
+  }
+
+  /**
+   * Snapshot for debugging: block height, non-zero balances, recent events
+   */
+  function state({ limit = 100 } = {}) {
+    return {
+      blockNumber,
+      pending: mempool.map(t => ({ hash: t.hash, network: t.network, from: t.from, nonce: t.nonce })),
+      balances: Array.from(balances.entries())
+        .filter(([, amount]) => amount !== 0n)
+        .map(([key, amount]) => {
+          const [network, token, owner] = key.split(':');
+          return { network, token, owner, amount: amount.toString() };
+        }),
+      events: events.slice(-limit)
+    };
+  }
+
+  async function getReceipt(network, txHash) {
+    return receipts.get(`${network}:${txHash}`) || null;
+  }
+
+  async function getTransfers(network, txHash) {
+    const receipt = receipts.get(`${network}:${txHash}`);
+    return receipt ? receipt.transfers : null;
+  }
+
+  async function balanceOf(network, token, owner) {
+    return balance(network, token, owner);
+  }
+
+  async function getBalance(network, owner) {
+    return balance(network, NATIVE, owner);
+  }
+
+  return { mode: 'fake', wallet, getReceipt, getTransfers, balanceOf, getBalance, mint, mine, settleAuthorization, state, balance };
+}
+
+module.exports = { createEthersChain, createFakeChain, ERC20_ABI, NATIVE };
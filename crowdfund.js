@@ -0,0 +1,98 @@
+/**
+ * Crowdfunding - extra wallets topping up a bounty's escrow
+ *
+ * Every deposit into a bounty's escrow is a contribution in
+ * escrow.contributions. The creator's original deposit is the first one
+ * (seeded from escrow.paidBy for bounties created before crowdfunding).
+ * The bounty's reward always equals the escrowed total.
+ *
+ * Refunds on cancel or expiry are pro-rata: each funder gets back their share
+ * of whatever escrow is still refundable. Rounding dust goes to the first
+ * funder (normally the creator).
+ *
+ * Usage:
+ *   const { addContribution, fundersOf, allocateRefund } = require('./crowdfund');
+ *   addContribution(bounty, { from: req.payer, amount, txHash });
+ *   fundersOf(bounty.escrow, assetOf(bounty));  // [{ address, amount, contributions }]
+ *   allocateRefund({ refundable, funders });  // [{ address, grossReward }]
+ */
+
+const { assetOf, formatAmount } = require('./networks');
+
+const MIN_CONTRIBUTION = '1000000'; // 1 USDC (scaled to the bounty's token decimals)
+
+/**
+ * Contributions recorded on an escrow, including the creator's original deposit
+ */
+function contributionsOf(escrow) {
+  if (!escrow?.funded) return [];
+  if (escrow.contributions) return escrow.contributions;
+  return [{
+    address: escrow.paidBy?.toLowerCase() || null,
+    amount: escrow.amount,
+    txHash: escrow.settlementTx || null,
+    at: escrow.paidAt || null,
+    creator: true
+  }];
+}
+
+/**
+ * Add a contribution to a bounty's escrow and raise the reward to match
+ * Returns the contribution
+ */
+function addContribution(bounty, { from, amount, txHash, network = null }) {
+  const escrow = bounty.escrow;
+  escrow.contributions = contributionsOf(escrow);
+  const contribution = {
+    address: from.toLowerCase(),
+    amount: BigInt(amount).toString(),
+    txHash,
+    network,
+    at: Date.now()
+  };
+  escrow.contributions.push(contribution);
+  escrow.amount = (BigInt(escrow.amount) + BigInt(amount)).toString();
+
+  bounty.reward = escrow.amount;
+  bounty.rewardFormatted = formatAmount(bounty.reward, assetOf(bounty));
+  return contribution;
+}
+
+/**
+ * Contributions grouped by wallet, in order of first contribution
+ * asset (from the networks registry) is used for amountFormatted
+ */
+function fundersOf(escrow, asset) {
+  const byAddress = new Map();
+  for (const c of contributionsOf(escrow)) {
+    const key = c.address;
+    const funder = byAddress.get(key) || { address: key, amount: 0n, contributions: 0, creator: !!c.creator };
+    funder.amount += BigInt(c.amount);
+    funder.contributions += 1;
+    byAddress.set(key, funder);
+  }
+  return Array.from(byAddress.values()).map(f => ({
+    ...f,
+    amount: f.amount.toString(),
+    amountFormatted: formatAmount(f.amount, asset)
+  }));
+}
+
+/**
+ * Split a refundable amount between funders in proportion to what they put in
+ * Returns [{ address, grossReward }] (numbers, USDC smallest units)
+ */
+function allocateRefund({ refundable, funders }) {
+  const total = funders.reduce((sum, f) => sum + BigInt(f.amount), 0n);
+  const pool = BigInt(refundable);
+  const shares = funders.map(f => ({
+    address: f.address,
+    grossReward: total > 0n ? pool * BigInt(f.amount) / total : 0n
+  }));
+  shares[0].grossReward += pool - shares.reduce((sum, s) => sum + s.grossReward, 0n);
+  return shares
+    .filter(s => s.grossReward > 0n)
+    .map(s => ({ address: s.address, grossReward: Number(s.grossReward) }));
+}
+
+module.exports = { contributionsOf, addContribution, fundersOf, allocateRefund, MIN_CONTRIBUTION };
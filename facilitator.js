@@ -0,0 +1,285 @@
+/**
+ * x402 Facilitator Client
+ * Verifies and settles x402 "exact" payments (EIP-3009 transferWithAuthorization on USDC)
+ *
+ * Two implementations share the same interface:
+ *   - remote: talks to an x402 facilitator over HTTP (POST /verify, POST /settle)
+ *   - local:  stand-in facilitator that checks the EIP-712 signature itself and
+ *             returns a synthetic settlement tx, so the whole flow runs offline
+ *             (given the fake chain from chain.js, it settles there instead)
+ *
+ * Usage:
+ *   const { createFacilitator, decodePaymentHeader, buildPaymentRequirements } = require('./facilitator');
+ *   const facilitator = createFacilitator({ url: 'https://x402.org/facilitator' });
+ *   const requirements = buildPaymentRequirements({ amount: '1000000', payTo, resource: '/bounties' });
+ *   const payment = decodePaymentHeader(req.headers['x-payment']);
+ *   const { isValid, payer } = await facilitator.verify(payment, requirements);
+ *   const { success, transaction } = await facilitator.settle(payment, requirements);
+ *   res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settlement));
+ */
+
+const { ethers } = require('ethers');
+const { getNetwork, getAsset } = require('./networks');
+
+const X402_VERSION = 1;
+
+// A facilitator that stops answering fails the payment instead of holding the request open
+const REMOTE_TIMEOUT_MS = 30000;
+
+// fetch() with the safe-fetch `timeoutMs` option
+const timedFetch = (input, { timeoutMs, ...init }) => fetch(input, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+
+// EIP-3009 typed data (USDC v2 domain)
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+/**
+ * Decode a base64 X-Payment header into a payment payload
+ * Throws if the header is not a well-formed x402 "exact" payload
+ */
+function decodePaymentHeader(header) {
+  let payment;
+  try {
+    payment = JSON.parse(Buffer.from(header, 'base64').toString());
+  } catch (e) {
+    throw new Error('Invalid payment payload: not base64 JSON');
+  }
+  const auth = payment?.payload?.authorization;
+  if (!payment?.payload?.signature || !auth || !auth.from || !auth.to || auth.value === undefined || !auth.nonce) {
+    throw new Error('Invalid payment payload: expected x402 exact scheme with EIP-3009 authorization');
+  }
+  return payment;
+}
+
+/**
+ * Encode a settlement as the base64 JSON X-PAYMENT-RESPONSE header
+ */
+function encodePaymentResponse({ transaction, network, payer }) {
+  return Buffer.from(JSON.stringify({ success: true, transaction, network, payer })).toString('base64');
+}
+
+/**
+ * Decode an X-PAYMENT-RESPONSE header (null if missing or malformed)
+ */
+function decodePaymentResponse(header) {
+  if (!header) return null;
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString());
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build x402 payment requirements for a paid resource
+ * @param {object} opts
+ * @param {string} opts.amount - Amount in token smallest units
+ * @param {string} opts.payTo - Recipient (treasury) address
+ * @param {string} opts.resource - Resource path being paid for
+ * @param {string} opts.description - Human readable description
+ * @param {string} opts.network - Network name from the networks registry (default 'base')
+ * @param {string} opts.token - Token symbol on that network (default 'USDC')
+ */
+function buildPaymentRequirements({ amount, payTo, resource, description = '', network = 'base', token = 'USDC', maxTimeoutSeconds = 300 }) {
+  const asset = getAsset(network, token);
+  if (!asset) throw new Error(`Unsupported asset: ${token} on ${network}`);
+  return {
+    scheme: 'exact',
+    network,
+    maxAmountRequired: amount.toString(),
+    resource,
+    description,
+    mimeType: 'application/json',
+    payTo,
+    maxTimeoutSeconds,
+    asset: asset.address,
+    extra: { name: asset.domain.name, version: asset.domain.version }
+  };
+}
+
+/**
+ * Check a payment against requirements and recover the signer
+ * Shared by the local facilitator for both verify and settle
+ */
+function checkPayment(payment, requirements) {
+  const auth = payment.payload.authorization;
+  const chain = getNetwork(requirements.network);
+
+  if (payment.scheme && payment.scheme !== requirements.scheme) {
+    return { isValid: false, invalidReason: `Unsupported scheme: ${payment.scheme}` };
+  }
+  if (payment.network && payment.network !== requirements.network) {
+    return { isValid: false, invalidReason: `Wrong network: ${payment.network} (expected ${requirements.network})` };
+  }
+  if (!chain) {
+    return { isValid: false, invalidReason: `Unsupported network: ${requirements.network}` };
+  }
+  if (auth.to.toLowerCase() !== requirements.payTo.toLowerCase()) {
+    return { isValid: false, invalidReason: 'Payment recipient does not match payTo' };
+  }
+  // The exact scheme pays the required amount, no less and no more
+  const value = BigInt(auth.value);
+  const required = BigInt(requirements.maxAmountRequired);
+  if (value < required) {
+    return { isValid: false, invalidReason: `Insufficient payment: sent ${auth.value}, need ${requirements.maxAmountRequired}` };
+  }
+  if (value > required) {
+    return { isValid: false, invalidReason: `Overpayment: sent ${auth.value}, the exact scheme needs ${requirements.maxAmountRequired}` };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Number(auth.validAfter || 0) > now) {
+    return { isValid: false, invalidReason: 'Authorization not yet valid' };
+  }
+  if (Number(auth.validBefore) <= now) {
+    return { isValid: false, invalidReason: 'Authorization expired' };
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyTypedData(
+      { name: requirements.extra?.name || 'USD Coin', version: requirements.extra?.version || '2', chainId: chain.chainId, verifyingContract: requirements.asset },
+      TRANSFER_WITH_AUTHORIZATION_TYPES,
+      {
+        from: auth.from,
+        to: auth.to,
+        value: BigInt(auth.value),
+        validAfter: BigInt(auth.validAfter || 0),
+        validBefore: BigInt(auth.validBefore),
+        nonce: auth.nonce
+      },
+      payment.payload.signature
+    );
+  } catch (e) {
+    return { isValid: false, invalidReason: `Invalid signature: ${e.message}` };
+  }
+  if (recovered.toLowerCase() !== auth.from.toLowerCase()) {
+    return { isValid: false, invalidReason: 'Invalid signature' };
+  }
+
+  return { isValid: true, payer: auth.from.toLowerCase() };
+}
+
+/**
+ * Remote facilitator - delegates verification and settlement over HTTP
+ * Each call gives up after REMOTE_TIMEOUT_MS
+ */
+function createRemoteFacilitator(url, fetchFn = timedFetch) {
+  async function call(path, payment, requirements) {
+    let response;
+    try {
+      response = await fetchFn(`${url.replace(/\/$/, '')}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          x402Version: X402_VERSION,
+          paymentPayload: payment,
+          paymentRequirements: requirements
+        }),
+        timeoutMs: REMOTE_TIMEOUT_MS
+      });
+    } catch (err) {
+      throw new Error(`Facilitator ${path} failed: ${err.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`Facilitator ${path} failed: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    mode: 'remote',
+    url,
+
+    async verify(payment, requirements) {
+      const result = await call('verify', payment, requirements);
+      return {
+        isValid: !!result.isValid,
+        invalidReason: result.invalidReason || null,
+        payer: (result.payer || payment.payload.authorization.from).toLowerCase()
+      };
+    },
+
+    async settle(payment, requirements) {
+      const result = await call('settle', payment, requirements);
+      return {
+        success: !!result.success,
+        errorReason: result.errorReason || null,
+        transaction: result.transaction || null,
+        network: result.network || requirements.network,
+        payer: (result.payer || payment.payload.authorization.from).toLowerCase()
+      };
+    }
+  };
+}
+
+/**
+ * Local stand-in facilitator - verifies signatures in-process, never touches a real chain
+ * Settlement returns a deterministic pseudo tx hash derived from the signature,
+ * or settles the authorization on the fake chain when one is passed
+ */
+function createLocalFacilitator(chain = null) {
+  return {
+    mode: 'local',
+    url: null,
+
+    async verify(payment, requirements) {
+      const result = checkPayment(payment, requirements);
+      return { isValid: result.isValid, invalidReason: result.invalidReason || null, payer: result.payer || null };
+    },
+
+    async settle(payment, requirements) {
+      const result = checkPayment(payment, requirements);
+      if (!result.isValid) {
+        return { success: false, errorReason: result.invalidReason, transaction: null, network: requirements.network, payer: null };
+      }
+      const transaction = chain?.settleAuthorization
+        ? chain.settleAuthorization(requirements.network, requirements.asset, payment.payload.authorization)
+        : ethers.keccak256(payment.payload.signature);
+      return {
+        success: true,
+        errorReason: null,
+        transaction,
+        network: requirements.network,
+        payer: result.payer
+      };
+    }
+  };
+}
+
+/**
+ * Create a facilitator client
+ * Set X402_FACILITATOR=local to use the offline stand-in
+ * @param {object} opts
+ * @param {string} opts.url - Remote facilitator base URL
+ * @param {string} opts.mode - 'remote' or 'local' (defaults to X402_FACILITATOR env, then 'remote')
+ * @param {object} opts.chain - Fake chain the local facilitator settles on (sandbox mode)
+ * @param {Function} opts.fetch - HTTP client for the remote facilitator, (url, { method, headers, body, timeoutMs }) => response
+ *                                (e.g. a safe-fetch.js client; defaults to fetch() with a timeout)
+ */
+function createFacilitator({ url, mode, chain = null, fetch: fetchFn } = {}) {
+  const selected = mode || process.env.X402_FACILITATOR || 'remote';
+  if (selected === 'local') {
+    console.log(`[FACILITATOR] Using local stand-in facilitator (${chain ? 'settling on the fake chain' : 'no on-chain settlement'})`);
+    return createLocalFacilitator(chain);
+  }
+  return createRemoteFacilitator(process.env.X402_FACILITATOR_URL || url, fetchFn);
+}
+
+module.exports = {
+  createFacilitator,
+  decodePaymentHeader,
+  encodePaymentResponse,
+  decodePaymentResponse,
+  buildPaymentRequirements,
+  TRANSFER_WITH_AUTHORIZATION_TYPES,
+  X402_VERSION
+};
@@ -0,0 +1,204 @@
+/**
+ * Fee Policy - posting fees and payout fees
+ *
+ * The payout fee rate for a bounty is picked in this order:
+ *   1. per-bounty override   (set at creation by an admin, no discounts)
+ *   2. per-creator rate      (negotiated, stored in creatorRates)
+ *   3. reward-size tier      (first tier whose maxReward covers the reward)
+ * then the worker's reputation discount is taken off (never below minFeeBps).
+ *
+ * Rates are in basis points (500 = 5%). Amounts are USDC smallest units.
+ * The default policy is a flat 5% with a 1 USDC posting fee; set FEE_POLICY
+ * to a JSON object with any of the DEFAULT_POLICY keys to change it.
+ *
+ * Usage:
+ *   const { createFeePolicy } = require('./fees');
+ *   const fees = createFeePolicy({ creatorRates: store.map('creatorFeeRates') });
+ *   fees.postingFee(creator);  // '1000000'
+ *   fees.quote({ reward, creator, workerReputation, overrideBps });
+ *   fees.schedule();           // public description for /agent and /guidelines
+ */
+
+const DEFAULT_POLICY = {
+  postingFee: '1000000', // 1 USDC to post a bounty
+  tiers: [
+    { maxReward: null, feeBps: 500 } // 5% on everything
+  ],
+  reputationDiscounts: [], // e.g. { minReputation: 100, discountBps: 100 }
+  minFeeBps: 0
+};
+
+function assertBps(value, label) {
+  if (!Number.isInteger(value) || value < 0 || value > 10000) {
+    throw new Error(`${label} must be an integer between 0 and 10000 basis points`);
+  }
+}
+
+/**
+ * Merge a partial policy over the defaults and validate it
+ * Tiers are sorted by maxReward, with the open-ended tier (maxReward null) last
+ */
+function parsePolicy(overrides = {}) {
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+  policy.postingFee = BigInt(policy.postingFee).toString();
+
+  policy.tiers = [...policy.tiers].sort((a, b) => {
+    if (a.maxReward === null || a.maxReward === undefined) return 1;
+    if (b.maxReward === null || b.maxReward === undefined) return -1;
+    return Number(BigInt(a.maxReward) - BigInt(b.maxReward));
+  });
+  if (!policy.tiers.length || policy.tiers[policy.tiers.length - 1].maxReward != null) {
+    throw new Error('Fee policy needs an open-ended tier (maxReward: null)');
+  }
+  policy.tiers.forEach((tier, i) => assertBps(tier.feeBps, `tiers[${i}].feeBps`));
+
+  policy.reputationDiscounts = [...policy.reputationDiscounts].sort((a, b) => b.minReputation - a.minReputation);
+  policy.reputationDiscounts.forEach((d, i) => assertBps(d.discountBps, `reputationDiscounts[${i}].discountBps`));
+  assertBps(policy.minFeeBps, 'minFeeBps');
+  return policy;
+}
+
+/**
+ * Load the policy from FEE_POLICY (JSON), falling back to the defaults
+ */
+function policyFromEnv() {
+  if (!process.env.FEE_POLICY) return parsePolicy();
+  try {
+    return parsePolicy(JSON.parse(process.env.FEE_POLICY));
+  } catch (err) {
+    console.error(`[FEES] Invalid FEE_POLICY, using defaults: ${err.message}`);
+    return parsePolicy();
+  }
+}
+
+const usdc = amount => (Number(amount) / 1e6).toFixed(2) + ' USDC';
+const percent = bps => (bps / 100) + '%';
+
+/**
+ * Create a fee policy
+ * @param {object} opts
+ * @param {object} opts.policy - Parsed policy (defaults to FEE_POLICY env)
+ * @param {Map} opts.creatorRates - Negotiated rates keyed by lowercase creator address
+ */
+function createFeePolicy({ policy = policyFromEnv(), creatorRates = new Map() } = {}) {
+  function tierFor(reward) {
+    const value = BigInt(reward);
+    return policy.tiers.find(t => t.maxReward === null || t.maxReward === undefined || value <= BigInt(t.maxReward));
+  }
+
+  function discountFor(reputation) {
+    if (reputation === undefined || reputation === null) return null;
+    return policy.reputationDiscounts.find(d => reputation >= d.minReputation) || null;
+  }
+
+  /**
+   * Posting fee charged to a creator (negotiated rate or the policy default)
+   */
+  function postingFee(creator) {
+    const rate = creator ? creatorRates.get(creator.toLowerCase()) : null;
+    return rate?.postingFee !== undefined && rate?.postingFee !== null ? String(rate.postingFee) : policy.postingFee;
+  }
+
+  /**
+   * Compute the payout fee for a reward
+   * Returns { grossReward, fee, netReward, feeBps, feePercent, source, baseFeeBps, discountBps }
+   */
+  function quote({ reward, creator = null, workerReputation = null, overrideBps = null }) {
+    const grossReward = parseInt(reward);
+    let baseFeeBps;
+    let source;
+    let discountBps = 0;
+
+    const rate = creator ? creatorRates.get(creator.toLowerCase()) : null;
+    if (overrideBps !== null && overrideBps !== undefined) {
+      baseFeeBps = overrideBps;
+      source = 'bounty-override';
+    } else if (rate && rate.feeBps !== undefined && rate.feeBps !== null) {
+      baseFeeBps = rate.feeBps;
+      source = 'creator-rate';
+    } else {
+      baseFeeBps = tierFor(reward).feeBps;
+      source = 'tier';
+    }
+
+    let feeBps = baseFeeBps;
+    if (source !== 'bounty-override') {
+      const discount = discountFor(workerReputation);
+      if (discount) {
+        feeBps = Math.max(policy.minFeeBps, baseFeeBps - discount.discountBps);
+        discountBps = baseFeeBps - feeBps;
+      }
+    }
+
+    const fee = Math.floor(grossReward * feeBps / 10000);
+    return {
+      grossReward,
+      fee,
+      netReward: grossReward - fee,
+      feeBps,
+      feePercent: feeBps / 100,
+      source,
+      baseFeeBps,
+      discountBps,
+      workerReputation
+    };
+  }
+
+  /**
+   * Negotiate a rate for a creator ({ feeBps, postingFee, note }; either rate may be omitted)
+   */
+  function setCreatorRate(creator, { feeBps = null, postingFee = null, note = '', setBy = null } = {}) {
+    if (feeBps !== null) assertBps(feeBps, 'feeBps');
+    if (postingFee !== null) postingFee = BigInt(postingFee).toString();
+    const rate = { creator: creator.toLowerCase(), feeBps, postingFee, note, setBy, updatedAt: Date.now() };
+    creatorRates.set(rate.creator, rate);
+    return rate;
+  }
+
+  function removeCreatorRate(creator) {
+    return creatorRates.delete(creator.toLowerCase());
+  }
+
+  function listCreatorRates() {
+    return Array.from(creatorRates.values());
+  }
+
+  /**
+   * Human and machine readable fee schedule
+   */
+  function schedule() {
+    let floor = 0n;
+    return {
+      postingFee: policy.postingFee,
+      postingFeeFormatted: usdc(policy.postingFee),
+      payoutFeeTiers: policy.tiers.map(tier => {
+        const entry = {
+          minReward: floor.toString(),
+          maxReward: tier.maxReward === null || tier.maxReward === undefined ? null : String(tier.maxReward),
+          feeBps: tier.feeBps,
+          feePercent: percent(tier.feeBps),
+          description: tier.maxReward != null
+            ? `${percent(tier.feeBps)} on rewards up to ${usdc(tier.maxReward)}`
+            : floor > 0n ? `${percent(tier.feeBps)} on rewards above ${usdc(floor - 1n)}` : `${percent(tier.feeBps)} on every reward`
+        };
+        if (tier.maxReward != null) floor = BigInt(tier.maxReward) + 1n;
+        return entry;
+      }),
+      reputationDiscounts: [...policy.reputationDiscounts].reverse().map(d => ({
+        minReputation: d.minReputation,
+        discountBps: d.discountBps,
+        description: `${percent(d.discountBps)} off the payout fee for workers with reputation ${d.minReputation}+`
+      })),
+      minFeeBps: policy.minFeeBps,
+      negotiatedRates: creatorRates.size,
+      notes: [
+        'Payout fee is taken once from the reward at approval and kept by the treasury',
+        'Negotiated creator rates and per-bounty overrides replace the tier rate'
+      ]
+    };
+  }
+
+  return { postingFee, quote, schedule, setCreatorRate, removeCreatorRate, listCreatorRates, policy };
+}
+
+module.exports = { createFeePolicy, parsePolicy, DEFAULT_POLICY };
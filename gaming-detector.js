@@ -0,0 +1,431 @@
+/**
+ * Gaming Detector - scores wallets from their bounty history and flags them for mods
+ *
+ * Signals (each adds its weight to the wallet's score when it fires):
+ *   churn        claims given back again and again (releases / claims)
+ *   rejections   most reviewed work rejected (rejections / reviewed)
+ *   duplicates   near-identical submissions across different bounties
+ *   cluster      wallets that keep claiming the same bounties, or submit each
+ *                other's work
+ *
+ * History comes from the bounties themselves (releases, rejections and their
+ * submissions, current claims), so it covers bounties from before the audit log.
+ * Each submission's word 3-grams are built once per scan, and only submissions
+ * sharing a rare 3-gram, or wallets meeting on a bounty, are compared.
+ * A wallet scoring flagScore or more gets a flag with the evidence behind every
+ * signal. Mods review flags (dismiss, confirm, block). With autoBlock on, a
+ * flag reaching blockScore is sent to the blocklist, except for wallets that
+ * hold a role. A dismissed flag reopens only if its score goes up.
+ *
+ * The default policy can be changed with GAMING_POLICY (JSON, any DEFAULT_POLICY
+ * key; signal settings merge per signal), e.g. {"flagScore":40,"rejections":{"minRatio":0.75}}.
+ * GAMING_AUTO_BLOCK=1 turns on autoBlock.
+ *
+ * Usage:
+ *   const { createGamingDetector } = require('./gaming-detector');
+ *   const detector = createGamingDetector({ flags: store.map('gamingFlags'), getAllBounties, escalate, isProtected });
+ *   await detector.scan();                  // { scannedAt, wallets, flagged, escalated }
+ *   await detector.scanIfStale();           // scan() unless one ran within scanIntervalMs
+ *   detector.list({ status: 'open' });      // highest score first
+ *   await detector.review(wallet, { decision: 'dismiss', by, note });
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+  windowDays: 30,            // history considered
+  flagScore: 30,
+  blockScore: 70,
+  autoBlock: false,
+  scanIntervalMs: 10 * 60 * 1000, // scanIfStale() rescans after this long
+  churn: { weight: 30, minReleases: 3, minRatio: 0.5 },
+  rejections: { weight: 35, minRejections: 3, minRatio: 0.6 },
+  duplicates: { weight: 35, minSimilarity: 0.85, minPairs: 1 },
+  cluster: { weight: 25, minShared: 3, minOverlap: 0.6, minSimilarity: 0.85 }
+};
+
+const SIGNALS = ['churn', 'rejections', 'duplicates', 'cluster'];
+const DECISIONS = ['dismiss', 'confirm', 'block'];
+
+/**
+ * Merge a partial policy over the defaults (signal settings merge per signal)
+ */
+function parsePolicy(overrides = {}) {
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+  for (const signal of SIGNALS) {
+    policy[signal] = { ...DEFAULT_POLICY[signal], ...(overrides[signal] || {}) };
+  }
+  if (!(policy.blockScore >= policy.flagScore)) {
+    throw new Error('blockScore must be at least flagScore');
+  }
+  return policy;
+}
+
+/**
+ * Load the policy from GAMING_POLICY (JSON), falling back to the defaults
+ * GAMING_AUTO_BLOCK=1 turns autoBlock on either way
+ */
+function policyFromEnv() {
+  const autoBlock = process.env.GAMING_AUTO_BLOCK === '1' ? { autoBlock: true } : {};
+  if (!process.env.GAMING_POLICY) return parsePolicy(autoBlock);
+  try {
+    return parsePolicy({ ...JSON.parse(process.env.GAMING_POLICY), ...autoBlock });
+  } catch (err) {
+    console.error(`[GAMING] Invalid GAMING_POLICY, using defaults: ${err.message}`);
+    return parsePolicy(autoBlock);
+  }
+}
+
+// ============ TEXT SIMILARITY ============
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}:/.#-]+/gu, ' ').trim();
+}
+
+function shingles(text) {
+  const words = normalize(text).split(' ').filter(Boolean);
+  if (words.length < 3) return new Set([words.join(' ')]);
+  const set = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) set.add(words.slice(i, i + 3).join(' '));
+  return set;
+}
+
+function jaccard(sa, sb) {
+  let shared = 0;
+  for (const s of sa) if (sb.has(s)) shared++;
+  const union = sa.size + sb.size - shared;
+  return union ? shared / union : 0;
+}
+
+/**
+ * Jaccard similarity of two texts' word 3-grams (0..1)
+ */
+function similarity(a, b) {
+  return jaccard(shingles(a), shingles(b));
+}
+
+/**
+ * Every pair of items whose shingle sets are at least `threshold` similar, as
+ * [i, j, score] with i < j. Instead of comparing all pairs, each item is indexed
+ * under a prefix of its shingles, rarest first: two sets that similar always
+ * share a shingle in their prefixes, so only items meeting in a bucket are compared.
+ * @param {Array} items - [{ shingles: Set }]
+ */
+function similarPairs(items, threshold) {
+  const frequency = new Map();
+  for (const item of items) {
+    for (const s of item.shingles) frequency.set(s, (frequency.get(s) || 0) + 1);
+  }
+  const rarestFirst = (x, y) => frequency.get(x) - frequency.get(y) || (x < y ? -1 : x > y ? 1 : 0);
+
+  const buckets = new Map();
+  const pairs = [];
+  items.forEach((item, j) => {
+    const size = item.shingles.size;
+    const prefix = [...item.shingles].sort(rarestFirst).slice(0, size - Math.ceil(threshold * size - 1e-9) + 1);
+    const compared = new Set();
+    for (const s of prefix) {
+      if (!buckets.has(s)) buckets.set(s, []);
+      for (const i of buckets.get(s)) {
+        if (compared.has(i)) continue;
+        compared.add(i);
+        const score = jaccard(items[i].shingles, item.shingles);
+        if (score >= threshold) pairs.push([i, j, score]);
+      }
+      buckets.get(s).push(j);
+    }
+  });
+  return pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+// ============ HISTORY ============
+
+const lower = w => (typeof w === 'string' ? w.toLowerCase() : null);
+
+/**
+ * Per-wallet history from the bounties: claims, releases, rejections, approvals and submissions
+ */
+function historyOf(bounties, since) {
+  const wallets = new Map();
+  const of = wallet => {
+    if (!wallets.has(wallet)) {
+      wallets.set(wallet, { claims: [], releases: [], rejections: [], approvals: [], submissions: [], bounties: new Set() });
+    }
+    return wallets.get(wallet);
+  };
+  const recent = at => !at || at >= since;
+  const addSubmissions = (wallet, bounty, submissions = []) => {
+    for (const s of submissions || []) {
+      if (!recent(s.submittedAt)) continue;
+      of(wallet).submissions.push({ bountyId: bounty.id, submissionId: s.id, shingles: shingles(`${s.content || ''} ${s.proof || ''}`), submittedAt: s.submittedAt });
+    }
+  };
+
+  for (const bounty of bounties) {
+    if (!bounty || bounty.type === 'blocklist') continue;
+
+    for (const release of bounty.releases || []) {
+      const wallet = lower(release.releasedBy);
+      if (!wallet || !recent(release.releasedAt)) continue;
+      of(wallet).releases.push({ bountyId: bounty.id, releasedAt: release.releasedAt, claimedAt: release.claimedAt || null });
+      of(wallet).claims.push(bounty.id);
+      of(wallet).bounties.add(bounty.id);
+      addSubmissions(wallet, bounty, release.submissions);
+    }
+
+    for (const rejection of bounty.rejections || []) {
+      const wallet = lower(rejection.previousClaimant);
+      if (!wallet || !recent(rejection.rejectedAt)) continue;
+      of(wallet).rejections.push({ bountyId: bounty.id, rejectedAt: rejection.rejectedAt, reason: rejection.reason });
+      of(wallet).claims.push(bounty.id);
+      of(wallet).bounties.add(bounty.id);
+      addSubmissions(wallet, bounty, rejection.previousSubmissions);
+    }
+
+    const claimer = lower(bounty.claimedBy);
+    if (!claimer) continue;
+    of(claimer).claims.push(bounty.id);
+    of(claimer).bounties.add(bounty.id);
+    addSubmissions(claimer, bounty, bounty.submissions);
+    for (const milestone of bounty.milestones || []) {
+      for (const rejection of milestone.rejections || []) {
+        if (recent(rejection.rejectedAt)) {
+          of(claimer).rejections.push({ bountyId: bounty.id, milestoneId: milestone.id, rejectedAt: rejection.rejectedAt, reason: rejection.reason });
+        }
+      }
+      if (['approved', 'paid'].includes(milestone.status)) of(claimer).approvals.push({ bountyId: bounty.id, milestoneId: milestone.id });
+    }
+    if (!bounty.milestones && bounty.approvedAt && recent(bounty.approvedAt)) {
+      of(claimer).approvals.push({ bountyId: bounty.id });
+    }
+  }
+  return wallets;
+}
+
+// ============ SIGNALS ============
+
+/**
+ * Score every wallet in the bounties' history
+ * Returns Map wallet -> { score, signals: [{ signal, points, summary, evidence }] }
+ */
+function analyze(bounties, { policy = parsePolicy(), now = Date.now() } = {}) {
+  const history = historyOf(bounties, now - policy.windowDays * DAY);
+  const signals = new Map([...history.keys()].map(w => [w, []]));
+  const fire = (wallet, signal, summary, evidence) => signals.get(wallet).push({ signal, points: policy[signal].weight, summary, evidence });
+  const walletList = [...history.keys()];
+  const ref = s => ({ bountyId: s.bountyId, submissionId: s.submissionId });
+  const round = n => Math.round(n * 100) / 100;
+
+  // Similar submissions, compared once for both the duplicates and cluster signals
+  const submissions = walletList.flatMap((wallet, w) => history.get(wallet).submissions.map(s => ({ ...s, w })));
+  const duplicates = new Map(walletList.map(w => [w, []]));
+  const copies = new Map();
+  for (const [i, j, score] of similarPairs(submissions, Math.min(policy.duplicates.minSimilarity, policy.cluster.minSimilarity))) {
+    const [a, b] = [submissions[i], submissions[j]];
+    if (a.w === b.w) {
+      if (a.bountyId !== b.bountyId && score >= policy.duplicates.minSimilarity) {
+        duplicates.get(walletList[a.w]).push({ a: ref(a), b: ref(b), similarity: round(score) });
+      }
+    } else if (score >= policy.cluster.minSimilarity) {
+      const key = `${a.w}:${b.w}`;
+      if (!copies.has(key)) copies.set(key, []);
+      copies.get(key).push({ [walletList[a.w]]: ref(a), [walletList[b.w]]: ref(b), similarity: round(score) });
+    }
+  }
+
+  for (const [wallet, h] of history) {
+    // Claim/release churn
+    const { minReleases, minRatio } = policy.churn;
+    const churn = h.claims.length ? h.releases.length / h.claims.length : 0;
+    if (h.releases.length >= minReleases && churn >= minRatio) {
+      fire(wallet, 'churn', `Released ${h.releases.length} of ${h.claims.length} claims`, {
+        releases: h.releases.map(r => ({ ...r, heldMinutes: r.claimedAt ? Math.round((r.releasedAt - r.claimedAt) / 60000) : null }))
+      });
+    }
+
+    // Rejection ratio
+    const reviewed = h.rejections.length + h.approvals.length;
+    if (h.rejections.length >= policy.rejections.minRejections && h.rejections.length / reviewed >= policy.rejections.minRatio) {
+      fire(wallet, 'rejections', `${h.rejections.length} of ${reviewed} reviewed submissions rejected`, {
+        rejections: h.rejections,
+        approvals: h.approvals.length
+      });
+    }
+
+    // Near-identical submissions on different bounties
+    const pairs = duplicates.get(wallet);
+    if (pairs.length >= policy.duplicates.minPairs) {
+      const bountyIds = new Set(pairs.flatMap(p => [p.a.bountyId, p.b.bountyId]));
+      fire(wallet, 'duplicates', `Near-identical submissions on ${bountyIds.size} bounties`, { pairs });
+    }
+  }
+
+  // Clusters: wallets that share most of their bounties, or submit each other's work.
+  // Only wallets meeting on a bounty or linked by a copied submission are compared
+  const { minShared, minOverlap } = policy.cluster;
+  const candidates = new Set(copies.keys());
+  const onBounty = new Map();
+  walletList.forEach((wallet, w) => {
+    for (const id of history.get(wallet).bounties) {
+      if (!onBounty.has(id)) onBounty.set(id, []);
+      for (const other of onBounty.get(id)) candidates.add(`${other}:${w}`);
+      onBounty.get(id).push(w);
+    }
+  });
+
+  const links = new Map(walletList.map(w => [w, []]));
+  const byWallets = (x, y) => x[0] - y[0] || x[1] - y[1];
+  for (const [i, j] of [...candidates].map(key => key.split(':').map(Number)).sort(byWallets)) {
+    const [a, b] = [walletList[i], walletList[j]];
+    const [ha, hb] = [history.get(a), history.get(b)];
+    const shared = [...ha.bounties].filter(id => hb.bounties.has(id));
+    const overlap = shared.length / Math.max(Math.min(ha.bounties.size, hb.bounties.size), 1);
+    const copied = copies.get(`${i}:${j}`) || [];
+    if ((shared.length >= minShared && overlap >= minOverlap) || copied.length) {
+      const link = { sharedBounties: shared, overlap: round(overlap), copiedSubmissions: copied };
+      links.get(a).push({ wallet: b, ...link });
+      links.get(b).push({ wallet: a, ...link });
+    }
+  }
+  for (const [wallet, peers] of links) {
+    if (peers.length) {
+      fire(wallet, 'cluster', `Linked to ${peers.length} wallet${peers.length === 1 ? '' : 's'} by shared bounties or copied work`, { peers });
+    }
+  }
+
+  const results = new Map();
+  for (const [wallet, fired] of signals) {
+    if (!fired.length) continue;
+    results.set(wallet, { score: Math.min(100, fired.reduce((total, s) => total + s.points, 0)), signals: fired });
+  }
+  return results;
+}
+
+// ============ FLAGS ============
+
+/**
+ * Create a detector that keeps flags in a Map-like store
+ * @param {object} opts
+ * @param {Map} opts.flags - Flags keyed by lowercase wallet (Map or PersistentMap)
+ * @param {Function} opts.getAllBounties - async () => bounties
+ * @param {Function} opts.escalate - async (flag, { by, reason }) => void, adds the wallet to the blocklist
+ * @param {Function} opts.isProtected - (wallet) => boolean, never auto-blocked (e.g. role holders)
+ * @param {object} opts.policy - Parsed policy (defaults to GAMING_POLICY env)
+ */
+function createGamingDetector({ flags = new Map(), getAllBounties, escalate = async () => {}, isProtected = () => false, policy = policyFromEnv() }) {
+  let lastScan = null;
+  let running = null;
+
+  /**
+   * Rescan every wallet, update flags and escalate when autoBlock is on
+   * A scan requested while one is running shares its result
+   */
+  function scan() {
+    if (!running) running = runScan().finally(() => { running = null; });
+    return running;
+  }
+
+  async function runScan() {
+    const now = Date.now();
+    const results = analyze(await getAllBounties(), { policy, now });
+    const flagged = new Set();
+    const escalated = [];
+
+    for (const [wallet, { score, signals }] of results) {
+      if (score < policy.flagScore) continue;
+      const existing = flags.get(wallet);
+      const flag = existing
+        ? { ...existing, score, signals, lastDetectedAt: now, updatedAt: now }
+        : { wallet, score, signals, status: 'open', firstFlaggedAt: now, lastDetectedAt: now, updatedAt: now, reviews: [] };
+      if (existing?.status === 'dismissed' && score > (existing.dismissedScore ?? 0)) {
+        flag.status = 'open';
+        console.log(`[GAMING] Reopened dismissed flag on ${wallet} (score ${existing.dismissedScore} -> ${score})`);
+      }
+      if (existing?.status === 'cleared') flag.status = 'open';
+      if (!existing) console.log(`[GAMING] Flagged ${wallet} (score ${score}: ${signals.map(s => s.signal).join(', ')})`);
+
+      if (policy.autoBlock && score >= policy.blockScore && ['open', 'confirmed'].includes(flag.status) && !isProtected(wallet)) {
+        try {
+          await escalate(flag, { by: 'gaming-detector', reason: `Gaming score ${score}: ${signals.map(s => s.summary).join('; ')}` });
+          flag.status = 'blocked';
+          flag.escalatedAt = now;
+          flag.reviews = [...(flag.reviews || []), { decision: 'block', by: 'gaming-detector', note: `Auto-blocked at score ${score}`, at: now }];
+          escalated.push(wallet);
+          console.log(`[GAMING] Auto-blocked ${wallet} (score ${score})`);
+        } catch (err) {
+          console.error(`[GAMING] Escalating ${wallet} failed: ${err.message}`);
+        }
+      }
+
+      flags.set(wallet, flag);
+      flagged.add(wallet);
+    }
+
+    // Open flags whose signals went away are cleared (kept for the record)
+    for (const flag of flags.values()) {
+      if (flag.status === 'open' && !flagged.has(flag.wallet)) {
+        flags.set(flag.wallet, { ...flag, status: 'cleared', score: results.get(flag.wallet)?.score || 0, updatedAt: now });
+      }
+    }
+
+    lastScan = { scannedAt: now, wallets: results.size, flagged: flagged.size, escalated };
+    return lastScan;
+  }
+
+  /**
+   * Scan when the last scan is older than policy.scanIntervalMs
+   */
+  async function scanIfStale() {
+    if (lastScan && Date.now() - lastScan.scannedAt < policy.scanIntervalMs) return lastScan;
+    return scan();
+  }
+
+  /**
+   * Flags, highest score first
+   * @param {object} filter - { status } ('all' for every status, default open)
+   */
+  function list({ status = 'open', limit = 100 } = {}) {
+    return [...flags.values()]
+      .filter(f => status === 'all' || f.status === status)
+      .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt)
+      .slice(0, limit);
+  }
+
+  function get(wallet) {
+    return flags.get(String(wallet).toLowerCase()) || null;
+  }
+
+  /**
+   * Record a mod decision on a flag
+   * 'dismiss' closes it until the score rises, 'confirm' keeps it on record,
+   * 'block' also sends the wallet to the blocklist
+   * Returns { flag } or { error, status }
+   */
+  async function review(wallet, { decision, by, note = null }) {
+    if (!DECISIONS.includes(decision)) {
+      return { error: `decision must be one of: ${DECISIONS.join(', ')}`, status: 400 };
+    }
+    const existing = get(wallet);
+    if (!existing) return { error: 'No flag for this wallet', status: 404 };
+
+    const now = Date.now();
+    const flag = { ...existing, updatedAt: now, reviews: [...(existing.reviews || []), { decision, by, note, at: now }] };
+    if (decision === 'dismiss') {
+      flag.status = 'dismissed';
+      flag.dismissedScore = existing.score;
+    } else if (decision === 'confirm') {
+      flag.status = 'confirmed';
+    } else {
+      await escalate(flag, { by, reason: note || `Gaming flag confirmed (score ${existing.score})` });
+      flag.status = 'blocked';
+      flag.escalatedAt = now;
+    }
+    flags.set(flag.wallet, flag);
+    console.log(`[GAMING] ${by} ${decision === 'dismiss' ? 'dismissed' : decision === 'confirm' ? 'confirmed' : 'blocked'} flag on ${flag.wallet}`);
+    return { flag };
+  }
+
+  return { scan, scanIfStale, list, get, review, policy, lastScan: () => lastScan };
+}
+
+module.exports = { createGamingDetector, analyze, similarity, parsePolicy, policyFromEnv, DEFAULT_POLICY };
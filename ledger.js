@@ -0,0 +1,343 @@
+/**
+ * Treasury Ledger - double-entry journal of every treasury money movement
+ *
+ * Every entry has balanced debit/credit lines per asset, so the books always
+ * sum to zero. Amounts are integer strings in the asset's smallest unit
+ * (USDC: 6 decimals, ETH: wei).
+ *
+ * Accounts:
+ *   assets:treasury                  USDC held by the treasury wallet
+ *   assets:gas-wallet                ETH held by wallets that pay gas
+ *   liabilities:escrow               Rewards and tips owed to hunters or creators
+ *   revenue:posting-fees             x402 posting fee on bounty creation
+ *   revenue:payout-fees              Fee kept from each payout
+ *   revenue:refund-fees              Fee kept from escrow refunds
+ *   expenses:grandfathered-payouts   Payouts for pre-escrow bounties (paid from treasury)
+ *   expenses:reputation-gas          Gas spent posting ERC-8004 reputation
+ *
+ * Entries are keyed by a deterministic id (e.g. "payout:<txHash>"), so posting
+ * the same movement twice is a no-op.
+ *
+ * Assets: USDC on Base is "USDC"; other reward tokens are booked separately
+ * as SYMBOL@network (e.g. "USDC@base-sepolia"), so chains never share a book.
+ *
+ * Usage:
+ *   const { createLedger } = require('./ledger');
+ *   const ledger = createLedger(store.map('ledger'));
+ *   ledger.recordDeposit({ bountyId, payer, reward, postingFee, txHash });
+ *   ledger.summary();   // escrow liabilities vs fees earned
+ *   ledger.toCSV(ledger.entries({ since }));
+ */
+
+const ACCOUNTS = {
+  TREASURY: 'assets:treasury',
+  GAS_WALLET: 'assets:gas-wallet',
+  ESCROW: 'liabilities:escrow',
+  POSTING_FEES: 'revenue:posting-fees',
+  PAYOUT_FEES: 'revenue:payout-fees',
+  REFUND_FEES: 'revenue:refund-fees',
+  GRANDFATHERED_PAYOUTS: 'expenses:grandfathered-payouts',
+  REPUTATION_GAS: 'expenses:reputation-gas'
+};
+
+const { decimalsOf } = require('./networks');
+
+const DISPLAY_DECIMALS = { ETH: 6 };
+
+// Accounts whose balance grows with debits (assets, expenses); the rest grow with credits
+function isDebitNormal(account) {
+  return account.startsWith('assets:') || account.startsWith('expenses:');
+}
+
+function formatAmount(amount, asset) {
+  const decimals = decimalsOf(asset);
+  const value = BigInt(amount);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const base = 10n ** BigInt(decimals);
+  const whole = abs / base;
+  const shown = Math.min(decimals, DISPLAY_DECIMALS[asset] ?? 2);
+  const frac = (abs % base).toString().padStart(decimals, '0').slice(0, shown);
+  return `${negative ? '-' : ''}${whole}${shown ? '.' + frac : ''} ${asset}`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create a ledger backed by a Map-like store (Map or PersistentMap)
+ * @param {Map} map - Storage for journal entries, keyed by entry id
+ */
+function createLedger(map) {
+  /**
+   * Post a journal entry
+   * Each line is { account, debit } or { account, credit }, amounts in smallest units
+   * Throws if the lines don't balance. Returns the existing entry if the id was already posted
+   */
+  function post({ id, type, asset = 'USDC', lines, bountyId = null, txHash = null, memo = '', at = Date.now() }) {
+    if (!id) throw new Error('Ledger entry id required');
+    const existing = map.get(id);
+    if (existing) return existing;
+
+    const normalized = lines
+      .map(line => ({
+        account: line.account,
+        debit: BigInt(line.debit || 0).toString(),
+        credit: BigInt(line.credit || 0).toString()
+      }))
+      .filter(line => line.debit !== '0' || line.credit !== '0');
+
+    const debits = normalized.reduce((sum, l) => sum + BigInt(l.debit), 0n);
+    const credits = normalized.reduce((sum, l) => sum + BigInt(l.credit), 0n);
+    if (debits !== credits) {
+      throw new Error(`Unbalanced ledger entry ${id}: debits ${debits} != credits ${credits}`);
+    }
+    if (debits === 0n) return null; // Nothing moved
+
+    const entry = { id, type, asset, bountyId, txHash, memo, at, lines: normalized };
+    map.set(id, entry);
+    return entry;
+  }
+
+  /**
+   * Creator or funder pays into a bounty: reward goes into escrow, posting fee is revenue
+   * Deposits without a txHash are keyed by their index in escrow.contributions
+   */
+  function recordDeposit({ bountyId, payer, reward, postingFee = 0, txHash, contributionIndex = 0, asset, at }) {
+    const total = BigInt(reward) + BigInt(postingFee);
+    return post({
+      id: `deposit:${txHash || `${bountyId}:${contributionIndex}`}`,
+      type: 'deposit',
+      asset,
+      bountyId,
+      txHash,
+      at,
+      memo: `Escrow deposit from ${payer}`,
+      lines: [
+        { account: ACCOUNTS.TREASURY, debit: total },
+        { account: ACCOUNTS.ESCROW, credit: reward },
+        { account: ACCOUNTS.POSTING_FEES, credit: postingFee }
+      ]
+    });
+  }
+
+  /**
+   * Hunter is paid. Escrowed bounties release the gross reward from escrow and
+   * keep the fee; grandfathered bounties are an expense paid from the treasury
+   */
+  function recordPayout({ bountyId, recipient, grossReward, fee, netReward, txHash, grandfathered = false, asset, at }) {
+    const lines = grandfathered
+      ? [
+          { account: ACCOUNTS.GRANDFATHERED_PAYOUTS, debit: netReward },
+          { account: ACCOUNTS.TREASURY, credit: netReward }
+        ]
+      : [
+          { account: ACCOUNTS.ESCROW, debit: grossReward },
+          { account: ACCOUNTS.TREASURY, credit: netReward },
+          { account: ACCOUNTS.PAYOUT_FEES, credit: fee }
+        ];
+    return post({
+      id: `payout:${txHash || bountyId}`,
+      type: grandfathered ? 'grandfathered-payout' : 'payout',
+      asset,
+      bountyId,
+      txHash,
+      at,
+      memo: `Payout to ${recipient}`,
+      lines
+    });
+  }
+
+  /** Escrow goes back to the creator, minus any refund fee */
+  function recordRefund({ bountyId, recipient, grossReward, fee, netReward, txHash, asset, at }) {
+    return post({
+      id: `refund:${txHash || bountyId}`,
+      type: 'refund',
+      asset,
+      bountyId,
+      txHash,
+      at,
+      memo: `Escrow refund to ${recipient}`,
+      lines: [
+        { account: ACCOUNTS.ESCROW, debit: grossReward },
+        { account: ACCOUNTS.TREASURY, credit: netReward },
+        { account: ACCOUNTS.REFUND_FEES, credit: fee }
+      ]
+    });
+  }
+
+  /** Tip paid in for a completed bounty: held for the worker until it's forwarded */
+  function recordTip({ bountyId, payer, amount, txHash, asset, at }) {
+    return post({
+      id: `tip:${txHash}`,
+      type: 'tip',
+      asset,
+      bountyId,
+      txHash,
+      at,
+      memo: `Tip from ${payer}`,
+      lines: [
+        { account: ACCOUNTS.TREASURY, debit: amount },
+        { account: ACCOUNTS.ESCROW, credit: amount }
+      ]
+    });
+  }
+
+  /** Tip forwarded to the worker in full (no fee) */
+  function recordTipPayout({ bountyId, recipient, amount, txHash, asset, at }) {
+    return post({
+      id: `tip-payout:${txHash}`,
+      type: 'tip-payout',
+      asset,
+      bountyId,
+      txHash,
+      at,
+      memo: `Tip forwarded to ${recipient}`,
+      lines: [
+        { account: ACCOUNTS.ESCROW, debit: amount },
+        { account: ACCOUNTS.TREASURY, credit: amount }
+      ]
+    });
+  }
+
+  /** Gas paid in ETH for a reputation post */
+  function recordReputationGas({ bountyId = null, txHash, gasCost, at }) {
+    return post({
+      id: `gas:${txHash}`,
+      type: 'reputation-gas',
+      asset: 'ETH',
+      bountyId,
+      txHash,
+      at,
+      memo: 'ERC-8004 reputation post',
+      lines: [
+        { account: ACCOUNTS.REPUTATION_GAS, debit: gasCost },
+        { account: ACCOUNTS.GAS_WALLET, credit: gasCost }
+      ]
+    });
+  }
+
+  /**
+   * Query entries (oldest first)
+   * @param {object} filter - { account, type, bountyId, asset, since, until }
+   */
+  function entries({ account, type, bountyId, asset, since, until } = {}) {
+    return Array.from(map.values())
+      .filter(e => !type || e.type === type)
+      .filter(e => !asset || e.asset === asset)
+      .filter(e => !bountyId || String(e.bountyId) === String(bountyId))
+      .filter(e => !account || e.lines.some(l => l.account === account))
+      .filter(e => !since || e.at >= since)
+      .filter(e => !until || e.at < until)
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Account balances per asset, in each account's normal direction
+   * Returns { USDC: { 'assets:treasury': '123', ... }, ETH: { ... } }
+   */
+  function balances(filter = {}) {
+    const totals = {};
+    for (const entry of entries(filter)) {
+      const byAccount = totals[entry.asset] = totals[entry.asset] || {};
+      for (const line of entry.lines) {
+        const delta = BigInt(line.debit) - BigInt(line.credit);
+        byAccount[line.account] = (byAccount[line.account] || 0n) + (isDebitNormal(line.account) ? delta : -delta);
+      }
+    }
+    const result = {};
+    for (const [asset, byAccount] of Object.entries(totals)) {
+      result[asset] = Object.fromEntries(Object.entries(byAccount).map(([account, value]) => [account, value.toString()]));
+    }
+    return result;
+  }
+
+  /**
+   * Escrow liabilities vs fees earned (USDC), plus gas spent (ETH)
+   * Other reward assets get the same breakdown under otherAssets
+   */
+  function summary(filter = {}) {
+    const all = balances(filter);
+    const get = (book, account) => BigInt(book[account] || 0);
+    const amount = (value, asset) => ({ amount: value.toString(), formatted: formatAmount(value, asset) });
+
+    function bookSummary(asset) {
+      const book = all[asset] || {};
+      const treasury = get(book, ACCOUNTS.TREASURY);
+      const escrow = get(book, ACCOUNTS.ESCROW);
+      const fees = {
+        posting: get(book, ACCOUNTS.POSTING_FEES),
+        payout: get(book, ACCOUNTS.PAYOUT_FEES),
+        refund: get(book, ACCOUNTS.REFUND_FEES)
+      };
+      return {
+        treasuryBalance: amount(treasury, asset),
+        escrowLiabilities: amount(escrow, asset),
+        feesEarned: {
+          ...amount(fees.posting + fees.payout + fees.refund, asset),
+          postingFees: amount(fees.posting, asset),
+          payoutFees: amount(fees.payout, asset),
+          refundFees: amount(fees.refund, asset)
+        },
+        grandfatheredPayouts: amount(get(book, ACCOUNTS.GRANDFATHERED_PAYOUTS), asset),
+        // What the treasury holds beyond what it owes
+        netPosition: amount(treasury - escrow, asset)
+      };
+    }
+
+    const otherAssets = {};
+    for (const asset of Object.keys(all)) {
+      if (asset !== 'USDC' && asset !== 'ETH') otherAssets[asset] = bookSummary(asset);
+    }
+    return {
+      ...bookSummary('USDC'),
+      reputationGas: amount(get(all.ETH || {}, ACCOUNTS.REPUTATION_GAS), 'ETH'),
+      otherAssets,
+      entryCount: entries(filter).length,
+      balances: all
+    };
+  }
+
+  /**
+   * Journal as CSV, one row per line (debits and credits in smallest units)
+   */
+  function toCSV(list = entries()) {
+    const header = ['date', 'entry_id', 'type', 'bounty_id', 'account', 'asset', 'debit', 'credit', 'tx_hash', 'memo'];
+    const rows = [header.join(',')];
+    for (const entry of list) {
+      for (const line of entry.lines) {
+        rows.push([
+          new Date(entry.at).toISOString(),
+          entry.id,
+          entry.type,
+          entry.bountyId,
+          line.account,
+          entry.asset,
+          line.debit,
+          line.credit,
+          entry.txHash,
+          entry.memo
+        ].map(csvCell).join(','));
+      }
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  return {
+    post,
+    recordDeposit,
+    recordPayout,
+    recordRefund,
+    recordTip,
+    recordTipPayout,
+    recordReputationGas,
+    entries,
+    balances,
+    summary,
+    toCSV
+  };
+}
+
+module.exports = { createLedger, ACCOUNTS, formatAmount };
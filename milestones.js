@@ -0,0 +1,155 @@
+/**
+ * Milestones - bounties paid out in stages
+ *
+ * The creator splits a bounty into milestones at POST /bounties, each with a
+ * title, optional requirements and a share of the reward in basis points
+ * (shares add up to 10000). The worker submits per milestone and a mod
+ * approves milestones one at a time; each approval queues a payout for that
+ * milestone's share of the escrow.
+ *
+ * Milestone states:
+ *   pending     waiting for a submission (or rejected and waiting for another)
+ *   submitted   work submitted, waiting for a mod
+ *   approved    payout queued on milestone.payout
+ *   paid        payout confirmed on-chain
+ *
+ * Usage:
+ *   const { parseMilestones, bountyStatusFor, milestoneProgress } = require('./milestones');
+ *   const { milestones, error } = parseMilestones(req.body.milestones, reward);
+ *   bounty.status = bountyStatusFor(bounty.milestones);
+ *   milestoneProgress(bounty);   // { total, paid, approved, releasedAmount, ... }
+ */
+
+const { assetOf, formatAmount } = require('./networks');
+
+const TOTAL_BPS = 10000;
+const MIN_MILESTONES = 2;
+const MAX_MILESTONES = 10;
+const MAX_TITLE_LENGTH = 200;
+const MAX_REQUIREMENTS = 20;
+
+// Milestones whose share of the escrow is already spoken for
+const COMMITTED_STATES = ['approved', 'paid'];
+
+/**
+ * Validate milestones from a create request and work out each one's amount
+ * asset (from the networks registry) is used for amountFormatted
+ * Returns { milestones } or { error }
+ */
+function parseMilestones(input, reward, asset) {
+  if (!Array.isArray(input)) {
+    return { error: 'milestones must be an array of { title, requirements, bps }' };
+  }
+  if (input.length < MIN_MILESTONES || input.length > MAX_MILESTONES) {
+    return { error: `A milestone bounty needs between ${MIN_MILESTONES} and ${MAX_MILESTONES} milestones` };
+  }
+
+  for (const [i, m] of input.entries()) {
+    if (!m || typeof m.title !== 'string' || !m.title.trim()) {
+      return { error: `milestones[${i}].title required` };
+    }
+    if (m.title.length > MAX_TITLE_LENGTH) {
+      return { error: `milestones[${i}].title too long (max ${MAX_TITLE_LENGTH} chars)` };
+    }
+    if (m.requirements !== undefined && (!Array.isArray(m.requirements) || m.requirements.length > MAX_REQUIREMENTS)) {
+      return { error: `milestones[${i}].requirements must be an array of at most ${MAX_REQUIREMENTS} items` };
+    }
+    if (!Number.isInteger(Number(m.bps)) || Number(m.bps) <= 0) {
+      return { error: `milestones[${i}].bps must be a positive integer (got ${m.bps})` };
+    }
+  }
+  const total = input.reduce((sum, m) => sum + Number(m.bps), 0);
+  if (total !== TOTAL_BPS) {
+    return { error: `Milestone bps must add up to ${TOTAL_BPS} (got ${total})` };
+  }
+
+  const milestones = input.map((m, i) => ({
+    id: `m${i + 1}`,
+    title: m.title.trim(),
+    requirements: m.requirements || [],
+    bps: Number(m.bps),
+    status: 'pending'
+  }));
+  allocateMilestones(milestones, reward, asset);
+  return { milestones };
+}
+
+/**
+ * (Re)compute each milestone's amount from its bps share of the reward
+ * Rounding dust goes to the first milestone so the amounts add up to the reward
+ */
+function allocateMilestones(milestones, reward, asset) {
+  const gross = BigInt(reward);
+  for (const m of milestones) {
+    m.amount = (gross * BigInt(m.bps) / BigInt(TOTAL_BPS)).toString();
+  }
+  const dust = gross - milestones.reduce((sum, m) => sum + BigInt(m.amount), 0n);
+  milestones[0].amount = (BigInt(milestones[0].amount) + dust).toString();
+  milestones.forEach(m => { m.amountFormatted = formatAmount(m.amount, asset); });
+  return milestones;
+}
+
+/**
+ * Find a milestone by id ("m2") or 1-based number (2)
+ */
+function findMilestone(bounty, ref) {
+  if (!bounty.milestones || ref === undefined || ref === null) return null;
+  const id = /^\d+$/.test(String(ref)) ? `m${ref}` : String(ref);
+  return bounty.milestones.find(m => m.id === id) || null;
+}
+
+/**
+ * Bounty status implied by its milestones while it is claimed
+ * completed is set by the payout handler once the last payout confirms
+ */
+function bountyStatusFor(milestones) {
+  if (milestones.every(m => m.status === 'paid')) return 'completed';
+  if (milestones.every(m => COMMITTED_STATES.includes(m.status))) return 'payment_pending';
+  if (milestones.some(m => m.status === 'submitted')) return 'submitted';
+  return 'claimed';
+}
+
+/**
+ * Send submitted milestones back to pending when the claimer changes
+ * Approved and paid milestones keep their payouts
+ */
+function reopenMilestones(bounty) {
+  for (const m of bounty.milestones || []) {
+    if (m.status === 'submitted') m.status = 'pending';
+  }
+}
+
+/**
+ * Progress counts and escrow amounts for a milestone bounty (null otherwise)
+ * committedAmount covers approved milestones whose payout hasn't landed yet
+ */
+function milestoneProgress(bounty) {
+  const milestones = bounty.milestones;
+  if (!milestones) return null;
+  const count = status => milestones.filter(m => m.status === status).length;
+  const sum = list => list.reduce((total, m) => total + BigInt(m.amount), 0n);
+  const released = sum(milestones.filter(m => m.status === 'paid'));
+  const committed = sum(milestones.filter(m => COMMITTED_STATES.includes(m.status)));
+  const reward = sum(milestones);
+  return {
+    total: milestones.length,
+    pending: count('pending'),
+    submitted: count('submitted'),
+    approved: count('approved'),
+    paid: count('paid'),
+    releasedAmount: released.toString(),
+    releasedFormatted: formatAmount(released, assetOf(bounty)),
+    committedAmount: committed.toString(),
+    percentReleased: reward > 0n ? Number(released * 10000n / reward) / 100 : 0
+  };
+}
+
+module.exports = {
+  parseMilestones,
+  allocateMilestones,
+  findMilestone,
+  bountyStatusFor,
+  reopenMilestones,
+  milestoneProgress,
+  MAX_MILESTONES
+};
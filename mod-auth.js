@@ -0,0 +1,169 @@
+/**
+ * Mod Auth - signed mod approvals and rejections
+ *
+ * Approving a submission used to trust a `modWallet` in the request body, and
+ * rejecting one needed the shared INTERNAL_KEY. Mod actions are now EIP-712
+ * ModAction documents signed by the mod wallet:
+ *
+ *   ModAction { bountyId, action: 'approve'|'reject', submissionId, milestoneId, timestamp }
+ *
+ * The server recovers the signer, checks it may take the action on the bounty
+ * (roles.js: mods approve, mods and reviewers reject), that the timestamp is at
+ * most 10 minutes old, and spends the signed action in a nonce registry so it
+ * can't be replayed. The nonce is the EIP-712 digest, not the signature bytes:
+ * the compact (EIP-2098) and full encodings of one signature both verify. The
+ * signature names the submission the mod reviewed, so
+ * a submission that was replaced or edited since can't be approved with it.
+ * The signed action is stored on the bounty for audit.
+ *
+ * Usage:
+ *   const { createModVerifier, signModAction } = require('./mod-auth');
+ *   const modAuth = createModVerifier({ authorize: (address, action, bounty) => ..., nonces: createNonceRegistry(store.map('modActionNonces'), MOD_NONCE_OPTIONS) });
+ *   const auth = modAuth.verify(req, 'approve', bounty);   // { mod, record } or { status, error, hint }
+ *   const stale = staleReview(auth.record, submission);  // error string or null
+ *   const body = await signModAction(wallet, { bountyId, action: 'approve', submissionId });   // client side
+ */
+
+const { ethers } = require('ethers');
+
+const MOD_ACTION_DOMAIN = { name: 'AI Bounty Board', version: '1' };
+
+const MOD_ACTION_TYPES = {
+  ModAction: [
+    { name: 'bountyId', type: 'string' },
+    { name: 'action', type: 'string' },
+    { name: 'submissionId', type: 'string' },
+    { name: 'milestoneId', type: 'string' },
+    { name: 'timestamp', type: 'uint256' }
+  ]
+};
+
+const MOD_ACTIONS = ['approve', 'reject'];
+const MAX_AGE_SECONDS = 10 * 60;
+const CLOCK_SKEW_SECONDS = 60;
+
+// Nonce registry settings for mod signatures: spent until the timestamp is too old to use
+const MOD_NONCE_OPTIONS = {
+  maxWindowSeconds: MAX_AGE_SECONDS + CLOCK_SKEW_SECONDS,
+  labels: { subject: 'Mod signature', nonce: 'Mod signature', retry: 'Sign the action again.' }
+};
+
+/**
+ * The ModAction message for a set of fields (missing ids sign as '')
+ */
+function modActionMessage({ bountyId, action, submissionId, milestoneId, timestamp }) {
+  return {
+    bountyId: String(bountyId),
+    action,
+    submissionId: submissionId ? String(submissionId) : '',
+    milestoneId: milestoneId ? String(milestoneId) : '',
+    timestamp: Number(timestamp)
+  };
+}
+
+/**
+ * Sign a mod action with an ethers wallet
+ * Returns the fields to merge into the approve/reject request body
+ */
+async function signModAction(wallet, { bountyId, action, submissionId, milestoneId, timestamp = Math.floor(Date.now() / 1000) }) {
+  const message = modActionMessage({ bountyId, action, submissionId, milestoneId, timestamp });
+  const signature = await wallet.signTypedData(MOD_ACTION_DOMAIN, MOD_ACTION_TYPES, message);
+  return {
+    modWallet: wallet.address.toLowerCase(),
+    signature,
+    timestamp: message.timestamp,
+    submissionId: message.submissionId || undefined,
+    milestoneId: message.milestoneId || undefined
+  };
+}
+
+/**
+ * Why a signed review no longer matches the submission on the bounty, or null
+ * @param {object} record - The verified action (verify().record)
+ * @param {object} submission - The submission being approved/rejected (undefined if none)
+ */
+function staleReview(record, submission) {
+  if (record.message.submissionId !== (submission?.id || '')) {
+    return submission
+      ? `Signed for submission ${record.message.submissionId || '(none)'}, but the submission under review is ${submission.id}`
+      : `Signed for submission ${record.message.submissionId}, which is no longer on the bounty`;
+  }
+  if (submission?.editedAt && Math.floor(submission.editedAt / 1000) > record.message.timestamp) {
+    return `Submission ${submission.id} was edited after you signed. Review it again.`;
+  }
+  return null;
+}
+
+/**
+ * Create a mod action verifier
+ * @param {object} opts
+ * @param {Function} opts.authorize - (address, action, bounty) => boolean
+ * @param {object} opts.nonces - Nonce registry (nonce-registry.js) for spent mod signatures
+ */
+function createModVerifier({ authorize, nonces }) {
+  const hint = 'Sign an EIP-712 ModAction { bountyId, action, submissionId, milestoneId, timestamp } with your mod wallet and send { modWallet, signature, timestamp, submissionId, milestoneId }';
+
+  /**
+   * Check the mod signature on an approve/reject request and spend it
+   * Returns { mod, record } or { status, error, hint }
+   */
+  function verify(req, action, bounty) {
+    const { modWallet, signature, timestamp, submissionId, milestoneId } = req.body || {};
+    if (!MOD_ACTIONS.includes(action)) {
+      throw new Error(`Unknown mod action: ${action}`);
+    }
+    if (!signature || timestamp === undefined) {
+      return { status: 401, error: 'Mod signature required', hint };
+    }
+    if (!/^\d+$/.test(String(timestamp))) {
+      return { status: 400, error: 'timestamp must be unix seconds', hint };
+    }
+    if (Number(timestamp) > Math.floor(Date.now() / 1000) + CLOCK_SKEW_SECONDS) {
+      return { status: 401, error: 'Mod signature timestamp is in the future', hint };
+    }
+
+    const message = modActionMessage({ bountyId: req.params.id, action, submissionId, milestoneId, timestamp });
+    let mod;
+    try {
+      mod = ethers.verifyTypedData(MOD_ACTION_DOMAIN, MOD_ACTION_TYPES, message, signature).toLowerCase();
+    } catch (e) {
+      return { status: 401, error: 'Invalid mod signature', hint };
+    }
+    if (modWallet && String(modWallet).toLowerCase() !== mod) {
+      return { status: 401, error: 'Mod action was not signed by modWallet', hint, signer: mod };
+    }
+    if (!authorize(mod, action, bounty)) {
+      return {
+        status: 403,
+        error: action === 'approve' ? 'Only moderators can approve submissions' : 'Only moderators and reviewers can reject submissions',
+        hint: 'Tag-scoped roles only cover bounties with one of their tags',
+        signer: mod
+      };
+    }
+
+    try {
+      const digest = ethers.TypedDataEncoder.hash(MOD_ACTION_DOMAIN, MOD_ACTION_TYPES, message);
+      nonces.consume({ from: mod, nonce: digest, validBefore: message.timestamp + MAX_AGE_SECONDS }, `${action} #${message.bountyId}`);
+    } catch (err) {
+      return { status: 401, error: err.message, code: err.code };
+    }
+
+    return {
+      mod,
+      record: { signer: mod, signature, domain: MOD_ACTION_DOMAIN, primaryType: 'ModAction', message }
+    };
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  MOD_ACTION_DOMAIN,
+  MOD_ACTION_TYPES,
+  MOD_ACTIONS,
+  MOD_NONCE_OPTIONS,
+  modActionMessage,
+  signModAction,
+  staleReview,
+  createModVerifier
+};
@@ -0,0 +1,237 @@
+/**
+ * Networks - chains and reward tokens bounties can be paid in
+ *
+ * Every bounty records the network and token its escrow was paid in
+ * (bounty.network, bounty.asset). Payment verification, payouts, refunds and
+ * formatting all follow that asset. Bounties created before networks existed
+ * are USDC on Base.
+ *
+ * Reward tokens must support EIP-3009 transferWithAuthorization, which the
+ * x402 "exact" scheme uses. domain is the token's EIP-712 domain name/version.
+ *
+ * Enabled networks come from X402_NETWORKS (comma-separated, default: every
+ * mainnet). RPC URLs can be overridden per network with <NETWORK>_RPC_URL,
+ * e.g. BASE_SEPOLIA_RPC_URL.
+ *
+ * Usage:
+ *   const { resolveAsset, assetOf, formatAmount } = require('./networks');
+ *   const { asset, error } = resolveAsset({ network: 'base-sepolia', token: 'USDC' });
+ *   formatAmount(bounty.reward, assetOf(bounty));   // '5.00 USDC'
+ *   explorerTx(bounty.network, txHash);             // https://sepolia.basescan.org/tx/...
+ */
+
+const DEFAULT_NETWORK = 'base';
+const DEFAULT_TOKEN = 'USDC';
+
+const NETWORKS = {
+  'base': {
+    name: 'Base',
+    chainId: 8453,
+    rpcUrl: 'https://base.drpc.org',
+    explorer: 'https://basescan.org',
+    testnet: false,
+    tokens: {
+      USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, domain: { name: 'USD Coin', version: '2' }, usd: true },
+      EURC: { address: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42', decimals: 6, domain: { name: 'EURC', version: '2' }, usd: false }
+    }
+  },
+  'base-sepolia': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    rpcUrl: 'https://sepolia.base.org',
+    explorer: 'https://sepolia.basescan.org',
+    testnet: true,
+    tokens: {
+      USDC: { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6, domain: { name: 'USDC', version: '2' }, usd: true }
+    }
+  },
+  'optimism': {
+    name: 'Optimism',
+    chainId: 10,
+    rpcUrl: 'https://mainnet.optimism.io',
+    explorer: 'https://optimistic.etherscan.io',
+    testnet: false,
+    tokens: {
+      USDC: { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6, domain: { name: 'USD Coin', version: '2' }, usd: true }
+    }
+  },
+  'arbitrum': {
+    name: 'Arbitrum One',
+    chainId: 42161,
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    explorer: 'https://arbiscan.io',
+    testnet: false,
+    tokens: {
+      USDC: { address: '0xaf88d065e77c8cC2239327C5EDB3A432268e5831', decimals: 6, domain: { name: 'USD Coin', version: '2' }, usd: true }
+    }
+  }
+};
+
+// Decimals for assets that aren't reward tokens (ledger gas entries)
+const NATIVE_DECIMALS = { ETH: 18 };
+
+function enabledNetworks() {
+  const configured = (process.env.X402_NETWORKS || '').split(',').map(n => n.trim()).filter(Boolean);
+  if (configured.length) return configured.filter(n => NETWORKS[n]);
+  return Object.keys(NETWORKS).filter(n => !NETWORKS[n].testnet);
+}
+
+/**
+ * A network by name, with its RPC URL resolved (null if unknown)
+ */
+function getNetwork(network) {
+  const config = NETWORKS[network];
+  if (!config) return null;
+  const envKey = `${network.toUpperCase().replace(/-/g, '_')}_RPC_URL`;
+  return { ...config, network, rpcUrl: process.env[envKey] || config.rpcUrl };
+}
+
+/**
+ * A token on a network as an asset record (null if unknown)
+ * Returns { network, chainId, symbol, address, decimals, domain, usd, testnet }
+ */
+function getAsset(network, symbol) {
+  const config = NETWORKS[network];
+  const token = config?.tokens[String(symbol).toUpperCase()];
+  if (!token) return null;
+  return {
+    network,
+    chainId: config.chainId,
+    symbol: String(symbol).toUpperCase(),
+    address: token.address,
+    decimals: token.decimals,
+    domain: token.domain,
+    usd: token.usd,
+    testnet: config.testnet
+  };
+}
+
+/**
+ * Pick the asset for a new bounty from request fields (defaults to USDC on Base)
+ * Returns { asset } or { error }
+ */
+function resolveAsset({ network = DEFAULT_NETWORK, token = DEFAULT_TOKEN } = {}) {
+  if (!NETWORKS[network]) {
+    return { error: `Unknown network: ${network}`, supported: enabledNetworks() };
+  }
+  if (!enabledNetworks().includes(network)) {
+    return { error: `Network ${network} is not enabled on this server`, supported: enabledNetworks() };
+  }
+  const asset = getAsset(network, token);
+  if (!asset) {
+    return { error: `${token} is not supported on ${network}`, supported: Object.keys(NETWORKS[network].tokens) };
+  }
+  return { asset };
+}
+
+/**
+ * The asset a bounty is paid in (USDC on Base for bounties that predate networks)
+ */
+function assetOf(bounty) {
+  return getAsset(bounty?.network || DEFAULT_NETWORK, bounty?.asset?.symbol || DEFAULT_TOKEN)
+    || getAsset(DEFAULT_NETWORK, DEFAULT_TOKEN);
+}
+
+/**
+ * Find an asset by its token contract address
+ */
+function assetByAddress(network, address) {
+  const config = NETWORKS[network];
+  if (!config || !address) return null;
+  const symbol = Object.keys(config.tokens).find(s => config.tokens[s].address.toLowerCase() === address.toLowerCase());
+  return symbol ? getAsset(network, symbol) : null;
+}
+
+/**
+ * What a bounty stores about its asset
+ */
+function assetRecord(asset) {
+  return { symbol: asset.symbol, address: asset.address, decimals: asset.decimals, chainId: asset.chainId };
+}
+
+/**
+ * Ledger asset code: plain symbol for USDC on Base (the original book),
+ * SYMBOL@network for everything else so chains and testnets never mix
+ */
+function assetCode(asset) {
+  if (asset.network === DEFAULT_NETWORK && asset.symbol === DEFAULT_TOKEN) return DEFAULT_TOKEN;
+  return `${asset.symbol}@${asset.network}`;
+}
+
+/**
+ * Decimals for a ledger asset code ('USDC', 'EURC@base', 'ETH')
+ */
+function decimalsOf(code) {
+  const [symbol, network = DEFAULT_NETWORK] = String(code).split('@');
+  if (NATIVE_DECIMALS[symbol] !== undefined) return NATIVE_DECIMALS[symbol];
+  return getAsset(network, symbol)?.decimals ?? 0;
+}
+
+/**
+ * Format smallest units of an asset, e.g. '5.00 USDC'
+ */
+function formatAmount(amount, asset = getAsset(DEFAULT_NETWORK, DEFAULT_TOKEN)) {
+  return (Number(amount) / 10 ** asset.decimals).toFixed(2) + ' ' + asset.symbol;
+}
+
+/**
+ * Convert an amount between decimal precisions (e.g. a 6-decimal fee into an 18-decimal token)
+ */
+function scaleAmount(amount, fromDecimals, toDecimals) {
+  const value = BigInt(amount);
+  if (toDecimals >= fromDecimals) return (value * 10n ** BigInt(toDecimals - fromDecimals)).toString();
+  return (value / 10n ** BigInt(fromDecimals - toDecimals)).toString();
+}
+
+/**
+ * Whole US dollars for platform totals: 0 for testnets and non-USD tokens
+ */
+function usdValue(amount, asset) {
+  if (!asset.usd || asset.testnet) return 0;
+  return Number(amount) / 10 ** asset.decimals;
+}
+
+function explorerTx(network, txHash) {
+  const config = NETWORKS[network] || NETWORKS[DEFAULT_NETWORK];
+  return txHash ? `${config.explorer}/tx/${txHash}` : null;
+}
+
+/**
+ * Public description of the enabled networks and tokens
+ */
+function listNetworks() {
+  return enabledNetworks().map(network => {
+    const config = NETWORKS[network];
+    return {
+      network,
+      name: config.name,
+      chainId: config.chainId,
+      testnet: config.testnet,
+      explorer: config.explorer,
+      tokens: Object.keys(config.tokens).map(symbol => {
+        const { address, decimals } = config.tokens[symbol];
+        return { symbol, address, decimals };
+      })
+    };
+  });
+}
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  DEFAULT_TOKEN,
+  enabledNetworks,
+  getNetwork,
+  getAsset,
+  resolveAsset,
+  assetOf,
+  assetByAddress,
+  assetRecord,
+  assetCode,
+  decimalsOf,
+  formatAmount,
+  scaleAmount,
+  usdValue,
+  explorerTx,
+  listNetworks
+};
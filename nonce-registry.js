@@ -0,0 +1,119 @@
+/**
+ * Payment Nonce Registry
+ * Remembers which x402 authorization nonces each payer has spent so a captured
+ * X-Payment header cannot be replayed.
+ *
+ * Entries are keyed "payer:nonce" and kept until the authorization's validBefore
+ * has passed (plus a grace period). Authorizations with no expiry, or with an
+ * expiry further out than the allowed window, are rejected outright so every
+ * entry eventually ages out of the registry.
+ *
+ * The same registry guards signed requests (signed-request.js), with its own
+ * map and wording.
+ *
+ * Usage:
+ *   const { createNonceRegistry } = require('./nonce-registry');
+ *   const nonces = createNonceRegistry(store.map('paymentNonces'));
+ *   const check = nonces.check(authorization);   // { ok, code, reason }
+ *   nonces.consume(authorization, '/bounties');  // throws if already used
+ */
+
+const DEFAULT_MAX_WINDOW_SECONDS = 60 * 60; // Authorizations may be valid for at most 1 hour
+const PRUNE_GRACE_MS = 5 * 60 * 1000; // Keep spent nonces 5 min past expiry (clock skew)
+
+const PAYMENT_LABELS = { subject: 'Payment authorization', nonce: 'Payment nonce', retry: 'Sign a new payment.' };
+
+function keyFor(payer, nonce) {
+  return `${payer.toLowerCase()}:${String(nonce).toLowerCase()}`;
+}
+
+/**
+ * Create a nonce registry backed by a Map-like store (Map or PersistentMap)
+ * @param {Map} map - Storage for spent nonces
+ * @param {object} opts
+ * @param {number} opts.maxWindowSeconds - Longest allowed validBefore horizon
+ * @param {object} opts.labels - Wording for rejection reasons ({ subject, nonce, retry })
+ */
+function createNonceRegistry(map, { maxWindowSeconds = DEFAULT_MAX_WINDOW_SECONDS, labels = PAYMENT_LABELS } = {}) {
+  /**
+   * Check an EIP-3009 authorization without consuming it
+   * Returns { ok: true } or { ok: false, code: 'replay'|'expired'|'window', reason }
+   */
+  function check(authorization) {
+    const now = Math.floor(Date.now() / 1000);
+    const validAfter = Number(authorization.validAfter || 0);
+    const validBefore = Number(authorization.validBefore);
+
+    if (!Number.isFinite(validBefore) || validBefore <= now) {
+      return { ok: false, code: 'expired', reason: `${labels.subject} has expired. ${labels.retry}` };
+    }
+    if (validAfter > now) {
+      return { ok: false, code: 'expired', reason: `${labels.subject} is not valid yet.` };
+    }
+    if (validBefore - now > maxWindowSeconds) {
+      return { ok: false, code: 'window', reason: `${labels.subject} expiry is too far in the future (max ${maxWindowSeconds}s).` };
+    }
+
+    const existing = map.get(keyFor(authorization.from, authorization.nonce));
+    if (existing) {
+      return {
+        ok: false,
+        code: 'replay',
+        reason: `${labels.nonce} ${authorization.nonce} was already used by ${existing.payer} at ${new Date(existing.usedAt).toISOString()}. ${labels.retry}`
+      };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Mark an authorization's nonce as spent
+   * Check and set happen synchronously so concurrent requests cannot both pass
+   * Throws an Error with .code set when the authorization is not usable
+   */
+  function consume(authorization, resource = null) {
+    const result = check(authorization);
+    if (!result.ok) {
+      const err = new Error(result.reason);
+      err.code = result.code;
+      throw err;
+    }
+
+    const payer = authorization.from.toLowerCase();
+    map.set(keyFor(payer, authorization.nonce), {
+      payer,
+      nonce: authorization.nonce,
+      resource,
+      usedAt: Date.now(),
+      expiresAt: Number(authorization.validBefore) * 1000
+    });
+    prune();
+  }
+
+  /**
+   * Drop nonces whose authorizations can no longer be submitted anyway
+   * Runs lazily on consume (no timers - they don't survive serverless cold starts)
+   */
+  function prune() {
+    const cutoff = Date.now() - PRUNE_GRACE_MS;
+    for (const [key, entry] of map) {
+      if (entry.expiresAt && entry.expiresAt < cutoff) {
+        map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * List nonces spent by a payer (most recent first)
+   */
+  function forPayer(payer) {
+    const prefix = `${payer.toLowerCase()}:`;
+    return Array.from(map.entries())
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, entry]) => entry)
+      .sort((a, b) => b.usedAt - a.usedAt);
+  }
+
+  return { check, consume, prune, forPayer };
+}
+
+module.exports = { createNonceRegistry };
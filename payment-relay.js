@@ -0,0 +1,626 @@
+/**
+ * Payment Relay - asynchronous payout queue
+ * Approving a bounty never sends USDC inside the HTTP request. It enqueues a
+ * payout job on bounty.payout and this worker broadcasts, confirms and
+ * reconciles it. Split bounties get one payout job per recipient on
+ * bounty.payouts. Escrow refunds (cancelled or expired bounties) are jobs of
+ * kind 'refund' on bounty.refund. Tips on completed bounties are jobs of kind
+ * 'tip' on bounty.tips[].payout. Crowdfunding contributions that settled after
+ * the bounty closed go back as jobs of kind 'contribution_refund' on
+ * bounty.returnedContributions[].payout. All of them go through the same state machine.
+ *
+ * Job states:
+ *   queued     waiting to be sent (or re-sent after a retryable failure)
+ *   broadcast  tx sent, waiting for a receipt
+ *   confirmed  transfer mined successfully (bounty is completed)
+ *   failed     gave up after maxAttempts, or needs an admin to look at it
+ *   replaced   the job's nonce was mined by a tx that isn't ours
+ *
+ * Multi-chain: every job carries its chain and token. assetFor(job) resolves
+ * them to a token contract; nonces are per chain. All chain access goes
+ * through a chain wallet (chain.js), so the relay runs unchanged on the
+ * in-memory fake chain.
+ *
+ * Idempotency: every job reserves one wallet nonce before it is sent, and the
+ * nonce is saved on the bounty. Re-sends and speed-ups reuse that nonce, so at
+ * most one transfer per job can ever be mined. A send that fails before anything
+ * reaches the chain gives its nonce back for the next job. Every hash broadcast for the job
+ * is kept in txHashes, so whichever one lands is picked up. When a nonce's tx
+ * reverts, its hashes move to revertedTxHashes before the job is re-sent on a
+ * fresh nonce, so the old revert can't hide the new transfer.
+ *
+ * Concurrency: each job is worked on a freshly loaded copy of its bounty. A send
+ * first claims the job, and a confirmation is recorded, through claimJob: a
+ * conditional write that only lands if the stored job still has the state,
+ * lease and nonce that copy saw. Two passes or two instances can therefore
+ * never both send or both confirm a job. Within one process, runOnce and kick
+ * share a lock.
+ *
+ * Stuck payouts: a job sitting in 'broadcast' longer than stuckAfterMs is
+ * reconciled against the chain. It is confirmed if one of its txs was mined,
+ * re-broadcast on the same nonce if it was dropped or underpriced, or marked
+ * 'replaced' if a foreign tx took its nonce.
+ *
+ * Usage:
+ *   const { createPaymentRelay, createPayoutJob } = require('./payment-relay');
+ *   bounty.payout = createPayoutJob({ recipient, grossReward, fee, netReward, feePercent });
+ *   bounty.refund = createPayoutJob({ kind: 'refund', recipient: escrow.paidBy, grossReward, fee, netReward });
+ *   const relay = createPaymentRelay({ getAllBounties, getBounty, updateBounty, claimJob, onPaid, wallet: chain.wallet(key), assetFor });
+ *   await relay.runOnce();  // process the queue once
+ *   relay.start();          // or poll every intervalMs
+ */
+
+const { ethers } = require('ethers');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_STUCK_AFTER_MS = 10 * 60 * 1000; // Broadcast with no receipt after 10 min = stuck
+const BASE_BACKOFF_MS = 30 * 1000; // 30s, 60s, 120s, ...
+const SEND_LEASE_MS = 2 * 60 * 1000; // A send that started longer ago than this is considered abandoned
+const FEE_BUMP_PERCENT = 25n; // Speed-ups must outbid the stuck tx
+
+const ACTIVE_STATES = ['queued', 'broadcast'];
+
+// Bounty fields that can hold a single job, keyed by job kind
+const JOB_FIELDS = { payout: 'payout', refund: 'refund' };
+
+function kindOf(job) {
+  return job.kind || 'payout';
+}
+
+/**
+ * Jobs attached to a bounty (payout, split or milestone payouts first, then refunds, then tips,
+ * then returned contributions)
+ */
+function jobsOf(bounty) {
+  const milestonePayouts = (bounty.milestones || []).map(m => m.payout);
+  const tipPayouts = (bounty.tips || []).map(t => t.payout);
+  const returnedContributions = (bounty.returnedContributions || []).map(c => c.payout);
+  return [
+    bounty.payout,
+    ...(bounty.payouts || []),
+    ...milestonePayouts,
+    bounty.refund,
+    ...(bounty.refunds || []),
+    ...tipPayouts,
+    ...returnedContributions
+  ].filter(Boolean);
+}
+
+/**
+ * Where a job lives on its bounty, as a list of keys (e.g. ['payouts', 1] or
+ * ['milestones', 0, 'payout']), or null if it isn't on the bounty
+ */
+function jobPath(bounty, job) {
+  const id = typeof job === 'string' ? job : job.id;
+  for (const field of ['payout', 'refund']) {
+    if (bounty[field]?.id === id) return [field];
+  }
+  for (const field of ['payouts', 'refunds']) {
+    const index = (bounty[field] || []).findIndex(j => j.id === id);
+    if (index !== -1) return [field, index];
+  }
+  for (const [field, inner] of [['milestones', 'payout'], ['tips', 'payout'], ['returnedContributions', 'payout']]) {
+    const index = (bounty[field] || []).findIndex(item => item[inner]?.id === id);
+    if (index !== -1) return [field, index, inner];
+  }
+  return null;
+}
+
+/**
+ * Create a payout job to store on a bounty
+ * kind 'refund' sends escrow back to the creator instead of paying a worker
+ */
+function createPayoutJob({ kind = 'payout', recipient, grossReward, fee, netReward, feePercent, token = 'USDC', chain = 'base' }) {
+  const now = Date.now();
+  return {
+    id: uuidv4(),
+    kind,
+    state: 'queued',
+    recipient: recipient.toLowerCase(),
+    grossReward,
+    fee,
+    netReward,
+    feePercent,
+    token,
+    chain,
+    attempts: 0,
+    nonce: null,
+    txHash: null,
+    txHashes: [],
+    queuedAt: now,
+    broadcastAt: null,
+    confirmedAt: null,
+    nextAttemptAt: null,
+    lastError: null,
+    history: [{ state: 'queued', at: now }]
+  };
+}
+
+/**
+ * Move a job to a new state and record it in the job history
+ */
+function transition(job, state, details = {}) {
+  job.state = state;
+  job.history = job.history || [];
+  job.history.push({ state, at: Date.now(), ...details });
+}
+
+/**
+ * Convert a pre-queue bounty.pendingPayment into a payout job
+ */
+function fromPendingPayment(pending) {
+  const job = createPayoutJob(pending);
+  if (pending.idempotencyKey) job.id = pending.idempotencyKey;
+  job.attempts = pending.attempts || 0;
+  job.nonce = pending.nonce ?? null;
+  if (pending.txHash) {
+    job.txHash = pending.txHash;
+    job.txHashes = [pending.txHash];
+    job.broadcastAt = pending.broadcastAt || Date.now();
+    transition(job, 'broadcast', { txHash: pending.txHash, note: 'migrated from pendingPayment' });
+  }
+  if (pending.state === 'failed' || pending.state === 'needs_review') {
+    transition(job, 'failed', { note: pending.lastError || 'migrated from pendingPayment' });
+  }
+  return job;
+}
+
+/**
+ * Create a payment relay
+ * @param {object} opts
+ * @param {Function} opts.getAllBounties - Loads all bounties
+ * @param {Function} opts.getBounty - Loads one bounty fresh by id (defaults to reusing the queue's copy)
+ * @param {Function} opts.updateBounty - Persists a bounty (id, bounty)
+ * @param {Function} opts.claimJob - (bounty, { path, expected: { state, sendingAt, nonce } }) => truthy if the bounty
+ *   was written, which it must only be if the stored job at path still has those values (defaults to a plain save)
+ * @param {Function} opts.onPaid - Called with (bounty, { txHash, job }) once a transfer is confirmed
+ * @param {object} opts.wallet - Payout wallet from chain.wallet(key) (null disables the relay)
+ * @param {Function} opts.assetFor - Resolves a job's chain/token to { network, address, decimals, symbol }
+ * @param {Function} opts.beforeRun - Optional hook run at the start of every pass (e.g. to queue refunds for expired bounties)
+ */
+function createPaymentRelay({
+  getAllBounties,
+  getBounty = null,
+  updateBounty,
+  claimJob = null,
+  onPaid,
+  wallet,
+  assetFor,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  stuckAfterMs = DEFAULT_STUCK_AFTER_MS,
+  beforeRun = null
+}) {
+  let initialized = false;
+  let timer = null;
+  let running = false;
+  let lock = Promise.resolve();
+  // Per network: the nonce after the last one this relay broadcast on. The RPC's
+  // pending count can lag right after a send, so reservations never go below it
+  const nonceFloor = new Map();
+  const stats = { runs: 0, lastRunAt: null, lastError: null, confirmed: 0, failed: 0, reconciled: 0 };
+
+  function init() {
+    if (initialized) return true;
+    if (!wallet) return false;
+    initialized = true;
+    console.log(`[RELAY] Initialized with wallet ${wallet.address}`);
+    return true;
+  }
+
+  function formatUnits(amount, job) {
+    const { decimals, symbol } = assetFor(job);
+    return (Number(amount) / 10 ** decimals).toFixed(2) + ' ' + symbol;
+  }
+
+  /**
+   * Persist a bounty. With a job, only that job is written into the stored
+   * bounty, so jobs another worker moved meanwhile aren't rolled back; the
+   * caller's copy is refreshed to match. With `expected`, the write only lands
+   * if the stored job still has that state, lease and nonce (returns false if not)
+   */
+  async function save(bounty, job = null, expected = null) {
+    const fresh = job && getBounty ? await getBounty(bounty.id) : null;
+    const freshPath = fresh && fresh !== bounty && jobPath(fresh, job);
+    const target = freshPath ? fresh : bounty;
+    if (freshPath) {
+      const parent = freshPath.slice(0, -1).reduce((obj, key) => obj[key], fresh);
+      parent[freshPath[freshPath.length - 1]] = job;
+    }
+    target.updatedAt = Date.now();
+    if (expected && claimJob) {
+      if (!(await claimJob(target, { path: jobPath(target, job), expected }))) return false;
+    } else {
+      await updateBounty(bounty.id, target);
+    }
+    if (target !== bounty) Object.assign(bounty, target);
+    return true;
+  }
+
+  /** The job fields a conditional write checks */
+  function leaseOf(job) {
+    return { state: job.state, sendingAt: job.sendingAt ?? null, nonce: job.nonce ?? null };
+  }
+
+  /** Run fn once every pass or kick started before it has finished */
+  function exclusive(fn) {
+    const run = lock.then(fn);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  /** Take the send lease on a queued job, unless another worker changed it since it was loaded */
+  async function claim(bounty, job) {
+    const expected = leaseOf(job);
+    job.sendingAt = Date.now();
+    return save(bounty, job, expected);
+  }
+
+  /** Schedule a retry, or give up after maxAttempts */
+  async function retryLater(bounty, job, error) {
+    job.lastError = error;
+    job.sendingAt = null;
+    if (job.attempts >= maxAttempts) {
+      transition(job, 'failed', { note: error });
+      stats.failed++;
+      console.error(`[RELAY] ❌ Bounty #${bounty.id} ${kindOf(job)} failed after ${job.attempts} attempts: ${error}`);
+    } else {
+      transition(job, 'queued', { note: error });
+      job.nextAttemptAt = Date.now() + BASE_BACKOFF_MS * Math.pow(2, job.attempts - 1);
+      console.log(`[RELAY] Bounty #${bounty.id} attempt ${job.attempts} failed (${error}), retrying at ${new Date(job.nextAttemptAt).toISOString()}`);
+    }
+    await save(bounty, job);
+  }
+
+  async function confirm(bounty, job, receipt) {
+    const expected = leaseOf(job);
+    job.txHash = receipt.hash;
+    job.confirmedAt = Date.now();
+    job.blockNumber = receipt.blockNumber;
+    transition(job, 'confirmed', { txHash: receipt.hash });
+    // Only one worker may confirm a job: onPaid credits the recipient
+    if (!(await save(bounty, job, expected))) {
+      console.log(`[RELAY] Bounty #${bounty.id} ${kindOf(job)} ${job.id} was confirmed by another worker`);
+      return;
+    }
+    stats.confirmed++;
+    console.log(`[RELAY] ✅ Bounty #${bounty.id} ${kindOf(job)} confirmed: ${receipt.hash}`);
+    await onPaid(bounty, { txHash: receipt.hash, job });
+  }
+
+  /** Find a mined receipt for any tx broadcast for this job, a successful one first */
+  async function findReceipt(job) {
+    let reverted = null;
+    for (const hash of job.txHashes || []) {
+      const receipt = await wallet.getReceipt(assetFor(job).network, hash);
+      if (receipt?.status === 1) return receipt;
+      reverted = reverted || receipt;
+    }
+    return reverted;
+  }
+
+  /** Sign and send the job's transfer on its reserved nonce */
+  async function broadcast(bounty, job, overrides = {}, note = null) {
+    const { network, address } = assetFor(job);
+    const tx = await wallet.transfer(network, address, job.recipient, BigInt(job.netReward), { nonce: job.nonce, ...overrides });
+    nonceFloor.set(network, Math.max(nonceFloor.get(network) ?? 0, job.nonce + 1));
+    job.txHash = tx.hash;
+    job.txHashes = [...(job.txHashes || []), tx.hash];
+    job.broadcastAt = Date.now();
+    job.sendingAt = null;
+    job.maxFeePerGas = tx.maxFeePerGas?.toString() || null;
+    job.maxPriorityFeePerGas = tx.maxPriorityFeePerGas?.toString() || null;
+    transition(job, 'broadcast', { txHash: tx.hash, nonce: job.nonce, ...(note ? { note } : {}) });
+    await save(bounty, job);
+    return tx;
+  }
+
+  /** A broadcast job: confirm it, retry a revert, or reconcile if stuck */
+  async function checkBroadcast(bounty, job) {
+    const receipt = await findReceipt(job);
+
+    if (receipt) {
+      if (receipt.status === 1) return confirm(bounty, job, receipt);
+      // Reverted - the nonce is spent but no funds moved, so a fresh nonce is safe.
+      // Its hashes are set aside so the re-send's receipt is the one checked
+      job.revertedTxHashes = [...(job.revertedTxHashes || []), ...job.txHashes];
+      job.txHashes = [];
+      job.nonce = null;
+      job.txHash = null;
+      return retryLater(bounty, job, `Transfer reverted in block ${receipt.blockNumber}`);
+    }
+
+    if (Date.now() - job.broadcastAt < stuckAfterMs) return; // still pending, check again next run
+    await reconcileStuck(bounty, job);
+  }
+
+  /**
+   * Reconcile a job stuck in 'broadcast' with no receipt
+   */
+  async function reconcileStuck(bounty, job) {
+    stats.reconciled++;
+    const { network } = assetFor(job);
+    const minedNonce = await wallet.getNonce(network, 'latest');
+
+    if (minedNonce > job.nonce) {
+      // Nonce is spent. Re-check our hashes - the receipt may have landed since
+      const receipt = await findReceipt(job);
+      if (receipt && receipt.status === 1) return confirm(bounty, job, receipt);
+      job.lastError = `Nonce ${job.nonce} was mined by a transaction that is not one of ${job.txHashes.join(', ')}`;
+      transition(job, 'replaced', { note: job.lastError });
+      console.error(`[RELAY] ⚠️ Bounty #${bounty.id} ${kindOf(job)} replaced: ${job.lastError}`);
+      return save(bounty, job);
+    }
+
+    // Nonce still open: our tx was dropped or is underpriced. Re-broadcast on the same nonce
+    const pendingTx = await wallet.getTransaction(network, job.txHash);
+    const note = pendingTx ? 'speed-up (stuck in mempool)' : 'rebroadcast (dropped from mempool)';
+    const overrides = {};
+    if (pendingTx && pendingTx.maxFeePerGas) {
+      overrides.maxFeePerGas = pendingTx.maxFeePerGas * (100n + FEE_BUMP_PERCENT) / 100n;
+      overrides.maxPriorityFeePerGas = (pendingTx.maxPriorityFeePerGas || 0n) * (100n + FEE_BUMP_PERCENT) / 100n;
+    }
+    console.log(`[RELAY] Bounty #${bounty.id} ${kindOf(job)} stuck since ${new Date(job.broadcastAt).toISOString()} - ${note}`);
+    try {
+      await broadcast(bounty, job, overrides, note);
+    } catch (err) {
+      job.lastError = `Rebroadcast failed: ${err.message}`;
+      job.broadcastAt = Date.now(); // back off for another stuck window
+      await save(bounty, job);
+    }
+  }
+
+  /** Next free nonce for a network */
+  async function reserveNonce(network) {
+    const pending = await wallet.getNonce(network, 'pending');
+    return Math.max(pending, nonceFloor.get(network) ?? 0);
+  }
+
+  /**
+   * Whether a nonce never made it to the chain: nothing was broadcast for the job
+   * and the wallet's pending count hasn't passed it. Errors count as used
+   */
+  async function nonceUnused(network, job) {
+    if (job.txHashes?.length) return false;
+    try {
+      return (await wallet.getNonce(network, 'pending')) <= job.nonce;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /** Send a queued job (reusing its reserved nonce if it has one) */
+  async function send(bounty, job) {
+    const { network, address, symbol } = assetFor(job);
+
+    if (!(await claim(bounty, job))) {
+      console.log(`[RELAY] Bounty #${bounty.id} ${kindOf(job)} ${job.id} is being sent by another worker, skipping`);
+      return;
+    }
+
+    if (job.nonce !== null && job.nonce !== undefined) {
+      // A previous attempt reserved a nonce. If it has been mined, one of our txs may have landed
+      const minedNonce = await wallet.getNonce(network, 'latest');
+      if (minedNonce > job.nonce) {
+        const receipt = await findReceipt(job);
+        if (receipt && receipt.status === 1) return confirm(bounty, job, receipt);
+        job.lastError = `Nonce ${job.nonce} was consumed but no ${kindOf(job)} tx was found - verify on-chain before retrying`;
+        transition(job, 'failed', { note: job.lastError });
+        console.error(`[RELAY] ⚠️ Bounty #${bounty.id} needs manual review: ${job.lastError}`);
+        return save(bounty, job);
+      }
+    } else {
+      job.nonce = await reserveNonce(network);
+    }
+
+    job.attempts = (job.attempts || 0) + 1;
+    await save(bounty, job);
+
+    try {
+      const balance = await wallet.balanceOf(network, address, wallet.address);
+      if (balance < BigInt(job.netReward)) {
+        throw new Error(`Insufficient ${symbol} in relay wallet on ${network} (${formatUnits(balance, job)} available)`);
+      }
+
+      console.log(`[RELAY] Sending ${formatUnits(job.netReward, job)} to ${job.recipient} on ${network} for bounty #${bounty.id} (nonce ${job.nonce})`);
+      await broadcast(bounty, job);
+    } catch (err) {
+      // A nonce nothing was sent on goes back, or the next job would take it and this
+      // job's retry would find it spent. Otherwise it stays reserved for the re-send
+      if (await nonceUnused(network, job)) {
+        job.nonce = null;
+      }
+      return retryLater(bounty, job, err.message);
+    }
+
+    await checkBroadcast(bounty, job);
+  }
+
+  async function processBounty(loaded) {
+    let bounty = loaded;
+    if (!bounty.payout && bounty.pendingPayment) {
+      bounty.payout = fromPendingPayment(bounty.pendingPayment);
+      delete bounty.pendingPayment;
+      await save(bounty);
+    }
+    // Each job is worked on a fresh copy: the loaded one may predate another worker's send
+    for (const { id } of jobsOf(loaded)) {
+      if (getBounty) bounty = (await getBounty(loaded.id)) || bounty;
+      const job = jobsOf(bounty).find(j => j.id === id);
+      if (job) await processJob(bounty, job);
+    }
+  }
+
+  async function processJob(bounty, job) {
+    if (!ACTIVE_STATES.includes(job.state)) return;
+
+    if (!job.recipient || !ethers.isAddress(job.recipient)) {
+      job.lastError = 'Invalid recipient address';
+      transition(job, 'failed', { note: job.lastError });
+      return save(bounty, job);
+    }
+
+    if (job.state === 'queued' && job.nextAttemptAt && job.nextAttemptAt > Date.now()) return;
+    if (job.state === 'queued' && job.sendingAt && Date.now() - job.sendingAt < SEND_LEASE_MS) return;
+
+    if (job.state === 'broadcast') {
+      await checkBroadcast(bounty, job);
+    } else {
+      await send(bounty, job);
+    }
+  }
+
+  /**
+   * Bounties with an unfinished job (including failed/replaced ones awaiting an admin)
+   */
+  async function loadQueue() {
+    return (await getAllBounties()).filter(b =>
+      (b.status === 'payment_pending' && b.pendingPayment) ||
+      jobsOf(b).some(job => job.state !== 'confirmed')
+    );
+  }
+
+  /**
+   * Process every queued payout and refund once
+   */
+  async function runOnce() {
+    if (!init()) {
+      return { ok: false, reason: 'no-relay-key' };
+    }
+    if (running) {
+      return { ok: false, reason: 'already-running' };
+    }
+    running = true;
+    try {
+      return await exclusive(pass);
+    } finally {
+      running = false;
+    }
+  }
+
+  /** One pass over the queue (run under the lock) */
+  async function pass() {
+    stats.runs++;
+    stats.lastRunAt = Date.now();
+    if (beforeRun) {
+      try {
+        await beforeRun();
+      } catch (err) {
+        console.error(`[RELAY] beforeRun hook failed: ${err.message}`);
+      }
+    }
+    const queue = await loadQueue();
+    for (const bounty of queue) {
+      try {
+        await processBounty(bounty);
+      } catch (err) {
+        console.error(`[RELAY] Error processing bounty #${bounty.id}: ${err.message}`);
+        stats.lastError = err.message;
+      }
+    }
+    return { ok: true, processed: queue.length };
+  }
+
+  /**
+   * Process a single bounty's jobs now (used right after approval or cancel)
+   * Waits for a running pass to finish first
+   */
+  async function kick(bounty) {
+    if (!init()) return false;
+    await exclusive(async () => {
+      try {
+        await processBounty(bounty);
+      } catch (err) {
+        console.error(`[RELAY] Error processing bounty #${bounty.id}: ${err.message}`);
+        stats.lastError = err.message;
+      }
+    });
+    return true;
+  }
+
+  function start() {
+    if (timer || !init()) return false;
+    timer = setInterval(() => {
+      runOnce().catch(err => console.error(`[RELAY] Run failed: ${err.message}`));
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+    console.log(`[RELAY] Polling for pending payouts and refunds every ${intervalMs / 1000}s`);
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Whether a job has been sitting in 'broadcast' past the stuck window
+   */
+  function isStuck(job) {
+    return job?.state === 'broadcast' && !!job.broadcastAt && Date.now() - job.broadcastAt >= stuckAfterMs;
+  }
+
+  /**
+   * Snapshot of the relay and its queue
+   */
+  async function status() {
+    const queue = await loadQueue();
+    const byState = {};
+    for (const b of queue) {
+      const jobs = jobsOf(b).filter(job => job.state !== 'confirmed');
+      const states = jobs.length ? jobs.map(job => job.state) : [b.pendingPayment?.state || 'queued'];
+      for (const state of states) byState[state] = (byState[state] || 0) + 1;
+    }
+    return {
+      enabled: !!wallet,
+      polling: !!timer,
+      relayWallet: init() ? wallet.address : null,
+      stuckAfterMs,
+      ...stats,
+      queueSize: queue.length,
+      byState,
+      stuck: queue.filter(b => jobsOf(b).some(isStuck)).map(b => b.id),
+      queue: queue.map(b => ({
+        bountyId: b.id,
+        title: b.title,
+        status: b.status,
+        approvedAt: b.approvedAt,
+        payout: b.payout || b.pendingPayment || null,
+        payouts: b.payouts || null,
+        milestonePayouts: b.milestones ? b.milestones.map(m => m.payout).filter(Boolean) : null,
+        refund: b.refund || null,
+        refunds: b.refunds || null,
+        tips: b.tips ? b.tips.map(t => t.payout) : null
+      }))
+    };
+  }
+
+  /**
+   * Re-queue a failed or replaced job (admin action)
+   * Keeps the reserved nonce, so a retry can never double-pay. Pass resetNonce
+   * only after confirming on-chain that no transfer was made for this job; its
+   * hashes move to abandonedTxHashes. Split payouts are picked by jobId.
+   */
+  async function retry(bounty, { resetNonce = false, kind = 'payout', jobId = null } = {}) {
+    const job = jobId ? jobsOf(bounty).find(j => j.id === jobId) : bounty[JOB_FIELDS[kind]];
+    if (!job) return null;
+    if (resetNonce) {
+      job.abandonedTxHashes = [...(job.abandonedTxHashes || []), ...(job.txHashes || [])];
+      job.txHashes = [];
+      job.nonce = null;
+      job.txHash = null;
+    }
+    job.attempts = 0;
+    job.nextAttemptAt = null;
+    job.lastError = null;
+    transition(job, 'queued', { note: resetNonce ? 'admin retry (nonce reset)' : 'admin retry' });
+    await save(bounty, job);
+    return job;
+  }
+
+  return { runOnce, kick, start, stop, status, retry, isStuck, get enabled() { return !!wallet; } };
+}
+
+module.exports = { createPaymentRelay, createPayoutJob, jobsOf, jobPath, ACTIVE_STATES };
@@ -0,0 +1,110 @@
+/**
+ * Payout Splits - team bounties that pay several wallets
+ *
+ * The claimer declares a split (addresses + basis points summing to 10000) at
+ * claim or submit time and signs it with EIP-191:
+ *
+ *   payout-split:{bountyId}:{address1}={bps1},{address2}={bps2},...
+ *
+ * At approval the fee is computed once on the whole reward, then the gross,
+ * fee and net amounts are divided by bps. Rounding dust goes to the first
+ * recipient so the shares always add up exactly.
+ *
+ * Usage:
+ *   const { splitMessage, verifySplit, allocateSplit } = require('./payout-split');
+ *   const message = splitMessage(bountyId, recipients);   // sign this
+ *   const { split, error } = verifySplit({ bountyId, split: req.body.split, signer: address });
+ *   const shares = allocateSplit({ grossReward, fee, recipients: split.recipients });
+ */
+
+const { ethers } = require('ethers');
+
+const TOTAL_BPS = 10000;
+const MAX_RECIPIENTS = 10;
+
+function normalizeRecipients(recipients) {
+  return recipients.map(r => ({ address: String(r.address).toLowerCase(), bps: Number(r.bps) }));
+}
+
+/**
+ * Message the claimer signs to declare a split
+ */
+function splitMessage(bountyId, recipients) {
+  const parts = normalizeRecipients(recipients).map(r => `${r.address}=${r.bps}`);
+  return `payout-split:${bountyId}:${parts.join(',')}`;
+}
+
+/**
+ * Validate a split and check it was signed by the claimer
+ * @param {object} opts
+ * @param {string} opts.bountyId - Bounty the split is for
+ * @param {object} opts.split - { recipients: [{ address, bps }], signature }
+ * @param {string} opts.signer - Wallet that must have signed (the claimer)
+ * Returns { split } on success or { error }
+ */
+function verifySplit({ bountyId, split, signer }) {
+  if (!split || !Array.isArray(split.recipients) || !split.signature) {
+    return { error: 'split must be { recipients: [{ address, bps }], signature }' };
+  }
+  if (split.recipients.length < 2 || split.recipients.length > MAX_RECIPIENTS) {
+    return { error: `A split needs between 2 and ${MAX_RECIPIENTS} recipients` };
+  }
+
+  const recipients = normalizeRecipients(split.recipients);
+  const seen = new Set();
+  for (const r of recipients) {
+    if (!ethers.isAddress(r.address)) {
+      return { error: `Invalid recipient address: ${r.address}` };
+    }
+    if (seen.has(r.address)) {
+      return { error: `Duplicate recipient: ${r.address}` };
+    }
+    seen.add(r.address);
+    if (!Number.isInteger(r.bps) || r.bps <= 0) {
+      return { error: `bps must be a positive integer (got ${r.bps} for ${r.address})` };
+    }
+  }
+  const total = recipients.reduce((sum, r) => sum + r.bps, 0);
+  if (total !== TOTAL_BPS) {
+    return { error: `Split bps must add up to ${TOTAL_BPS} (got ${total})` };
+  }
+
+  const message = splitMessage(bountyId, recipients);
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, split.signature);
+  } catch (e) {
+    return { error: 'Invalid split signature' };
+  }
+  if (recovered.toLowerCase() !== signer.toLowerCase()) {
+    return { error: 'Split must be signed by the claimer', expectedMessage: message };
+  }
+
+  return {
+    split: {
+      recipients,
+      signature: split.signature,
+      message,
+      signedBy: recovered.toLowerCase(),
+      declaredAt: Date.now()
+    }
+  };
+}
+
+/**
+ * Divide a reward and its (already computed) fee between split recipients
+ * Returns [{ address, bps, grossReward, fee, netReward }]
+ */
+function allocateSplit({ grossReward, fee, recipients }) {
+  const shares = recipients.map(r => ({
+    address: r.address,
+    bps: r.bps,
+    grossReward: Math.floor(grossReward * r.bps / TOTAL_BPS),
+    fee: Math.floor(fee * r.bps / TOTAL_BPS)
+  }));
+  shares[0].grossReward += grossReward - shares.reduce((sum, s) => sum + s.grossReward, 0);
+  shares[0].fee += fee - shares.reduce((sum, s) => sum + s.fee, 0);
+  return shares.map(s => ({ ...s, netReward: s.grossReward - s.fee }));
+}
+
+module.exports = { splitMessage, verifySplit, allocateSplit, MAX_RECIPIENTS };
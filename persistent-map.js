@@ -24,6 +24,8 @@ class PersistentMap {
     this._collection = collection;
     this._cache = new Map();
     this._loadPromise = null;
+    // Set when the initial load failed: the cache may be missing stored items
+    this.loadError = null;
   }
 
   /** Load all items from Supabase into cache */
@@ -42,6 +44,7 @@ class PersistentMap {
       });
       if (!response.ok) {
         console.error(`[STORE] Load failed for ${this._mechanism}/${this._collection}: ${response.status}`);
+        this.loadError = `HTTP ${response.status}`;
         return;
       }
       const rows = await response.json();
@@ -51,6 +54,7 @@ class PersistentMap {
       console.log(`[STORE] Loaded ${rows.length} items for ${this._mechanism}/${this._collection}`);
     } catch (err) {
       console.error(`[STORE] Load error for ${this._mechanism}/${this._collection}: ${err.message}`);
+      this.loadError = err.message;
     }
   }
 
@@ -137,7 +141,6 @@ class PersistentMap {
 function createStore(mechanism) {
   const maps = {};
   const loadPromises = [];
-  let _readyPromise = null;
 
   const store = {
     /**
@@ -155,15 +158,13 @@ function createStore(mechanism) {
     },
 
     /**
-     * Wait for all maps to finish loading from Supabase.
+     * Wait for every map created so far to finish loading from Supabase.
      * Call this before starting the server.
      * @returns {Promise} - resolves when all maps are loaded
      */
     async ready() {
-      if (!_readyPromise) {
-        _readyPromise = Promise.all(loadPromises);
-      }
-      return _readyPromise;
+      // Not cached: a map created after the first call must still be waited for
+      await Promise.all(loadPromises);
     },
 
     /**
@@ -172,9 +173,8 @@ function createStore(mechanism) {
      * Fixes Vercel serverless cold start race conditions.
      */
     middleware() {
-      const p = store.ready();
       return async (req, res, next) => {
-        await p;
+        await store.ready();
         next();
       };
     }
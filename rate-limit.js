@@ -0,0 +1,199 @@
+/**
+ * Rate Limits - token buckets per route, keyed by IP, wallet and API key
+ *
+ * Each route has one or more policies. A policy allows `limit` requests per
+ * `windowMs` for one identity: the client IP (`ip`, IPv6 grouped by /64), the
+ * acting wallet (`wallet`) or the admin key name (`apiKey`). Tokens refill
+ * continuously, so a client that waits half the window gets half the limit back.
+ * A request passes only if every policy it has an identity for has a token;
+ * tokens are only taken when all of them do.
+ *
+ * Buckets live in any Map-like store: a Map (per process) or a PersistentMap,
+ * so limits survive cold starts. Full buckets are dropped as requests come in,
+ * no timer needed.
+ *
+ * The default policies can be changed with RATE_LIMITS, a JSON object of
+ * route -> policies, e.g. {"claim":[{"by":"wallet","limit":5,"windowMs":60000}]}.
+ *
+ * Usage:
+ *   const { createRateLimiter } = require('./rate-limit');
+ *   const limiter = createRateLimiter({ buckets: store.map('rateLimits') });
+ *   const result = limiter.take('claim', { ip: req.ip, wallet: req.signer });
+ *   res.set(limiter.headers(result));   // RateLimit-* and, when refused, Retry-After
+ *   if (!result.allowed) return res.status(429).json({ error, retryAfter: result.retryAfter });
+ */
+
+const net = require('net');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_POLICIES = {
+  claim: [
+    { by: 'wallet', limit: 3, windowMs: MINUTE },
+    { by: 'ip', limit: 10, windowMs: MINUTE }
+  ],
+  submit: [
+    { by: 'wallet', limit: 5, windowMs: MINUTE },
+    { by: 'ip', limit: 15, windowMs: MINUTE }
+  ],
+  create: [
+    { by: 'wallet', limit: 2, windowMs: MINUTE },
+    { by: 'ip', limit: 5, windowMs: MINUTE }
+  ],
+  register: [
+    { by: 'ip', limit: 10, windowMs: 60 * MINUTE }
+  ],
+  admin: [
+    { by: 'apiKey', limit: 120, windowMs: MINUTE },
+    { by: 'wallet', limit: 120, windowMs: MINUTE }
+  ]
+};
+
+const IDENTITIES = ['ip', 'wallet', 'apiKey'];
+
+// Sweep full buckets every this many takes
+const SWEEP_EVERY = 200;
+
+/**
+ * Merge route policies over the defaults and validate them
+ */
+function parsePolicies(overrides = {}) {
+  const policies = { ...DEFAULT_POLICIES, ...overrides };
+  for (const [route, list] of Object.entries(policies)) {
+    if (!Array.isArray(list)) throw new Error(`${route} must be a list of policies`);
+    list.forEach((policy, i) => {
+      if (!IDENTITIES.includes(policy.by)) throw new Error(`${route}[${i}].by must be one of: ${IDENTITIES.join(', ')}`);
+      if (!Number.isInteger(policy.limit) || policy.limit < 1) throw new Error(`${route}[${i}].limit must be a positive integer`);
+      if (!Number.isInteger(policy.windowMs) || policy.windowMs < 1000) throw new Error(`${route}[${i}].windowMs must be at least 1000`);
+    });
+  }
+  return policies;
+}
+
+/**
+ * Load policies from RATE_LIMITS (JSON), falling back to the defaults
+ */
+function policiesFromEnv() {
+  if (!process.env.RATE_LIMITS) return parsePolicies();
+  try {
+    return parsePolicies(JSON.parse(process.env.RATE_LIMITS));
+  } catch (err) {
+    console.error(`[RATE LIMIT] Invalid RATE_LIMITS, using defaults: ${err.message}`);
+    return parsePolicies();
+  }
+}
+
+/**
+ * Bucket key for a client IP: IPv4 as is, IPv6 by its /64 (one subnet per customer)
+ */
+function ipKey(ip) {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.)/, '');
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.toLowerCase().split('::');
+    const front = head ? head.split(':') : [];
+    const back = tail ? tail.split(':') : [];
+    const groups = address.includes('::') ? [...front, ...Array(8 - front.length - back.length).fill('0'), ...back] : front;
+    return groups.slice(0, 4).map(g => parseInt(g, 16).toString(16)).join(':') + '::/64';
+  }
+  return address;
+}
+
+/**
+ * Create a rate limiter
+ * @param {object} opts
+ * @param {Map} opts.buckets - Bucket state keyed "route:by:identity" (Map or PersistentMap)
+ * @param {object} opts.policies - Parsed policies (defaults to RATE_LIMITS env)
+ * @param {Function} opts.now - Clock (ms)
+ */
+function createRateLimiter({ buckets = new Map(), policies = policiesFromEnv(), now = Date.now } = {}) {
+  let takes = 0;
+
+  const rateOf = policy => policy.limit / policy.windowMs; // tokens per ms
+
+  function tokensIn(key, policy, at) {
+    const bucket = buckets.get(key);
+    if (!bucket) return policy.limit;
+    return Math.min(policy.limit, bucket.tokens + (at - bucket.updatedAt) * rateOf(policy));
+  }
+
+  // Buckets that have refilled hold nothing a fresh bucket wouldn't
+  function sweep(at) {
+    for (const [key, bucket] of buckets) {
+      const policy = (policies[bucket.route] || []).find(p => p.by === bucket.by);
+      if (!policy || bucket.tokens + (at - bucket.updatedAt) * rateOf(policy) >= policy.limit) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Take a token from every policy of a route
+   * @param {string} route
+   * @param {object} identity - { ip, wallet, apiKey }; policies without their identity are skipped
+   * Returns { allowed, limit, remaining, reset, retryAfter, windowSeconds, policy } for the
+   * tightest policy (reset and retryAfter in seconds), or { allowed: true } when no policy applies
+   */
+  function take(route, identity = {}) {
+    const at = now();
+    if (++takes % SWEEP_EVERY === 0) sweep(at);
+
+    const checks = (policies[route] || [])
+      .filter(policy => identity[policy.by])
+      .map(policy => {
+        const id = policy.by === 'ip' ? ipKey(identity.ip) : String(identity[policy.by]).toLowerCase();
+        const key = `${route}:${policy.by}:${id}`;
+        return { policy, key, tokens: tokensIn(key, policy, at) };
+      });
+    if (!checks.length) return { allowed: true };
+
+    const refused = checks.filter(c => c.tokens < 1);
+    const allowed = refused.length === 0;
+    if (allowed) {
+      for (const check of checks) {
+        check.tokens -= 1;
+        buckets.set(check.key, { route, by: check.policy.by, tokens: check.tokens, updatedAt: at });
+      }
+    }
+
+    // Report the policy that refused, or the one closest to refusing
+    const tightest = (allowed ? checks : refused).reduce((a, b) => (b.tokens / b.policy.limit < a.tokens / a.policy.limit ? b : a));
+    const { policy, tokens } = tightest;
+    return {
+      allowed,
+      limit: policy.limit,
+      remaining: Math.max(Math.floor(tokens), 0),
+      reset: Math.ceil((policy.limit - tokens) / rateOf(policy) / 1000),
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rateOf(policy) / 1000),
+      windowSeconds: Math.round(policy.windowMs / 1000),
+      policy: `${route}:${policy.by}`
+    };
+  }
+
+  /**
+   * Response headers for a take() result (IETF RateLimit fields)
+   */
+  function headers(result) {
+    if (result.limit === undefined) return {};
+    return {
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.reset),
+      'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`,
+      ...(!result.allowed && { 'Retry-After': String(result.retryAfter) })
+    };
+  }
+
+  /**
+   * Public description of the policies (for /guidelines)
+   */
+  function describe() {
+    return Object.fromEntries(Object.entries(policies).map(([route, list]) => [
+      route,
+      list.map(({ by, limit, windowMs }) => ({ by, limit, windowSeconds: Math.round(windowMs / 1000) }))
+    ]));
+  }
+
+  return { take, headers, describe, policies };
+}
+
+module.exports = { createRateLimiter, parsePolicies, ipKey, DEFAULT_POLICIES };
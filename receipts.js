@@ -0,0 +1,167 @@
+/**
+ * Receipts - EIP-712 signed payout receipts
+ *
+ * Every confirmed payout (single, split or milestone) gets a receipt: a
+ * PayoutReceipt typed document signed by the treasury's receipt key. Anyone
+ * can check it offline with ethers.verifyTypedData, or through
+ * POST /receipts/verify, without trusting the board's database.
+ *
+ * Receipts are built from the payout job on demand. EIP-712 signatures are
+ * deterministic, so the same payout always gets the same receipt.
+ *
+ * Usage:
+ *   const { createReceiptSigner, payoutsOf, verifyReceipt } = require('./receipts');
+ *   const signer = createReceiptSigner({ privateKey: process.env.RECEIPT_SIGNER_KEY });
+ *   const receipts = await Promise.all(payoutsOf(bounty).map(p => signer.sign(bounty, p)));
+ *   const { signer: recovered, error } = verifyReceipt(receipt);
+ */
+
+const { ethers } = require('ethers');
+const { assetOf } = require('./networks');
+
+const RECEIPT_DOMAIN = { name: 'AI Bounty Board', version: '1' };
+
+const RECEIPT_TYPES = {
+  PayoutReceipt: [
+    { name: 'bountyId', type: 'string' },
+    { name: 'payoutId', type: 'string' },
+    { name: 'milestoneId', type: 'string' },
+    { name: 'recipient', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'grossReward', type: 'uint256' },
+    { name: 'fee', type: 'uint256' },
+    { name: 'netReward', type: 'uint256' },
+    { name: 'txHash', type: 'bytes32' },
+    { name: 'approvedBy', type: 'address' },
+    { name: 'paidAt', type: 'uint256' }
+  ]
+};
+
+/**
+ * Confirmed worker payouts on a bounty, one per transfer
+ * Bounties paid before the payout queue are read from bounty.payment
+ * Returns [{ job, milestone, approvedBy, paidAt }]
+ */
+function payoutsOf(bounty) {
+  const confirmed = job => job && job.state === 'confirmed' && ethers.isHexString(job.txHash, 32);
+  if (bounty.milestones) {
+    return bounty.milestones
+      .filter(m => confirmed(m.payout))
+      .map(m => ({ job: m.payout, milestone: m, approvedBy: m.approvedBy || bounty.approvedBy, paidAt: m.payout.confirmedAt || m.paidAt }));
+  }
+  if (bounty.payouts) {
+    return bounty.payouts
+      .filter(confirmed)
+      .map(job => ({ job, milestone: null, approvedBy: bounty.approvedBy, paidAt: job.confirmedAt }));
+  }
+  if (confirmed(bounty.payout)) {
+    return [{ job: bounty.payout, milestone: null, approvedBy: bounty.approvedBy, paidAt: bounty.payout.confirmedAt }];
+  }
+  if (bounty.status === 'completed' && ethers.isHexString(bounty.payment?.txHash, 32) && !bounty.payout) {
+    const payment = bounty.payment;
+    const job = {
+      id: payment.payoutId || `payment:${bounty.id}`,
+      recipient: bounty.claimedBy,
+      grossReward: payment.grossReward,
+      fee: payment.fee,
+      netReward: payment.netReward,
+      txHash: payment.txHash
+    };
+    return [{ job, milestone: null, approvedBy: bounty.approvedBy, paidAt: bounty.completedAt }];
+  }
+  return [];
+}
+
+// Checksummed address, ignoring whatever casing it was stored with (zero address if not an address)
+function toAddress(value) {
+  const lower = String(value || '').toLowerCase();
+  return ethers.isAddress(lower) ? ethers.getAddress(lower) : ethers.ZeroAddress;
+}
+
+/**
+ * The typed message for one payout
+ * approvedBy is the zero address when the approver wasn't a wallet
+ */
+function receiptMessage(bounty, { job, milestone, approvedBy, paidAt }) {
+  return {
+    bountyId: String(bounty.id),
+    payoutId: String(job.id),
+    milestoneId: milestone ? milestone.id : '',
+    recipient: toAddress(job.recipient),
+    token: toAddress(assetOf(bounty).address),
+    grossReward: BigInt(job.grossReward || 0).toString(),
+    fee: BigInt(job.fee || 0).toString(),
+    netReward: BigInt(job.netReward || 0).toString(),
+    txHash: job.txHash,
+    approvedBy: toAddress(approvedBy),
+    paidAt: Math.floor((paidAt || 0) / 1000).toString() // unix seconds
+  };
+}
+
+function receiptDomain(bounty) {
+  return { ...RECEIPT_DOMAIN, chainId: assetOf(bounty).chainId };
+}
+
+/**
+ * Create a receipt signer
+ * @param {object} opts
+ * @param {string} opts.privateKey - Treasury key receipts are signed with
+ */
+function createReceiptSigner({ privateKey }) {
+  const wallet = privateKey ? new ethers.Wallet(privateKey) : null;
+
+  /**
+   * Sign the receipt for one payout from payoutsOf(bounty)
+   * Returns { domain, types, primaryType, message, signature, signer }
+   */
+  async function sign(bounty, payout) {
+    if (!wallet) throw new Error('Receipt signing key not configured');
+    const domain = receiptDomain(bounty);
+    const message = receiptMessage(bounty, payout);
+    const signature = await wallet.signTypedData(domain, RECEIPT_TYPES, message);
+    return { domain, types: RECEIPT_TYPES, primaryType: 'PayoutReceipt', message, signature, signer: wallet.address };
+  }
+
+  return {
+    sign,
+    get enabled() { return !!wallet; },
+    get address() { return wallet ? wallet.address : null; }
+  };
+}
+
+/**
+ * Recover the signer of a receipt
+ * Returns { signer } or { error }
+ */
+function verifyReceipt(receipt) {
+  if (!receipt || !receipt.domain || !receipt.message || !receipt.signature) {
+    return { error: 'receipt must be { domain, message, signature }' };
+  }
+  try {
+    const signer = ethers.verifyTypedData(receipt.domain, RECEIPT_TYPES, receipt.message, receipt.signature);
+    return { signer };
+  } catch (e) {
+    return { error: `Invalid receipt: ${e.shortMessage || e.message}` };
+  }
+}
+
+/**
+ * Fields where a receipt differs from the payout on record
+ */
+function receiptMismatches(bounty, payout, receipt) {
+  const expected = receiptMessage(bounty, payout);
+  const mismatches = Object.keys(expected)
+    .filter(key => String(receipt.message[key]).toLowerCase() !== String(expected[key]).toLowerCase());
+  if (Number(receipt.domain.chainId) !== receiptDomain(bounty).chainId) mismatches.push('domain.chainId');
+  return mismatches;
+}
+
+module.exports = {
+  RECEIPT_DOMAIN,
+  RECEIPT_TYPES,
+  payoutsOf,
+  receiptMessage,
+  createReceiptSigner,
+  verifyReceipt,
+  receiptMismatches
+};
@@ -0,0 +1,231 @@
+/**
+ * Reconciliation - checks recorded payouts against on-chain receipts
+ *
+ * Scans completed and payment_pending bounties. Every payout (and forwarded
+ * tip) the board recorded as confirmed is looked up through the chain
+ * adapter: its receipt must exist and have succeeded, and its token Transfer
+ * logs must move the recorded net amount to the recorded recipient.
+ *
+ * Issues:
+ *   missing          completed with no tx hash (grandfathered path), payout not
+ *                    confirmed, or tx / token transfer not found on-chain
+ *   reverted         tx was mined with status 0
+ *   wrong_amount     token transfer to the recipient has a different amount
+ *   wrong_recipient  token transfer went to a different address
+ *   duplicate        one tx hash credited to two payouts, or one payout mined twice
+ *
+ * Reconciliation only reports; fixing a flagged payout is an admin decision.
+ *
+ * Usage:
+ *   const { createReconciler } = require('./reconciliation');
+ *   const reconciler = createReconciler({ chain, getAllBounties, reports: store.map('reconciliation') });
+ *   const report = await reconciler.run();   // { issues, byIssue, ... }
+ *   reconciler.latest();                     // last report
+ *   reconciler.start();                      // or run every intervalMs
+ */
+
+const { jobsOf } = require('./payment-relay');
+const { assetOf, getAsset, DEFAULT_NETWORK, DEFAULT_TOKEN } = require('./networks');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+const SCANNED_STATUSES = ['completed', 'payment_pending'];
+const PAID_KINDS = ['payout', 'tip'];
+const ISSUES = ['missing', 'reverted', 'wrong_amount', 'wrong_recipient', 'duplicate'];
+
+/**
+ * Transfers a bounty's records say happened
+ * Returns [{ payoutId, kind, state, recipient, netReward, txHash, txHashes, asset }]
+ */
+function recordedPayouts(bounty) {
+  const jobs = jobsOf(bounty).filter(job => PAID_KINDS.includes(job.kind || 'payout'));
+  if (!jobs.length && bounty.payment?.txHash) {
+    // Paid before the payout queue: only bounty.payment is left
+    return [{
+      payoutId: null,
+      kind: 'payout',
+      state: 'confirmed',
+      recipient: bounty.claimedBy,
+      netReward: bounty.payment.netReward,
+      txHash: bounty.payment.txHash,
+      txHashes: [bounty.payment.txHash],
+      asset: assetOf(bounty)
+    }];
+  }
+  return jobs.map(job => ({
+    payoutId: job.id,
+    kind: job.kind || 'payout',
+    state: job.state,
+    recipient: job.recipient,
+    netReward: job.netReward,
+    txHash: job.txHash,
+    // Hashes set aside by a revert or an admin nonce reset still count if one was mined
+    txHashes: [...(job.txHashes || (job.txHash ? [job.txHash] : [])), ...(job.revertedTxHashes || []), ...(job.abandonedTxHashes || [])],
+    asset: getAsset(job.chain || DEFAULT_NETWORK, job.token || DEFAULT_TOKEN) || assetOf(bounty)
+  }));
+}
+
+/**
+ * Create a reconciler
+ * @param {object} opts
+ * @param {object} opts.chain - Chain adapter (chain.js) used for receipts and Transfer logs
+ * @param {Function} opts.getAllBounties - Loads all bounties
+ * @param {Map} opts.reports - Where the latest report is kept (Map or PersistentMap)
+ */
+function createReconciler({ chain, getAllBounties, reports = new Map(), intervalMs = DEFAULT_INTERVAL_MS }) {
+  let timer = null;
+  let running = null;
+
+  /**
+   * Check one recorded payout against the chain
+   * Returns an issue { issue, detail, actual } or null when it matches
+   */
+  async function checkPayout(payout) {
+    const network = payout.asset.network;
+    const receipt = await chain.getReceipt(network, payout.txHash);
+    if (!receipt) {
+      return { issue: 'missing', detail: `tx ${payout.txHash} not found on ${network}` };
+    }
+    if (receipt.status !== 1) {
+      return { issue: 'reverted', detail: `tx reverted in block ${receipt.blockNumber}` };
+    }
+
+    const token = payout.asset.address.toLowerCase();
+    const transfers = ((await chain.getTransfers(network, payout.txHash)) || []).filter(t => t.token === token);
+    if (!transfers.length) {
+      return { issue: 'missing', detail: `tx has no ${payout.asset.symbol} transfer` };
+    }
+    const recipient = String(payout.recipient).toLowerCase();
+    const expected = BigInt(payout.netReward);
+    const toRecipient = transfers.filter(t => t.to === recipient);
+    if (toRecipient.some(t => t.value === expected)) return null;
+
+    const actual = transfers.map(t => ({ to: t.to, amount: t.value.toString() }));
+    if (toRecipient.length) {
+      return { issue: 'wrong_amount', detail: `sent ${toRecipient.map(t => t.value).join(' + ')}, recorded ${expected}`, actual };
+    }
+    return { issue: 'wrong_recipient', detail: `transfer went to ${transfers.map(t => t.to).join(', ')}`, actual };
+  }
+
+  /** How many of a payout's broadcast hashes were mined successfully */
+  async function minedCount(payout) {
+    let count = 0;
+    for (const hash of new Set(payout.txHashes)) {
+      const receipt = await chain.getReceipt(payout.asset.network, hash);
+      if (receipt && receipt.status === 1) count++;
+    }
+    return count;
+  }
+
+  async function reconcile() {
+    const startedAt = Date.now();
+    const bounties = (await getAllBounties()).filter(b => SCANNED_STATUSES.includes(b.status));
+    const issues = [];
+    const errors = [];
+    const seenTx = new Map(); // txHash -> first payout that claimed it
+    let checked = 0;
+
+    const flag = (bounty, payout, found) => issues.push({
+      bountyId: bounty.id,
+      bountyStatus: bounty.status,
+      payoutId: payout?.payoutId ?? null,
+      kind: payout?.kind || 'payout',
+      issue: found.issue,
+      detail: found.detail,
+      txHash: payout?.txHash || null,
+      network: payout?.asset.network || assetOf(bounty).network,
+      expected: payout ? { recipient: payout.recipient, amount: String(payout.netReward) } : null,
+      actual: found.actual || null
+    });
+
+    for (const bounty of bounties) {
+      const payouts = recordedPayouts(bounty);
+      const workerPayouts = payouts.filter(p => p.kind === 'payout');
+
+      if (bounty.status === 'completed' && !workerPayouts.length) {
+        flag(bounty, null, { issue: 'missing', detail: 'Completed with no payout tx (grandfathered path)' });
+        continue;
+      }
+
+      for (const payout of payouts) {
+        if (payout.state !== 'confirmed') {
+          if (bounty.status === 'completed' && payout.kind === 'payout') {
+            flag(bounty, payout, { issue: 'missing', detail: `Bounty is completed but payout is ${payout.state}` });
+          }
+          continue;
+        }
+        if (!payout.txHash) {
+          flag(bounty, payout, { issue: 'missing', detail: 'Confirmed payout has no tx hash' });
+          continue;
+        }
+
+        checked++;
+        const key = `${payout.asset.network}:${payout.txHash.toLowerCase()}`;
+        if (seenTx.has(key)) {
+          const first = seenTx.get(key);
+          flag(bounty, payout, { issue: 'duplicate', detail: `tx also credited to bounty #${first.bountyId} payout ${first.payoutId}` });
+          continue;
+        }
+        seenTx.set(key, { bountyId: bounty.id, payoutId: payout.payoutId });
+
+        try {
+          const found = await checkPayout(payout);
+          if (found) {
+            flag(bounty, payout, found);
+          } else if (payout.txHashes.length > 1 && await minedCount(payout) > 1) {
+            flag(bounty, payout, { issue: 'duplicate', detail: 'More than one of this payout\'s txs was mined' });
+          }
+        } catch (err) {
+          errors.push({ bountyId: bounty.id, payoutId: payout.payoutId, error: err.message });
+        }
+      }
+    }
+
+    const byIssue = Object.fromEntries(ISSUES.map(issue => [issue, issues.filter(i => i.issue === issue).length]));
+    const report = {
+      ranAt: startedAt,
+      durationMs: Date.now() - startedAt,
+      scanned: bounties.length,
+      checked,
+      flagged: issues.length,
+      byIssue,
+      issues,
+      errors
+    };
+    reports.set('latest', report);
+    console.log(`[RECONCILE] Scanned ${bounties.length} bounties, checked ${checked} payouts: ${issues.length} flagged${errors.length ? `, ${errors.length} errors` : ''}`);
+    return report;
+  }
+
+  /**
+   * Run a reconciliation pass (concurrent callers share the one in progress)
+   */
+  function run() {
+    if (!running) {
+      running = reconcile().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  function latest() {
+    return reports.get('latest') || null;
+  }
+
+  function start() {
+    if (timer) return false;
+    timer = setInterval(() => {
+      run().catch(err => console.error(`[RECONCILE] Run failed: ${err.message}`));
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+    console.log(`[RECONCILE] Reconciling payouts every ${intervalMs / 60000} min`);
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, latest, start, stop, get running() { return !!running; } };
+}
+
+module.exports = { createReconciler, recordedPayouts, ISSUES };
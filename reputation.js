@@ -1,9 +1,16 @@
 /**
  * ERC-8004 Reputation Integration
  * Posts feedback to the Reputation Registry after bounty completions
+ *
+ * Feedback txs go through a chain adapter (chain.js): live Base by default,
+ * or whatever configure({ chain, privateKey }) sets (the fake chain in SANDBOX=1)
  */
 
 const { ethers } = require('ethers');
+const { createEthersChain } = require('./chain');
+
+const REPUTATION_NETWORK = 'base';
+const REPUTATION_RPC_URL = 'https://mainnet.base.org';
 
 const REPUTATION_REGISTRY = '0x8004BAa17C55a88189AE136b182e5fdA19dE9b63';
 const IDENTITY_REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
@@ -30,25 +37,32 @@ const KNOWN_AGENTS = {
 const OWOCKIBOT_WALLET = '0xec9d3032e62f68554a87d13bf60665e5b75d43dc';
 const OWNED_AGENTS = new Set([2108, 2110, 2111, 2112]); // All currently owned by owockibot
 
-let provider = null;
+let chain = null;
+let signingKey = null;
 let wallet = null;
-let reputationContract = null;
-let identityContract = null;
+let gasListener = null;
+
+/**
+ * Use a different chain adapter and/or key (defaults: live Base, OWOCKIBOT_PRIVATE_KEY)
+ */
+function configure({ chain: adapter = null, privateKey = null } = {}) {
+  chain = adapter;
+  signingKey = privateKey;
+  wallet = null;
+}
 
 function init() {
-  if (reputationContract) return true;
+  if (wallet) return true;
   
-  const privateKey = process.env.OWOCKIBOT_PRIVATE_KEY;
+  const privateKey = signingKey || process.env.OWOCKIBOT_PRIVATE_KEY;
   if (!privateKey) {
     console.log('[REPUTATION] No wallet key configured - reputation posting disabled');
     return false;
   }
   
   try {
-    provider = new ethers.JsonRpcProvider('https://mainnet.base.org');
-    wallet = new ethers.Wallet(privateKey, provider);
-    reputationContract = new ethers.Contract(REPUTATION_REGISTRY, REPUTATION_ABI, wallet);
-    identityContract = new ethers.Contract(IDENTITY_REGISTRY, IDENTITY_ABI, provider);
+    chain = chain || createEthersChain({ rpcUrlFor: () => REPUTATION_RPC_URL });
+    wallet = chain.wallet(privateKey);
     console.log('[REPUTATION] Initialized with wallet:', wallet.address);
     return true;
   } catch (err) {
@@ -57,6 +71,46 @@ function init() {
   }
 }
 
+/**
+ * Send a giveFeedback tx to the Reputation Registry
+ */
+function giveFeedback(agentId, value, tag1, tag2 = '', endpoint = '') {
+  return wallet.send(REPUTATION_NETWORK, {
+    to: REPUTATION_REGISTRY,
+    abi: REPUTATION_ABI,
+    method: 'giveFeedback',
+    args: [
+      agentId,
+      value,
+      0, // valueDecimals
+      tag1,
+      tag2,
+      endpoint,
+      '', // feedbackURI
+      ethers.ZeroHash // feedbackHash
+    ],
+    overrides: { gasLimit: 200000n }
+  });
+}
+
+/**
+ * Register a listener called with { txHash, gasCost, tag, endpoint } once a
+ * feedback tx is mined (gasCost in wei, as a string). Used for treasury accounting
+ */
+function onGasSpent(listener) {
+  gasListener = listener;
+}
+
+function reportGas(receipt, tag, endpoint = '') {
+  if (!gasListener || !receipt) return;
+  const gasCost = receipt.fee ?? (receipt.gasUsed * (receipt.gasPrice || 0n));
+  try {
+    gasListener({ txHash: receipt.hash, gasCost: gasCost.toString(), tag, endpoint });
+  } catch (err) {
+    console.error(`[REPUTATION] Gas listener failed: ${err.message}`);
+  }
+}
+
 /**
  * Look up agent ID by wallet address
  * First checks known mappings, then could scan registry (expensive)
@@ -112,23 +166,14 @@ async function postBountyReputation(walletAddress, value = 100, tag1 = 'bounty-c
   try {
     console.log(`[REPUTATION] Posting feedback for agent ${agentId}: value=${value}, tag1=${tag1}`);
     
-    const tx = await reputationContract.giveFeedback(
-      agentId,
-      value,
-      0, // valueDecimals
-      tag1,
-      tag2,
-      endpoint,
-      '', // feedbackURI
-      ethers.ZeroHash, // feedbackHash
-      { gasLimit: 200000n }
-    );
+    const tx = await giveFeedback(agentId, value, tag1, tag2, endpoint);
     
     console.log(`[REPUTATION] TX submitted: ${tx.hash}`);
     
     // Don't wait for confirmation to avoid blocking
     tx.wait().then(receipt => {
       console.log(`[REPUTATION] ✅ Confirmed in block ${receipt.blockNumber}: agent ${agentId} +${value}`);
+      reportGas(receipt, tag1, endpoint);
     }).catch(err => {
       console.error(`[REPUTATION] TX failed: ${err.message}`);
     });
@@ -157,22 +202,13 @@ async function postCommitmentReputation(agentId, resolved, tag2 = '') {
   const tag1 = resolved ? 'commitment-resolved' : 'commitment-failed';
   
   try {
-    const tx = await reputationContract.giveFeedback(
-      agentId,
-      value,
-      0,
-      tag1,
-      tag2,
-      '',
-      '',
-      ethers.ZeroHash,
-      { gasLimit: 200000n }
-    );
+    const tx = await giveFeedback(agentId, value, tag1, tag2);
     
     console.log(`[REPUTATION] Commitment feedback TX: ${tx.hash}`);
     
     tx.wait().then(receipt => {
       console.log(`[REPUTATION] ✅ Commitment feedback confirmed: agent ${agentId} ${resolved ? 'success' : 'fail'}`);
+      reportGas(receipt, tag1);
     }).catch(err => {
       console.error(`[REPUTATION] Commitment TX failed: ${err.message}`);
     });
@@ -193,17 +229,7 @@ async function postValidatorReputation(validatorAgentId) {
   }
   
   try {
-    const tx = await reputationContract.giveFeedback(
-      validatorAgentId,
-      50, // Validator participation = 50 points
-      0,
-      'validator-vote',
-      '',
-      '',
-      '',
-      ethers.ZeroHash,
-      { gasLimit: 200000n }
-    );
+    const tx = await giveFeedback(validatorAgentId, 50, 'validator-vote'); // Validator participation = 50 points
     
     console.log(`[REPUTATION] Validator vote TX: ${tx.hash}`);
     return { success: true, agentId: validatorAgentId, txHash: tx.hash };
@@ -215,10 +241,13 @@ async function postValidatorReputation(validatorAgentId) {
 
 module.exports = {
   init,
+  configure,
   getAgentId,
   registerAgent,
   postBountyReputation,
   postCommitmentReputation,
   postValidatorReputation,
-  KNOWN_AGENTS
+  onGasSpent,
+  KNOWN_AGENTS,
+  REPUTATION_NETWORK
 };
@@ -0,0 +1,176 @@
+/**
+ * Roles - persisted wallet roles with a grant/revoke log
+ *
+ * Roles:
+ *   admin      runs the board; holds every other role
+ *   mod        approves and rejects submissions; holds reviewer
+ *   reviewer   rejects submissions (approvals release funds, so they stay with mods)
+ *   creator    may create bounties while creation is allowlisted
+ *
+ * A grant can be scoped to tags (e.g. a mod only for `coding` bounties): it
+ * then applies only to bounties carrying one of those tags. A grant without
+ * tags applies everywhere. Admin can't be scoped.
+ *
+ * Every grant and revoke is appended to the log with who made it and why.
+ * Seed grants are written once, the first time the store starts empty.
+ *
+ * Usage:
+ *   const { createRoleStore } = require('./roles');
+ *   const roles = createRoleStore({ grants: store.map('roles'), log: store.map('roleLog') });
+ *   roles.seed([{ wallet, role: 'mod' }]);
+ *   roles.grant({ wallet, role: 'mod', tags: ['coding'], by: 'internal-key', reason });
+ *   roles.has(wallet, 'mod', bounty.tags);   // true for a global or matching tag grant
+ *   roles.revoke({ wallet, role: 'mod', by });
+ */
+
+const ROLES = ['admin', 'mod', 'reviewer', 'creator'];
+
+// Roles each role includes
+const IMPLIED = {
+  admin: ['mod', 'reviewer', 'creator'],
+  mod: ['reviewer']
+};
+
+const WALLET_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function keyFor(wallet, role) {
+  return `${role}:${wallet.toLowerCase()}`;
+}
+
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return null;
+  const list = (Array.isArray(tags) ? tags : [tags]).map(t => String(t).trim().toLowerCase()).filter(Boolean);
+  return list.length ? [...new Set(list)] : null;
+}
+
+/**
+ * Create a role store
+ * @param {object} opts
+ * @param {Map} opts.grants - Current grants keyed "role:wallet" (Map or PersistentMap)
+ * @param {Map} opts.log - Append-only grant/revoke log (Map or PersistentMap)
+ */
+function createRoleStore({ grants = new Map(), log = new Map() } = {}) {
+  function append(entry) {
+    const at = Date.now();
+    const id = `${String(at).padStart(15, '0')}:${String(log.size).padStart(6, '0')}`;
+    const record = { id, at, ...entry };
+    log.set(id, record);
+    return record;
+  }
+
+  /**
+   * Validate a grant/revoke request
+   * Returns { wallet, role, tags } or { error }
+   */
+  function parse({ wallet, role, tags }) {
+    if (!wallet || !WALLET_PATTERN.test(wallet)) {
+      return { error: 'wallet must be a 0x address' };
+    }
+    if (!ROLES.includes(role)) {
+      return { error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+    const scoped = normalizeTags(tags);
+    if (scoped && role === 'admin') {
+      return { error: 'The admin role cannot be scoped to tags' };
+    }
+    return { wallet: wallet.toLowerCase(), role, tags: scoped };
+  }
+
+  /**
+   * Grant a role (re-granting replaces the tag scope)
+   * Returns { grant, logEntry } or { error }
+   */
+  function grant({ wallet, role, tags, by, reason = null }) {
+    const parsed = parse({ wallet, role, tags });
+    if (parsed.error) return parsed;
+
+    const previous = grants.get(keyFor(parsed.wallet, role));
+    const record = {
+      wallet: parsed.wallet,
+      role,
+      tags: parsed.tags,
+      grantedBy: by,
+      grantedAt: Date.now(),
+      reason
+    };
+    grants.set(keyFor(parsed.wallet, role), record);
+    const logEntry = append({ action: 'grant', wallet: parsed.wallet, role, tags: parsed.tags, ...(previous && { previousTags: previous.tags }), by, reason });
+    console.log(`[ROLES] ${by} granted ${role}${parsed.tags ? ` (${parsed.tags.join(', ')})` : ''} to ${parsed.wallet}`);
+    return { grant: record, logEntry };
+  }
+
+  /**
+   * Revoke a role
+   * Returns { revoked, logEntry } or { error }
+   */
+  function revoke({ wallet, role, by, reason = null }) {
+    const parsed = parse({ wallet, role });
+    if (parsed.error) return parsed;
+
+    const existing = grants.get(keyFor(parsed.wallet, role));
+    if (!existing) {
+      return { error: `${parsed.wallet} does not hold ${role}`, status: 404 };
+    }
+    grants.delete(keyFor(parsed.wallet, role));
+    const logEntry = append({ action: 'revoke', wallet: parsed.wallet, role, tags: existing.tags, by, reason });
+    console.log(`[ROLES] ${by} revoked ${role} from ${parsed.wallet}`);
+    return { revoked: existing, logEntry };
+  }
+
+  /**
+   * Does a wallet hold a role, directly or through a role that includes it?
+   * @param {string} wallet
+   * @param {string} role
+   * @param {string[]} tags - The bounty's tags; tag-scoped grants need one of them
+   */
+  function has(wallet, role, tags = []) {
+    if (!wallet) return false;
+    const bountyTags = (tags || []).map(t => String(t).toLowerCase());
+    const holders = [role, ...Object.keys(IMPLIED).filter(r => IMPLIED[r].includes(role))];
+    return holders.some(r => {
+      const record = grants.get(keyFor(wallet, r));
+      return record && (!record.tags || record.tags.some(t => bountyTags.includes(t)));
+    });
+  }
+
+  /**
+   * Current grants, optionally filtered by role or wallet
+   */
+  function list({ role, wallet } = {}) {
+    return [...grants.values()]
+      .filter(g => !role || g.role === role)
+      .filter(g => !wallet || g.wallet === wallet.toLowerCase())
+      .sort((a, b) => a.grantedAt - b.grantedAt);
+  }
+
+  /**
+   * Grant/revoke log, newest first
+   */
+  function history({ role, wallet, limit = 100 } = {}) {
+    return [...log.values()]
+      .filter(e => !role || e.role === role)
+      .filter(e => !wallet || e.wallet === wallet.toLowerCase())
+      .sort((a, b) => (a.id < b.id ? 1 : -1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Write seed grants if the store has never been used
+   * Returns the number of grants written; throws if the stored roles failed to
+   * load, since an empty cache then says nothing about the table
+   */
+  function seed(entries) {
+    const loadError = grants.loadError || log.loadError;
+    if (loadError) throw new Error(`Role store did not load (${loadError}), not seeding`);
+    if (grants.size || log.size) return 0;
+    let written = 0;
+    for (const entry of entries) {
+      if (!grant({ ...entry, by: 'seed' }).error) written++;
+    }
+    return written;
+  }
+
+  return { grant, revoke, has, list, history, seed };
+}
+
+module.exports = { createRoleStore, ROLES, IMPLIED };
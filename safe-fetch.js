@@ -0,0 +1,303 @@
+/**
+ * Safe Fetch - outbound HTTP client that can't be pointed at internal addresses
+ *
+ * Proof URLs and webhook endpoints come from users. Fetching them with plain
+ * fetch() lets anyone make the server call localhost, the private network or a
+ * cloud metadata endpoint (169.254.169.254). This client:
+ *   - only speaks http and https
+ *   - resolves the host itself and refuses private, loopback, link-local,
+ *     CGNAT, multicast and reserved addresses (IPv4, IPv6 and IPv4 embedded in
+ *     IPv6). The check runs in the socket's DNS lookup, so the address that was
+ *     checked is the address connected to (no DNS rebinding between the two)
+ *   - follows at most `maxRedirects` redirects, checking every hop
+ *   - aborts after `timeoutMs` (all hops together) and past `maxBytes` of body
+ *
+ * Responses look like fetch() responses: { status, ok, url, redirected, headers, text(), json() }.
+ * Refusals throw an Error with .code:
+ *   invalid_url, blocked_protocol, blocked_address, dns_failed,
+ *   too_many_redirects, response_too_large, timeout
+ *
+ * `resolve` swaps the DNS resolver (e.g. a fake one in tests), `allowHosts`
+ * exempts hostnames from the address check and `allowPrivate` turns it off for
+ * clients that only talk to operator-configured services.
+ *
+ * Usage:
+ *   const { createSafeFetch } = require('./safe-fetch');
+ *   const outbound = createSafeFetch({ timeoutMs: 5000 });
+ *   const res = await outbound.fetch(url, { method: 'POST', headers, body });
+ *   const check = await outbound.check(url);   // { ok: true } or { ok: false, code, reason }
+ *   createSafeFetch({ resolve: async host => [{ address: '93.184.216.34', family: 4 }] });
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_REDIRECTS = 3;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const DEFAULT_USER_AGENT = 'owockibot-bounty-board/1.0';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// Credentials aren't forwarded when a redirect leaves the original origin
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'apikey', 'x-internal-key'];
+
+// Addresses that aren't on the public internet
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // CGNAT (also some cloud metadata, e.g. 100.100.100.200)
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local (incl. fd00:ec2::254 metadata)
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function fail(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address
+ */
+function hextets(address) {
+  let addr = address.toLowerCase().split('%')[0];
+  const dotted = addr.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    addr = addr.slice(0, -dotted[0].length) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+  const [head, tail] = addr.split('::');
+  const front = head ? head.split(':') : [];
+  const back = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(8 - front.length - back.length).fill('0');
+  return [...front, ...fill, ...back].map(group => parseInt(group, 16));
+}
+
+/**
+ * The IPv4 address carried inside an IPv6 one (mapped, compatible, NAT64, 6to4), or null
+ */
+function embeddedIPv4(address) {
+  const h = hextets(address);
+  const v4 = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+  const zeros = (from, to) => h.slice(from, to).every(g => g === 0);
+  if (zeros(0, 5) && (h[5] === 0xffff || h[5] === 0)) return v4(h[6], h[7]);
+  if (h[0] === 0x64 && h[1] === 0xff9b && zeros(2, 6)) return v4(h[6], h[7]);
+  if (h[0] === 0x2002) return v4(h[1], h[2]);
+  return null;
+}
+
+/**
+ * Is this IP address off limits for outbound requests?
+ * Anything that isn't a valid IP counts as blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = embeddedIPv4(address);
+    if (v4 && isBlockedAddress(v4)) return true;
+    return BLOCKED.check(address, 'ipv6');
+  }
+  return true;
+}
+
+async function systemResolve(hostname) {
+  return dns.promises.lookup(hostname, { all: true, verbatim: true });
+}
+
+/**
+ * Create an outbound HTTP client
+ * @param {object} opts
+ * @param {Function} opts.resolve - (hostname) => Promise<[{ address, family }]> (default: system DNS)
+ * @param {number} opts.timeoutMs - Time limit per fetch, redirects included
+ * @param {number} opts.maxRedirects
+ * @param {number} opts.maxBytes - Largest response body accepted
+ * @param {string[]} opts.allowHosts - Hostnames exempt from the address check
+ * @param {boolean} opts.allowPrivate - Skip the address check (operator-configured services only)
+ * @param {string} opts.userAgent
+ */
+function createSafeFetch({
+  resolve = systemResolve,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  allowHosts = [],
+  allowPrivate = false,
+  userAgent = DEFAULT_USER_AGENT
+} = {}) {
+  const exempt = new Set(allowHosts.map(h => h.toLowerCase()));
+
+  function parse(input) {
+    let url;
+    try {
+      url = new URL(String(input));
+    } catch (e) {
+      throw fail('invalid_url', `Invalid URL: ${input}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw fail('blocked_protocol', `Only http and https URLs are allowed (got ${url.protocol})`);
+    }
+    return url;
+  }
+
+  function checked(hostname, addresses) {
+    if (!addresses.length) {
+      throw fail('dns_failed', `${hostname} did not resolve`);
+    }
+    if (!allowPrivate && !exempt.has(hostname)) {
+      const blocked = addresses.find(a => isBlockedAddress(a.address));
+      if (blocked) {
+        const target = blocked.address === hostname ? hostname : `${hostname} resolves to ${blocked.address}, which`;
+        throw fail('blocked_address', `${target} is not a public address`);
+      }
+    }
+    return addresses;
+  }
+
+  async function addressesOf(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(host)) {
+      return checked(host, [{ address: host, family: net.isIP(host) }]);
+    }
+    let addresses;
+    try {
+      addresses = await resolve(host);
+    } catch (err) {
+      throw fail('dns_failed', `Could not resolve ${host}: ${err.message}`);
+    }
+    return checked(host, addresses.map(a => ({ address: a.address, family: a.family || net.isIP(a.address) })));
+  }
+
+  // socket lookup hook: the connection only ever goes to checked addresses
+  function lookup(hostname, options, callback) {
+    addressesOf(hostname).then(addresses => {
+      if (options.all) return callback(null, addresses);
+      const match = addresses.find(a => !options.family || a.family === options.family) || addresses[0];
+      callback(null, match.address, match.family);
+    }, err => callback(err));
+  }
+
+  /**
+   * Can this URL be fetched? Resolves the host without connecting
+   * Returns { ok: true, addresses } or { ok: false, code, reason }
+   */
+  async function check(input) {
+    try {
+      const url = parse(input);
+      return { ok: true, addresses: await addressesOf(url.hostname) };
+    } catch (err) {
+      return { ok: false, code: err.code, reason: err.message };
+    }
+  }
+
+  function send(url, { method, headers, body }, deadline, limit) {
+    return new Promise((resolveResponse, reject) => {
+      const client = url.protocol === 'https:' ? https : http;
+      const abort = err => {
+        reject(err);
+        req.destroy();
+      };
+      const req = client.request(url, { method, headers, lookup, agent: false }, res => {
+        const declared = parseInt(res.headers['content-length']);
+        if (method !== 'HEAD' && declared > limit) {
+          return abort(fail('response_too_large', `Response is ${declared} bytes (limit ${limit})`));
+        }
+        const chunks = [];
+        let size = 0;
+        res.on('data', chunk => {
+          size += chunk.length;
+          if (size > limit) return abort(fail('response_too_large', `Response exceeded ${limit} bytes`));
+          chunks.push(chunk);
+        });
+        res.on('end', () => resolveResponse({ res, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+      });
+      const timer = setTimeout(() => abort(fail('timeout', `No response within ${timeoutMs}ms`)), Math.max(deadline - Date.now(), 0));
+      req.on('error', reject);
+      req.on('close', () => clearTimeout(timer));
+      if (body !== undefined) req.write(body);
+      req.end();
+    });
+  }
+
+  /**
+   * fetch() for URLs the server doesn't control
+   * @param {string} input
+   * @param {object} init - { method, headers, body, timeoutMs?, maxBytes?, maxRedirects? }
+   */
+  async function safeFetch(input, init = {}) {
+    let url = parse(input);
+    let method = (init.method || 'GET').toUpperCase();
+    let body = init.body === undefined || init.body === null ? undefined : Buffer.from(init.body);
+    const headers = { 'user-agent': userAgent };
+    for (const [name, value] of Object.entries(init.headers || {})) headers[name.toLowerCase()] = value;
+    const deadline = Date.now() + (init.timeoutMs ?? timeoutMs);
+    const limit = init.maxBytes ?? maxBytes;
+    const redirectLimit = init.maxRedirects ?? maxRedirects;
+
+    for (let hops = 0; ; hops++) {
+      if (body !== undefined) headers['content-length'] = String(body.length);
+      else delete headers['content-length'];
+      // Sockets skip the lookup hook for IP literals, so check those here
+      if (net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) await addressesOf(url.hostname);
+
+      const { res, body: data } = await send(url, { method, headers, body }, deadline, limit);
+      const location = res.headers.location;
+      if (REDIRECT_STATUSES.includes(res.statusCode) && location) {
+        if (hops >= redirectLimit) {
+          throw fail('too_many_redirects', `More than ${redirectLimit} redirects`);
+        }
+        const next = parse(new URL(location, url));
+        if (next.origin !== url.origin) CREDENTIAL_HEADERS.forEach(h => delete headers[h]);
+        // 303, and 301/302 after a POST, continue as a GET without the body
+        if (res.statusCode === 303 || ([301, 302].includes(res.statusCode) && method === 'POST')) {
+          if (method !== 'HEAD') method = 'GET';
+          body = undefined;
+          delete headers['content-type'];
+        }
+        url = next;
+        continue;
+      }
+
+      const responseHeaders = new Headers();
+      for (const [name, value] of Object.entries(res.headers)) {
+        [].concat(value).forEach(v => responseHeaders.append(name, v));
+      }
+      return {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        url: url.href,
+        redirected: hops > 0,
+        headers: responseHeaders,
+        text: async () => data.toString('utf8'),
+        json: async () => JSON.parse(data.toString('utf8'))
+      };
+    }
+  }
+
+  return { fetch: safeFetch, check };
+}
+
+module.exports = { createSafeFetch, isBlockedAddress };
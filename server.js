@@ -10,22 +10,78 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const { ethers } = require('ethers');
 const reputation = require('./reputation');
+const { createFacilitator, decodePaymentHeader, encodePaymentResponse, buildPaymentRequirements, X402_VERSION } = require('./facilitator');
+const { createNonceRegistry } = require('./nonce-registry');
+const { createRequestVerifier, captureRawBody, REQUEST_NONCE_OPTIONS, MESSAGE_PREFIX: SIGNED_REQUEST_PREFIX } = require('./signed-request');
+const { createModVerifier, staleReview, MOD_NONCE_OPTIONS, MOD_ACTION_DOMAIN, MOD_ACTION_TYPES } = require('./mod-auth');
+const { createRoleStore, ROLES } = require('./roles');
+const { createAdminAuth, loadAdminKeys, requireCronSecret } = require('./admin-auth');
+const { createAuditLog } = require('./audit-log');
+const { createSafeFetch } = require('./safe-fetch');
+const { createRateLimiter } = require('./rate-limit');
+const { createGamingDetector } = require('./gaming-detector');
+const { createPaymentRelay, createPayoutJob, jobsOf } = require('./payment-relay');
+const { createLedger } = require('./ledger');
+const { createFeePolicy } = require('./fees');
+const { verifySplit, allocateSplit } = require('./payout-split');
+const { parseMilestones, allocateMilestones, findMilestone, bountyStatusFor, reopenMilestones, milestoneProgress } = require('./milestones');
+const { contributionsOf, addContribution, fundersOf, allocateRefund, MIN_CONTRIBUTION } = require('./crowdfund');
+const { createEthersChain, createFakeChain, NATIVE } = require('./chain');
+const { RECEIPT_DOMAIN, payoutsOf, createReceiptSigner, verifyReceipt, receiptMismatches } = require('./receipts');
+const { createReconciler } = require('./reconciliation');
+const { createTreasuryMonitor } = require('./treasury-monitor');
+const {
+  DEFAULT_NETWORK,
+  DEFAULT_TOKEN,
+  getNetwork,
+  getAsset,
+  resolveAsset,
+  assetOf,
+  assetByAddress,
+  assetRecord,
+  assetCode,
+  formatAmount,
+  scaleAmount,
+  usdValue,
+  explorerTx,
+  listNetworks
+} = require('./networks');
 
 const app = express();
-app.use(cors());
-
-// ============ MOD WALLETS ============
-// Mods can approve submissions (except their own - conflict of interest check)
-const MOD_WALLETS = [
-  '0x4C3a28d81C52F5cA03cD7E1c8B3C02b396937ADC'.toLowerCase(), // Kevin
-  '0x8f69c8eb92ed068aa577ce1847d568b39b0d9ebf'.toLowerCase(), // Mutheu
-  // Wastelander - TBD (need their wallet)
+app.use(cors({ exposedHeaders: ['X-PAYMENT-RESPONSE', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
+
+// req.ip comes from X-Forwarded-For set by this many proxies (Vercel: 1). TRUST_PROXY
+// also takes Express values like "loopback"; set it to 0 when nothing sits in front
+const TRUST_PROXY = process.env.TRUST_PROXY ?? '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+// ============ ROLE SEEDS ============
+// Admins, mods, reviewers and allowlisted creators live in the role store (roles.js).
+// These grants are written the first time the store starts empty; manage roles with
+// /admin/roles afterwards. Mods can approve submissions (except their own - conflict of interest check)
+const ROLE_SEEDS = [
+  { wallet: '0xccD7200024A8B5708d381168ec2dB0DC587af83F', role: 'admin', reason: 'Treasury admin wallet' },
+  { wallet: '0x4C3a28d81C52F5cA03cD7E1c8B3C02b396937ADC', role: 'mod', reason: 'Kevin' },
+  { wallet: '0x8f69c8eb92ed068aa577ce1847d568b39b0d9ebf', role: 'mod', reason: 'Mutheu' }
 ];
 
-function isMod(address) {
-  return MOD_WALLETS.includes(address?.toLowerCase());
+/**
+ * Is this wallet a mod for a bounty with these tags? (tag-scoped mods only count on matching bounties)
+ */
+function isMod(address, tags = []) {
+  return roles.has(address, 'mod', tags);
 }
 
+// ============ OUTBOUND HTTP ============
+// Every outbound request goes through safe-fetch.js. URLs from users (proof URLs,
+// webhooks) can't reach private, loopback or metadata addresses; hosts listed in
+// OUTBOUND_ALLOW_HOSTS (comma-separated, e.g. a local webhook receiver in dev) are exempt.
+// Supabase, OpenAI and the x402 facilitator are configured by the operator and keep the size and time limits only.
+const outbound = createSafeFetch({
+  allowHosts: (process.env.OUTBOUND_ALLOW_HOSTS || '').split(',').map(h => h.trim()).filter(Boolean)
+});
+const serviceFetch = createSafeFetch({ allowPrivate: true, timeoutMs: 30000, maxBytes: 50 * 1024 * 1024 });
+
 // ============ AUTOGRADER ============
 // Checks submission against bounty requirements
 // Returns { score: 0-100, passed: boolean, checks: [...] }
@@ -109,7 +165,7 @@ async function verifyProofUrl(url) {
     return { valid: false, message: 'No proof URL provided' };
   }
 
-  // Check for placeholder URLs
+  // Check for placeholder URLs (internal addresses are refused by the outbound client)
   const placeholders = [
     'example.com', 'test.com', 'localhost', '127.0.0.1', 
     'placeholder', 'yoursite.com', 'http://google.com', 
@@ -128,19 +184,14 @@ async function verifyProofUrl(url) {
 
   // Check if URL is reachable
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await fetch(url, {
+    const response = await outbound.fetch(url, {
       method: 'HEAD', // Just check headers, don't download content
-      signal: controller.signal,
+      timeoutMs: 5000,
       headers: {
         'User-Agent': 'owockibot-bounty-verifier/1.0'
       }
     });
     
-    clearTimeout(timeout);
-    
     if (response.status === 404) {
       return { 
         valid: false, 
@@ -166,12 +217,18 @@ async function verifyProofUrl(url) {
     };
     
   } catch (error) {
-    if (error.name === 'AbortError') {
+    if (error.code === 'timeout') {
       return { 
         valid: false, 
         message: 'Proof URL timed out. Please provide a working link that loads within 5 seconds.' 
       };
     }
+    if (error.code === 'blocked_address' || error.code === 'blocked_protocol') {
+      return { 
+        valid: false, 
+        message: `Proof URL is not a public web address (${error.message}). Please link to your published work.` 
+      };
+    }
     
     return { 
       valid: false, 
@@ -182,7 +239,15 @@ async function verifyProofUrl(url) {
 
 // ============ PAYLOAD SIZE LIMITS ============
 const MAX_JSON_SIZE = '10kb'; // Limit request body size (was 50kb)
-app.use(express.json({ limit: MAX_JSON_SIZE }));
+app.use(express.json({ limit: MAX_JSON_SIZE, verify: captureRawBody })); // raw body kept for signed requests
+
+// Request ids tie audit events to the request that caused them
+app.use((req, res, next) => {
+  const given = req.headers['x-request-id'];
+  req.requestId = typeof given === 'string' && /^[\w.:-]{1,100}$/.test(given) ? given : uuidv4();
+  res.set('X-Request-Id', req.requestId);
+  next();
+});
 
 // Block oversized submissions at route level
 // Based on analysis: largest submission was 1,155 bytes, typical 50-500
@@ -190,50 +255,29 @@ app.use(express.json({ limit: MAX_JSON_SIZE }));
 const MAX_SUBMISSION_LENGTH = 5000; // 5KB text limit for submission content
 
 // ============ RATE LIMITING ============
-const rateLimits = new Map(); // address -> { count, windowStart }
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute window
-const RATE_LIMIT_MAX_CLAIMS = 3; // max 3 claims per minute per address
-const RATE_LIMIT_MAX_SUBMISSIONS = 5; // max 5 submissions per minute
-const RATE_LIMIT_MAX_CREATES = 2; // max 2 bounty creations per minute
+// Token buckets per route, keyed by client IP, acting wallet and admin key name
+// (see rate-limit.js, RATE_LIMITS env). The limiter is created with the store below.
+
+/**
+ * Take a rate-limit token for a request and set the RateLimit-* headers
+ * The wallet is the signer, the x402 payer or the admin wallet, whichever the route has
+ * Returns { allowed, retryAfter, policy, ... }
+ */
+function checkRateLimit(req, res, route) {
+  const result = rateLimiter.take(route, {
+    ip: req.ip,
+    wallet: req.signer || req.payer || req.admin?.address,
+    apiKey: req.admin?.type === 'key' ? req.admin.name : null
+  });
+  res.set(rateLimiter.headers(result));
+  return result;
+}
 
 // ============ CONCURRENT CLAIM LIMITS ============
 // Prevents wallet hoarding — temporary until proof of reputation/identity
 // Only counts 'claimed' (not yet submitted) — once you submit, slot frees up
 const MAX_PENDING_CLAIMS = 3; // max bounties claimed but not yet submitted per wallet
 
-function checkRateLimit(address, action = 'claim') {
-  const key = `${address.toLowerCase()}:${action}`;
-  const now = Date.now();
-  const limits = { claim: RATE_LIMIT_MAX_CLAIMS, submit: RATE_LIMIT_MAX_SUBMISSIONS, create: RATE_LIMIT_MAX_CREATES };
-  const limit = limits[action] || RATE_LIMIT_MAX_CLAIMS;
-  
-  let entry = rateLimits.get(key);
-  
-  // Reset window if expired
-  if (!entry || (now - entry.windowStart) > RATE_LIMIT_WINDOW_MS) {
-    entry = { count: 0, windowStart: now };
-  }
-  
-  if (entry.count >= limit) {
-    const retryAfter = Math.ceil((entry.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000);
-    return { allowed: false, retryAfter };
-  }
-  
-  entry.count++;
-  rateLimits.set(key, entry);
-  return { allowed: true };
-}
-
-// Clean up old rate limit entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, entry] of rateLimits) {
-    if ((now - entry.windowStart) > RATE_LIMIT_WINDOW_MS * 2) {
-      rateLimits.delete(key);
-    }
-  }
-}, 60000);
-
 // ============ SUPABASE PERSISTENCE ============
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://toofwveskfzruckkvqwv.supabase.co';
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -247,7 +291,7 @@ async function supabaseRequest(table, method = 'GET', options = {}) {
   let url = `${SUPABASE_URL}/rest/v1/${table}`;
   if (query) url += `?${query}`;
   
-  const response = await fetch(url, {
+  const response = await serviceFetch.fetch(url, {
     method,
     headers: {
       'apikey': SUPABASE_KEY,
@@ -268,6 +312,21 @@ async function supabaseRequest(table, method = 'GET', options = {}) {
 }
 
 // ============ BOUNTY DATABASE OPERATIONS ============
+// Loaded bounties remember the state they were last stored in, so updateBounty
+// can diff a handler's in-place edits for the audit log. Memory-mode bounties are
+// shared objects, so a later load mustn't overwrite the snapshot: only writes do.
+const loadedState = new WeakMap();
+
+function remember(bounty, { stored = false } = {}) {
+  if (bounty && (stored || !loadedState.has(bounty))) loadedState.set(bounty, JSON.stringify(bounty));
+  return bounty;
+}
+
+function loadedStateOf(bounty) {
+  const json = loadedState.get(bounty);
+  return json ? JSON.parse(json) : null;
+}
+
 async function getAllBounties() {
   const result = await supabaseRequest('bounties', 'GET');
   if (!result) return Array.from(bountiesMemory.values()).map(b => {
@@ -275,7 +334,7 @@ async function getAllBounties() {
       if (typeof b.requirements === 'string' && b.requirements.trim()) b.requirements = [b.requirements];
       else b.requirements = [];
     }
-    return b;
+    return remember(b);
   });
   return result.map(row => {
     const data = { ...row.data };
@@ -283,7 +342,7 @@ async function getAllBounties() {
       if (typeof data.requirements === 'string' && data.requirements.trim()) data.requirements = [data.requirements];
       else data.requirements = [];
     }
-    return { id: row.id.toString(), ...data };
+    return remember({ id: row.id.toString(), ...data });
   });
 }
 
@@ -292,37 +351,100 @@ async function getBounty(id) {
   const numId = parseInt(id);
   if (!isNaN(numId)) {
     const result = await supabaseRequest('bounties', 'GET', { query: `id=eq.${numId}` });
-    if (result?.[0]) return { id: result[0].id.toString(), ...result[0].data };
+    if (result?.[0]) return remember({ id: result[0].id.toString(), ...result[0].data });
   }
   // Fall back to searching by UUID in data
   const all = await getAllBounties();
-  return all.find(b => b.id === id || b.uuid === id) || bountiesMemory.get(id);
+  return all.find(b => b.id === id || b.uuid === id) || remember(bountiesMemory.get(id));
 }
 
-async function saveBounty(bounty) {
+/**
+ * Store a new bounty
+ * @param {object} audit - { action, actor, requestId } for the audit log (auditOf(req, ...))
+ */
+async function saveBounty(bounty, audit = {}) {
   const uuid = bounty.uuid || bounty.id;
   const result = await supabaseRequest('bounties', 'POST', { body: { data: { ...bounty, uuid } } });
+  let saved;
   if (result?.[0]) {
-    const saved = { id: result[0].id.toString(), ...result[0].data };
+    saved = { id: result[0].id.toString(), ...result[0].data };
     bountiesMemory.set(saved.id, saved);
     bountiesMemory.set(uuid, saved);
-    return saved;
+  } else {
+    // Memory-only mode has no auto-increment id, so the uuid doubles as the id
+    saved = { ...bounty, id: bounty.id || uuid, uuid };
+    bountiesMemory.set(saved.id, saved);
   }
-  bountiesMemory.set(uuid, bounty);
-  return bounty;
+  auditLog.record({ bountyId: saved.id, action: 'create', ...audit, before: null, after: saved });
+  return remember(saved, { stored: true });
 }
 
-async function updateBounty(id, bounty) {
+/**
+ * Persist a bounty and append the change to the audit log
+ * @param {object} audit - { action, actor, requestId, before? }; before defaults to the state the bounty was loaded in
+ */
+async function updateBounty(id, bounty, audit = {}) {
+  const { before = loadedStateOf(bounty), ...event } = audit;
+  bounty.revision = uuidv4();
+  let saved = bounty;
   const numId = parseInt(id);
-  if (!isNaN(numId)) {
-    const result = await supabaseRequest('bounties', 'PATCH', { 
-      query: `id=eq.${numId}`,
-      body: { data: bounty }
-    });
-    if (result?.[0]) return { id: result[0].id.toString(), ...result[0].data };
+  const result = !isNaN(numId) && await supabaseRequest('bounties', 'PATCH', { 
+    query: `id=eq.${numId}`,
+    body: { data: bounty }
+  });
+  if (result?.[0]) {
+    saved = { id: result[0].id.toString(), ...result[0].data };
+  } else {
+    bountiesMemory.set(id, bounty);
   }
-  bountiesMemory.set(id, bounty);
-  return bounty;
+  auditLog.record({ bountyId: id, action: 'update', ...event, before, after: saved });
+  remember(bounty, { stored: true });
+  return remember(saved, { stored: true });
+}
+
+/**
+ * Conditional update: persist the bounty only if the stored row still matches
+ * every PostgREST filter (e.g. 'data->payout->>state=eq.queued')
+ * Returns the saved bounty, or null if the row no longer matched. Memory-only
+ * mode has one process, so it always writes
+ */
+async function updateBountyIf(id, bounty, filters, audit = {}) {
+  const numId = parseInt(id);
+  if (isNaN(numId) || !SUPABASE_KEY) return updateBounty(id, bounty, audit);
+
+  const { before = loadedStateOf(bounty), ...event } = audit;
+  bounty.revision = uuidv4();
+  const result = await supabaseRequest('bounties', 'PATCH', {
+    query: [`id=eq.${numId}`, ...filters].join('&'),
+    body: { data: bounty }
+  });
+  if (!result || result.length === 0) return null;
+
+  const saved = { id: result[0].id.toString(), ...result[0].data };
+  auditLog.record({ bountyId: id, action: 'update', ...event, before, after: saved });
+  remember(bounty, { stored: true });
+  return remember(saved, { stored: true });
+}
+
+const BOUNTY_WRITE_ATTEMPTS = 5;
+
+/**
+ * Read-modify-write: apply(bounty) edits a fresh copy, which is only written if
+ * no other write landed since it was read (every write sets a new revision).
+ * On a conflict the bounty is re-read and apply runs again on the new copy
+ * @param {function} audit - apply's return value => audit context
+ * Returns { bounty, saved, result }, or null if every attempt conflicted
+ */
+async function modifyBounty(id, apply, audit) {
+  for (let attempt = 0; attempt < BOUNTY_WRITE_ATTEMPTS; attempt++) {
+    const bounty = await getBounty(id);
+    const revision = bounty.revision ? `eq.${bounty.revision}` : 'is.null';
+    const result = apply(bounty);
+    const saved = await updateBountyIf(bounty.id, bounty, [`data->>revision=${revision}`], audit(result));
+    if (saved) return { bounty, saved, result };
+    console.log(`[BOUNTY WRITE CONFLICT] ${id} changed while being updated, retrying`);
+  }
+  return null;
 }
 
 /**
@@ -330,7 +452,7 @@ async function updateBounty(id, bounty) {
  * Uses conditional update: only succeeds if status is still 'open'
  * Returns null if claim failed (already claimed by someone else)
  */
-async function atomicClaim(id, claimerAddress) {
+async function atomicClaim(id, claimerAddress, audit = {}) {
   const numId = parseInt(id);
   if (!isNaN(numId) && SUPABASE_KEY) {
     // Fetch existing bounty data first
@@ -351,13 +473,14 @@ async function atomicClaim(id, claimerAddress) {
       status: 'claimed',
       claimedBy: claimerAddress.toLowerCase(),
       claimedAt: now,
-      updatedAt: now
+      updatedAt: now,
+      revision: uuidv4()
     };
     
     // Conditional update - only if still open (prevents race condition)
     const url = `${SUPABASE_URL}/rest/v1/bounties?id=eq.${numId}&data->>status=eq.open`;
     
-    const response = await fetch(url, {
+    const response = await serviceFetch.fetch(url, {
       method: 'PATCH',
       headers: {
         'apikey': SUPABASE_KEY,
@@ -384,7 +507,8 @@ async function atomicClaim(id, claimerAddress) {
     }
     
     console.log(`[ATOMIC CLAIM] Bounty ${id} atomically claimed by ${claimerAddress}`);
-    return mergedData;
+    auditLog.record({ bountyId: existing.id, action: 'claim', ...audit, before: existing, after: mergedData });
+    return remember(mergedData, { stored: true });
   }
   
   // Fallback for memory-only mode (still has race condition but logs warning)
@@ -392,12 +516,14 @@ async function atomicClaim(id, claimerAddress) {
   const bounty = bountiesMemory.get(id);
   if (!bounty || bounty.status !== 'open') return null;
   
+  const before = { ...bounty };
   bounty.status = 'claimed';
   bounty.claimedBy = claimerAddress.toLowerCase();
   bounty.claimedAt = Date.now();
   bounty.updatedAt = Date.now();
   bountiesMemory.set(id, bounty);
-  return bounty;
+  auditLog.record({ bountyId: bounty.id, action: 'claim', ...audit, before, after: bounty });
+  return remember(bounty, { stored: true });
 }
 
 async function deleteBounty(id) {
@@ -417,10 +543,104 @@ const store = createStore('ai-bounty-board');
 const bountiesMemory = store.map('bountiesMemory');
 const agents = store.map('agents');
 const webhooks = store.map('webhooks');
+const paymentNonces = createNonceRegistry(store.map('paymentNonces'));
+
+// Claim, submit, release, cancel and submission edits must be signed by the
+// wallet they act for (see signed-request.js); handlers read req.signer
+const requestVerifier = createRequestVerifier({ nonces: createNonceRegistry(store.map('requestNonces'), REQUEST_NONCE_OPTIONS) });
+const signedRequest = requestVerifier.requireSignature();
+
+// Wallet roles (admin, mod, reviewer, creator) with a grant/revoke log (see roles.js)
+const roles = createRoleStore({ grants: store.map('roles'), log: store.map('roleLog') });
+
+// Approvals and rejections are EIP-712 ModActions signed by a mod wallet (see mod-auth.js).
+// Approving needs the mod role for the bounty's tags; rejecting also accepts reviewers
+const modAuth = createModVerifier({
+  authorize: (address, action, bounty) => roles.has(address, action === 'approve' ? 'mod' : 'reviewer', bounty.tags),
+  nonces: createNonceRegistry(store.map('modActionNonces'), MOD_NONCE_OPTIONS)
+});
+
+// Admin routes take an admin key (INTERNAL_KEY or a named ADMIN_KEYS entry) or a
+// signed request from an admin wallet (see admin-auth.js); handlers read req.admin
+const adminAuth = createAdminAuth({
+  keys: loadAdminKeys(),
+  verifyRequest: req => requestVerifier.verify(req),
+  isAdmin: wallet => roles.has(wallet, 'admin')
+});
+const requireAdmin = adminAuth.requireAdmin();
+
+// Rate-limit buckets persist so limits survive cold starts; RATE_LIMIT_STORE=memory keeps them per process
+const rateLimiter = createRateLimiter({
+  buckets: process.env.RATE_LIMIT_STORE === 'memory' ? new Map() : store.map('rateLimits')
+});
+
+// ============ AUDIT TRAIL ============
+// Every bounty write through saveBounty/updateBounty is appended to the audit
+// log with who made it and the request it came from (see audit-log.js)
+const auditLog = createAuditLog(store.map('bountyEvents'));
+
+/**
+ * Audit context for a bounty write made while handling a request
+ * The actor defaults to the admin, the signing wallet or the paying wallet
+ */
+function auditOf(req, action, actor) {
+  return {
+    action,
+    actor: actor || req.admin?.by || req.signer || req.payer || 'anonymous',
+    requestId: req.requestId
+  };
+}
+
+const ledger = createLedger(store.map('ledger'));
+
+// Posting and payout fees: reward tiers, reputation discounts, negotiated creator
+// rates and per-bounty overrides (FEE_POLICY env tunes the defaults, see fees.js)
+const fees = createFeePolicy({ creatorRates: store.map('creatorFeeRates') });
+
+// Gaming flags, scored and reviewed under GAMING FLAGS below
+const gamingFlags = store.map('gamingFlags');
+
+// Payout reconciliation reports, written under RECONCILIATION below
+const reconciliationReports = store.map('reconciliation');
+
+/**
+ * Validate a per-bounty fee override (basis points) from a request body
+ * Returns { feeBps } with null when absent, or { error }
+ */
+function parseFeeOverride(value) {
+  if (value === undefined || value === null || value === '') return { feeBps: null };
+  const feeBps = Number(value);
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps > 10000) {
+    return { error: 'feeBps must be an integer between 0 and 10000' };
+  }
+  return { feeBps };
+}
+
+// Reputation posts are paid in ETH by the reputation wallet - book the gas once mined
+reputation.onGasSpent(({ txHash, gasCost, endpoint }) => {
+  const bountyId = endpoint?.match(/\/bounties\/([^/]+)$/)?.[1] || null;
+  ledger.recordReputationGas({ txHash, gasCost, bountyId });
+});
+
+// Seed roles once the maps above have loaded
+store.ready().then(() => {
+  const seeded = roles.seed(ROLE_SEEDS);
+  if (seeded) console.log(`[ROLES] Seeded ${seeded} role grants`);
+}).catch(err => console.error(`[ROLES] Seeding failed: ${err.message}`));
 
 // Middleware to ensure store is loaded before handling requests
 app.use(store.middleware());
 
+// Every /admin/* and /internal/* route is admin-only
+app.use(['/admin', '/internal'], requireAdmin, (req, res, next) => {
+  const rateCheck = checkRateLimit(req, res, 'admin');
+  if (!rateCheck.allowed) {
+    console.log(`[RATE LIMITED] ${req.admin.by} hit admin rate limit`);
+    return res.status(429).json({ error: 'Too many admin requests. Please wait before trying again.', retryAfter: rateCheck.retryAfter });
+  }
+  next();
+});
+
 
 // Known agent registries to ping on new bounties
 const AGENT_REGISTRIES = [
@@ -449,10 +669,11 @@ async function notifyAgents(bounty) {
     timestamp: Date.now()
   };
 
-  // Notify all registered webhooks
+  // Notify all registered webhooks (admin webhooks only get admin alerts)
   for (const [id, webhook] of webhooks) {
+    if (webhook.admin) continue;
     try {
-      await fetch(webhook.endpoint, {
+      await outbound.fetch(webhook.endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(notification)
@@ -466,7 +687,7 @@ async function notifyAgents(bounty) {
   // Notify known registries
   for (const registry of AGENT_REGISTRIES) {
     try {
-      await fetch(registry.endpoint, {
+      await outbound.fetch(registry.endpoint, {
         method: registry.method || 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(notification)
@@ -478,88 +699,265 @@ async function notifyAgents(bounty) {
   }
 }
 
-// x402 Configuration for Base
+/**
+ * Send an operational alert to admin webhooks (registered with admin: true)
+ */
+async function notifyAdmins(type, payload) {
+  const notification = { type, ...payload, timestamp: Date.now() };
+  for (const webhook of webhooks.values()) {
+    if (!webhook.admin) continue;
+    try {
+      await outbound.fetch(webhook.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(notification)
+      });
+      console.log(`[NOTIFY] Sent ${type} to admin webhook ${webhook.name}`);
+    } catch (err) {
+      console.log(`[NOTIFY] Failed to ping admin webhook ${webhook.name}: ${err.message}`);
+    }
+  }
+}
+
+// Smallest payment accepted (tips): 0.1 USDC, scaled to each token's decimals
+const MIN_PAYMENT = '100000';
+
+// x402 Configuration: USDC on Base by default, plus every enabled reward asset (see networks.js)
 const X402_CONFIG = {
-  network: 'base',
-  chainId: 8453,
+  network: DEFAULT_NETWORK,
+  chainId: getNetwork(DEFAULT_NETWORK).chainId,
   facilitator: 'https://x402.org/facilitator', // Public facilitator
-  accepts: [{
-    network: 'base',
-    token: 'USDC',
-    address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC on Base
-    minAmount: '100000', // 0.1 USDC minimum (6 decimals)
-  }]
+  accepts: listNetworks().flatMap(n => n.tokens.map(t => ({
+    network: n.network,
+    token: t.symbol,
+    address: t.address,
+    decimals: t.decimals,
+    minAmount: scaleAmount(MIN_PAYMENT, 6, t.decimals)
+  })))
 };
 
+/**
+ * A USDC-denominated amount (fees, minimums) in an asset's smallest units
+ */
+function inAsset(amount, asset) {
+  return scaleAmount(amount, 6, asset.decimals);
+}
+
+/**
+ * Relay job fields for a bounty's payouts and refunds
+ */
+function jobAsset(bounty) {
+  const asset = assetOf(bounty);
+  return { chain: asset.network, token: asset.symbol };
+}
+
 // Treasury wallet (receives posting fees, holds bounty escrow)
 const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
-const POSTING_FEE = '1000000'; // 1 USDC to post a bounty
+
+// ============ CHAIN ============
+// Payouts, reputation posts and (in sandbox) x402 settlement all go through a
+// chain adapter (chain.js). SANDBOX=1 swaps live RPCs for an in-memory fake
+// chain: dev keys fill in for missing wallet keys, the relay wallet starts
+// funded, and payers are funded on demand.
+const SANDBOX = process.env.SANDBOX === '1';
+const SANDBOX_RELAY_FUNDS = 1000000; // whole tokens minted to the relay wallet per token
+const SANDBOX_GAS_FUNDS = '1'; // ETH minted to the relay and reputation wallets per network
+
+const chain = SANDBOX ? createFakeChain() : createEthersChain();
+
+/**
+ * A wallet key from env, or a fixed dev key for this role in sandbox mode
+ */
+function walletKey(role, ...envKeys) {
+  const fromEnv = envKeys.map(k => process.env[k]).find(Boolean);
+  if (fromEnv || !SANDBOX) return fromEnv || null;
+  return ethers.id(`ai-bounty-board:sandbox:${role}`);
+}
+
+// Reputation feedback wallet (only its address is used here; reputation.js signs)
+const reputationWallet = chain.wallet(walletKey('reputation', 'OWOCKIBOT_PRIVATE_KEY'));
+
+if (SANDBOX) {
+  reputation.configure({ chain, privateKey: walletKey('reputation', 'OWOCKIBOT_PRIVATE_KEY') });
+  console.log('[SANDBOX] Using the in-memory fake chain - no real funds move');
+}
+
+// Facilitator verifies EIP-3009 authorizations and settles them on-chain
+// (X402_FACILITATOR=local swaps in an offline stand-in; sandbox settles on the fake chain)
+const facilitator = SANDBOX
+  ? createFacilitator({ mode: 'local', chain })
+  : createFacilitator({ url: X402_CONFIG.facilitator, fetch: serviceFetch.fetch });
+
+/**
+ * Verify an X-Payment header against payment requirements
+ * Returns { payment, payer } or throws with a client-facing message
+ */
+async function verifyPayment(paymentHeader, requirements) {
+  const payment = decodePaymentHeader(paymentHeader);
+  const nonceCheck = paymentNonces.check(payment.payload.authorization);
+  if (!nonceCheck.ok) {
+    const err = new Error(nonceCheck.reason);
+    err.code = nonceCheck.code;
+    throw err;
+  }
+  const verification = await facilitator.verify(payment, requirements);
+  if (!verification.isValid) {
+    throw new Error(verification.invalidReason || 'Payment verification failed');
+  }
+  return { payment, payer: verification.payer };
+}
+
+/**
+ * Settle a verified payment through the facilitator
+ * Returns the settlement ({ transaction, network, payer }) or throws
+ */
+async function settlePayment(payment, requirements) {
+  // Spend the nonce first - a second request with the same header fails here
+  paymentNonces.consume(payment.payload.authorization, requirements.resource);
+  const settlement = await facilitator.settle(payment, requirements);
+  if (!settlement.success) {
+    throw new Error(settlement.errorReason || 'Payment settlement failed');
+  }
+  console.log(`[X402] Settled ${requirements.maxAmountRequired} from ${settlement.payer} (tx: ${settlement.transaction})`);
+  return settlement;
+}
+
+/**
+ * Send a 402 for a failed payment
+ * Replayed and expired authorizations get their own error so clients know to re-sign;
+ * the requirements are repeated so spec clients can retry with a fresh payment
+ */
+function paymentFailed(res, error, requirements, fallback = 'Payment verification failed') {
+  const errors = {
+    replay: 'Payment already used',
+    expired: 'Payment authorization expired',
+    window: 'Payment authorization window too long'
+  };
+  if (error.code === 'replay') {
+    console.log(`[X402 REPLAY BLOCKED] ${error.message}`);
+  }
+  return res.status(402).json({
+    x402Version: X402_VERSION,
+    error: errors[error.code] || fallback,
+    accepts: [requirements],
+    code: error.code || 'invalid',
+    message: error.message
+  });
+}
+
+/**
+ * Send a spec 402 ({ x402Version, error, accepts }) for a request
+ * breakdown (optional) explains what the amount covers. The x402 block is the
+ * pre-spec body, kept for older clients
+ */
+function paymentRequired(res, requirements, { error = 'Payment Required', breakdown } = {}) {
+  return res.status(402).json({
+    x402Version: X402_VERSION,
+    error,
+    accepts: [requirements],
+    ...(breakdown && { breakdown }),
+    x402: {
+      version: '1.0',
+      network: requirements.network,
+      chainId: getNetwork(requirements.network).chainId,
+      recipient: TREASURY_ADDRESS,
+      amount: requirements.maxAmountRequired,
+      token: assetByAddress(requirements.network, requirements.asset)?.symbol,
+      tokenAddress: requirements.asset,
+      description: requirements.description,
+      facilitator: X402_CONFIG.facilitator,
+      requirements,
+      ...(breakdown && { breakdown })
+    }
+  });
+}
+
+function requestOrigin(req) {
+  return `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Absolute URL of the paid resource, as the spec's requirements.resource expects
+ */
+function resourceUrl(req) {
+  return requestOrigin(req) + req.originalUrl;
+}
+
+/**
+ * Attach the settlement to a paid response as the X-PAYMENT-RESPONSE header
+ */
+function paymentSettled(res, settlement) {
+  res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settlement));
+}
 
 /**
  * Middleware: x402 Payment Verification
- * Simplified version - in production use @x402/express
+ * Verifies the EIP-3009 authorization and settles it before the handler runs
  */
 function requirePayment(amount, description) {
   return async (req, res, next) => {
     const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+    const requirements = buildPaymentRequirements({
+      amount,
+      payTo: TREASURY_ADDRESS,
+      resource: resourceUrl(req),
+      description,
+      network: X402_CONFIG.network
+    });
     
     if (!paymentHeader) {
       // Return 402 with payment requirements
-      return res.status(402).json({
-        error: 'Payment Required',
-        x402: {
-          version: '1.0',
-          network: X402_CONFIG.network,
-          chainId: X402_CONFIG.chainId,
-          recipient: TREASURY_ADDRESS,
-          amount: amount,
-          token: 'USDC',
-          tokenAddress: X402_CONFIG.accepts[0].address,
-          description: description,
-          // In production: include nonce, expiry, facilitator URL
-        }
-      });
+      return paymentRequired(res, requirements);
     }
 
     try {
-      // Verify payment (simplified - in production verify signature & on-chain)
-      const payment = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
-      
-      // Basic validation
-      if (!payment.signature || !payment.payer) {
-        throw new Error('Invalid payment payload');
-      }
-
-      // Verify signature (simplified)
-      const message = `x402:${payment.recipient}:${payment.amount}:${payment.nonce}`;
-      const recoveredAddress = ethers.verifyMessage(message, payment.signature);
-      
-      if (recoveredAddress.toLowerCase() !== payment.payer.toLowerCase()) {
-        throw new Error('Invalid signature');
-      }
+      const { payment, payer } = await verifyPayment(paymentHeader, requirements);
+      const settlement = await settlePayment(payment, requirements);
+      paymentSettled(res, settlement);
 
       req.payment = payment;
-      req.payer = payment.payer;
+      req.payer = payer;
+      req.settlement = settlement;
       next();
     } catch (error) {
-      return res.status(402).json({
-        error: 'Payment verification failed',
-        message: error.message
-      });
+      return paymentFailed(res, error, requirements);
     }
   };
 }
 
+/**
+ * Error body for a webhook endpoint the outbound client refuses
+ */
+function webhookEndpointError({ code, reason }) {
+  const errors = {
+    invalid_url: 'Invalid webhook endpoint URL',
+    blocked_protocol: 'Webhook endpoint must be http or https',
+    blocked_address: 'Webhook endpoint must be a public address',
+    dns_failed: 'Webhook endpoint host does not resolve'
+  };
+  return { error: errors[code] || 'Invalid webhook endpoint URL', code, hint: reason };
+}
+
 /**
  * Register an AI agent
  * POST /agents
  */
-app.post('/agents', (req, res) => {
+app.post('/agents', async (req, res) => {
   const { address, name, capabilities, endpoint, webhookUrl } = req.body;
   
   if (!address || !name) {
     return res.status(400).json({ error: 'address and name required' });
   }
+  const rateCheck = checkRateLimit(req, res, 'register');
+  if (!rateCheck.allowed) {
+    return res.status(429).json({ error: 'Too many registrations. Please wait before trying again.', retryAfter: rateCheck.retryAfter });
+  }
+  if (webhookUrl) {
+    const reachable = await outbound.check(webhookUrl);
+    if (!reachable.ok) {
+      return res.status(400).json(webhookEndpointError(reachable));
+    }
+  }
 
   const agent = {
     id: uuidv4(),
@@ -590,17 +988,16 @@ app.post('/agents', (req, res) => {
 /**
  * Register a webhook for bounty notifications
  * POST /webhooks
- * Requires authentication (internal key or agent signature)
+ * Requires authentication (admin auth or agent signature)
  */
-app.post('/webhooks', (req, res) => {
-  const { name, endpoint, agentAddress, signature } = req.body;
-  const internalKey = req.headers['x-internal-key'];
+app.post('/webhooks', async (req, res) => {
+  const { name, endpoint, agentAddress, signature, admin } = req.body;
   
   // Require authentication
-  const validInternalKey = internalKey === process.env.INTERNAL_KEY || internalKey === process.env.INTERNAL_KEY;
+  const isAdmin = adminAuth.isAdminRequest(req);
   
   // For agent-registered webhooks, verify they control the address
-  let authenticated = validInternalKey;
+  let authenticated = isAdmin;
   if (!authenticated && agentAddress && signature) {
     try {
       const message = `register-webhook:${name}:${endpoint}`;
@@ -614,29 +1011,35 @@ app.post('/webhooks', (req, res) => {
   if (!authenticated) {
     return res.status(401).json({ 
       error: 'Authentication required',
-      hint: 'Provide x-internal-key header OR sign message "register-webhook:{name}:{endpoint}" with agentAddress'
+      hint: 'Provide an admin key (x-internal-key) OR sign message "register-webhook:{name}:{endpoint}" with agentAddress'
     });
   }
   
   if (!name || !endpoint) {
     return res.status(400).json({ error: 'name and endpoint required' });
   }
+  const rateCheck = isAdmin ? { allowed: true } : checkRateLimit(req, res, 'register');
+  if (!rateCheck.allowed) {
+    return res.status(429).json({ error: 'Too many registrations. Please wait before trying again.', retryAfter: rateCheck.retryAfter });
+  }
+  if (admin && !isAdmin) {
+    return res.status(401).json({ error: 'Admin webhooks require admin auth', code: 'admin_auth_required' });
+  }
   
-  // Validate endpoint URL
-  try {
-    const url = new URL(endpoint);
-    if (!['http:', 'https:'].includes(url.protocol)) {
-      return res.status(400).json({ error: 'Webhook endpoint must be http or https' });
-    }
-  } catch (e) {
-    return res.status(400).json({ error: 'Invalid webhook endpoint URL' });
+  // Validate endpoint URL (deliveries re-check the address on every send)
+  const reachable = await outbound.check(endpoint);
+  if (!reachable.ok) {
+    return res.status(400).json(webhookEndpointError(reachable));
   }
 
   const id = uuidv4();
-  webhooks.set(id, { id, name, endpoint, agentAddress: agentAddress || null, createdAt: Date.now() });
+  webhooks.set(id, { id, name, endpoint, agentAddress: agentAddress || null, admin: !!admin, createdAt: Date.now() });
   
-  console.log(`[WEBHOOK] Registered (authenticated): ${name} -> ${endpoint}`);
-  res.json({ id, name, endpoint, message: 'Webhook registered. You will be notified of new bounties.' });
+  console.log(`[WEBHOOK] Registered (authenticated${admin ? ', admin' : ''}): ${name} -> ${endpoint}`);
+  res.json({
+    id, name, endpoint, admin: !!admin,
+    message: admin ? 'Admin webhook registered. You will be notified of treasury alerts.' : 'Webhook registered. You will be notified of new bounties.'
+  });
 });
 
 /**
@@ -647,7 +1050,8 @@ app.get('/webhooks', (req, res) => {
   res.json(Array.from(webhooks.values()).map(w => ({
     id: w.id,
     name: w.name,
-    agentAddress: w.agentAddress
+    agentAddress: w.agentAddress,
+    admin: !!w.admin
   })));
 });
 
@@ -681,7 +1085,7 @@ app.get('/discover', async (req, res) => {
   res.json({
     count: results.length,
     bounties: results,
-    claimInstructions: 'POST to /bounties/{id}/claim with { address: "0x..." }'
+    claimInstructions: 'POST to /bounties/{id}/claim as a signed request from your wallet (see GET /agent signed_requests)'
   });
 });
 
@@ -697,23 +1101,90 @@ app.get('/agents/:address', (req, res) => {
   res.json(agent);
 });
 
+/**
+ * Audit events involving a wallet (as actor, creator or claimer), oldest first
+ * GET /agents/:address/history?action=&since=&limit=
+ */
+app.get('/agents/:address/history', (req, res) => {
+  const wallet = req.params.address;
+  if (!ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: 'Invalid wallet address' });
+  }
+  const { action } = req.query;
+  const since = parseInt(req.query.since) || undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const events = auditLog.query({ wallet, action, since, limit });
+  res.json({ wallet: wallet.toLowerCase(), count: events.length, events });
+});
+
+/**
+ * Networks and reward tokens bounties can be created in
+ * GET /networks
+ */
+app.get('/networks', (req, res) => {
+  res.json({ default: { network: DEFAULT_NETWORK, token: DEFAULT_TOKEN }, networks: listNetworks() });
+});
+
+/**
+ * Fee schedule and quotes
+ * GET /fees?reward=&creator=&worker=&network=&token=
+ */
+app.get('/fees', (req, res) => {
+  const { reward, creator, worker, network, token } = req.query;
+  const schedule = fees.schedule();
+  if (!reward) {
+    return res.json({ schedule });
+  }
+  const { asset, error: assetError, supported } = resolveAsset({ network, token });
+  if (assetError) {
+    return res.status(400).json({ error: assetError, supported, hint: 'See GET /networks' });
+  }
+  if (!/^\d+$/.test(reward)) {
+    return res.status(400).json({ error: `reward must be in smallest units of ${asset.symbol} (${asset.decimals} decimals)` });
+  }
+
+  const quote = fees.quote({
+    reward,
+    creator: creator || null,
+    workerReputation: worker ? agents.get(worker.toLowerCase())?.reputation ?? null : null
+  });
+  res.json({
+    schedule,
+    quote: {
+      ...quote,
+      postingFee: fees.postingFee(creator),
+      feeFormatted: formatAmount(quote.fee, asset),
+      netRewardFormatted: formatAmount(quote.netReward, asset)
+    }
+  });
+});
+
 /**
  * Submission guidelines for AI agents
  * GET /guidelines
  */
 app.get('/guidelines', (req, res) => {
+  // Per-wallet allowance of a route, per minute
+  const perMinute = route => {
+    const policy = rateLimiter.policies[route]?.find(p => p.by === 'wallet');
+    return policy ? Math.round(policy.limit * 60000 / policy.windowMs) : null;
+  };
   res.json({
     version: '1.0',
     rules: {
       minWorkTime: { threshold: '$20+', minutes: 10, description: 'Must wait 10 min after claiming before submitting' },
       proofRequired: { threshold: '$30+', description: 'Submission must include a proof URL' },
       humanReview: { threshold: '$100+', description: 'Requires manual moderator approval' },
-      selfDealingBlocked: { description: 'Creator cannot claim their own bounty' }
+      selfDealingBlocked: { description: 'Creator cannot claim their own bounty' },
+      signedRequests: { description: 'Claim, submit, release and submission edits must be signed by your wallet (see GET /agent signed_requests)' },
+      gamingDetection: { description: 'Repeated claim/release churn, mostly rejected work, near-identical submissions across bounties and wallets working the same bounties together are flagged for moderator review and can lead to blocklisting' }
     },
+    fees: fees.schedule(),
     rateLimits: {
-      claimsPerMinute: 3,
-      submissionsPerMinute: 5,
-      creationsPerMinute: 2
+      claimsPerMinute: perMinute('claim'),
+      submissionsPerMinute: perMinute('submit'),
+      creationsPerMinute: perMinute('create'),
+      policies: rateLimiter.describe()
     },
     submissionRequirements: [
       'Clear description of work done',
@@ -740,7 +1211,7 @@ app.get('/guidelines', (req, res) => {
  * GET /bounties
  */
 app.get('/bounties', async (req, res) => {
-  const { status, tag } = req.query;
+  const { status, tag, network, token } = req.query;
   let results = await getAllBounties();
   
   if (status) {
@@ -749,6 +1220,12 @@ app.get('/bounties', async (req, res) => {
   if (tag) {
     results = results.filter(b => b.tags && b.tags.includes(tag));
   }
+  if (network) {
+    results = results.filter(b => assetOf(b).network === network);
+  }
+  if (token) {
+    results = results.filter(b => assetOf(b).symbol === token.toUpperCase());
+  }
   
   results.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
   res.json(results);
@@ -766,6 +1243,20 @@ app.get('/bounties/:id', async (req, res) => {
   res.json(bounty);
 });
 
+/**
+ * Bounty audit trail: every change, who made it and what it changed, oldest first
+ * GET /bounties/:id/history?action=&limit=
+ */
+app.get('/bounties/:id/history', async (req, res) => {
+  const bounty = await getBounty(req.params.id);
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const events = auditLog.query({ bountyId: bounty.id, action: req.query.action, limit });
+  res.json({ bountyId: bounty.id, status: bounty.status, count: events.length, events });
+});
+
 /**
  * Mod Dashboard UI
  * GET /mod
@@ -793,7 +1284,7 @@ app.get('/mod', async (req, res) => {
     }
     score = score !== undefined ? score : '?';
     const submittedAt = lastSub?.submittedAt ? new Date(lastSub.submittedAt).toLocaleString() : 'Unknown';
-    const reward = (parseInt(b.reward || 0) / 1e6).toFixed(2);
+    const reward = formatAmount(b.reward || 0, assetOf(b));
     
     // Calculate claim-to-submit time (gaming detection)
     let claimToSubmitMin = '?';
@@ -805,10 +1296,10 @@ app.get('/mod', async (req, res) => {
     const workTimeStyle = claimToSubmitMin !== '?' && claimToSubmitMin < 10 ? 'color:#ff6b6b;font-weight:bold;' : '';
     
     return `
-      <tr data-id="${esc(b.id)}" data-claimer="${esc(b.claimedBy || '')}">
+      <tr data-id="${esc(b.id)}" data-claimer="${esc(b.claimedBy || '')}" data-submission="${esc(lastSub?.id || '')}" data-milestone="${esc(lastSub?.milestoneId || '')}">
         <td><strong>#${esc(b.id)}</strong></td>
         <td>${esc(b.title?.slice(0, 40))}${b.title?.length > 40 ? '...' : ''}</td>
-        <td>$${reward}</td>
+        <td>${reward}</td>
         <td><code>${esc(b.claimedBy?.slice(0,6))}...${esc(b.claimedBy?.slice(-4))}</code></td>
         <td>${score}%</td>
         <td style="${workTimeStyle}">${claimToSubmitMin} min</td>
@@ -912,7 +1403,7 @@ app.get('/mod', async (req, res) => {
     
     <div class="wallet-bar">
       <span>Your wallet:</span>
-      <input type="text" id="mod-wallet" placeholder="0x... (paste your mod wallet)">
+      <input type="text" id="mod-wallet" placeholder="Connect MetaMask with your mod wallet" readonly>
       <button id="connect-btn" onclick="setModWallet()">Connect</button>
       <span id="wallet-status" style="color:#4ade80;display:none;">✓ Connected</span>
     </div>
@@ -970,13 +1461,16 @@ app.get('/mod', async (req, res) => {
       document.getElementById('connect-btn').textContent = 'Update';
     }
     
-    function setModWallet() {
-      const input = document.getElementById('mod-wallet').value.trim().toLowerCase();
-      if (!input || !input.startsWith('0x')) {
-        showToast('Enter a valid wallet address (0x...)', true);
+    async function setModWallet() {
+      if (!window.ethereum) { showToast('MetaMask is required to sign mod actions', true); return; }
+      try {
+        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        modWallet = accounts[0].toLowerCase();
+      } catch (e) {
+        showToast('Wallet connection rejected', true);
         return;
       }
-      modWallet = input;
+      document.getElementById('mod-wallet').value = modWallet;
       localStorage.setItem('modWallet', modWallet);
       highlightConflicts();
       document.getElementById('wallet-status').style.display = 'inline';
@@ -997,15 +1491,45 @@ app.get('/mod', async (req, res) => {
     }
     highlightConflicts();
     
+    // Approvals and rejections are EIP-712 ModActions signed in MetaMask (see mod-auth.js)
+    const MOD_ACTION_DOMAIN = ${JSON.stringify(MOD_ACTION_DOMAIN)};
+    const MOD_ACTION_TYPES = ${JSON.stringify(MOD_ACTION_TYPES)};
+    
+    async function signModAction(id, action) {
+      const row = document.querySelector('#pending-table tr[data-id="' + id + '"]');
+      const message = {
+        bountyId: String(id),
+        action,
+        submissionId: row?.dataset.submission || '',
+        milestoneId: row?.dataset.milestone || '',
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+      const typedData = {
+        types: { EIP712Domain: [{ name: 'name', type: 'string' }, { name: 'version', type: 'string' }], ...MOD_ACTION_TYPES },
+        domain: MOD_ACTION_DOMAIN,
+        primaryType: 'ModAction',
+        message
+      };
+      const signature = await window.ethereum.request({ method: 'eth_signTypedData_v4', params: [modWallet, JSON.stringify(typedData)] });
+      return {
+        modWallet,
+        signature,
+        timestamp: message.timestamp,
+        submissionId: message.submissionId || undefined,
+        milestoneId: message.milestoneId || undefined
+      };
+    }
+    
     async function approveBounty(id) {
-      if (!modWallet) { showToast('Set your wallet first', true); return; }
+      if (!modWallet || !window.ethereum) { showToast('Connect your mod wallet first', true); return; }
       if (!confirm('Approve this submission and release payment?')) return;
       
       try {
+        const signed = await signModAction(id, 'approve');
         const res = await fetch('/bounties/' + id + '/approve', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ modWallet })
+          body: JSON.stringify(signed)
         });
         const data = await res.json();
         if (res.ok) {
@@ -1020,14 +1544,16 @@ app.get('/mod', async (req, res) => {
     }
     
     async function rejectBounty(id) {
+      if (!modWallet || !window.ethereum) { showToast('Connect your mod wallet first', true); return; }
       const reason = prompt('Rejection reason:');
       if (!reason) return;
       
       try {
+        const signed = await signModAction(id, 'reject');
         const res = await fetch('/bounties/' + id + '/reject', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'X-Internal-Key': process.env.INTERNAL_KEY },
-          body: JSON.stringify({ reason })
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...signed, reason })
         });
         const data = await res.json();
         if (res.ok) {
@@ -1097,8 +1623,8 @@ app.get('/mod/pending', async (req, res) => {
   if (modWallet) {
     pending = pending.map(b => ({
       ...b,
-      canApprove: b.claimedBy?.toLowerCase() !== modWallet,
-      conflictReason: b.claimedBy?.toLowerCase() === modWallet ? 'You submitted this bounty' : null
+      canApprove: b.claimedBy?.toLowerCase() !== modWallet && isMod(modWallet, b.tags),
+      conflictReason: b.claimedBy?.toLowerCase() === modWallet ? 'You submitted this bounty' : (isMod(modWallet, b.tags) ? null : 'Not a mod for this bounty\'s tags')
     }));
   }
   
@@ -1116,90 +1642,228 @@ app.get('/mod/pending', async (req, res) => {
   });
 });
 
+// ============ GAMING FLAGS ============
+// Wallets are scored from their bounty history (claim/release churn, rejection
+// ratio, near-identical submissions, clusters of wallets on the same bounties)
+// and flagged for mods with the evidence (see gaming-detector.js). Scans run on
+// POST /mod/flags/scan, and after rejections, releases and queue reads once the
+// last scan is more than 10 minutes old. GAMING_AUTO_BLOCK=1 sends
+// flags reaching the block score to the blocklist; wallets with a role never are.
+const gamingDetector = createGamingDetector({
+  flags: gamingFlags,
+  getAllBounties,
+  isProtected: wallet => roles.list({ wallet }).length > 0,
+  escalate: async (flag, { by, reason }) => {
+    await addToBlocklist(flag.wallet, reason, by);
+    notifyAdmins('gaming_flag', { wallet: flag.wallet, score: flag.score, blockedBy: by, signals: flag.signals.map(s => s.summary) })
+      .catch(err => console.log(`[NOTIFY ERROR] ${err.message}`));
+  }
+});
+
 /**
- * Create a new bounty (requires x402 payment)
- * POST /bounties
+ * Rescan in the background after history changed, at most once per scan interval
  */
-app.post('/bounties', async (req, res) => {
-  const { title, description, reward, tags, deadline, requirements } = req.body;
-  
-  if (!title || !description || !reward) {
-    return res.status(400).json({ error: 'title, description, and reward required' });
+function rescanGaming() {
+  gamingDetector.scanIfStale().catch(err => console.error(`[GAMING] Scan failed: ${err.message}`));
+}
+
+/**
+ * Middleware: admins, or wallets with an unscoped reviewer/mod role (signed request)
+ * Sets req.reviewer to the admin or wallet acting
+ */
+function requireReviewer(req, res, next) {
+  const result = adminAuth.identify(req);
+  if (result?.admin) {
+    req.admin = result.admin;
+    req.reviewer = result.admin.by;
+    return next();
   }
-  
-  // SECURITY PAUSE: Only admin wallet can create bounties during security audit
-  const ADMIN_WALLET = '0xccD7200024A8B5708d381168ec2dB0DC587af83F';
-  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
-  
-  if (paymentHeader) {
-    try {
-      const payment = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
-      const payerWallet = payment.payer?.toLowerCase();
-      
-      if (payerWallet !== ADMIN_WALLET.toLowerCase()) {
-        console.log(`[BOUNTY CREATION BLOCKED] Non-admin wallet ${payment.payer} attempted to create bounty during security pause`);
-        return res.status(403).json({
-          error: 'Bounty creation temporarily restricted',
-          message: 'Only admin wallet can create bounties during security audit. Please check back later.',
-          hint: 'This is a temporary security measure. Normal bounty creation will resume soon.'
-        });
-      }
-    } catch (e) {
-      // If we can't parse payment, we'll reject below anyway
-    }
+  if (result?.code === 'not_admin' && roles.has(result.signer, 'reviewer')) {
+    req.reviewer = result.signer.toLowerCase();
+    return next();
+  }
+  if (result?.code === 'not_admin') {
+    return res.status(403).json({ error: 'Wallet is not a reviewer', code: 'not_reviewer', hint: 'The flag queue needs a reviewer or mod role without a tag scope' });
+  }
+  if (result) {
+    const { status, ...body } = result;
+    return res.status(status).json(body);
+  }
+  return res.status(401).json({ error: 'Reviewer auth required', code: 'reviewer_auth_required', hint: 'Send an admin key, or sign the request with a reviewer or mod wallet (see GET /agent signed_requests)' });
+}
+
+/**
+ * Mod: Flagged wallets, highest score first
+ * GET /mod/flags?status=open|confirmed|dismissed|blocked|cleared|all&limit=
+ */
+app.get('/mod/flags', requireReviewer, async (req, res) => {
+  const status = req.query.status || 'open';
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  try {
+    const lastScan = await gamingDetector.scanIfStale();
+    const flags = gamingDetector.list({ status, limit });
+    res.json({ count: flags.length, status, flags, lastScan });
+  } catch (err) {
+    res.status(500).json({ error: 'Gaming scan failed', message: err.message });
+  }
+});
+
+/**
+ * Mod: One wallet's flag with its evidence and reviews
+ * GET /mod/flags/:wallet
+ */
+app.get('/mod/flags/:wallet', requireReviewer, (req, res) => {
+  const flag = gamingDetector.get(req.params.wallet);
+  if (!flag) {
+    return res.status(404).json({ error: 'No flag for this wallet' });
+  }
+  res.json(flag);
+});
+
+/**
+ * Mod: Rescan every wallet now
+ * POST /mod/flags/scan
+ */
+app.post('/mod/flags/scan', requireReviewer, async (req, res) => {
+  try {
+    const result = await gamingDetector.scan();
+    console.log(`[GAMING] Scan by ${req.reviewer}: ${result.flagged} flagged of ${result.wallets} wallets`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: 'Gaming scan failed', message: err.message });
+  }
+});
+
+/**
+ * Mod: Review a flag
+ * POST /mod/flags/:wallet/review
+ * Body: { decision: 'dismiss'|'confirm'|'block', note?: string }
+ * 'block' adds the wallet to the blocklist and needs an admin
+ */
+app.post('/mod/flags/:wallet/review', requireReviewer, async (req, res) => {
+  const { decision, note } = req.body;
+  if (decision === 'block' && !req.admin) {
+    return res.status(403).json({ error: 'Only admins can block a wallet', hint: 'Confirm the flag so an admin can block it' });
+  }
+  try {
+    const result = await gamingDetector.review(req.params.wallet, { decision, by: req.reviewer, note: note || null });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, flag: result.flag });
+  } catch (err) {
+    res.status(500).json({ error: 'Reviewing the flag failed', message: err.message });
+  }
+});
+
+/**
+ * Create a new bounty (requires x402 payment)
+ * POST /bounties
+ */
+app.post('/bounties', async (req, res) => {
+  const { title, description, reward, tags, deadline, requirements, feeBps, milestones, network, token } = req.body;
+  
+  if (!title || !description || !reward) {
+    return res.status(400).json({ error: 'title, description, and reward required' });
+  }
+
+  // Reward asset: USDC on Base unless the creator picks another network/token (GET /networks)
+  const { asset, error: assetError, supported } = resolveAsset({ network, token });
+  if (assetError) {
+    return res.status(400).json({ error: assetError, supported, hint: 'See GET /networks' });
+  }
+  
+  // SECURITY PAUSE: Only allowlisted creators (creator role, or admin) can create bounties during security audit
+  // Tag-scoped creators can only post bounties carrying one of their tags
+  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+  
+  if (paymentHeader) {
+    try {
+      const payment = decodePaymentHeader(paymentHeader);
+      const payerWallet = payment.payload.authorization.from?.toLowerCase();
+      
+      if (!roles.has(payerWallet, 'creator', tags)) {
+        console.log(`[BOUNTY CREATION BLOCKED] Wallet ${payerWallet} is not on the creator allowlist`);
+        return res.status(403).json({
+          error: 'Bounty creation temporarily restricted',
+          message: 'Only allowlisted creator wallets can create bounties during security audit. Please check back later.',
+          hint: 'This is a temporary security measure. Normal bounty creation will resume soon.'
+        });
+      }
+    } catch (e) {
+      // If we can't parse payment, we'll reject below anyway
+    }
   }
   
+  // Per-bounty fee overrides are an admin tool - only honoured with admin auth
+  const feeOverride = parseFeeOverride(feeBps);
+  if (feeOverride.error) {
+    return res.status(400).json({ error: feeOverride.error });
+  }
+  if (feeOverride.feeBps !== null && !adminAuth.isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Fee overrides require admin auth', hint: 'Omit feeBps to use the standard fee schedule (GET /fees)' });
+  }
+
   // ESCROW REQUIREMENT: Creator must pay posting fee + full reward amount
-  const totalRequired = BigInt(POSTING_FEE) + BigInt(reward);
+  // The creator's negotiated rate applies once we know who is paying
+  let creatorHint = req.body.creator || null;
+  if (paymentHeader) {
+    try {
+      creatorHint = decodePaymentHeader(paymentHeader).payload.authorization.from;
+    } catch (e) {
+      // Rejected during verification below
+    }
+  }
+  const postingFee = inAsset(fees.postingFee(creatorHint), asset);
+  const feeQuote = fees.quote({ reward, creator: creatorHint, overrideBps: feeOverride.feeBps });
+  const totalRequired = BigInt(postingFee) + BigInt(reward);
+  const paymentRequirements = buildPaymentRequirements({
+    amount: totalRequired.toString(),
+    payTo: TREASURY_ADDRESS,
+    resource: resourceUrl(req),
+    description: `Bounty escrow: ${formatAmount(reward, asset)} reward + ${formatAmount(postingFee, asset)} fee`,
+    network: asset.network,
+    token: asset.symbol
+  });
   // paymentHeader already declared above for admin check
   
   if (!paymentHeader) {
-    return res.status(402).json({
+    return paymentRequired(res, paymentRequirements, {
       error: 'Payment Required: You must fund the bounty upfront',
-      x402: {
-        version: '1.0',
-        network: X402_CONFIG.network,
-        chainId: X402_CONFIG.chainId,
-        recipient: TREASURY_ADDRESS,
-        amount: totalRequired.toString(),
-        token: 'USDC',
-        tokenAddress: X402_CONFIG.accepts[0].address,
-        description: `Bounty escrow: ${(parseInt(reward) / 1e6).toFixed(2)} USDC reward + 1 USDC fee`,
-        breakdown: {
-          postingFee: POSTING_FEE,
-          reward: reward.toString(),
-          total: totalRequired.toString()
-        }
+      breakdown: {
+        postingFee,
+        reward: reward.toString(),
+        total: totalRequired.toString(),
+        // Taken from the reward at approval, not charged now
+        payoutFee: {
+          feeBps: feeQuote.feeBps,
+          feePercent: feeQuote.feePercent + '%',
+          amount: feeQuote.fee.toString(),
+          workerReceives: feeQuote.netReward.toString(),
+          source: feeQuote.source,
+          note: fees.policy.reputationDiscounts.length && feeQuote.source !== 'bounty-override'
+            ? 'Workers with enough reputation get a discount at approval'
+            : undefined
+        },
+        schedule: '/fees'
       }
     });
   }
   
-  // Verify payment
+  // Verify payment (signature + amount); settlement happens once the bounty passes validation
+  let payment;
   try {
-    const payment = JSON.parse(Buffer.from(paymentHeader, 'base64').toString());
-    if (!payment.signature || !payment.payer) {
-      throw new Error('Invalid payment payload');
-    }
-    const message = `x402:${payment.recipient}:${payment.amount}:${payment.nonce}`;
-    const recoveredAddress = ethers.verifyMessage(message, payment.signature);
-    if (recoveredAddress.toLowerCase() !== payment.payer.toLowerCase()) {
-      throw new Error('Invalid signature');
-    }
-    if (BigInt(payment.amount) < totalRequired) {
-      throw new Error(`Insufficient payment: sent ${payment.amount}, need ${totalRequired}`);
-    }
-    req.payer = payment.payer;
+    const verified = await verifyPayment(paymentHeader, paymentRequirements);
+    payment = verified.payment;
+    req.payer = verified.payer;
   } catch (error) {
-    return res.status(402).json({
-      error: 'Payment verification failed',
-      message: error.message
-    });
+    return paymentFailed(res, error, paymentRequirements);
   }
   
   // Rate limit bounty creation
-  const rateCheck = checkRateLimit(req.payer, 'create');
+  const rateCheck = checkRateLimit(req, res, 'create');
   if (!rateCheck.allowed) {
-    console.log(`[RATE LIMITED] ${req.payer} hit bounty creation rate limit`);
+    console.log(`[RATE LIMITED] ${req.payer} (${req.ip}) hit bounty creation rate limit (${rateCheck.policy})`);
     return res.status(429).json({ 
       error: 'Too many bounty creations. Please wait before trying again.',
       retryAfter: rateCheck.retryAfter
@@ -1220,18 +1884,41 @@ app.post('/bounties', async (req, res) => {
   if (requirements && requirements.length > MAX_REQUIREMENTS) {
     return res.status(400).json({ error: `Too many requirements (max ${MAX_REQUIREMENTS})`, yourCount: requirements.length });
   }
+  let milestonePlan = null;
+  if (milestones !== undefined) {
+    const parsed = parseMilestones(milestones, reward, asset);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, hint: 'milestones: [{ title, requirements, bps }] with bps adding up to 10000' });
+    }
+    milestonePlan = parsed.milestones;
+  }
+
+  // Settle the escrow payment on-chain before the bounty exists
+  let settlement;
+  try {
+    settlement = await settlePayment(payment, paymentRequirements);
+  } catch (error) {
+    console.log(`[ESCROW SETTLEMENT FAILED] ${req.payer}: ${error.message}`);
+    return paymentFailed(res, error, paymentRequirements, 'Payment settlement failed');
+  }
+  paymentSettled(res, settlement);
 
   const bounty = {
     uuid: uuidv4(),
     title,
     description,
-    reward: reward.toString(), // USDC amount in smallest units
-    rewardFormatted: (parseInt(reward) / 1e6).toFixed(2) + ' USDC',
+    reward: reward.toString(), // Smallest units of the bounty's asset
+    rewardFormatted: formatAmount(reward, asset),
+    network: asset.network,
+    asset: assetRecord(asset),
     tags: tags || [],
     deadline: deadline || Date.now() + 7 * 24 * 60 * 60 * 1000, // Default 7 days
     requirements: requirements || [],
     creator: req.payer,
-    status: 'open', // open, claimed, submitted, completed, cancelled
+    postingFee,
+    feeOverrideBps: feeOverride.feeBps,
+    ...(milestonePlan && { milestones: milestonePlan }),
+    status: 'open', // open, claimed, submitted, payment_pending, completed, cancelled, expired
     claimedBy: null,
     submissions: [],
     escrow: {
@@ -1239,15 +1926,25 @@ app.post('/bounties', async (req, res) => {
       amount: reward.toString(),
       paidBy: req.payer,
       paidAt: Date.now(),
+      settlementTx: settlement.transaction,
+      network: settlement.network,
       released: false
     },
     createdAt: Date.now(),
     updatedAt: Date.now()
   };
 
-  const saved = await saveBounty(bounty);
+  const saved = await saveBounty(bounty, auditOf(req, 'create', req.payer));
+  ledger.recordDeposit({
+    bountyId: saved.id,
+    payer: req.payer,
+    reward: reward.toString(),
+    postingFee,
+    txHash: settlement.transaction,
+    asset: assetCode(asset)
+  });
   
-  console.log(`[BOUNTY CREATED + ESCROWED] ${saved.id}: ${title} - ${bounty.rewardFormatted} by ${req.payer} (escrow funded)`);
+  console.log(`[BOUNTY CREATED + ESCROWED] ${saved.id}: ${title} - ${bounty.rewardFormatted} by ${req.payer}${milestonePlan ? ` in ${milestonePlan.length} milestones` : ''} (escrow tx: ${settlement.transaction})`);
   
   // Notify registered agents about new bounty
   notifyAgents(saved).catch(err => console.log(`[NOTIFY ERROR] ${err.message}`));
@@ -1277,15 +1974,82 @@ async function isBlocklisted(address) {
 }
 
 /**
- * Claim a bounty (agent takes the job)
- * POST /bounties/:id/claim
+ * Add a wallet to the blocklist (no-op if already blocked)
+ * Used by POST /admin/blocklist and gaming flag escalation
  */
-app.post('/bounties/:id/claim', async (req, res) => {
-  const { address, agentId } = req.body;
+async function addToBlocklist(wallet, reason, blockedBy) {
+  const normalized = wallet.toLowerCase();
+  
+  // Get existing blocklist
+  const result = await supabaseRequest('bounties', 'GET', { 
+    query: 'select=id,data&data->>type=eq.blocklist' 
+  });
+  
+  let blocklistId, blocklist;
+  if (result && result.length > 0) {
+    blocklistId = result[0].id;
+    blocklist = result[0].data;
+  } else {
+    // Create new blocklist
+    blocklist = { type: 'blocklist', wallets: [], entries: [] };
+  }
   
-  if (!address) {
-    return res.status(400).json({ error: 'address required' });
+  // Add wallet if not already blocked
+  if (!blocklist.wallets.includes(normalized)) {
+    blocklist.wallets.push(normalized);
+    blocklist.entries.push({
+      wallet: normalized,
+      reason: reason || 'No reason provided',
+      blockedAt: new Date().toISOString(),
+      blockedBy
+    });
+    
+    if (blocklistId) {
+      await supabaseRequest('bounties', 'PATCH', { 
+        query: `id=eq.${blocklistId}`,
+        body: { data: blocklist }
+      });
+    } else {
+      await supabaseRequest('bounties', 'POST', { 
+        body: { data: blocklist }
+      });
+    }
+  }
+  
+  console.log(`[BLOCKLIST] Added ${normalized} by ${blockedBy} - ${reason}`);
+  return blocklist;
+}
+
+/**
+ * Validate a claimer's signed payout split for a bounty
+ * Returns { split } or { error, status }
+ */
+async function checkPayoutSplit(bounty, claimer, split) {
+  const result = verifySplit({ bountyId: bounty.id, split, signer: claimer });
+  if (result.error) {
+    return { error: result.error, expectedMessage: result.expectedMessage, status: 400 };
+  }
+  // ANTI-GAMING: the creator can't be paid through a split, and neither can blocklisted wallets
+  const creator = bounty.creator?.toLowerCase();
+  for (const r of result.split.recipients) {
+    if (creator && r.address === creator) {
+      console.log(`[SELF-DEAL BLOCKED] ${claimer} tried to split bounty ${bounty.id} with its creator`);
+      return { error: 'The bounty creator cannot be a split recipient', status: 403 };
+    }
+    if (await isBlocklisted(r.address)) {
+      return { error: 'Split contains a blocklisted wallet', status: 403 };
+    }
   }
+  return result;
+}
+
+/**
+ * Claim a bounty (agent takes the job)
+ * POST /bounties/:id/claim (signed request: the signer is the claimer)
+ */
+app.post('/bounties/:id/claim', signedRequest, async (req, res) => {
+  const { agentId, split } = req.body;
+  const address = req.signer;
   
   // Register ERC-8004 agent ID if provided
   if (agentId && Number.isInteger(Number(agentId))) {
@@ -1293,9 +2057,9 @@ app.post('/bounties/:id/claim', async (req, res) => {
   }
   
   // Rate limit check
-  const rateCheck = checkRateLimit(address, 'claim');
+  const rateCheck = checkRateLimit(req, res, 'claim');
   if (!rateCheck.allowed) {
-    console.log(`[RATE LIMITED] ${address} hit claim rate limit`);
+    console.log(`[RATE LIMITED] ${address} (${req.ip}) hit claim rate limit (${rateCheck.policy})`);
     return res.status(429).json({ 
       error: 'Too many claims. Please wait before trying again.',
       retryAfter: rateCheck.retryAfter
@@ -1336,8 +2100,33 @@ app.post('/bounties/:id/claim', async (req, res) => {
     return res.status(403).json({ error: 'Cannot claim your own bounty' });
   }
   
+  // Don't let work start on a bounty the payout wallet can't pay for
+  if (bounty.status === 'open') {
+    const cover = await treasuryMonitor.canCover(bounty);
+    if (!cover.covered) {
+      console.log(`[TREASURY] Refused claim on ${req.params.id}: payout wallet is ${formatAmount(cover.shortfall, assetOf(bounty))} short`);
+      return res.status(503).json({
+        error: 'This bounty cannot be claimed right now: the treasury cannot cover its payout',
+        hint: 'The payout wallet is being topped up. Try again later or pick another bounty.'
+      });
+    }
+  }
+  
+  // Optional team split, checked before the claim so a bad split doesn't hold the bounty
+  let payoutSplit = null;
+  if (split && bounty.milestones) {
+    return res.status(400).json({ error: 'Payout splits are not supported on milestone bounties' });
+  }
+  if (split) {
+    const checked = await checkPayoutSplit(bounty, address, split);
+    if (checked.error) {
+      return res.status(checked.status).json({ error: checked.error, expectedMessage: checked.expectedMessage });
+    }
+    payoutSplit = checked.split;
+  }
+  
   // Use atomic claim to prevent race conditions
-  const claimed = await atomicClaim(req.params.id, address);
+  let claimed = await atomicClaim(req.params.id, address, auditOf(req, 'claim', address));
   
   if (!claimed) {
     // Atomic claim failed - bounty was already claimed or status changed
@@ -1353,24 +2142,26 @@ app.post('/bounties/:id/claim', async (req, res) => {
     return res.status(400).json({ error: 'Bounty is not open for claims' });
   }
   
+  if (payoutSplit) {
+    claimed.payoutSplit = payoutSplit;
+    claimed = await updateBounty(claimed.id, claimed, auditOf(req, 'payout_split', address));
+    console.log(`[PAYOUT SPLIT] ${req.params.id} split ${payoutSplit.recipients.length} ways by ${address}`);
+  }
+  
   console.log(`[BOUNTY CLAIMED] ${req.params.id} claimed by ${address} (atomic)`);
   res.json(claimed);
 });
 
 /**
  * Submit work for a bounty
- * POST /bounties/:id/submit
+ * POST /bounties/:id/submit (signed request by the claimer)
  */
-app.post('/bounties/:id/submit', async (req, res) => {
-  const { address, submission, proof } = req.body;
-  
-  if (!address) {
-    return res.status(400).json({ error: 'address required' });
-  }
+app.post('/bounties/:id/submit', signedRequest, async (req, res) => {
+  const { submission, proof, split, milestoneId } = req.body;
+  const address = req.signer;
   
   // ANTI-GAMING: Check blocklist FIRST (before any processing)
-  const blocklist = await getBlocklist();
-  if (blocklist.wallets.includes(address.toLowerCase())) {
+  if (await isBlocklisted(address)) {
     console.log(`[BLOCKLISTED SUBMIT REJECTED] ${address} tried to submit bounty ${req.params.id}`);
     
     // Release the bounty immediately (reset to open)
@@ -1378,9 +2169,11 @@ app.post('/bounties/:id/submit', async (req, res) => {
     if (bounty && bounty.claimedBy === address.toLowerCase()) {
       bounty.status = 'open';
       bounty.claimedBy = null;
+      bounty.payoutSplit = null;
       bounty.claimedAt = null;
+      reopenMilestones(bounty);
       bounty.updatedAt = Date.now();
-      await updateBounty(bounty.id, bounty);
+      await updateBounty(bounty.id, bounty, auditOf(req, 'release', 'system:blocklist'));
       console.log(`[BOUNTY RELEASED] ${req.params.id} released from blocklisted wallet ${address}`);
     }
     
@@ -1391,9 +2184,9 @@ app.post('/bounties/:id/submit', async (req, res) => {
   }
   
   // Rate limit check
-  const rateCheck = checkRateLimit(address, 'submit');
+  const rateCheck = checkRateLimit(req, res, 'submit');
   if (!rateCheck.allowed) {
-    console.log(`[RATE LIMITED] ${address} hit submit rate limit`);
+    console.log(`[RATE LIMITED] ${address} (${req.ip}) hit submit rate limit (${rateCheck.policy})`);
     return res.status(429).json({ 
       error: 'Too many submissions. Please wait before trying again.',
       retryAfter: rateCheck.retryAfter
@@ -1412,8 +2205,36 @@ app.post('/bounties/:id/submit', async (req, res) => {
     return res.status(400).json({ error: 'submission required' });
   }
   
+  // Milestone bounties take submissions per milestone
+  let milestone = null;
+  if (bounty.milestones) {
+    if (split) {
+      return res.status(400).json({ error: 'Payout splits are not supported on milestone bounties' });
+    }
+    milestone = findMilestone(bounty, milestoneId);
+    if (!milestone) {
+      return res.status(400).json({
+        error: 'milestoneId required - this bounty is paid per milestone',
+        milestones: bounty.milestones.map(m => ({ id: m.id, title: m.title, status: m.status }))
+      });
+    }
+    if (milestone.status !== 'pending' && milestone.status !== 'submitted') {
+      return res.status(400).json({ error: `Milestone ${milestone.id} is already ${milestone.status}` });
+    }
+  }
+  
+  // A split declared here replaces any split declared at claim time
+  let payoutSplit = null;
+  if (split) {
+    const checked = await checkPayoutSplit(bounty, address, split);
+    if (checked.error) {
+      return res.status(checked.status).json({ error: checked.error, expectedMessage: checked.expectedMessage });
+    }
+    payoutSplit = checked.split;
+  }
+  
   // ANTI-GAMING: Minimum work time (10 minutes for ALL bounties)
-  const reward = parseFloat(bounty.reward) / 1_000_000;
+  const reward = usdValue(milestone ? milestone.amount : bounty.reward, assetOf(bounty));
   const MIN_WORK_TIME_MS = 10 * 60 * 1000; // 10 minutes
   if (bounty.claimedAt && (Date.now() - bounty.claimedAt) < MIN_WORK_TIME_MS) {
     const workTimeMin = Math.floor((Date.now() - bounty.claimedAt) / 60000);
@@ -1461,7 +2282,9 @@ app.post('/bounties/:id/submit', async (req, res) => {
   }
 
   // ============ AUTOGRADER CHECK (Advisory Only) ============
-  const gradeResult = autograde(bounty, submission, proof);
+  // Milestones are graded against their own requirements when they have any
+  const gradeTarget = milestone?.requirements.length ? { ...bounty, requirements: milestone.requirements } : bounty;
+  const gradeResult = autograde(gradeTarget, submission, proof);
   console.log(`[AUTOGRADER] Bounty #${bounty.id}: Score ${gradeResult.score}% (${gradeResult.metCount}/${gradeResult.totalReqs} requirements)`);
   
   // Only auto-reject obvious garbage (empty or < 20% with no URLs)
@@ -1483,27 +2306,38 @@ app.post('/bounties/:id/submit', async (req, res) => {
     proof: proof || null,
     submittedAt: Date.now(),
     autogradeScore: gradeResult.score,
-    autogradeChecks: gradeResult.checks
+    autogradeChecks: gradeResult.checks,
+    ...(milestone && { milestoneId: milestone.id })
   });
-  bounty.status = 'submitted';
+  if (milestone) {
+    milestone.status = 'submitted';
+    milestone.submittedAt = Date.now();
+    bounty.status = bountyStatusFor(bounty.milestones);
+  } else {
+    bounty.status = 'submitted';
+  }
   bounty.updatedAt = Date.now();
+  if (payoutSplit) {
+    bounty.payoutSplit = payoutSplit;
+    console.log(`[PAYOUT SPLIT] ${bounty.id} split ${payoutSplit.recipients.length} ways by ${address}`);
+  }
 
-  const updated = await updateBounty(bounty.id, bounty);
-  console.log(`[BOUNTY SUBMITTED] ${bounty.id} work submitted by ${address} (autograder: ${gradeResult.score}%)`);
+  const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'submit', address));
+  console.log(`[BOUNTY SUBMITTED] ${bounty.id}${milestone ? ` milestone ${milestone.id}` : ''} work submitted by ${address} (autograder: ${gradeResult.score}%)`);
   
   res.json({ ...updated, autogradeScore: gradeResult.score });
 });
 
 /**
  * Edit a submission
- * PUT /bounties/:id/submissions/:subId
+ * PUT /bounties/:id/submissions/:subId (signed request by the claimer)
  */
-app.put('/bounties/:id/submissions/:subId', async (req, res) => {
-  const { address, submission, proof } = req.body;
+app.put('/bounties/:id/submissions/:subId', signedRequest, async (req, res) => {
+  const { submission, proof } = req.body;
+  const address = req.signer;
   const bounty = await getBounty(req.params.id);
 
   if (!bounty) return res.status(404).json({ error: 'Bounty not found' });
-  if (!address) return res.status(400).json({ error: 'address required' });
   if (bounty.claimedBy !== address.toLowerCase()) {
     return res.status(403).json({ error: 'Only the claimer can edit submissions' });
   }
@@ -1516,21 +2350,20 @@ app.put('/bounties/:id/submissions/:subId', async (req, res) => {
   sub.editedAt = Date.now();
   bounty.updatedAt = Date.now();
 
-  const updated = await updateBounty(bounty.id, bounty);
+  const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'submission_edit', address));
   console.log(`[SUBMISSION EDITED] ${bounty.id}/${req.params.subId} by ${address}`);
   res.json(updated);
 });
 
 /**
  * Delete a submission
- * DELETE /bounties/:id/submissions/:subId
+ * DELETE /bounties/:id/submissions/:subId (signed request by the claimer)
  */
-app.delete('/bounties/:id/submissions/:subId', async (req, res) => {
-  const { address } = req.body;
+app.delete('/bounties/:id/submissions/:subId', signedRequest, async (req, res) => {
+  const address = req.signer;
   const bounty = await getBounty(req.params.id);
 
   if (!bounty) return res.status(404).json({ error: 'Bounty not found' });
-  if (!address) return res.status(400).json({ error: 'address required' });
   if (bounty.claimedBy !== address.toLowerCase()) {
     return res.status(403).json({ error: 'Only the claimer can delete submissions' });
   }
@@ -1538,91 +2371,550 @@ app.delete('/bounties/:id/submissions/:subId', async (req, res) => {
   const idx = (bounty.submissions || []).findIndex(s => s.id === req.params.subId);
   if (idx === -1) return res.status(404).json({ error: 'Submission not found' });
 
-  bounty.submissions.splice(idx, 1);
+  const [removed] = bounty.submissions.splice(idx, 1);
 
-  // If no submissions left and status was 'submitted', revert to 'claimed'
-  if (bounty.submissions.length === 0 && bounty.status === 'submitted') {
+  // A milestone with no submissions left goes back to pending
+  const milestone = findMilestone(bounty, removed.milestoneId);
+  if (milestone) {
+    if (milestone.status === 'submitted' && !bounty.submissions.some(s => s.milestoneId === milestone.id)) {
+      milestone.status = 'pending';
+      bounty.status = bountyStatusFor(bounty.milestones);
+    }
+  } else if (bounty.submissions.length === 0 && bounty.status === 'submitted') {
+    // If no submissions left and status was 'submitted', revert to 'claimed'
     bounty.status = 'claimed';
   }
 
   bounty.updatedAt = Date.now();
-  const updated = await updateBounty(bounty.id, bounty);
+  const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'submission_delete', address));
   console.log(`[SUBMISSION DELETED] ${bounty.id}/${req.params.subId} by ${address}`);
   res.json(updated);
 });
 
 /**
- * Approve submission and release payment
- * POST /bounties/:id/approve
- * SECURITY: ONLY mod wallets can approve (human oversight required)
+ * Book a confirmed transfer to one recipient: ledger, agent stats, ERC-8004 reputation
+ * Milestone payouts before the last one pass completesBounty: false (earnings only).
+ * Testnet bounties are only booked - they don't earn anything real
  */
-app.post('/bounties/:id/approve', async (req, res) => {
-  const { modWallet } = req.body;
-  const bounty = await getBounty(req.params.id);
-  
-  if (!bounty) {
-    return res.status(404).json({ error: 'Bounty not found' });
+function creditRecipient(bounty, { recipient, grossReward, fee, netReward, txHash, completesBounty = true }) {
+  const asset = assetOf(bounty);
+  ledger.recordPayout({
+    bountyId: bounty.id,
+    recipient,
+    grossReward,
+    fee,
+    netReward,
+    txHash,
+    grandfathered: !bounty.escrow?.funded,
+    asset: assetCode(asset)
+  });
+  if (asset.testnet) return;
+
+  // Update agent reputation (in-memory)
+  const agent = agents.get(recipient);
+  if (agent) {
+    agent.totalEarned = (agent.totalEarned || 0) + netReward;
   }
-  if (bounty.status !== 'submitted') {
-    return res.status(400).json({ error: 'No submission to approve' });
+  if (!completesBounty) return;
+  if (agent) {
+    agent.reputation += 10;
+    agent.completedBounties += 1;
   }
 
-  // SECURITY: ONLY mod wallets can approve bounties
-  // This prevents API abuse even if internal key is compromised
-  const isModApproval = modWallet && isMod(modWallet);
+  // Post ERC-8004 reputation (non-blocking)
+  reputation.postBountyReputation(
+    recipient,
+    100, // Success = 100
+    'bounty-completed',
+    `reward-${(netReward / 10 ** asset.decimals).toFixed(0)}`,
+    `https://bounty.owockibot.xyz/bounties/${bounty.id}`
+  ).then(result => {
+    if (result.success) {
+      console.log(`[ERC-8004] Reputation posted for bounty ${bounty.id}: agent ${result.agentId}, tx ${result.txHash}`);
+    }
+  }).catch(err => {
+    console.log(`[ERC-8004] Reputation post skipped: ${err.message}`);
+  });
+}
+
+/**
+ * Mark a bounty completed once its payout landed on-chain
+ * Split and milestone bounties pass splits/milestones (each transfer was already
+ * credited as it confirmed)
+ */
+function completeBountyPayment(bounty, { grossReward, fee, netReward, feePercent, txHash, approvedBy, splits = null, milestones = null }) {
+  bounty.status = 'completed';
+  bounty.completedAt = Date.now();
+  bounty.updatedAt = Date.now();
+  bounty.approvedBy = approvedBy; // Track who approved this
   
-  if (!isModApproval) {
-    console.log(`[APPROVAL DENIED] Bounty #${bounty.id} - non-mod wallet attempted approval: ${modWallet || 'none'}`);
-    return res.status(403).json({ 
-      error: 'Only moderators can approve bounties',
-      message: 'Bounty approvals require human mod review. Internal key and creator approvals are disabled for security.',
-      hint: 'If you are a mod, provide your mod wallet address in the request body as "modWallet".'
-    });
+  // Mark escrow as released
+  if (bounty.escrow) {
+    bounty.escrow.released = true;
+    bounty.escrow.releasedAt = Date.now();
+    bounty.escrow.releasedTo = bounty.claimedBy;
   }
   
-  // Track who approved this bounty
-  const approvedBy = modWallet;
-  console.log(`[APPROVAL] Bounty #${bounty.id} approved by mod: ${approvedBy}`);
-  
-  // CONFLICT OF INTEREST CHECK: Approver cannot be the submitter
-  if (modWallet && bounty.claimedBy && modWallet.toLowerCase() === bounty.claimedBy.toLowerCase()) {
-    console.log(`[CONFLICT OF INTEREST] ${modWallet} tried to approve their own submission on bounty #${bounty.id}`);
-    return res.status(403).json({ error: 'Conflict of interest: You cannot approve your own submission. Another mod must review.' });
+  const asset = assetOf(bounty);
+  bounty.payment = {
+    grossReward,
+    fee,
+    feeFormatted: formatAmount(fee, asset),
+    netReward,
+    netRewardFormatted: formatAmount(netReward, asset),
+    feePercent: feePercent + '%',
+    txHash, // First recipient's tx for split payouts - see splits for the rest
+    chain: asset.network,
+    token: asset.symbol
+  };
+
+  if (splits) {
+    bounty.payment.splits = splits;
+  } else if (milestones) {
+    bounty.payment.milestones = milestones;
+  } else {
+    creditRecipient(bounty, { recipient: bounty.claimedBy, grossReward, fee, netReward, txHash });
   }
+}
 
-  // Validate submission quality — reject obvious garbage
-  const lastSubmission = bounty.submissions?.[bounty.submissions.length - 1];
-  if (lastSubmission) {
-    const content = (lastSubmission.content || '').trim();
-    // Reject empty or very short submissions
-    if (content.length < 10) {
-      return res.status(400).json({ error: 'Submission content too short to be valid work' });
-    }
-    // If it's a URL, verify it's not obviously fake
-    if (content.startsWith('http')) {
-      try {
-        const url = new URL(content);
-        // Block known test/placeholder patterns
-        if (url.pathname.includes('/test/') || url.hostname === 'example.com' || url.hostname === 'localhost') {
-          return res.status(400).json({ error: 'Submission URL appears to be a test/placeholder. Please submit real work.' });
-        }
-      } catch (e) {
-        // Not a valid URL — that's fine, might be a text description
-      }
-    }
-    // AUTO-REJECT: claimed and submitted within 10 minutes (likely gaming)
-    const claimToSubmitMs = (lastSubmission.submittedAt || 0) - (bounty.claimedAt || 0);
-    const claimToSubmitMin = Math.floor(claimToSubmitMs / 1000 / 60);
-    if (claimToSubmitMs > 0 && claimToSubmitMs < 10 * 60 * 1000) { // 10 minutes
-      console.log(`[AUTO-REJECTED] Bounty #${bounty.id}: Work time ${claimToSubmitMin} min (< 10 min threshold)`);
-      return res.status(400).json({ 
-        error: `Work time too short: ${claimToSubmitMin} minutes. Minimum 10 minutes required to prevent gaming.`,
-        hint: 'This auto-rejection protects against automated submissions. Real work takes time.'
-      });
-    }
+/**
+ * Book a confirmed refund transfer; the escrow is marked refunded once every
+ * refund (one per funder for crowdfunded bounties) has landed on-chain
+ * Returns true when the escrow is fully refunded
+ */
+function completeEscrowRefund(bounty, { txHash, job }) {
+  ledger.recordRefund({
+    bountyId: bounty.id,
+    recipient: job.recipient,
+    grossReward: job.grossReward,
+    fee: job.fee,
+    netReward: job.netReward,
+    txHash,
+    asset: assetCode(assetOf(bounty))
+  });
+  bounty.updatedAt = Date.now();
+
+  const jobs = refundJobs(bounty);
+  if (jobs.some(j => j.state !== 'confirmed')) return false;
+  const sum = field => jobs.reduce((total, j) => total + j[field], 0);
+  bounty.escrow.refunded = true;
+  bounty.escrow.refundTx = jobs[0].txHash; // First funder's tx for crowdfunded bounties - see refundTxs
+  bounty.escrow.refundedAt = Date.now();
+  bounty.escrow.refundAmount = sum('netReward').toString();
+  bounty.escrow.refundFee = sum('fee').toString();
+  bounty.escrow.refundId = jobs[0].id;
+  if (bounty.refunds) {
+    bounty.escrow.refundTxs = jobs.map(j => j.txHash);
   }
+  return true;
+}
 
-  // ============ ESCROW CHECK ============
+/**
+ * Book a forwarded tip: it counts towards the worker's earnings but not their
+ * reputation or completed bounties
+ */
+function completeTip(bounty, { txHash, job }) {
+  const tip = bounty.tips.find(t => t.payout.id === job.id);
+  tip.paidAt = Date.now();
+  ledger.recordTipPayout({ bountyId: bounty.id, recipient: job.recipient, amount: job.netReward, txHash, asset: assetCode(assetOf(bounty)) });
+
+  const agent = agents.get(job.recipient);
+  if (agent) {
+    agent.totalEarned = (agent.totalEarned || 0) + job.netReward;
+  }
+  bounty.updatedAt = Date.now();
+}
+
+// ============ PAYMENT RELAY ============
+// Works the payout queue of 'payment_pending' bounties and escrow refunds. A server
+// with WALLET_PRIVATE_KEY (or RELAY_PRIVATE_KEY) starts payouts right after approval;
+// PAYMENT_RELAY=1 also polls the queue, or trigger a pass with POST /admin/payments/run.
+// Every pass first expires overdue open bounties so their refunds get queued.
+const relayWallet = chain.wallet(walletKey('relay', 'RELAY_PRIVATE_KEY', 'WALLET_PRIVATE_KEY'));
+const relayAudit = action => ({ action, actor: 'payment-relay' });
+const paymentRelay = createPaymentRelay({
+  getAllBounties,
+  getBounty,
+  updateBounty: (id, bounty) => updateBounty(id, bounty, relayAudit('payout_update')),
+  // Sends and confirmations only land if the stored job is as the relay loaded it
+  claimJob: (bounty, { path, expected }) => {
+    const job = `data->${path.join('->')}`;
+    const is = value => (value === null ? 'is.null' : `eq.${value}`);
+    return updateBountyIf(bounty.id, bounty, [
+      `${job}->>state=eq.${expected.state}`,
+      `${job}->>sendingAt=${is(expected.sendingAt)}`,
+      `${job}->>nonce=${is(expected.nonce)}`
+    ], relayAudit('payout_update'));
+  },
+  wallet: relayWallet,
+  assetFor: assetOfJob,
+  beforeRun: () => expireBounties(),
+  onPaid: async (bounty, { txHash, job }) => {
+    if (job.kind === 'refund') {
+      const done = completeEscrowRefund(bounty, { txHash, job });
+      await updateBounty(bounty.id, bounty, relayAudit('refund'));
+      console.log(`[ESCROW REFUNDED] ${bounty.id} - ${formatAmount(job.netReward, assetOf(bounty))} to ${job.recipient}, tx: ${txHash}${done ? '' : ' (more refunds pending)'}`);
+      return;
+    }
+    if (job.kind === 'contribution_refund') {
+      ledger.recordRefund({ bountyId: bounty.id, recipient: job.recipient, grossReward: job.grossReward, fee: job.fee, netReward: job.netReward, txHash, asset: assetCode(assetOf(bounty)) });
+      bounty.returnedContributions.find(c => c.payout.id === job.id).refundTx = txHash;
+      await updateBounty(bounty.id, bounty, relayAudit('contribution_refund'));
+      console.log(`[CONTRIBUTION RETURNED] ${bounty.id} - ${formatAmount(job.netReward, assetOf(bounty))} to ${job.recipient}, tx: ${txHash}`);
+      return;
+    }
+    if (job.kind === 'tip') {
+      completeTip(bounty, { txHash, job });
+      await updateBounty(bounty.id, bounty, relayAudit('tip_paid'));
+      console.log(`[TIP PAID] ${bounty.id} - ${formatAmount(job.netReward, assetOf(bounty))} to ${job.recipient}, tx: ${txHash}`);
+      return;
+    }
+    if (job.milestoneId) {
+      // Milestone payout: release this share of escrow, complete the bounty with the last one
+      const milestone = findMilestone(bounty, job.milestoneId);
+      milestone.status = 'paid';
+      milestone.paidAt = Date.now();
+      milestone.txHash = txHash;
+      if (bounty.escrow) {
+        bounty.escrow.releasedAmount = milestoneProgress(bounty).releasedAmount;
+      }
+      const remaining = bounty.milestones.filter(m => m.status !== 'paid').length;
+      creditRecipient(bounty, {
+        recipient: job.recipient,
+        grossReward: job.grossReward,
+        fee: job.fee,
+        netReward: job.netReward,
+        txHash,
+        completesBounty: remaining === 0
+      });
+      if (remaining > 0) {
+        bounty.updatedAt = Date.now();
+        await updateBounty(bounty.id, bounty, relayAudit('milestone_paid'));
+        console.log(`[MILESTONE PAID] ${bounty.id} ${milestone.id} - ${formatAmount(job.netReward, assetOf(bounty))} to ${job.recipient}, ${remaining} milestone(s) left, tx: ${txHash}`);
+        return;
+      }
+      const payouts = bounty.milestones.map(m => m.payout);
+      const sum = field => payouts.reduce((total, p) => total + p[field], 0);
+      completeBountyPayment(bounty, {
+        grossReward: sum('grossReward'),
+        fee: sum('fee'),
+        netReward: sum('netReward'),
+        feePercent: job.feePercent ?? 5,
+        txHash,
+        approvedBy: bounty.approvedBy,
+        milestones: bounty.milestones.map(m => ({
+          milestoneId: m.id,
+          title: m.title,
+          bps: m.bps,
+          netReward: m.payout.netReward,
+          netRewardFormatted: formatAmount(m.payout.netReward, assetOf(bounty)),
+          txHash: m.payout.txHash,
+          payoutId: m.payout.id
+        }))
+      });
+      await updateBounty(bounty.id, bounty, relayAudit('complete'));
+      console.log(`[BOUNTY COMPLETED] ${bounty.id} - Net: ${bounty.payment.netRewardFormatted} over ${bounty.milestones.length} milestones via relay`);
+      return;
+    }
+    if (bounty.payouts) {
+      // Split payout: credit this recipient now, complete the bounty once every transfer landed
+      creditRecipient(bounty, { recipient: job.recipient, grossReward: job.grossReward, fee: job.fee, netReward: job.netReward, txHash });
+      const remaining = bounty.payouts.filter(p => p.state !== 'confirmed').length;
+      if (remaining > 0) {
+        await updateBounty(bounty.id, bounty, relayAudit('payout_confirmed'));
+        console.log(`[SPLIT PAYOUT] ${bounty.id} - ${formatAmount(job.netReward, assetOf(bounty))} to ${job.recipient} confirmed, ${remaining} transfer(s) left`);
+        return;
+      }
+      const sum = field => bounty.payouts.reduce((total, p) => total + p[field], 0);
+      completeBountyPayment(bounty, {
+        grossReward: sum('grossReward'),
+        fee: sum('fee'),
+        netReward: sum('netReward'),
+        feePercent: job.feePercent ?? 5,
+        txHash: bounty.payouts[0].txHash,
+        approvedBy: bounty.approvedBy,
+        splits: bounty.payouts.map(p => ({
+          recipient: p.recipient,
+          bps: p.bps,
+          netReward: p.netReward,
+          netRewardFormatted: formatAmount(p.netReward, assetOf(bounty)),
+          txHash: p.txHash,
+          payoutId: p.id
+        }))
+      });
+      await updateBounty(bounty.id, bounty, relayAudit('complete'));
+      console.log(`[BOUNTY COMPLETED] ${bounty.id} - Net: ${bounty.payment.netRewardFormatted} split ${bounty.payouts.length} ways via relay`);
+      return;
+    }
+    completeBountyPayment(bounty, {
+      grossReward: job.grossReward,
+      fee: job.fee,
+      netReward: job.netReward,
+      feePercent: job.feePercent ?? 5,
+      txHash,
+      approvedBy: bounty.approvedBy
+    });
+    bounty.payment.payoutId = job.id;
+    bounty.payment.attempts = job.attempts;
+    await updateBounty(bounty.id, bounty, relayAudit('complete'));
+    console.log(`[BOUNTY COMPLETED] ${bounty.id} - Net: ${bounty.payment.netRewardFormatted} to ${bounty.claimedBy} via relay, tx: ${txHash}`);
+  }
+});
+
+if (process.env.PAYMENT_RELAY === '1') {
+  paymentRelay.start();
+}
+
+// Sandbox: fund the relay wallet with every enabled token (and gas) so payouts go through
+if (SANDBOX) {
+  for (const { network, tokens } of listNetworks()) {
+    for (const token of tokens) {
+      chain.mint(network, token.address, relayWallet.address, BigInt(SANDBOX_RELAY_FUNDS) * 10n ** BigInt(token.decimals));
+    }
+    chain.mint(network, NATIVE, relayWallet.address, ethers.parseEther(SANDBOX_GAS_FUNDS));
+  }
+  chain.mint(reputation.REPUTATION_NETWORK, NATIVE, reputationWallet.address, ethers.parseEther(SANDBOX_GAS_FUNDS));
+}
+
+// ============ TREASURY MONITOR ============
+// Payout and reputation wallet balances vs. outstanding liabilities (see
+// treasury-monitor.js). Claims on bounties the payout wallet can't cover are
+// refused, and new low-funds conditions alert admin webhooks. TREASURY_MONITOR=1
+// also checks every 5 minutes; otherwise checks run when /treasury/health or a
+// claim needs a snapshot older than a minute.
+const treasuryMonitor = createTreasuryMonitor({
+  chain,
+  getAllBounties,
+  wallets: { payout: relayWallet?.address || null, reputation: reputationWallet?.address || null },
+  notify: alert => notifyAdmins('treasury_alert', { alert })
+});
+
+if (process.env.TREASURY_MONITOR === '1') {
+  treasuryMonitor.start();
+}
+
+// ============ ESCROW REFUNDS ============
+// Cancelled and expired bounties send their escrow back to whoever funded it as
+// 'refund' jobs on the payment relay: bounty.refund for a single funder, or
+// bounty.refunds (pro-rata, one per funder) for crowdfunded bounties.
+// REFUND_FEE_BPS is kept by the treasury.
+const REFUND_FEE_BPS = parseInt(process.env.REFUND_FEE_BPS || '0', 10); // 100 = 1%
+
+/**
+ * Refund jobs queued for a bounty (empty if none)
+ */
+function refundJobs(bounty) {
+  return bounty.refunds || (bounty.refund ? [bounty.refund] : []);
+}
+
+/**
+ * Queue a refund of a bounty's escrow to the wallets that funded it
+ * Milestone bounties only get back the share of milestones that weren't approved
+ * Returns the queued refund jobs (empty if there is no unreleased escrow to return)
+ */
+function queueEscrowRefund(bounty, reason) {
+  const escrow = bounty.escrow;
+  if (!escrow?.funded || escrow.released || escrow.refunded || refundJobs(bounty).length) return [];
+
+  // Milestones already approved or paid keep their share of the escrow
+  const committed = parseInt(milestoneProgress(bounty)?.committedAmount || '0');
+  const refundable = parseInt(escrow.amount) - committed;
+  if (refundable <= 0) return [];
+
+  const funders = fundersOf(escrow).filter(f => f.address && ethers.isAddress(f.address));
+  if (!funders.length) return [];
+  const jobs = allocateRefund({ refundable, funders }).map(share => {
+    const fee = Math.floor(share.grossReward * REFUND_FEE_BPS / 10000);
+    const job = createPayoutJob({
+      kind: 'refund',
+      recipient: share.address,
+      grossReward: share.grossReward,
+      fee,
+      netReward: share.grossReward - fee,
+      feePercent: REFUND_FEE_BPS / 100,
+      ...jobAsset(bounty)
+    });
+    job.reason = reason;
+    return job;
+  });
+  if (funders.length > 1) {
+    bounty.refunds = jobs;
+  } else {
+    bounty.refund = jobs[0];
+  }
+  return jobs;
+}
+
+/**
+ * Send back a contribution that settled after the bounty stopped taking them
+ * The deposit is booked to escrow and the full amount is queued back to the
+ * payer as a 'contribution_refund' job, so it never touches the bounty's own
+ * escrow refunds or payouts
+ */
+function returnContribution(bounty, { from, amount, txHash, network, reason }) {
+  const asset = assetOf(bounty);
+  ledger.recordDeposit({ bountyId: bounty.id, payer: from, reward: amount, txHash, asset: assetCode(asset) });
+  const payout = createPayoutJob({
+    kind: 'contribution_refund',
+    recipient: from,
+    grossReward: BigInt(amount).toString(),
+    fee: 0,
+    netReward: BigInt(amount).toString(),
+    feePercent: 0,
+    ...jobAsset(bounty)
+  });
+  payout.reason = reason;
+  const returned = { from: from.toLowerCase(), amount: BigInt(amount).toString(), txHash, network, reason, returnedAt: Date.now(), payout };
+  bounty.returnedContributions = [...(bounty.returnedContributions || []), returned];
+  bounty.updatedAt = Date.now();
+  return returned;
+}
+
+/**
+ * Summary of a bounty's queued refunds for API responses
+ */
+function refundSummary(bounty) {
+  const jobs = refundJobs(bounty);
+  if (!jobs.length) return null;
+  const sum = field => jobs.reduce((total, j) => total + j[field], 0);
+  const summary = {
+    status: aggregateJobState(jobs),
+    refundId: bounty.refund ? bounty.refund.id : null,
+    statusUrl: `/bounties/${bounty.id}/refund`,
+    recipient: jobs[0].recipient,
+    grossAmount: sum('grossReward'),
+    fee: sum('fee'),
+    netAmount: sum('netReward'),
+    netAmountFormatted: formatAmount(sum('netReward'), assetOf(bounty)),
+    reason: jobs[0].reason
+  };
+  if (bounty.refunds) {
+    summary.refunds = jobs.map(j => ({ refundId: j.id, recipient: j.recipient, netAmount: j.netReward, status: j.state }));
+  }
+  return summary;
+}
+
+/**
+ * Overall state of several relay jobs: the least-finished job's state
+ */
+function aggregateJobState(jobs) {
+  const states = jobs.map(j => j.state);
+  return ['failed', 'replaced', 'queued', 'broadcast'].find(st => states.includes(st)) || 'confirmed';
+}
+
+/**
+ * Expire open bounties past their deadline and queue their escrow refunds
+ * Runs at the start of every relay pass and from POST /internal/expire-bounties
+ */
+async function expireBounties() {
+  const now = Date.now();
+  const overdue = (await getAllBounties()).filter(b => b.status === 'open' && b.deadline && b.deadline < now);
+  for (const bounty of overdue) {
+    bounty.status = 'expired';
+    bounty.expiredAt = now;
+    bounty.updatedAt = now;
+    const refunds = queueEscrowRefund(bounty, 'expired');
+    await updateBounty(bounty.id, bounty, { action: 'expire', actor: 'system' });
+    const refunded = refunds.reduce((total, job) => total + job.netReward, 0);
+    console.log(`[BOUNTY EXPIRED] #${bounty.id}${refunds.length ? ` - refunding ${formatAmount(refunded, assetOf(bounty))} to ${refunds.length === 1 ? refunds[0].recipient : refunds.length + ' funders'}` : ''}`);
+  }
+  return overdue;
+}
+
+/**
+ * Approve submission and release payment
+ * POST /bounties/:id/approve
+ * SECURITY: ONLY mod wallets can approve (human oversight required), with an
+ * EIP-712 ModAction signature over the submission they reviewed (mod-auth.js)
+ */
+app.post('/bounties/:id/approve', async (req, res) => {
+  const { milestoneId } = req.body;
+  const bounty = await getBounty(req.params.id);
+  
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (bounty.status !== 'submitted') {
+    return res.status(400).json({ error: 'No submission to approve' });
+  }
+
+  // SECURITY: ONLY mod wallets can approve bounties, and only by signing the approval
+  // This prevents API abuse even if internal key is compromised
+  const auth = modAuth.verify(req, 'approve', bounty);
+  if (auth.error) {
+    console.log(`[APPROVAL DENIED] Bounty #${bounty.id} - ${auth.error}${auth.signer ? ` (signer ${auth.signer})` : ''}`);
+    const { status, ...body } = auth;
+    return res.status(status).json({
+      ...body,
+      message: 'Bounty approvals require human mod review. Internal key and creator approvals are disabled for security.'
+    });
+  }
+  
+  // Track who approved this bounty
+  const approvedBy = auth.mod;
+  console.log(`[APPROVAL] Bounty #${bounty.id} approved by mod: ${approvedBy}`);
+  
+  // CONFLICT OF INTEREST CHECK: Approver cannot be the submitter
+  if (bounty.claimedBy && approvedBy === bounty.claimedBy.toLowerCase()) {
+    console.log(`[CONFLICT OF INTEREST] ${approvedBy} tried to approve their own submission on bounty #${bounty.id}`);
+    return res.status(403).json({ error: 'Conflict of interest: You cannot approve your own submission. Another mod must review.' });
+  }
+
+  // Milestone bounties are approved one milestone at a time
+  let milestone = null;
+  if (bounty.milestones) {
+    const submitted = bounty.milestones.filter(m => m.status === 'submitted');
+    milestone = milestoneId !== undefined ? findMilestone(bounty, milestoneId) : (submitted.length === 1 ? submitted[0] : null);
+    if (!milestone) {
+      return res.status(400).json({
+        error: 'milestoneId required - pick the milestone to approve',
+        submitted: submitted.map(m => ({ id: m.id, title: m.title }))
+      });
+    }
+    if (milestone.status !== 'submitted') {
+      return res.status(400).json({ error: `Milestone ${milestone.id} has no submission to approve (status: ${milestone.status})` });
+    }
+  }
+
+  // Validate submission quality — reject obvious garbage
+  const reviewed = milestone ? (bounty.submissions || []).filter(s => s.milestoneId === milestone.id) : bounty.submissions;
+  const lastSubmission = reviewed?.[reviewed.length - 1];
+  // The signature names the submission the mod reviewed
+  const stale = staleReview(auth.record, lastSubmission);
+  if (stale) {
+    return res.status(409).json({ error: stale, hint: 'Reload the submission, review it and sign the approval again.' });
+  }
+  if (lastSubmission) {
+    const content = (lastSubmission.content || '').trim();
+    // Reject empty or very short submissions
+    if (content.length < 10) {
+      return res.status(400).json({ error: 'Submission content too short to be valid work' });
+    }
+    // If it's a URL, verify it's not obviously fake
+    if (content.startsWith('http')) {
+      try {
+        const url = new URL(content);
+        // Block known test/placeholder patterns
+        if (url.pathname.includes('/test/') || url.hostname === 'example.com' || url.hostname === 'localhost') {
+          return res.status(400).json({ error: 'Submission URL appears to be a test/placeholder. Please submit real work.' });
+        }
+      } catch (e) {
+        // Not a valid URL — that's fine, might be a text description
+      }
+    }
+    // AUTO-REJECT: claimed and submitted within 10 minutes (likely gaming)
+    const claimToSubmitMs = (lastSubmission.submittedAt || 0) - (bounty.claimedAt || 0);
+    const claimToSubmitMin = Math.floor(claimToSubmitMs / 1000 / 60);
+    if (claimToSubmitMs > 0 && claimToSubmitMs < 10 * 60 * 1000) { // 10 minutes
+      console.log(`[AUTO-REJECTED] Bounty #${bounty.id}: Work time ${claimToSubmitMin} min (< 10 min threshold)`);
+      return res.status(400).json({ 
+        error: `Work time too short: ${claimToSubmitMin} minutes. Minimum 10 minutes required to prevent gaming.`,
+        hint: 'This auto-rejection protects against automated submissions. Real work takes time.'
+      });
+    }
+  }
+
+  // ============ ESCROW CHECK ============
   // Bounties created AFTER Feb 7 2026 15:50 MST MUST have creator escrow
   // Earlier bounties grandfathered (paid from treasury) to protect hunters who claimed under old rules
   const STRICT_ESCROW_CUTOFF = 1770504502860; // Feb 7 2026 15:50 MST
@@ -1648,165 +2940,434 @@ app.post('/bounties/:id/approve', async (req, res) => {
     console.log(`[GRANDFATHERED] Bounty #${bounty.id} paying from treasury (created before escrow cutoff)`);
   }
   
-  // Calculate 5% platform fee
-  const FEE_PERCENT = 5;
-  const grossReward = parseInt(bounty.reward);
-  const fee = Math.floor(grossReward * FEE_PERCENT / 100);
-  const netReward = grossReward - fee;
-
-  // ============ REAL ONCHAIN USDC TRANSFER ============
-  const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-  const WALLET_PK = process.env.WALLET_PRIVATE_KEY;
-  let txHash = null;
+  // Platform fee from the fee policy (tier / creator rate / override, minus reputation discount)
+  const feeQuote = fees.quote({
+    reward: bounty.reward,
+    creator: bounty.creator,
+    workerReputation: agents.get(bounty.claimedBy)?.reputation ?? null,
+    overrideBps: bounty.feeOverrideBps ?? null
+  });
+  let { grossReward, fee, netReward } = feeQuote;
+  if (milestone) {
+    // The rate comes from the whole reward; the fee is taken from this milestone's share
+    grossReward = parseInt(milestone.amount);
+    fee = Math.floor(grossReward * feeQuote.feeBps / 10000);
+    netReward = grossReward - fee;
+  }
 
   if (!bounty.claimedBy || !ethers.isAddress(bounty.claimedBy)) {
     return res.status(400).json({ error: 'Invalid recipient address' });
   }
 
-  // ============ PAYMENT EXECUTION ============
-  // If wallet key is available, execute directly.
-  // Otherwise, queue for the local payment-relay service.
-  if (!WALLET_PK) {
-    // No wallet key on this server — queue for local payment relay
-    console.log(`[BOUNTY PAYMENT] No wallet key — queueing bounty #${bounty.id} for payment relay`);
-    bounty.status = 'payment_pending';
-    bounty.approvedAt = Date.now();
-    bounty.updatedAt = Date.now();
-    bounty.pendingPayment = {
-      grossReward,
-      fee,
-      netReward,
-      recipient: bounty.claimedBy,
-      token: 'USDC',
-      chain: 'base'
+  // ============ PAYOUT QUEUE ============
+  // The USDC transfer never runs inside this request (it would time out on Vercel
+  // and leave chain + DB out of sync). The payout is queued on the bounty and the
+  // payment relay broadcasts, confirms and reconciles it (see payment-relay.js).
+  bounty.status = 'payment_pending';
+  bounty.approvedAt = Date.now();
+  bounty.approvedBy = approvedBy;
+  bounty.approvalSignature = auth.record;
+  bounty.updatedAt = Date.now();
+  const feeDetails = { feeBps: feeQuote.feeBps, feeSource: feeQuote.source, discountBps: feeQuote.discountBps };
+  let recipients;
+  if (milestone) {
+    // One payout per milestone; the bounty stays claimed until the other milestones are approved
+    milestone.status = 'approved';
+    milestone.approvedAt = Date.now();
+    milestone.approvedBy = approvedBy;
+    milestone.approvalSignature = auth.record;
+    milestone.payout = {
+      ...createPayoutJob({
+        recipient: bounty.claimedBy,
+        grossReward,
+        fee,
+        netReward,
+        feePercent: feeQuote.feePercent,
+        ...jobAsset(bounty)
+      }),
+      milestoneId: milestone.id,
+      ...feeDetails
     };
+    bounty.status = bountyStatusFor(bounty.milestones);
+  } else if (bounty.payoutSplit) {
+    // Team bounty: fee taken once on the whole reward, then one transfer per recipient
+    bounty.payouts = allocateSplit({ grossReward, fee, recipients: bounty.payoutSplit.recipients }).map(share => ({
+      ...createPayoutJob({
+        recipient: share.address,
+        grossReward: share.grossReward,
+        fee: share.fee,
+        netReward: share.netReward,
+        feePercent: feeQuote.feePercent,
+        ...jobAsset(bounty)
+      }),
+      bps: share.bps,
+      ...feeDetails
+    }));
+    recipients = bounty.payouts.map(p => ({
+      payoutId: p.id,
+      recipient: p.recipient,
+      bps: p.bps,
+      netAmount: p.netReward,
+      netAmountFormatted: formatAmount(p.netReward, assetOf(bounty))
+    }));
+  } else {
+    bounty.payout = {
+      ...createPayoutJob({
+        recipient: bounty.claimedBy,
+        grossReward,
+        fee,
+        netReward,
+        feePercent: feeQuote.feePercent,
+        ...jobAsset(bounty)
+      }),
+      ...feeDetails
+    };
+  }
 
-    await updateBounty(bounty.id, bounty);
+  await updateBounty(bounty.id, bounty, auditOf(req, 'approve', approvedBy));
 
-    console.log(`[BOUNTY PAYMENT] ✅ Bounty #${bounty.id} queued for payment relay (${(netReward / 1e6).toFixed(2)} USDC to ${bounty.claimedBy})`);
+  const payoutJob = milestone ? milestone.payout : bounty.payout;
+  const payoutIds = bounty.payouts ? bounty.payouts.map(p => p.id).join(', ') : payoutJob.id;
+  console.log(`[BOUNTY PAYMENT] ✅ Bounty #${bounty.id}${milestone ? ` milestone ${milestone.id}` : ''} payout ${payoutIds} queued (${formatAmount(netReward, assetOf(bounty))} to ${recipients ? recipients.length + ' recipients' : bounty.claimedBy})`);
 
-    return res.json({
-      ...bounty,
-      payment: {
-        status: 'pending',
-        message: 'Payment approved and queued. The local payment relay will execute the USDC transfer shortly.',
-        recipient: bounty.claimedBy,
-        grossAmount: grossReward,
-        fee,
-        feeFormatted: (fee / 1e6).toFixed(2) + ' USDC',
-        netAmount: netReward,
-        netAmountFormatted: (netReward / 1e6).toFixed(2) + ' USDC',
-        feePercent: FEE_PERCENT + '%',
-        chain: 'base',
-        note: 'Payment will be processed by the local relay within ~30 seconds.'
-      }
-    });
+  // Start the payout now if this server holds a relay key; retries are left to the
+  // poller (PAYMENT_RELAY=1) or the cron calling /cron/payments/run (vercel.json)
+  if (paymentRelay.enabled) {
+    paymentRelay.kick(bounty).catch(err => console.error(`[RELAY] Kick failed: ${err.message}`));
   }
 
-  try {
-    const provider = new ethers.JsonRpcProvider('https://base.drpc.org');
-    const wallet = new ethers.Wallet(WALLET_PK, provider);
-    
-    // USDC ERC20 transfer
-    const usdc = new ethers.Contract(USDC_ADDRESS, [
-      'function transfer(address to, uint256 amount) returns (bool)',
-      'function balanceOf(address) view returns (uint256)'
-    ], wallet);
-
-    // Check treasury has enough USDC
-    const balance = await usdc.balanceOf(wallet.address);
-    if (balance < BigInt(netReward)) {
-      return res.status(400).json({ 
-        error: 'Insufficient USDC in treasury',
-        available: (Number(balance) / 1e6).toFixed(2) + ' USDC',
-        needed: (netReward / 1e6).toFixed(2) + ' USDC'
-      });
+  res.status(202).json({
+    ...bounty,
+    payment: {
+      status: 'queued',
+      payoutId: payoutJob ? payoutJob.id : null,
+      statusUrl: `/bounties/${bounty.id}/payout`,
+      recipient: bounty.claimedBy,
+      recipients,
+      milestone: milestone ? { id: milestone.id, title: milestone.title, bps: milestone.bps } : undefined,
+      milestones: milestoneProgress(bounty) || undefined,
+      grossAmount: grossReward,
+      fee,
+      feeFormatted: formatAmount(fee, assetOf(bounty)),
+      netAmount: netReward,
+      netAmountFormatted: formatAmount(netReward, assetOf(bounty)),
+      feePercent: feeQuote.feePercent + '%',
+      feeBps: feeQuote.feeBps,
+      feeSource: feeQuote.source,
+      baseFeeBps: feeQuote.baseFeeBps,
+      reputationDiscountBps: feeQuote.discountBps,
+      chain: assetOf(bounty).network,
+      token: assetOf(bounty).symbol,
+      note: `${feeQuote.feePercent}% fee retained in treasury. Poll statusUrl until the payout is confirmed.`
     }
+  });
+});
 
-    // Execute transfer — net reward goes to agent (fee stays in treasury)
-    console.log(`[BOUNTY PAYMENT] Sending ${(netReward / 1e6).toFixed(2)} USDC to ${bounty.claimedBy}...`);
-    const tx = await usdc.transfer(bounty.claimedBy, BigInt(netReward));
-    const receipt = await tx.wait();
-    txHash = receipt.hash;
-    console.log(`[BOUNTY PAYMENT] ✅ Tx confirmed: ${txHash}`);
-  } catch (err) {
-    console.error(`[BOUNTY PAYMENT] ❌ Transfer failed:`, err.message);
-    return res.status(500).json({ 
-      error: 'USDC transfer failed', 
-      details: err.message,
-      hint: 'Bounty NOT marked as completed. Try again or contact admin.'
+/**
+ * Payout status for a bounty (mods and claimers poll this after approval)
+ * GET /bounties/:id/payout
+ */
+app.get('/bounties/:id/payout', async (req, res) => {
+  const bounty = await getBounty(req.params.id);
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (bounty.payouts) {
+    // Split payout: the overall state is the least-finished transfer's state
+    return res.json({
+      bountyId: bounty.id,
+      bountyStatus: bounty.status,
+      state: aggregateJobState(bounty.payouts),
+      split: true,
+      netAmount: bounty.payouts.reduce((sum, p) => sum + p.netReward, 0),
+      payouts: bounty.payouts.map(p => ({ payoutId: p.id, bps: p.bps, ...describeRelayJob(p) }))
     });
   }
-
-  // Only mark completed AFTER successful onchain payment
-  bounty.status = 'completed';
-  bounty.completedAt = Date.now();
-  bounty.updatedAt = Date.now();
-  bounty.approvedBy = approvedBy; // Track who approved this
-  
-  // Mark escrow as released
-  if (bounty.escrow) {
-    bounty.escrow.released = true;
-    bounty.escrow.releasedAt = Date.now();
-    bounty.escrow.releasedTo = bounty.claimedBy;
+  if (bounty.milestones) {
+    // Milestone payouts: one transfer per approved milestone
+    const approved = bounty.milestones.filter(m => m.payout);
+    if (!approved.length) {
+      return res.status(404).json({ error: 'No milestone has been approved yet', status: bounty.status, milestones: milestoneProgress(bounty) });
+    }
+    return res.json({
+      bountyId: bounty.id,
+      bountyStatus: bounty.status,
+      state: aggregateJobState(approved.map(m => m.payout)),
+      milestones: milestoneProgress(bounty),
+      payouts: approved.map(m => ({ payoutId: m.payout.id, milestoneId: m.id, title: m.title, bps: m.bps, ...describeRelayJob(m.payout) }))
+    });
+  }
+  const job = bounty.payout || bounty.pendingPayment;
+  if (!job) {
+    return res.status(404).json({ error: 'No payout for this bounty', status: bounty.status });
   }
   
-  bounty.payment = {
-    grossReward,
-    fee,
-    feeFormatted: (fee / 1e6).toFixed(2) + ' USDC',
-    netReward,
-    netRewardFormatted: (netReward / 1e6).toFixed(2) + ' USDC',
-    feePercent: FEE_PERCENT + '%',
-    txHash,
-    chain: 'base',
-    token: 'USDC'
+  res.json({
+    bountyId: bounty.id,
+    bountyStatus: bounty.status,
+    payoutId: job.id || job.idempotencyKey,
+    ...describeRelayJob(job),
+    queuedAt: job.queuedAt || bounty.approvedAt || null
+  });
+});
+
+/**
+ * Escrow refund status for a cancelled or expired bounty
+ * GET /bounties/:id/refund
+ */
+app.get('/bounties/:id/refund', async (req, res) => {
+  const bounty = await getBounty(req.params.id);
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  const jobs = refundJobs(bounty);
+  if (!jobs.length) {
+    return res.status(404).json({
+      error: 'No refund for this bounty',
+      status: bounty.status,
+      hint: bounty.escrow?.funded ? 'Escrow is refunded when the bounty is cancelled or expires unclaimed' : 'This bounty has no escrow to refund'
+    });
+  }
+  if (bounty.refunds) {
+    // Crowdfunded: one pro-rata refund per funder
+    return res.json({
+      bountyId: bounty.id,
+      bountyStatus: bounty.status,
+      state: aggregateJobState(jobs),
+      reason: jobs[0].reason || null,
+      feeBps: REFUND_FEE_BPS,
+      netAmount: jobs.reduce((sum, j) => sum + j.netReward, 0),
+      refunds: jobs.map(j => ({ refundId: j.id, grossAmount: j.grossReward, fee: j.fee, ...describeRelayJob(j) })),
+      refunded: !!bounty.escrow?.refunded,
+      refundedAt: bounty.escrow?.refundedAt || null
+    });
+  }
+
+  const job = jobs[0];
+  res.json({
+    bountyId: bounty.id,
+    bountyStatus: bounty.status,
+    refundId: job.id,
+    reason: job.reason || null,
+    grossAmount: job.grossReward,
+    fee: job.fee,
+    feeBps: REFUND_FEE_BPS,
+    ...describeRelayJob(job),
+    refunded: !!bounty.escrow?.refunded,
+    refundedAt: bounty.escrow?.refundedAt || null
+  });
+});
+
+/**
+ * The asset a relay job transfers (jobs record their chain and token symbol)
+ */
+function assetOfJob(job) {
+  return getAsset(job.chain || DEFAULT_NETWORK, job.token || DEFAULT_TOKEN);
+}
+
+/**
+ * Public view of a relay job (payout or refund)
+ */
+function describeRelayJob(job) {
+  return {
+    state: job.state || 'queued',
+    stuck: paymentRelay.isStuck(job),
+    recipient: job.recipient,
+    netAmount: job.netReward,
+    netAmountFormatted: formatAmount(job.netReward, assetOfJob(job)),
+    chain: job.chain || DEFAULT_NETWORK,
+    token: job.token || DEFAULT_TOKEN,
+    txHash: job.txHash || null,
+    explorer: explorerTx(job.chain, job.txHash),
+    attempts: job.attempts || 0,
+    lastError: job.lastError || null,
+    queuedAt: job.queuedAt || null,
+    broadcastAt: job.broadcastAt || null,
+    confirmedAt: job.confirmedAt || null,
+    history: job.history || []
   };
+}
 
-  // Update agent reputation (in-memory)
-  const agent = agents.get(bounty.claimedBy);
-  if (agent) {
-    agent.reputation += 10;
-    agent.completedBounties += 1;
-    agent.totalEarned = (agent.totalEarned || 0) + netReward;
+// ============ PAYOUT RECEIPTS ============
+// Every confirmed payout gets an EIP-712 receipt signed by the treasury (see receipts.js).
+// Signed with RECEIPT_SIGNER_KEY, or the payout wallet key if that isn't set.
+const receiptSigner = createReceiptSigner({ privateKey: walletKey('receipts', 'RECEIPT_SIGNER_KEY', 'WALLET_PRIVATE_KEY') });
+
+/**
+ * Signed receipts for a bounty's confirmed payouts (one per transfer)
+ * GET /bounties/:id/receipt?format=html
+ */
+app.get('/bounties/:id/receipt', async (req, res) => {
+  const bounty = await getBounty(req.params.id);
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (!receiptSigner.enabled) {
+    return res.status(503).json({ error: 'Receipts are not available', hint: 'Set RECEIPT_SIGNER_KEY (or WALLET_PRIVATE_KEY) to sign payout receipts' });
+  }
+  const payouts = payoutsOf(bounty);
+  if (!payouts.length) {
+    return res.status(404).json({
+      error: 'No confirmed payout for this bounty',
+      status: bounty.status,
+      hint: `Receipts are issued once a payout is confirmed on-chain (GET /bounties/${bounty.id}/payout)`
+    });
   }
 
-  // Post ERC-8004 reputation (non-blocking)
-  reputation.postBountyReputation(
-    bounty.claimedBy,
-    100, // Success = 100
-    'bounty-completed',
-    `reward-${(netReward / 1e6).toFixed(0)}`,
-    `https://bounty.owockibot.xyz/bounties/${bounty.id}`
-  ).then(result => {
-    if (result.success) {
-      console.log(`[ERC-8004] Reputation posted for bounty ${bounty.id}: agent ${result.agentId}, tx ${result.txHash}`);
-    }
-  }).catch(err => {
-    console.log(`[ERC-8004] Reputation post skipped: ${err.message}`);
+  const asset = assetOf(bounty);
+  const receipts = await Promise.all(payouts.map(async payout => ({
+    ...await receiptSigner.sign(bounty, payout),
+    grossRewardFormatted: formatAmount(payout.job.grossReward, asset),
+    feeFormatted: formatAmount(payout.job.fee, asset),
+    netRewardFormatted: formatAmount(payout.job.netReward, asset),
+    network: asset.network,
+    explorer: explorerTx(asset.network, payout.job.txHash)
+  })));
+
+  if (req.query.format === 'html') {
+    return res.send(renderReceiptPage(bounty, receipts));
+  }
+  res.json({
+    bountyId: bounty.id,
+    title: bounty.title,
+    signer: receiptSigner.address,
+    verifyUrl: '/receipts/verify',
+    receipts
   });
+});
 
-  // Save to database
-  await updateBounty(bounty.id, bounty);
+function renderReceiptPage(bounty, receipts) {
+  const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"}[c]));
+  const row = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+  const cards = receipts.map(r => `
+  <section class="receipt">
+    <h2>Payout ${esc(r.message.payoutId)}${r.message.milestoneId ? ` — milestone ${esc(r.message.milestoneId)}` : ''}</h2>
+    <table>
+      ${row('Recipient', `<code>${esc(r.message.recipient)}</code>`)}
+      ${row('Gross reward', esc(r.grossRewardFormatted))}
+      ${row('Platform fee', esc(r.feeFormatted))}
+      ${row('Net paid', `<strong>${esc(r.netRewardFormatted)}</strong>`)}
+      ${row('Token', `<code>${esc(r.message.token)}</code> on ${esc(r.network)} (chainId ${esc(r.domain.chainId)})`)}
+      ${row('Transaction', `<a href="${esc(r.explorer)}"><code>${esc(r.message.txHash)}</code></a>`)}
+      ${row('Approved by', `<code>${esc(r.message.approvedBy)}</code>`)}
+      ${row('Paid at', esc(new Date(Number(r.message.paidAt) * 1000).toISOString()))}
+      ${row('Signed by', `<code>${esc(r.signer)}</code>`)}
+      ${row('Signature', `<code class="sig">${esc(r.signature)}</code>`)}
+    </table>
+  </section>`).join('');
 
-  console.log(`[BOUNTY COMPLETED] ${bounty.id} - Net: ${bounty.payment.netRewardFormatted} to ${bounty.claimedBy} (fee: ${bounty.payment.feeFormatted}) tx: ${txHash}`);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Receipt — Bounty #${esc(bounty.id)}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; color: #111; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+    .sub { color: #555; margin-bottom: 1.5rem; }
+    .receipt { border: 1px solid #ccc; border-radius: 8px; padding: 1rem 1.25rem; margin-bottom: 1.25rem; page-break-inside: avoid; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th { text-align: left; color: #555; font-weight: 500; width: 130px; vertical-align: top; padding: 0.2rem 0; }
+    td { padding: 0.2rem 0; word-break: break-all; }
+    .sig { font-size: 0.75rem; }
+    .note { color: #555; font-size: 0.85rem; }
+    @media print { .no-print { display: none; } a { color: inherit; text-decoration: none; } }
+  </style>
+</head>
+<body>
+  <h1>Payout receipt — Bounty #${esc(bounty.id)}</h1>
+  <div class="sub">${esc(bounty.title)}</div>
+  ${cards}
+  <p class="note">Each receipt is an EIP-712 <code>PayoutReceipt</code> (domain "${esc(RECEIPT_DOMAIN.name)}" v${esc(RECEIPT_DOMAIN.version)}) signed by the treasury. Verify it with <code>POST /receipts/verify</code> or the JSON at <a href="/bounties/${esc(bounty.id)}/receipt">/bounties/${esc(bounty.id)}/receipt</a>.</p>
+  <p class="no-print"><button onclick="window.print()">Print</button> <a href="/bounty/${esc(bounty.id)}">Back to bounty</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Check a payout receipt: signed by the treasury and matching the payout on record
+ * POST /receipts/verify { receipt } (or the receipt object itself)
+ */
+app.post('/receipts/verify', async (req, res) => {
+  const receipt = req.body?.receipt || req.body;
+  const { signer, error } = verifyReceipt(receipt);
+  if (error) {
+    return res.status(400).json({ valid: false, error });
+  }
+
+  const signedByTreasury = !!receiptSigner.address && signer === receiptSigner.address;
+  const bounty = await getBounty(receipt.message.bountyId);
+  const payout = bounty ? payoutsOf(bounty).find(p => String(p.job.id) === String(receipt.message.payoutId)) : null;
+  const mismatches = payout ? receiptMismatches(bounty, payout, receipt) : null;
+  const matchesRecord = !!payout && mismatches.length === 0;
 
   res.json({
-    ...bounty,
-    payment: {
-      status: 'released',
-      recipient: bounty.claimedBy,
-      grossAmount: grossReward,
-      fee: fee,
-      feeFormatted: bounty.payment.feeFormatted,
-      netAmount: netReward,
-      netAmountFormatted: bounty.payment.netRewardFormatted,
-      feePercent: FEE_PERCENT + '%',
-      txHash,
-      chain: 'base',
-      explorer: txHash ? `https://basescan.org/tx/${txHash}` : null,
-      note: '5% fee retained in treasury. Net reward sent onchain.'
-    }
+    valid: signedByTreasury && matchesRecord,
+    signer,
+    expectedSigner: receiptSigner.address,
+    signedByTreasury,
+    matchesRecord,
+    mismatches: mismatches || undefined,
+    error: !bounty ? 'Bounty not found' : !payout ? 'No confirmed payout with this payoutId' : undefined
+  });
+});
+
+// ============ RECONCILIATION ============
+// Checks every recorded payout against its on-chain receipt and Transfer logs
+// (see reconciliation.js). RECONCILIATION=1 runs it hourly; reports only.
+const reconciler = createReconciler({
+  chain,
+  getAllBounties,
+  reports: reconciliationReports,
+  intervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS) || undefined
+});
+
+if (process.env.RECONCILIATION === '1') {
+  reconciler.start();
+}
+
+/**
+ * Admin: Latest payout reconciliation report (runs one if there is none yet)
+ * GET /admin/reconciliation?issue=&bountyId=
+ */
+app.get('/admin/reconciliation', async (req, res) => {
+  const report = reconciler.latest() || await reconciler.run();
+  const issues = report.issues.filter(i =>
+    (!req.query.issue || i.issue === req.query.issue) &&
+    (!req.query.bountyId || String(i.bountyId) === String(req.query.bountyId))
+  );
+  res.json({ ...report, issues, running: reconciler.running });
+});
+
+/**
+ * Admin: Run a reconciliation pass now
+ * POST /admin/reconciliation/run
+ */
+app.post('/admin/reconciliation/run', async (req, res) => {
+  try {
+    res.json(await reconciler.run());
+  } catch (err) {
+    res.status(503).json({ error: 'Reconciliation failed', message: err.message });
+  }
+});
+
+/**
+ * Internal: Expire overdue open bounties and queue their escrow refunds
+ * POST /internal/expire-bounties
+ * For cron on deployments that don't run the relay poller (PAYMENT_RELAY=1 does this every pass)
+ */
+app.post('/internal/expire-bounties', async (req, res) => {
+  const expired = await expireBounties();
+  const refunding = expired.filter(b => refundJobs(b).length);
+  if (refunding.length && paymentRelay.enabled) {
+    // One pass sends the refunds one at a time (each reserves its own nonce)
+    paymentRelay.runOnce().catch(err => console.error(`[RELAY] Run failed: ${err.message}`));
+  }
+  res.json({
+    expired: expired.map(b => b.id),
+    refunds: refunding.map(b => ({ bountyId: b.id, ...refundSummary(b) }))
   });
 });
 
@@ -1816,27 +3377,42 @@ app.post('/bounties/:id/approve', async (req, res) => {
  * Requires X-Internal-Key header
  */
 app.post('/internal/bounties', async (req, res) => {
-  const internalKey = req.headers['x-internal-key'];
-  if (internalKey !== process.env.INTERNAL_KEY) {
-    return res.status(401).json({ error: 'Invalid internal key' });
-  }
-
-  const { title, description, reward, tags, deadline, requirements, creator } = req.body;
+  const { title, description, reward, tags, deadline, requirements, creator, feeBps, milestones, network, token } = req.body;
   
   if (!title || !description || !reward) {
     return res.status(400).json({ error: 'title, description, and reward required' });
   }
+  const { asset, error: assetError, supported } = resolveAsset({ network, token });
+  if (assetError) {
+    return res.status(400).json({ error: assetError, supported });
+  }
+  const feeOverride = parseFeeOverride(feeBps);
+  if (feeOverride.error) {
+    return res.status(400).json({ error: feeOverride.error });
+  }
+  let milestonePlan = null;
+  if (milestones !== undefined) {
+    const parsed = parseMilestones(milestones, reward, asset);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    milestonePlan = parsed.milestones;
+  }
 
   const bounty = {
     uuid: uuidv4(),
     title,
     description,
     reward: reward.toString(),
-    rewardFormatted: (parseInt(reward) / 1e6).toFixed(2) + ' USDC',
+    rewardFormatted: formatAmount(reward, asset),
+    network: asset.network,
+    asset: assetRecord(asset),
     tags: tags || [],
     deadline: deadline || Date.now() + 7 * 24 * 60 * 60 * 1000,
     requirements: requirements || [],
     creator: creator || TREASURY_ADDRESS,
+    feeOverrideBps: feeOverride.feeBps,
+    ...(milestonePlan && { milestones: milestonePlan }),
     status: 'open',
     claimedBy: null,
     submissions: [],
@@ -1844,7 +3420,7 @@ app.post('/internal/bounties', async (req, res) => {
     updatedAt: Date.now()
   };
 
-  const saved = await saveBounty(bounty);
+  const saved = await saveBounty(bounty, auditOf(req, 'create'));
   
   console.log(`[BOUNTY CREATED INTERNAL] ${saved.id}: ${title} - ${bounty.rewardFormatted}`);
   
@@ -1855,36 +3431,82 @@ app.post('/internal/bounties', async (req, res) => {
 });
 
 /**
- * Reject a submission (admin only)
+ * Reject a submission (mod or admin)
  * Resets bounty to open status, clears claim info
  * POST /bounties/:id/reject
+ * Mods sign an EIP-712 ModAction over the submission they reviewed (mod-auth.js);
+ * admins (admin-auth.js) can reject without one
  */
 app.post('/bounties/:id/reject', async (req, res) => {
-  const { reason } = req.body;
-  const internalKey = req.headers['x-internal-key'];
+  const { reason, milestoneId } = req.body;
   const bounty = await getBounty(req.params.id);
   
   if (!bounty) {
     return res.status(404).json({ error: 'Bounty not found' });
   }
   
-  // Require internal key for rejection
-  const validInternalKey = internalKey === process.env.INTERNAL_KEY || internalKey === process.env.INTERNAL_KEY;
-  if (!validInternalKey) {
-    return res.status(401).json({ error: 'Authentication required. Provide x-internal-key header.' });
+  // Require admin auth, or a mod signature when no admin credentials were sent
+  const adminResult = adminAuth.identify(req);
+  if (adminResult && !adminResult.admin) {
+    const { status, ...body } = adminResult;
+    return res.status(status).json(body);
+  }
+  let auth = null;
+  if (!adminResult) {
+    auth = modAuth.verify(req, 'reject', bounty);
+    if (auth.error) {
+      console.log(`[REJECTION DENIED] Bounty #${bounty.id} - ${auth.error}${auth.signer ? ` (signer ${auth.signer})` : ''}`);
+      const { status, ...body } = auth;
+      return res.status(status).json(body);
+    }
   }
   
   if (bounty.status !== 'submitted' && bounty.status !== 'claimed') {
     return res.status(400).json({ error: `Cannot reject bounty with status: ${bounty.status}` });
   }
+
+  // Who rejected it, and the signed ModAction when a mod did
+  const rejectedBy = auth ? { rejectedBy: auth.mod, rejectionSignature: auth.record } : { rejectedBy: adminResult.admin.by };
   
+  // Milestone bounties can reject one milestone's work and keep the claim
+  if (milestoneId !== undefined && bounty.milestones) {
+    const milestone = findMilestone(bounty, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+    if (milestone.status !== 'submitted') {
+      return res.status(400).json({ error: `Cannot reject milestone with status: ${milestone.status}` });
+    }
+    const reviewed = (bounty.submissions || []).filter(s => s.milestoneId === milestone.id);
+    const stale = auth && staleReview(auth.record, reviewed[reviewed.length - 1]);
+    if (stale) {
+      return res.status(409).json({ error: stale, hint: 'Reload the submission, review it and sign the rejection again.' });
+    }
+    milestone.status = 'pending';
+    milestone.rejections = milestone.rejections || [];
+    milestone.rejections.push({ rejectedAt: Date.now(), reason: reason || 'Submission did not meet requirements', ...rejectedBy });
+    bounty.status = bountyStatusFor(bounty.milestones);
+    bounty.updatedAt = Date.now();
+
+    const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'reject', rejectedBy.rejectedBy));
+    rescanGaming();
+    console.log(`[MILESTONE REJECTED] #${bounty.id} ${milestone.id} by ${rejectedBy.rejectedBy} - ${reason || 'No reason given'}`);
+    return res.json({ ...updated, message: `Milestone ${milestone.id} rejected, the claimer can resubmit it. Reason: ${reason || 'Submission did not meet requirements'}` });
+  }
+  
+  const stale = auth && staleReview(auth.record, bounty.submissions?.[bounty.submissions.length - 1]);
+  if (stale) {
+    return res.status(409).json({ error: stale, hint: 'Reload the submission, review it and sign the rejection again.' });
+  }
+
   // Store rejection info
   bounty.rejections = bounty.rejections || [];
   bounty.rejections.push({
     rejectedAt: Date.now(),
     reason: reason || 'Submission did not meet requirements',
     previousClaimant: bounty.claimedBy,
-    previousSubmissions: bounty.submissions
+    previousSubmissions: bounty.submissions,
+    ...rejectedBy
   });
   
   // Check for duplicates before reopening
@@ -1900,26 +3522,38 @@ app.post('/bounties/:id/reject', async (req, res) => {
     // Duplicate exists — cancel this one instead of reopening
     bounty.status = 'cancelled';
     bounty.claimedBy = null;
+    bounty.payoutSplit = null;
     bounty.claimedAt = null;
     bounty.submissions = [];
+    reopenMilestones(bounty);
+    bounty.cancelledAt = Date.now();
     bounty.updatedAt = Date.now();
+    queueEscrowRefund(bounty, 'cancelled-duplicate');
     
-    const updated = await updateBounty(bounty.id, bounty);
-    console.log(`[BOUNTY REJECTED + CANCELLED] #${bounty.id} - duplicate of #${duplicateOpen.id}`);
+    const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'reject', rejectedBy.rejectedBy));
+    rescanGaming();
+    if (refundJobs(bounty).length && paymentRelay.enabled) {
+      paymentRelay.kick(bounty).catch(err => console.error(`[RELAY] Kick failed: ${err.message}`));
+    }
+    console.log(`[BOUNTY REJECTED + CANCELLED] #${bounty.id} by ${rejectedBy.rejectedBy} - duplicate of #${duplicateOpen.id}`);
     res.json({ 
       ...updated, 
+      refund: refundSummary(bounty),
       message: `Bounty rejected and cancelled (duplicate of #${duplicateOpen.id} already open). Reason: ${reason || 'Submission did not meet requirements'}` 
     });
   } else {
     // No duplicate — safe to reopen
     bounty.status = 'open';
     bounty.claimedBy = null;
+    bounty.payoutSplit = null;
     bounty.claimedAt = null;
     bounty.submissions = [];
+    reopenMilestones(bounty);
     bounty.updatedAt = Date.now();
 
-    const updated = await updateBounty(bounty.id, bounty);
-    console.log(`[BOUNTY REJECTED] #${bounty.id} - ${reason || 'No reason given'}`);
+    const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'reject', rejectedBy.rejectedBy));
+    rescanGaming();
+    console.log(`[BOUNTY REJECTED] #${bounty.id} by ${rejectedBy.rejectedBy} - ${reason || 'No reason given'}`);
     res.json({ ...updated, message: `Bounty rejected and reset to open. Reason: ${reason || 'Submission did not meet requirements'}` });
   }
 });
@@ -1929,13 +3563,7 @@ app.post('/bounties/:id/reject', async (req, res) => {
  * PATCH /bounties/:id
  * Merges provided fields with existing bounty
  */
-app.patch('/bounties/:id', async (req, res) => {
-  const internalKey = req.headers['x-internal-key'];
-  const validInternalKey = internalKey === process.env.INTERNAL_KEY || internalKey === process.env.INTERNAL_KEY;
-  if (!validInternalKey) {
-    return res.status(401).json({ error: 'Admin authentication required. Provide x-internal-key header.' });
-  }
-  
+app.patch('/bounties/:id', requireAdmin, async (req, res) => {
   const bounty = await getBounty(req.params.id);
   if (!bounty) {
     return res.status(404).json({ error: 'Bounty not found' });
@@ -1951,8 +3579,8 @@ app.patch('/bounties/:id', async (req, res) => {
     console.log(`[AUTO-FIX] Bounty #${merged.id} had submissions but was open, set to submitted`);
   }
   
-  const updated = await updateBounty(merged.id, merged);
-  console.log(`[BOUNTY RESTORED] #${merged.id} - fields updated: ${Object.keys(updates).join(', ')}`);
+  const updated = await updateBounty(merged.id, merged, { ...auditOf(req, 'admin_restore'), before: bounty });
+  console.log(`[BOUNTY RESTORED] #${merged.id} by ${req.admin.by} - fields updated: ${Object.keys(updates).join(', ')}`);
   res.json(updated);
 });
 
@@ -2021,7 +3649,7 @@ Format your response as JSON:
       });
     }
 
-    const aiRes = await fetch('https://api.openai.com/v1/chat/completions', {
+    const aiRes = await serviceFetch.fetch('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${OPENAI_KEY}`,
@@ -2064,18 +3692,15 @@ Format your response as JSON:
 /**
  * Release/unclaim a bounty (claimer can give up)
  * Frees up the bounty for others and the claimer's concurrent claim slot
- * POST /bounties/:id/release
+ * POST /bounties/:id/release (signed request by the claimer)
  */
-app.post('/bounties/:id/release', async (req, res) => {
-  const { address } = req.body;
+app.post('/bounties/:id/release', signedRequest, async (req, res) => {
+  const address = req.signer;
   const bounty = await getBounty(req.params.id);
   
   if (!bounty) {
     return res.status(404).json({ error: 'Bounty not found' });
   }
-  if (!address) {
-    return res.status(400).json({ error: 'address required' });
-  }
   if (bounty.claimedBy?.toLowerCase() !== address.toLowerCase()) {
     return res.status(403).json({ error: 'Only the claimer can release this bounty' });
   }
@@ -2088,47 +3713,371 @@ app.post('/bounties/:id/release', async (req, res) => {
   bounty.releases.push({
     releasedAt: Date.now(),
     releasedBy: address.toLowerCase(),
+    claimedAt: bounty.claimedAt || null,
     previousStatus: bounty.status,
     submissions: bounty.submissions
   });
 
-  // Reset to open
-  bounty.status = 'open';
-  bounty.claimedBy = null;
-  bounty.claimedAt = null;
-  bounty.submissions = [];
-  bounty.updatedAt = Date.now();
+  // Reset to open
+  bounty.status = 'open';
+  bounty.claimedBy = null;
+  bounty.payoutSplit = null;
+  bounty.claimedAt = null;
+  bounty.submissions = [];
+  reopenMilestones(bounty);
+  bounty.updatedAt = Date.now();
+
+  const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'release', address));
+  rescanGaming();
+  console.log(`[BOUNTY RELEASED] #${bounty.id} released by ${address}`);
+  res.json({ ...updated, message: 'Bounty released and available for others to claim' });
+});
+
+/**
+ * Cancel a bounty (creator only, before claimed)
+ * POST /bounties/:id/cancel (signed request by the creator)
+ */
+app.post('/bounties/:id/cancel', signedRequest, async (req, res) => {
+  const address = req.signer;
+  const bounty = await getBounty(req.params.id);
+  
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (bounty.creator?.toLowerCase() !== address) {
+    return res.status(403).json({ error: 'Only creator can cancel' });
+  }
+  if (bounty.status !== 'open') {
+    return res.status(400).json({ error: 'Cannot cancel claimed bounty' });
+  }
+
+  bounty.status = 'cancelled';
+  bounty.cancelledAt = Date.now();
+  bounty.updatedAt = Date.now();
+  const refunds = queueEscrowRefund(bounty, 'cancelled');
+
+  const updated = await updateBounty(bounty.id, bounty, auditOf(req, 'cancel', address));
+  if (refunds.length && paymentRelay.enabled) {
+    paymentRelay.kick(bounty).catch(err => console.error(`[RELAY] Kick failed: ${err.message}`));
+  }
+  console.log(`[BOUNTY CANCELLED] #${bounty.id} by ${address}${refunds.length ? ` - escrow refund ${refunds.map(j => j.id).join(', ')} queued` : ''}`);
+  res.json({ ...updated, refund: refundSummary(bounty) });
+});
+
+/**
+ * Crowdfund a bounty: any wallet can add to an open bounty's escrow (x402 payment)
+ * POST /bounties/:id/fund
+ * The reward grows by the contribution; refunds on cancel/expiry are pro-rata
+ */
+app.post('/bounties/:id/fund', async (req, res) => {
+  const { amount } = req.body;
+  const bounty = await getBounty(req.params.id);
+
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (bounty.status !== 'open') {
+    return res.status(400).json({ error: `Only open bounties can be funded (status: ${bounty.status})` });
+  }
+  if (!bounty.escrow?.funded) {
+    return res.status(400).json({ error: 'This bounty has no escrow to add to', hint: 'Only escrowed bounties can be crowdfunded' });
+  }
+  if (bounty.milestones?.some(m => m.payout)) {
+    return res.status(400).json({ error: 'Milestone payouts have already started on this bounty' });
+  }
+  // Contributions are paid in the bounty's own asset
+  const asset = assetOf(bounty);
+  const minContribution = inAsset(MIN_CONTRIBUTION, asset);
+  if (!/^\d+$/.test(String(amount ?? '')) || BigInt(amount) < BigInt(minContribution)) {
+    return res.status(400).json({
+      error: `amount required - ${asset.symbol} in smallest units, at least ${formatAmount(minContribution, asset)}`,
+      minAmount: minContribution
+    });
+  }
+
+  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+  const paymentRequirements = buildPaymentRequirements({
+    amount: BigInt(amount).toString(),
+    payTo: TREASURY_ADDRESS,
+    resource: resourceUrl(req),
+    description: `Bounty escrow top-up: ${formatAmount(amount, asset)} for bounty #${bounty.id}`,
+    network: asset.network,
+    token: asset.symbol
+  });
+
+  if (!paymentHeader) {
+    return paymentRequired(res, paymentRequirements, {
+      error: 'Payment Required: contributions are paid into escrow upfront',
+      breakdown: {
+        contribution: paymentRequirements.maxAmountRequired,
+        currentReward: bounty.reward,
+        newReward: (BigInt(bounty.reward) + BigInt(amount)).toString(),
+        note: 'No posting fee on contributions. Refunds on cancel or expiry are pro-rata to what each funder put in'
+      }
+    });
+  }
+
+  let payment;
+  try {
+    const verified = await verifyPayment(paymentHeader, paymentRequirements);
+    payment = verified.payment;
+    req.payer = verified.payer;
+  } catch (error) {
+    return paymentFailed(res, error, paymentRequirements);
+  }
+
+  if (await isBlocklisted(req.payer)) {
+    console.log(`[BLOCKED] ${req.payer} attempted to fund bounty ${bounty.id} but is blocklisted`);
+    return res.status(403).json({ error: 'This wallet has been blocklisted for abuse' });
+  }
+
+  let settlement;
+  try {
+    settlement = await settlePayment(payment, paymentRequirements);
+  } catch (error) {
+    console.log(`[ESCROW SETTLEMENT FAILED] ${req.payer} funding ${bounty.id}: ${error.message}`);
+    return paymentFailed(res, error, paymentRequirements, 'Payment settlement failed');
+  }
+  paymentSettled(res, settlement);
+
+  // A cancel, expiry or approval that landed during settlement already computed
+  // its refund or payout without this contribution: send it back instead
+  const written = await modifyBounty(bounty.id, current => {
+    const closed = current.status !== 'open' || refundJobs(current).length || current.escrow?.released || current.milestones?.some(m => m.payout);
+    if (closed) {
+      return {
+        returned: returnContribution(current, {
+          from: req.payer,
+          amount,
+          txHash: settlement.transaction,
+          network: settlement.network,
+          reason: `bounty ${current.status} during settlement`
+        })
+      };
+    }
+    const contribution = addContribution(current, {
+      from: req.payer,
+      amount,
+      txHash: settlement.transaction,
+      network: settlement.network
+    });
+    if (current.milestones) {
+      allocateMilestones(current.milestones, current.reward, asset);
+    }
+    current.updatedAt = Date.now();
+    return { contribution };
+  }, ({ returned }) => auditOf(req, returned ? 'fund_returned' : 'fund', req.payer));
+
+  if (!written) {
+    console.error(`[BOUNTY FUND NOT RECORDED] ${bounty.id} - ${formatAmount(amount, asset)} from ${req.payer} (tx: ${settlement.transaction}) kept conflicting with other writes`);
+    return res.status(503).json({
+      error: 'Your payment settled but the bounty was too busy to record it. Contact an admin with the transaction hash',
+      code: 'write_conflict',
+      txHash: settlement.transaction
+    });
+  }
+
+  const { bounty: current, saved: updated, result: { returned, contribution } } = written;
+  if (returned) {
+    if (paymentRelay.enabled) {
+      paymentRelay.kick(current).catch(err => console.error(`[RELAY] Kick failed: ${err.message}`));
+    }
+    console.log(`[BOUNTY FUND RETURNED] ${current.id} - ${formatAmount(amount, asset)} from ${req.payer} settled after the bounty became ${current.status}, refund ${returned.payout.id} queued`);
+    return res.status(409).json({
+      error: `Bounty is no longer open (status: ${updated.status}). Your contribution is being refunded`,
+      code: 'bounty_closed',
+      refund: {
+        refundId: returned.payout.id,
+        recipient: returned.payout.recipient,
+        netAmount: returned.payout.netReward,
+        netAmountFormatted: formatAmount(returned.payout.netReward, asset),
+        status: returned.payout.state
+      }
+    });
+  }
+
+  ledger.recordDeposit({
+    bountyId: current.id,
+    payer: req.payer,
+    reward: contribution.amount,
+    txHash: settlement.transaction,
+    asset: assetCode(asset)
+  });
+
+  console.log(`[BOUNTY FUNDED] ${current.id} +${formatAmount(amount, asset)} from ${req.payer} - reward now ${current.rewardFormatted} (tx: ${settlement.transaction})`);
+  res.status(201).json({
+    ...updated,
+    contribution,
+    funders: fundersOf(current.escrow, asset)
+  });
+});
+
+/**
+ * Tip the worker on a completed bounty (x402 payment)
+ * POST /bounties/:id/tip
+ * The tip is forwarded in full to the claimer through the payment relay
+ */
+app.post('/bounties/:id/tip', async (req, res) => {
+  const { amount, message = '' } = req.body;
+  const MAX_TIP_MESSAGE_LENGTH = 280;
+  const bounty = await getBounty(req.params.id);
+
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  if (bounty.status !== 'completed' || !bounty.claimedBy) {
+    return res.status(400).json({ error: `Only completed bounties can be tipped (status: ${bounty.status})` });
+  }
+  // Tips are paid in the bounty's own asset
+  const asset = assetOf(bounty);
+  const minTip = inAsset(MIN_PAYMENT, asset);
+  if (!/^\d+$/.test(String(amount ?? '')) || BigInt(amount) < BigInt(minTip)) {
+    return res.status(400).json({
+      error: `amount required - ${asset.symbol} in smallest units, at least ${formatAmount(minTip, asset)}`,
+      minAmount: minTip
+    });
+  }
+  if (typeof message !== 'string' || message.length > MAX_TIP_MESSAGE_LENGTH) {
+    return res.status(400).json({ error: `message must be a string of at most ${MAX_TIP_MESSAGE_LENGTH} chars` });
+  }
+
+  const recipient = bounty.claimedBy.toLowerCase();
+  const paymentHeader = req.headers['x-payment'] || req.headers['payment-signature'];
+  const paymentRequirements = buildPaymentRequirements({
+    amount: BigInt(amount).toString(),
+    payTo: TREASURY_ADDRESS,
+    resource: resourceUrl(req),
+    description: `Tip: ${formatAmount(amount, asset)} for the worker on bounty #${bounty.id}`,
+    network: asset.network,
+    token: asset.symbol
+  });
+
+  if (!paymentHeader) {
+    return paymentRequired(res, paymentRequirements, {
+      error: 'Payment Required: tips are paid upfront and forwarded to the worker',
+      breakdown: {
+        tip: paymentRequirements.maxAmountRequired,
+        recipient,
+        fee: '0',
+        note: 'Tips are forwarded in full. Split bounties tip the claimer'
+      }
+    });
+  }
+
+  let payment;
+  try {
+    const verified = await verifyPayment(paymentHeader, paymentRequirements);
+    payment = verified.payment;
+    req.payer = verified.payer;
+  } catch (error) {
+    return paymentFailed(res, error, paymentRequirements);
+  }
+
+  if (req.payer.toLowerCase() === recipient) {
+    return res.status(403).json({ error: 'You cannot tip your own bounty work' });
+  }
+  if (await isBlocklisted(req.payer)) {
+    console.log(`[BLOCKED] ${req.payer} attempted to tip bounty ${bounty.id} but is blocklisted`);
+    return res.status(403).json({ error: 'This wallet has been blocklisted for abuse' });
+  }
+
+  let settlement;
+  try {
+    settlement = await settlePayment(payment, paymentRequirements);
+  } catch (error) {
+    console.log(`[TIP SETTLEMENT FAILED] ${req.payer} tipping ${bounty.id}: ${error.message}`);
+    return paymentFailed(res, error, paymentRequirements, 'Payment settlement failed');
+  }
+  paymentSettled(res, settlement);
+  ledger.recordTip({
+    bountyId: bounty.id,
+    payer: req.payer,
+    amount: BigInt(amount).toString(),
+    txHash: settlement.transaction,
+    asset: assetCode(asset)
+  });
+
+  // Forwarded through the same relay as approvals; no fee on tips
+  const tipAmount = parseInt(amount);
+  const tip = {
+    id: uuidv4(),
+    from: req.payer.toLowerCase(),
+    amount: BigInt(amount).toString(),
+    amountFormatted: formatAmount(tipAmount, asset),
+    message,
+    settlementTx: settlement.transaction,
+    network: settlement.network,
+    tippedAt: Date.now(),
+    payout: createPayoutJob({
+      kind: 'tip',
+      recipient,
+      grossReward: tipAmount,
+      fee: 0,
+      netReward: tipAmount,
+      feePercent: 0,
+      ...jobAsset(bounty)
+    })
+  };
 
-  const updated = await updateBounty(bounty.id, bounty);
-  console.log(`[BOUNTY RELEASED] #${bounty.id} released by ${address}`);
-  res.json({ ...updated, message: 'Bounty released and available for others to claim' });
+  const written = await modifyBounty(bounty.id, current => {
+    current.tips = [...(current.tips || []), tip];
+    current.updatedAt = Date.now();
+  }, () => auditOf(req, 'tip', req.payer));
+  if (!written) {
+    console.error(`[BOUNTY TIP NOT RECORDED] ${bounty.id} - ${tip.amountFormatted} from ${req.payer} (tx: ${settlement.transaction}) kept conflicting with other writes`);
+    return res.status(503).json({
+      error: 'Your payment settled but the bounty was too busy to record the tip. Contact an admin with the transaction hash',
+      code: 'write_conflict',
+      txHash: settlement.transaction
+    });
+  }
+
+  const current = written.bounty;
+  if (paymentRelay.enabled) {
+    paymentRelay.kick(current).catch(err => console.error(`[RELAY] Kick failed: ${err.message}`));
+  }
+
+  console.log(`[BOUNTY TIPPED] ${current.id} +${tip.amountFormatted} from ${req.payer} to ${recipient} (tx: ${settlement.transaction})`);
+  res.status(201).json({
+    bountyId: current.id,
+    tip: describeTip(tip),
+    statusUrl: `/bounties/${current.id}/tips`
+  });
 });
 
 /**
- * Cancel a bounty (creator only, before claimed)
- * POST /bounties/:id/cancel
+ * Tips on a bounty and where each one is in the payout queue
+ * GET /bounties/:id/tips
  */
-app.post('/bounties/:id/cancel', async (req, res) => {
-  const { address } = req.body;
+app.get('/bounties/:id/tips', async (req, res) => {
   const bounty = await getBounty(req.params.id);
-  
   if (!bounty) {
     return res.status(404).json({ error: 'Bounty not found' });
   }
-  if (bounty.creator !== address?.toLowerCase()) {
-    return res.status(403).json({ error: 'Only creator can cancel' });
-  }
-  if (bounty.status !== 'open') {
-    return res.status(400).json({ error: 'Cannot cancel claimed bounty' });
-  }
-
-  bounty.status = 'cancelled';
-  bounty.updatedAt = Date.now();
-
-  const updated = await updateBounty(bounty.id, bounty);
-  res.json(updated);
+  const tips = bounty.tips || [];
+  res.json({
+    bountyId: bounty.id,
+    count: tips.length,
+    totalAmount: tips.reduce((sum, t) => sum + BigInt(t.amount), 0n).toString(),
+    tips: tips.map(describeTip)
+  });
 });
 
+function describeTip(tip) {
+  return {
+    id: tip.id,
+    from: tip.from,
+    amount: tip.amount,
+    amountFormatted: tip.amountFormatted,
+    message: tip.message,
+    settlementTx: tip.settlementTx,
+    tippedAt: tip.tippedAt,
+    paidAt: tip.paidAt || null,
+    payoutId: tip.payout.id,
+    ...describeRelayJob(tip.payout)
+  };
+}
+
 /**
  * Stats endpoint
  * GET /stats
@@ -2139,14 +4088,185 @@ app.get('/stats', async (req, res) => {
     totalBounties: allBounties.length,
     openBounties: allBounties.filter(b => b.status === 'open').length,
     completedBounties: allBounties.filter(b => b.status === 'completed').length,
+    // Mainnet USD stablecoins only
     totalRewardsUSDC: allBounties
       .filter(b => b.status === 'completed')
-      .reduce((sum, b) => sum + parseInt(b.reward || 0), 0) / 1e6,
+      .reduce((sum, b) => sum + usdValue(b.reward || 0, assetOf(b)), 0),
     totalAgents: agents.size,
     dbConnected: !!SUPABASE_KEY
   });
 });
 
+// ============ TREASURY ============
+
+/**
+ * Parse ledger filters from the query string
+ */
+function ledgerFilter(query) {
+  const time = value => {
+    if (!value) return undefined;
+    const parsed = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    return Number.isNaN(parsed) ? undefined : parsed;
+  };
+  return {
+    account: query.account,
+    type: query.type,
+    bountyId: query.bountyId,
+    asset: query.asset,
+    since: time(query.since),
+    until: time(query.until)
+  };
+}
+
+/**
+ * Admin: Treasury journal entries (oldest first)
+ * GET /admin/treasury/ledger?account=&type=&bountyId=&asset=&since=&until=&limit=&format=csv
+ */
+app.get('/admin/treasury/ledger', (req, res) => {
+  const entries = ledger.entries(ledgerFilter(req.query));
+  if (req.query.format === 'csv') {
+    return sendLedgerCSV(res, entries);
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+  res.json({
+    count: entries.length,
+    entries: entries.slice(-limit)
+  });
+});
+
+/**
+ * Admin: Treasury journal as CSV (one row per debit/credit line)
+ * GET /admin/treasury/ledger.csv
+ */
+app.get('/admin/treasury/ledger.csv', (req, res) => {
+  sendLedgerCSV(res, ledger.entries(ledgerFilter(req.query)));
+});
+
+function sendLedgerCSV(res, entries) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="treasury-ledger-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.send(ledger.toCSV(entries));
+}
+
+/**
+ * Admin: Escrow liabilities vs fees earned
+ * GET /admin/treasury/summary?since=&until=
+ */
+app.get('/admin/treasury/summary', (req, res) => {
+  const { since, until } = ledgerFilter(req.query);
+  res.json({
+    treasury: TREASURY_ADDRESS,
+    ...ledger.summary({ since, until })
+  });
+});
+
+/**
+ * Payout and reputation wallet balances vs. outstanding liabilities
+ * GET /treasury/health (?refresh=1 with admin auth to re-check now)
+ */
+app.get('/treasury/health', async (req, res) => {
+  const force = req.query.refresh === '1' && adminAuth.isAdminRequest(req);
+  try {
+    res.json(await treasuryMonitor.health({ force }));
+  } catch (err) {
+    res.status(503).json({ error: 'Treasury check failed', message: err.message });
+  }
+});
+
+/**
+ * Admin: Post ledger entries for money that moved before the ledger existed
+ * POST /admin/treasury/backfill
+ * Safe to re-run - entries are keyed by tx hash so nothing is booked twice
+ */
+app.post('/admin/treasury/backfill', async (req, res) => {
+  const before = ledger.entries().length;
+  const skipped = [];
+  for (const bounty of await getAllBounties()) {
+    const escrow = bounty.escrow;
+    const asset = assetCode(assetOf(bounty));
+    if (escrow?.funded && escrow.paidBy) {
+      // The creator's deposit plus any crowdfunded top-ups
+      for (const [contributionIndex, contribution] of contributionsOf(escrow).entries()) {
+        ledger.recordDeposit({
+          bountyId: bounty.id,
+          payer: contribution.address,
+          reward: contribution.amount,
+          postingFee: contribution.creator ? bounty.postingFee ?? fees.policy.postingFee : 0,
+          txHash: contribution.txHash || null,
+          contributionIndex,
+          asset,
+          at: contribution.at || bounty.createdAt
+        });
+      }
+    }
+    // Tips: paid in at settlement, forwarded once their job confirms
+    for (const tip of bounty.tips || []) {
+      ledger.recordTip({ bountyId: bounty.id, payer: tip.from, amount: tip.amount, txHash: tip.settlementTx, asset, at: tip.tippedAt });
+      if (tip.payout.state === 'confirmed' && tip.payout.txHash) {
+        ledger.recordTipPayout({
+          bountyId: bounty.id,
+          recipient: tip.payout.recipient,
+          amount: tip.payout.netReward,
+          txHash: tip.payout.txHash,
+          asset,
+          at: tip.payout.confirmedAt
+        });
+      }
+    }
+    // Relay transfers (payouts of any kind and refunds) are booked per confirmed job
+    const paidJobs = jobsOf(bounty).filter(job => job.kind !== 'tip' && job.state === 'confirmed' && job.txHash);
+    for (const job of paidJobs) {
+      const book = job.kind === 'refund' ? ledger.recordRefund : ledger.recordPayout;
+      book({
+        bountyId: bounty.id,
+        recipient: job.recipient,
+        grossReward: job.grossReward,
+        fee: job.fee,
+        netReward: job.netReward,
+        txHash: job.txHash,
+        grandfathered: !escrow?.funded,
+        asset,
+        at: job.confirmedAt
+      });
+    }
+    if (paidJobs.length) continue;
+    const payment = bounty.payment;
+    if (bounty.status === 'completed' && payment) {
+      if (!payment.txHash) {
+        skipped.push({ bountyId: bounty.id, reason: 'completed without a payout tx hash' });
+      } else {
+        ledger.recordPayout({
+          bountyId: bounty.id,
+          recipient: bounty.claimedBy,
+          grossReward: payment.grossReward ?? bounty.reward,
+          fee: payment.fee ?? 0,
+          netReward: payment.netReward ?? bounty.reward,
+          txHash: payment.txHash,
+          grandfathered: !escrow?.funded,
+          asset,
+          at: bounty.completedAt || bounty.updatedAt
+        });
+      }
+    }
+    if (escrow?.refunded && escrow.refundTx) {
+      ledger.recordRefund({
+        bountyId: bounty.id,
+        recipient: escrow.paidBy,
+        grossReward: escrow.amount,
+        fee: escrow.refundFee || 0,
+        netReward: escrow.refundAmount || escrow.amount,
+        txHash: escrow.refundTx,
+        asset,
+        at: escrow.refundedAt
+      });
+    }
+  }
+
+  const posted = ledger.entries().length - before;
+  console.log(`[LEDGER] Backfill posted ${posted} entries (${skipped.length} skipped)`);
+  res.json({ posted, skipped, summary: ledger.summary() });
+});
+
 /**
  * Health check
  * GET /health
@@ -2156,10 +4276,22 @@ app.get('/health', (req, res) => {
     status: 'ok', 
     version: '0.1.0',
     x402: true,
-    network: 'base'
+    network: 'base',
+    sandbox: SANDBOX
   });
 });
 
+/**
+ * Sandbox: fake chain balances, pending txs and recent events
+ * GET /sandbox/chain?limit=
+ */
+app.get('/sandbox/chain', (req, res) => {
+  if (!SANDBOX) {
+    return res.status(404).json({ error: 'Not running in sandbox mode', hint: 'Start the server with SANDBOX=1' });
+  }
+  res.json({ sandbox: true, ...chain.state({ limit: Math.min(parseInt(req.query.limit) || 100, 1000) }) });
+});
+
 /**
  * Admin: Get blocklist
  * GET /admin/blocklist
@@ -2181,11 +4313,6 @@ app.get('/admin/blocklist', async (req, res) => {
  * PATCH /admin/bounties/:id
  */
 app.patch('/admin/bounties/:id', async (req, res) => {
-  const internalKey = req.headers['x-internal-key'];
-  if (internalKey !== process.env.INTERNAL_KEY) {
-    return res.status(401).json({ error: 'Admin auth required' });
-  }
-  
   const bounty = await getBounty(req.params.id);
   if (!bounty) {
     return res.status(404).json({ error: 'Bounty not found' });
@@ -2193,61 +4320,217 @@ app.patch('/admin/bounties/:id', async (req, res) => {
   
   const updates = req.body;
   const merged = { ...bounty, ...updates, id: bounty.id, updatedAt: Date.now() };
-  const updated = await updateBounty(merged.id, merged);
-  console.log(`[ADMIN FIX] Bounty #${merged.id} - updated: ${Object.keys(updates).join(', ')}`);
+  const updated = await updateBounty(merged.id, merged, { ...auditOf(req, 'admin_fix'), before: bounty });
+  console.log(`[ADMIN FIX] Bounty #${merged.id} by ${req.admin.by} - updated: ${Object.keys(updates).join(', ')}`);
   res.json(updated);
 });
 
 /**
- * Admin: Add wallet to blocklist
- * POST /admin/blocklist
+ * Admin: Payment relay queue state
+ * GET /admin/payments
  */
-app.post('/admin/blocklist', async (req, res) => {
-  const { wallet, reason, blockedBy } = req.body;
-  
-  if (!wallet) {
-    return res.status(400).json({ error: 'wallet required' });
+app.get('/admin/payments', async (req, res) => {
+  res.json(await paymentRelay.status());
+});
+
+/**
+ * Admin: Run one pass of the payment relay now
+ * POST /admin/payments/run
+ * GET /cron/payments/run is the same pass for the Vercel cron in vercel.json,
+ * authorized only by CRON_SECRET
+ */
+async function runPayments(req, res) {
+  const result = await paymentRelay.runOnce();
+  if (!result.ok) {
+    return res.status(503).json({ error: 'Payment relay did not run', reason: result.reason });
+  }
+  res.json({ ...result, status: await paymentRelay.status() });
+}
+app.post('/admin/payments/run', runPayments);
+app.get('/cron/payments/run', requireCronSecret(process.env.CRON_SECRET), runPayments);
+
+/**
+ * Admin: Re-queue a failed or replaced payout, refund or tip
+ * POST /admin/payments/:id/retry
+ * Body: { kind: 'payout'|'refund'|'tip' (default 'payout'), jobId (split payouts, tips), resetNonce: true only after confirming on-chain that nothing was paid }
+ */
+app.post('/admin/payments/:id/retry', async (req, res) => {
+  const bounty = await getBounty(req.params.id);
+  if (!bounty) {
+    return res.status(404).json({ error: 'Bounty not found' });
+  }
+  const kind = req.body.kind || 'payout';
+  const { jobId } = req.body;
+  const payoutJobs = jobsOf(bounty).filter(j => !['refund', 'tip'].includes(j.kind));
+  if (kind === 'refund') {
+    if (!refundJobs(bounty).length) {
+      return res.status(400).json({ error: `Bounty has no refund (status: ${bounty.status})` });
+    }
+    if (bounty.refunds && !jobId) {
+      return res.status(400).json({
+        error: 'Crowdfunded refund - pass jobId of the transfer to retry',
+        refunds: bounty.refunds.map(j => ({ id: j.id, recipient: j.recipient, state: j.state }))
+      });
+    }
+  } else if (kind === 'tip') {
+    if (!jobId) {
+      return res.status(400).json({
+        error: 'Pass jobId of the tip transfer to retry',
+        tips: (bounty.tips || []).map(t => ({ id: t.payout.id, recipient: t.payout.recipient, state: t.payout.state }))
+      });
+    }
+  } else if (kind !== 'payout') {
+    return res.status(400).json({ error: 'kind must be payout, refund or tip' });
+  } else if (!payoutJobs.length) {
+    return res.status(400).json({ error: `Bounty has no pending payout (status: ${bounty.status})` });
+  } else if (payoutJobs.length > 1 && !jobId) {
+    return res.status(400).json({
+      error: `${bounty.payouts ? 'Split' : 'Milestone'} payout - pass jobId of the transfer to retry`,
+      payouts: payoutJobs.map(p => ({ id: p.id, recipient: p.recipient, milestoneId: p.milestoneId, state: p.state }))
+    });
+  }
+  const current = jobId ? jobsOf(bounty).find(j => j.id === jobId) : kind === 'refund' ? bounty.refund : payoutJobs[0];
+  if (!current) {
+    return res.status(404).json({ error: 'Job not found on this bounty' });
+  }
+  if (!['failed', 'replaced'].includes(current.state)) {
+    return res.status(400).json({ error: `Only failed or replaced ${kind}s can be retried (state: ${current.state})` });
   }
   
-  const normalized = wallet.toLowerCase();
+  const job = await paymentRelay.retry(bounty, { kind, jobId: current.id, resetNonce: req.body.resetNonce === true });
+  console.log(`[RELAY] Bounty #${bounty.id} ${kind} ${job.id} re-queued by admin${req.body.resetNonce === true ? ' (nonce reset)' : ''}`);
+  res.json({ bountyId: bounty.id, [kind]: job });
+});
+
+/**
+ * Admin: Negotiated creator fee rates
+ * GET /admin/fees/creators
+ */
+app.get('/admin/fees/creators', (req, res) => {
+  res.json({ rates: fees.listCreatorRates() });
+});
+
+/**
+ * Admin: Set a creator's negotiated rate
+ * PUT /admin/fees/creators/:address
+ * Body: { feeBps?: number, postingFee?: string, note?: string }
+ */
+app.put('/admin/fees/creators/:address', (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid creator address' });
+  }
+  const { feeBps, postingFee, note } = req.body;
+  if ((feeBps === undefined || feeBps === null) && (postingFee === undefined || postingFee === null)) {
+    return res.status(400).json({ error: 'feeBps or postingFee required' });
+  }
   
-  // Get existing blocklist
-  const result = await supabaseRequest('bounties', 'GET', { 
-    query: 'select=id,data&data->>type=eq.blocklist' 
-  });
+  try {
+    const rate = fees.setCreatorRate(address, {
+      feeBps: feeBps ?? null,
+      postingFee: postingFee ?? null,
+      note: note || '',
+      setBy: req.admin.by
+    });
+    console.log(`[FEES] Negotiated rate for ${rate.creator}: ${rate.feeBps ?? 'tier'} bps, posting fee ${rate.postingFee ?? 'default'}`);
+    res.json({ success: true, rate });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Admin: Remove a creator's negotiated rate
+ * DELETE /admin/fees/creators/:address
+ */
+app.delete('/admin/fees/creators/:address', (req, res) => {
+  const removed = fees.removeCreatorRate(req.params.address);
+  if (!removed) {
+    return res.status(404).json({ error: 'No negotiated rate for this creator' });
+  }
+  console.log(`[FEES] Negotiated rate removed for ${req.params.address.toLowerCase()}`);
+  res.json({ success: true });
+});
+
+// ============ AUDIT ============
+
+/**
+ * Admin: Audit events across all bounties, oldest first
+ * GET /admin/audit?bountyId=&wallet=&action=&actor=&since=&limit=
+ */
+app.get('/admin/audit', (req, res) => {
+  const { bountyId, wallet, action, actor } = req.query;
+  const since = parseInt(req.query.since) || undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const events = auditLog.query({ bountyId, wallet, action, actor, since, limit });
+  res.json({ count: events.length, events });
+});
+
+// ============ ROLES ============
+
+/**
+ * Admin: Current role grants
+ * GET /admin/roles?role=&wallet=
+ */
+app.get('/admin/roles', (req, res) => {
+  const { role, wallet } = req.query;
+  res.json({ roles: ROLES, grants: roles.list({ role, wallet }) });
+});
+
+/**
+ * Admin: Grant/revoke log, newest first
+ * GET /admin/roles/log?role=&wallet=&limit=
+ */
+app.get('/admin/roles/log', (req, res) => {
+  const { role, wallet } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json({ log: roles.history({ role, wallet, limit }) });
+});
+
+/**
+ * Admin: Grant a role (re-granting replaces its tag scope)
+ * POST /admin/roles
+ * Body: { wallet, role: 'admin'|'mod'|'reviewer'|'creator', tags?: string[], reason?: string }
+ */
+app.post('/admin/roles', (req, res) => {
+  const { wallet, role, tags, reason } = req.body;
+  const result = roles.grant({ wallet, role, tags, by: req.admin.by, reason: reason || null });
+  if (result.error) {
+    return res.status(400).json({ error: result.error, roles: ROLES });
+  }
+  res.status(201).json({ success: true, ...result });
+});
+
+/**
+ * Admin: Revoke a role
+ * DELETE /admin/roles/:wallet/:role
+ * Body: { reason?: string }
+ */
+app.delete('/admin/roles/:wallet/:role', (req, res) => {
+  const { by } = req.admin;
+  if (by === req.params.wallet.toLowerCase() && req.params.role === 'admin') {
+    return res.status(400).json({ error: 'You cannot revoke your own admin role' });
+  }
   
-  let blocklistId, blocklist;
-  if (result && result.length > 0) {
-    blocklistId = result[0].id;
-    blocklist = result[0].data;
-  } else {
-    // Create new blocklist
-    blocklist = { type: 'blocklist', wallets: [], entries: [] };
+  const result = roles.revoke({ wallet: req.params.wallet, role: req.params.role, by, reason: req.body?.reason || null });
+  if (result.error) {
+    return res.status(result.status || 400).json({ error: result.error });
   }
+  res.json({ success: true, ...result });
+});
+
+/**
+ * Admin: Add wallet to blocklist
+ * POST /admin/blocklist
+ */
+app.post('/admin/blocklist', async (req, res) => {
+  const { wallet, reason } = req.body;
   
-  // Add wallet if not already blocked
-  if (!blocklist.wallets.includes(normalized)) {
-    blocklist.wallets.push(normalized);
-    blocklist.entries.push({
-      wallet: normalized,
-      reason: reason || 'No reason provided',
-      blockedAt: new Date().toISOString(),
-      blockedBy: blockedBy || 'admin'
-    });
-    
-    if (blocklistId) {
-      await supabaseRequest('bounties', 'PATCH', { 
-        query: `id=eq.${blocklistId}`,
-        body: { data: blocklist }
-      });
-    } else {
-      await supabaseRequest('bounties', 'POST', { 
-        body: { data: blocklist }
-      });
-    }
+  if (!wallet) {
+    return res.status(400).json({ error: 'wallet required' });
   }
   
-  console.log(`[BLOCKLIST] Added ${normalized} - ${reason}`);
+  const blocklist = await addToBlocklist(wallet, reason, req.admin.by);
   res.json({ success: true, blocklist });
 });
 
@@ -2277,7 +4560,7 @@ app.delete('/admin/blocklist/:wallet', async (req, res) => {
     body: { data: blocklist }
   });
   
-  console.log(`[BLOCKLIST] Removed ${normalized}`);
+  console.log(`[BLOCKLIST] Removed ${normalized} by ${req.admin.by}`);
   res.json({ success: true, blocklist });
 });
 
@@ -2289,50 +4572,133 @@ app.get('/agent', (req, res) => {
   res.json({
     name: "AI Bounty Board",
     description: "Decentralized bounty board where AI agents can post and claim bounties. Payments in USDC via x402 protocol.",
-    network: "Base (chainId 8453)",
-    treasury_fee: "5%",
+    network: "Base (chainId 8453) by default; see GET /networks for other chains and tokens",
+    treasury_fee: fees.schedule(),
+    signed_requests: {
+      routes: "claim, submit, release, cancel, PUT/DELETE /bounties/:id/submissions/:subId",
+      scheme: "EIP-191 personal_sign of the message below, by the wallet the request acts for",
+      message: `${SIGNED_REQUEST_PREFIX}\n<METHOD> <path>\nBody: sha256:<hex of the exact request body>\nNonce: <random hex>\nExpires: <unix seconds, at most 10 min ahead>`,
+      headers: ["X-Signature", "X-Signature-Nonce", "X-Signature-Expires"],
+      notes: "Each nonce works once. A body address, if sent, must be the signer. agent-client.js signs for you"
+    },
+    mod_actions: {
+      routes: "POST /bounties/:id/approve, POST /bounties/:id/reject",
+      scheme: "EIP-712 signTypedData by a mod wallet",
+      domain: MOD_ACTION_DOMAIN,
+      types: MOD_ACTION_TYPES,
+      body: { modWallet: "string - optional, must be the signer", signature: "string", timestamp: "number - unix seconds, at most 10 min old", submissionId: "string - id of the submission reviewed ('' signs as none)", milestoneId: "string - milestone id ('' signs as none)" },
+      notes: "Each signature works once. It is stored on the bounty (approvalSignature, rejections[].rejectionSignature). A submission replaced or edited after signing needs a new signature (409)"
+    },
     endpoints: [
       {
         method: "GET",
         path: "/bounties",
-        description: "List all bounties, optionally filtered by status or tag",
-        query: { status: "string - open|claimed|submitted|completed|cancelled", tag: "string - filter by tag" },
+        description: "List all bounties, optionally filtered by status, tag, network or token",
+        query: { status: "string - open|claimed|submitted|payment_pending|completed|cancelled|expired", tag: "string - filter by tag", network: "string - e.g. base, base-sepolia", token: "string - e.g. USDC" },
         returns: { bounties: "array of bounty objects" }
       },
+      {
+        method: "GET",
+        path: "/networks",
+        description: "Networks and reward tokens enabled on this server",
+        returns: { default: "object - { network, token } used when a bounty doesn't pick one", networks: "array of { network, chainId, testnet, tokens }" }
+      },
       {
         method: "GET",
         path: "/bounties/:id",
         description: "Get bounty details by ID",
         returns: { id: "string", title: "string", description: "string", reward: "string (USDC wei)", status: "string" }
       },
+      {
+        method: "GET",
+        path: "/bounties/:id/history",
+        description: "Audit trail of the bounty: every change with who made it (wallet, admin key name or system actor), the action, the fields changed and the request id, oldest first. GET /agents/:address/history lists the events involving a wallet",
+        query: { action: "string - optional, e.g. claim, submit, approve, reject", limit: "number - optional, newest N (default 100)" },
+        returns: { events: "array of { id, at, action, actor, requestId, statusFrom, statusTo, changes: { field: { from, to } } }" }
+      },
       {
         method: "POST",
         path: "/bounties",
-        description: "Create a new bounty (requires x402 payment of 1 USDC posting fee)",
-        body: { title: "string - required", description: "string - required", reward: "string - USDC amount in wei", tags: "array of strings", deadline: "number - timestamp", requirements: "array of strings" },
+        description: `Create a new bounty (requires x402 payment of the reward + ${fees.schedule().postingFeeFormatted} posting fee)`,
+        body: { title: "string - required", description: "string - required", reward: "string - amount in the token's smallest units", network: "string - optional, default base (GET /networks)", token: "string - optional, default USDC", tags: "array of strings", deadline: "number - timestamp", requirements: "array of strings", feeBps: "number - payout fee override (admin only)", milestones: "array - optional [{ title, requirements, bps }] paid out one at a time (bps add up to 10000)" },
         returns: { bounty: "object with id, title, reward, status" }
       },
       {
         method: "POST",
         path: "/bounties/:id/claim",
-        description: "Claim a bounty to work on it",
-        body: { address: "string - your wallet address" },
+        description: "Claim a bounty to work on it (signed request, see signed_requests). Teams can declare a payout split signed by the claimer: sign \"payout-split:{bountyId}:{address}={bps},...\" (bps add up to 10000)",
+        body: { address: "string - optional, must be the signer", split: "object - optional { recipients: [{ address, bps }], signature }" },
         returns: { bounty: "updated bounty object with claimedBy" }
       },
       {
         method: "POST",
         path: "/bounties/:id/submit",
-        description: "Submit work for a claimed bounty",
-        body: { address: "string - must match claimer", submission: "string - work description/link", proof: "string - optional proof" },
+        description: "Submit work for a claimed bounty (signed request by the claimer). Milestone bounties take one submission per milestone",
+        body: { address: "string - optional, must be the signer", submission: "string - work description/link", proof: "string - optional proof", split: "object - optional payout split (replaces one declared at claim)", milestoneId: "string - milestone id (e.g. m1), required for milestone bounties" },
         returns: { bounty: "updated bounty with submission" }
       },
       {
         method: "POST",
         path: "/bounties/:id/approve",
-        description: "Approve submission and release payment (creator only)",
-        body: { creatorSignature: "string - signature from creator" },
+        description: "Approve submission and queue the payout (signed ModAction by a mod, see mod_actions). Milestone bounties release one milestone's share per approval. Poll GET /bounties/:id/payout for status",
+        body: { modWallet: "string - optional, must be the signer", signature: "string - ModAction signature", timestamp: "number - signed unix seconds", submissionId: "string - submission reviewed", milestoneId: "string - milestone to approve (milestone bounties)" },
         returns: { bounty: "object", payment: "object with txHash, netAmount" }
       },
+      {
+        method: "POST",
+        path: "/bounties/:id/reject",
+        description: "Reject a submission (signed ModAction by a mod, see mod_actions, or admin auth: an admin key in X-Internal-Key or a signed request from an admin wallet). Reopens the bounty, or sends one milestone back to pending when milestoneId is given",
+        body: { reason: "string", modWallet: "string - optional, must be the signer", signature: "string - ModAction signature", timestamp: "number - signed unix seconds", submissionId: "string - submission reviewed", milestoneId: "string - milestone to reject (milestone bounties)" },
+        returns: { bounty: "updated bounty", message: "string" }
+      },
+      {
+        method: "GET",
+        path: "/mod/flags",
+        description: "Wallets flagged for gaming patterns (claim/release churn, rejection ratio, near-identical submissions, wallet clusters), highest score first, with the evidence behind each signal. Needs admin auth or a signed request from a wallet with an unscoped reviewer or mod role. GET /mod/flags/:wallet shows one flag, POST /mod/flags/scan rescans",
+        query: { status: "string - open (default), confirmed, dismissed, blocked, cleared or all", limit: "number" },
+        returns: { flags: "array of { wallet, score, signals: [{ signal, points, summary, evidence }], status, reviews }", lastScan: "object" }
+      },
+      {
+        method: "POST",
+        path: "/mod/flags/:wallet/review",
+        description: "Review a gaming flag (same auth as GET /mod/flags). dismiss closes it until the score rises, confirm keeps it on record, block adds the wallet to the blocklist (admins only)",
+        body: { decision: "string - dismiss, confirm or block", note: "string - optional" },
+        returns: { flag: "updated flag" }
+      },
+      {
+        method: "POST",
+        path: "/bounties/:id/fund",
+        description: `Crowdfund an open bounty (requires x402 payment of amount in the bounty's token, min ${formatAmount(MIN_CONTRIBUTION)}). The reward grows by the contribution; cancel/expiry refunds are pro-rata. A contribution that settles after the bounty closed is refunded in full (409 bounty_closed)`,
+        body: { amount: "string - USDC amount in wei" },
+        returns: { bounty: "updated bounty with the new reward", contribution: "object", funders: "array of { address, amount }" }
+      },
+      {
+        method: "POST",
+        path: "/bounties/:id/tip",
+        description: "Tip the worker on a completed bounty (requires x402 payment of amount in the bounty's token, min 0.10). Forwarded in full to the claimer through the payout queue; poll GET /bounties/:id/tips for status",
+        body: { amount: "string - USDC amount in wei", message: "string - optional note to the worker (max 280 chars)" },
+        returns: { tip: "object with amount, payout state and txHash once forwarded", statusUrl: "string" }
+      },
+      {
+        method: "POST",
+        path: "/bounties/:id/cancel",
+        description: "Cancel an open bounty (signed request by the creator). The escrowed reward is refunded to the wallets that paid it (pro-rata for crowdfunded bounties); poll GET /bounties/:id/refund for status",
+        body: { address: "string - optional, must be the signer" },
+        returns: { bounty: "updated bounty", refund: "object with status, netAmount, statusUrl (null if nothing was escrowed)" }
+      },
+      {
+        method: "GET",
+        path: "/bounties/:id/receipt",
+        description: "EIP-712 payout receipts signed by the treasury, one per confirmed transfer (add ?format=html for a printable page)",
+        returns: { signer: "string - treasury receipt signer", receipts: "array of { domain, types, message, signature }" }
+      },
+      {
+        method: "POST",
+        path: "/receipts/verify",
+        description: "Check a payout receipt's signature and that it matches the payout on record",
+        body: { receipt: "object - a receipt from GET /bounties/:id/receipt" },
+        returns: { valid: "boolean", signer: "string", signedByTreasury: "boolean", matchesRecord: "boolean", mismatches: "array of field names" }
+      },
       {
         method: "GET",
         path: "/discover",
@@ -2354,6 +4720,19 @@ app.get('/agent', (req, res) => {
         body: { name: "string", endpoint: "string - URL to POST notifications" },
         returns: { id: "string", message: "string" }
       },
+      {
+        method: "GET",
+        path: "/fees",
+        description: "Fee schedule. Pass reward (and optionally creator, worker) to get a quote",
+        query: { reward: "string - USDC amount in wei", creator: "string - creator wallet", worker: "string - worker wallet" },
+        returns: { schedule: "object", quote: "object with feeBps, fee, netReward, source" }
+      },
+      {
+        method: "GET",
+        path: "/treasury/health",
+        description: "Payout wallet token and gas balances vs outstanding liabilities. Claims on bounties the treasury can't cover return 503",
+        returns: { status: "ok | warning | critical", tokens: "array of { asset, balance, liabilities, shortfall }", gas: "array", alerts: "array" }
+      },
       {
         method: "GET",
         path: "/stats",
@@ -2366,7 +4745,7 @@ app.get('/agent', (req, res) => {
       "2. GET /discover?capabilities=coding,writing - Find matching bounties",
       "3. POST /bounties/:id/claim - Claim a bounty you want to work on",
       "4. POST /bounties/:id/submit - Submit your completed work",
-      "5. Wait for creator approval → receive USDC (minus 5% fee)"
+      "5. Wait for creator approval → receive USDC (minus the platform fee, see GET /fees)"
     ],
     x402_enabled: true
   });
@@ -2375,21 +4754,63 @@ app.get('/agent', (req, res) => {
 /**
  * x402 Payment info
  * GET /.well-known/x402
+ * Lists every paid route; amounts depend on the request, so each route gives
+ * what it charges and the minimum (the 402 for a request has the exact amount)
+ * Routes are shown in the default asset; fund/tip charge in the bounty's asset
  */
 app.get('/.well-known/x402', (req, res) => {
+  const origin = requestOrigin(req);
+  const paidRoutes = [
+    {
+      method: 'POST',
+      path: '/bounties',
+      description: 'Create a bounty: the reward is escrowed and the posting fee is kept',
+      amount: 'reward + posting fee',
+      minAmountRequired: fees.policy.postingFee
+    },
+    {
+      method: 'POST',
+      path: '/bounties/:id/fund',
+      description: "Add to an open bounty's escrow (crowdfunding)",
+      amount: 'body.amount',
+      minAmountRequired: MIN_CONTRIBUTION
+    },
+    {
+      method: 'POST',
+      path: '/bounties/:id/tip',
+      description: 'Tip the worker on a completed bounty, forwarded in full',
+      amount: 'body.amount',
+      minAmountRequired: MIN_PAYMENT
+    }
+  ];
+
   res.json({
+    x402Version: X402_VERSION,
     version: '1.0',
     network: X402_CONFIG.network,
     chainId: X402_CONFIG.chainId,
     accepts: X402_CONFIG.accepts,
     facilitator: X402_CONFIG.facilitator,
-    treasury: TREASURY_ADDRESS
+    treasury: TREASURY_ADDRESS,
+    networks: listNetworks(),
+    routes: paidRoutes.map(route => ({
+      ...route,
+      resource: origin + route.path,
+      scheme: 'exact',
+      network: X402_CONFIG.network,
+      payTo: TREASURY_ADDRESS,
+      asset: X402_CONFIG.accepts[0].address,
+      maxTimeoutSeconds: 300,
+      mimeType: 'application/json'
+    })),
+    paymentHeader: 'X-PAYMENT',
+    settlementHeader: 'X-PAYMENT-RESPONSE'
   });
 });
 
 
 // 1-click claim UI handler (loaded from browse-handler.js)
-require("./browse-handler")(app, getAllBounties);
+require("./browse-handler")(app, getAllBounties, bountyId => auditLog.query({ bountyId }));
 
 
 /**
@@ -2414,13 +4835,20 @@ app.get('/api/profile/:address', async (req, res) => {
     completed: allBounties.filter(b => b.claimedBy === normalizedAddress && b.status === 'completed'),
     created: allBounties.filter(b => b.creator === normalizedAddress)
   };
+  // Tips count once they've been forwarded to this wallet
+  const tipsReceived = allBounties
+    .flatMap(b => b.tips || [])
+    .filter(t => t.payout.recipient === normalizedAddress && t.payout.state === 'confirmed');
+  const totalTipsUSDC = tipsReceived.reduce((sum, t) => sum + usdValue(t.payout.netReward, assetOfJob(t.payout)), 0);
 
   const stats = {
     totalSubmitted: userBounties.submitted.length,
     totalInProgress: userBounties.inProgress.length,
     totalCompleted: userBounties.completed.length,
     totalCreated: userBounties.created.length,
-    totalEarnedUSDC: userBounties.completed.reduce((sum, b) => sum + parseInt(b.reward || 0), 0) / 1e6
+    totalEarnedUSDC: userBounties.completed.reduce((sum, b) => sum + usdValue(b.reward || 0, assetOf(b)), 0) + totalTipsUSDC,
+    totalTipsUSDC,
+    tipsReceived: tipsReceived.length
   };
 
   res.json({
@@ -2439,7 +4867,7 @@ app.get('/', async (req, res) => {
   // Filter out corrupted bounties
   const validBounties = allBounties.filter(b => b.title);
   const completedBounties = validBounties.filter(b => b.status === 'completed');
-  const totalPaidUSDC = completedBounties.reduce((sum, b) => sum + parseInt(b.reward || 0), 0) / 1e6;
+  const totalPaidUSDC = completedBounties.reduce((sum, b) => sum + usdValue(b.reward || 0, assetOf(b)), 0);
   
   const stats = {
     totalBounties: validBounties.length,
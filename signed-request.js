@@ -0,0 +1,162 @@
+/**
+ * Signed Requests - proves the caller controls the wallet a request acts for
+ *
+ * Claim, submit, release, cancel and submission edits/deletes used to trust a
+ * plain `address` in the body. They now need an EIP-191 (personal_sign)
+ * signature over the request:
+ *
+ *   AI Bounty Board signed request
+ *   POST /bounties/42/claim
+ *   Body: sha256:<hex of the raw request body, '' when there is none>
+ *   Nonce: <random hex>
+ *   Expires: <unix seconds>
+ *
+ * sent as headers X-Signature, X-Signature-Nonce and X-Signature-Expires.
+ * The middleware recovers the signer into req.signer (lowercase). A body
+ * `address`, if present, must be the signer. Nonces are spent in a nonce
+ * registry (nonce-registry.js), so a captured request can't be replayed.
+ *
+ * Usage:
+ *   const { createRequestVerifier, signRequest } = require('./signed-request');
+ *   const verifier = createRequestVerifier({ nonces: createNonceRegistry(store.map('requestNonces'), REQUEST_NONCE_OPTIONS) });
+ *   app.post('/bounties/:id/claim', verifier.requireSignature(), handler);   // handler reads req.signer
+ *   const headers = await signRequest(wallet, { method: 'POST', path, body });   // client side
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const MESSAGE_PREFIX = 'AI Bounty Board signed request';
+const DEFAULT_TTL_SECONDS = 300;
+
+// Nonce registry settings for request nonces: signatures live at most 10 minutes
+const REQUEST_NONCE_OPTIONS = {
+  maxWindowSeconds: 10 * 60,
+  labels: { subject: 'Request signature', nonce: 'Request nonce', retry: 'Sign the request again.' }
+};
+
+/**
+ * sha256 hex of a raw request body (string or Buffer)
+ */
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || '').digest('hex');
+}
+
+/**
+ * The text that gets personal_sign'ed for a request
+ */
+function requestMessage({ method, path, bodyHash, nonce, expires }) {
+  return [
+    MESSAGE_PREFIX,
+    `${method.toUpperCase()} ${path}`,
+    `Body: sha256:${bodyHash}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expires}`
+  ].join('\n');
+}
+
+/**
+ * Sign a request with an ethers wallet
+ * body is the exact string that will be sent (JSON.stringify it first)
+ * Returns the headers to add
+ */
+async function signRequest(wallet, { method, path, body = '', ttlSeconds = DEFAULT_TTL_SECONDS }) {
+  const nonce = ethers.hexlify(ethers.randomBytes(16));
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = await wallet.signMessage(requestMessage({ method, path, bodyHash: hashBody(body), nonce, expires }));
+  return {
+    'X-Signature': signature,
+    'X-Signature-Nonce': nonce,
+    'X-Signature-Expires': String(expires)
+  };
+}
+
+/**
+ * Keep the raw body around for hashing (pass as express.json({ verify }))
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Create a request verifier
+ * @param {object} opts
+ * @param {object} opts.nonces - Nonce registry (nonce-registry.js) for spent request nonces
+ */
+function createRequestVerifier({ nonces }) {
+  const unauthorized = (res, error, extra = {}) => res.status(401).json({
+    error,
+    hint: `Sign "${MESSAGE_PREFIX}\\n<METHOD> <path>\\nBody: sha256:<hex>\\nNonce: <hex>\\nExpires: <unix seconds>" with personal_sign and send it as X-Signature, X-Signature-Nonce and X-Signature-Expires`,
+    ...extra
+  });
+
+  /**
+   * Check a request's signature and spend its nonce
+   * Returns { signer } or { error, code?, expectedMessage? }
+   */
+  function verify(req) {
+    const signature = req.headers['x-signature'];
+    const nonce = req.headers['x-signature-nonce'];
+    const expires = req.headers['x-signature-expires'];
+    if (!signature || !nonce || !expires) {
+      return { error: 'Signed request required' };
+    }
+    if (!/^0x[0-9a-fA-F]{8,64}$/.test(nonce) || !/^\d+$/.test(expires)) {
+      return { error: 'X-Signature-Nonce must be hex and X-Signature-Expires unix seconds' };
+    }
+
+    const message = requestMessage({
+      method: req.method,
+      path: req.originalUrl,
+      bodyHash: hashBody(req.rawBody),
+      nonce,
+      expires
+    });
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature).toLowerCase();
+    } catch (e) {
+      return { error: 'Invalid request signature', expectedMessage: message };
+    }
+
+    const claimed = req.body?.address;
+    if (claimed && String(claimed).toLowerCase() !== signer) {
+      return { error: 'Request was not signed by address', expectedMessage: message, signer };
+    }
+
+    try {
+      nonces.consume({ from: signer, nonce, validBefore: expires }, `${req.method} ${req.originalUrl}`);
+    } catch (err) {
+      return { error: err.message, code: err.code };
+    }
+    return { signer };
+  }
+
+  /**
+   * Middleware: reject unsigned requests, set req.signer on signed ones
+   */
+  function requireSignature() {
+    return (req, res, next) => {
+      const result = verify(req);
+      if (result.error) {
+        console.log(`[SIGNED REQUEST] Rejected ${req.method} ${req.originalUrl}: ${result.error}`);
+        const { error, ...extra } = result;
+        return unauthorized(res, error, extra);
+      }
+      req.signer = result.signer;
+      next();
+    };
+  }
+
+  return { verify, requireSignature };
+}
+
+module.exports = {
+  MESSAGE_PREFIX,
+  REQUEST_NONCE_OPTIONS,
+  hashBody,
+  requestMessage,
+  signRequest,
+  captureRawBody,
+  createRequestVerifier
+};
@@ -0,0 +1,114 @@
+/**
+ * Admin auth: named keys in X-Internal-Key, signed requests from admin wallets,
+ * and the cron secret that only the cron route accepts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createAdminAuth, loadAdminKeys, requireCronSecret } = require('../admin-auth');
+const { createRequestVerifier, signRequest, REQUEST_NONCE_OPTIONS } = require('../signed-request');
+const { createNonceRegistry } = require('../nonce-registry');
+const { createRoleStore } = require('../roles');
+
+const ADMIN = new ethers.Wallet('0x' + 'a1'.repeat(32));
+const STRANGER = new ethers.Wallet('0x' + 'b2'.repeat(32));
+
+function setup() {
+  const roles = createRoleStore();
+  roles.grant({ wallet: ADMIN.address, role: 'admin', by: 'seed' });
+  const verifier = createRequestVerifier({ nonces: createNonceRegistry(new Map(), REQUEST_NONCE_OPTIONS) });
+  return createAdminAuth({
+    keys: loadAdminKeys({ INTERNAL_KEY: 'internal-secret', ADMIN_KEYS: '{"ops":"ops-secret"}' }),
+    verifyRequest: req => verifier.verify(req),
+    isAdmin: wallet => roles.has(wallet, 'admin')
+  });
+}
+
+const request = (headers = {}, method = 'POST', originalUrl = '/admin/payments/run') => ({ method, originalUrl, headers, rawBody: '' });
+
+async function signed(wallet, method = 'POST', path = '/admin/payments/run') {
+  const headers = await signRequest(wallet, { method, path });
+  return request(Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])), method, path);
+}
+
+// Run a middleware; resolves with the response it sent, or 'next'
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test('loadAdminKeys names INTERNAL_KEY "internal" and ignores CRON_SECRET and bad ADMIN_KEYS', () => {
+  assert.deepEqual(loadAdminKeys({ INTERNAL_KEY: 'a', ADMIN_KEYS: '{"ops":"b","empty":""}', CRON_SECRET: 'c' }), [{ name: 'internal', key: 'a' }, { name: 'ops', key: 'b' }]);
+  assert.deepEqual(loadAdminKeys({ CRON_SECRET: 'c' }), []);
+  assert.deepEqual(loadAdminKeys({ INTERNAL_KEY: 'a', ADMIN_KEYS: '{not json' }), [{ name: 'internal', key: 'a' }]);
+});
+
+test('a named key in X-Internal-Key is an admin; a wrong key or a Bearer token is not', async () => {
+  const auth = setup();
+  const req = request({ 'x-internal-key': 'ops-secret' });
+  assert.equal(await run(auth.requireAdmin(), req), 'next');
+  assert.deepEqual(req.admin, { by: 'key:ops', type: 'key', name: 'ops' });
+  assert.equal(auth.identify(request({ 'x-internal-key': 'internal-secret' })).admin.by, 'key:internal');
+
+  const wrong = await run(auth.requireAdmin(), request({ 'x-internal-key': 'nope' }));
+  assert.deepEqual([wrong.status, wrong.body.code], [401, 'invalid_key']);
+  const bearer = await run(auth.requireAdmin(), request({ authorization: 'Bearer ops-secret' }));
+  assert.deepEqual([bearer.status, bearer.body.code], [401, 'admin_auth_required']);
+  assert.equal(auth.identify(request()), null);
+});
+
+test('a request signed by an admin wallet is an admin; other signers are not', async () => {
+  const auth = setup();
+  const req = await signed(ADMIN);
+  assert.equal(await run(auth.requireAdmin(), req), 'next');
+  assert.deepEqual(req.admin, { by: ADMIN.address.toLowerCase(), type: 'wallet', address: ADMIN.address.toLowerCase() });
+
+  const stranger = await run(auth.requireAdmin(), await signed(STRANGER));
+  assert.deepEqual([stranger.status, stranger.body.code, stranger.body.signer], [403, 'not_admin', STRANGER.address.toLowerCase()]);
+
+  // Signed for another route: the signature recovers to some other wallet
+  const moved = await signed(ADMIN);
+  moved.originalUrl = '/admin/roles';
+  const { status, body } = await run(auth.requireAdmin(), moved);
+  assert.equal(status, 403);
+  assert.notEqual(body.signer, ADMIN.address.toLowerCase());
+
+  const garbled = await signed(ADMIN);
+  garbled.headers['x-signature'] = '0x1234';
+  assert.equal((await run(auth.requireAdmin(), garbled)).body.code, 'invalid_signature');
+});
+
+test('a signed request is verified once per request and its nonce is never reused', async () => {
+  const auth = setup();
+  const req = await signed(ADMIN);
+  assert.equal(auth.isAdminRequest(req), true);
+  assert.equal(await run(auth.requireAdmin(), req), 'next');
+
+  const replay = { ...req, adminAuth: undefined, admin: undefined };
+  const result = auth.identify(replay);
+  assert.equal(result.code, 'invalid_signature');
+  assert.equal(auth.isAdminRequest(replay), false);
+});
+
+test('the cron secret is accepted only as a Bearer token, and never while unset', async () => {
+  const cron = requireCronSecret('cron-secret');
+  const req = request({ authorization: 'Bearer cron-secret' }, 'GET', '/cron/payments/run');
+  assert.equal(await run(cron, req), 'next');
+  assert.deepEqual(req.admin, { by: 'cron', type: 'cron' });
+
+  for (const headers of [{ authorization: 'Bearer wrong' }, { authorization: 'cron-secret' }, { 'x-internal-key': 'cron-secret' }, {}]) {
+    const refused = await run(cron, request(headers, 'GET', '/cron/payments/run'));
+    assert.deepEqual([refused.status, refused.body.code], [401, 'invalid_cron_secret']);
+  }
+  const unset = await run(requireCronSecret(undefined), request({ authorization: 'Bearer ' }, 'GET', '/cron/payments/run'));
+  assert.equal(unset.status, 401);
+
+  // And an admin route doesn't take it
+  assert.equal((await run(setup().requireAdmin(), request({ 'x-internal-key': 'cron-secret' }))).body.code, 'invalid_key');
+});
@@ -0,0 +1,58 @@
+/**
+ * Audit log: field diffs, skipped no-op writes, and queries by bounty or wallet
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuditLog, diffBounty } = require('../audit-log');
+
+const CREATOR = '0x' + 'aa'.repeat(20);
+const WORKER = '0x' + 'bb'.repeat(20);
+const MOD = '0x' + 'cc'.repeat(20);
+
+const open = { id: '7', status: 'open', creator: CREATOR, reward: '5000000', updatedAt: 1, revision: 'r1' };
+const claimed = { ...open, status: 'claimed', claimedBy: WORKER, updatedAt: 2, revision: 'r2' };
+
+test('the diff lists changed, added and removed fields, but not bookkeeping ones', () => {
+  assert.deepEqual(diffBounty(open, claimed), { status: { from: 'open', to: 'claimed' }, claimedBy: { from: undefined, to: WORKER } });
+  assert.deepEqual(diffBounty(claimed, { ...open, tags: ['a'] }), { status: { from: 'claimed', to: 'open' }, claimedBy: { from: WORKER, to: undefined }, tags: { from: undefined, to: ['a'] } });
+  assert.deepEqual(diffBounty({ ...open, tags: ['a'] }, { ...open, tags: ['a'], updatedAt: 9, revision: 'r9' }), {});
+});
+
+test('an event records who acted, the status change and the wallets involved', () => {
+  const audit = createAuditLog();
+  const event = audit.record({ bountyId: 7, action: 'claim', actor: WORKER.toUpperCase().replace('0X', '0x'), requestId: 'req-1', before: open, after: claimed });
+  assert.equal(event.bountyId, '7');
+  assert.deepEqual([event.action, event.requestId, event.statusFrom, event.statusTo], ['claim', 'req-1', 'open', 'claimed']);
+  assert.deepEqual(event.wallets, [WORKER, CREATOR]);
+  assert.deepEqual(Object.keys(event.changes), ['status', 'claimedBy']);
+
+  const created = audit.record({ bountyId: '8', action: 'create', after: open });
+  assert.deepEqual([created.actor, created.statusFrom, created.statusTo], ['system', null, 'open']);
+});
+
+test('writes that change nothing are skipped unless they carry details', () => {
+  const audit = createAuditLog();
+  const touched = { ...open, updatedAt: 5, revision: 'r5' };
+  assert.equal(audit.record({ bountyId: '7', action: 'update', actor: CREATOR, before: open, after: touched }), null);
+  const noted = audit.record({ bountyId: '7', action: 'receipt', actor: 'payment-relay', before: open, after: touched, details: { txHash: '0x01' } });
+  assert.deepEqual([noted.changes, noted.details], [{}, { txHash: '0x01' }]);
+  assert.equal(audit.query().length, 1);
+});
+
+test('queries filter by bounty, wallet, action and actor, oldest first, limit keeping the newest', () => {
+  const events = new Map();
+  const audit = createAuditLog(events);
+  audit.record({ bountyId: '7', action: 'claim', actor: WORKER, before: open, after: claimed });
+  audit.record({ bountyId: '7', action: 'approve', actor: MOD, before: claimed, after: { ...claimed, status: 'completed' } });
+  audit.record({ bountyId: '8', action: 'create', actor: 'key:ops', after: { ...open, id: '8', creator: MOD } });
+
+  assert.equal(events.size, 3);
+  assert.deepEqual(audit.query({ bountyId: 7 }).map(e => e.action), ['claim', 'approve']);
+  // The creator sees changes others made to their bounty
+  assert.deepEqual(audit.query({ wallet: CREATOR.toUpperCase().replace('0X', '0x') }).map(e => e.action), ['claim', 'approve']);
+  assert.deepEqual(audit.query({ wallet: MOD }).map(e => e.action), ['approve', 'create']);
+  assert.deepEqual(audit.query({ actor: 'key:ops' }).map(e => e.bountyId), ['8']);
+  assert.deepEqual(audit.query({ action: 'claim', bountyId: '8' }), []);
+  assert.deepEqual(audit.query({ limit: 2 }).map(e => e.action), ['approve', 'create']);
+});
@@ -0,0 +1,49 @@
+/**
+ * Crowdfunding: contributions grow the escrow, refunds are pro-rata
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { contributionsOf, addContribution, fundersOf, allocateRefund } = require('../crowdfund');
+const { assetOf } = require('../networks');
+
+const CREATOR = '0x' + 'aa'.repeat(20);
+const B = '0x' + 'bb'.repeat(20);
+const C = '0x' + 'cc'.repeat(20);
+
+const escrowed = amount => ({ id: '1', reward: amount, escrow: { funded: true, paidBy: CREATOR.toUpperCase().replace('0X', '0x'), amount, settlementTx: '0x01' } });
+
+test('the creator deposit is the first contribution, even on bounties from before crowdfunding', () => {
+  const [first] = contributionsOf(escrowed('5000000').escrow);
+  assert.deepEqual([first.address, first.amount, first.txHash, first.creator], [CREATOR, '5000000', '0x01', true]);
+  assert.deepEqual(contributionsOf({ funded: false }), []);
+});
+
+test('contributions raise the reward to the escrowed total and group by funder', () => {
+  const bounty = escrowed('5000000');
+  addContribution(bounty, { from: B, amount: '2000000', txHash: '0x02' });
+  addContribution(bounty, { from: B.toUpperCase().replace('0X', '0x'), amount: 3000000n, txHash: '0x03' });
+  assert.equal(bounty.reward, '10000000');
+  assert.equal(bounty.escrow.amount, '10000000');
+  assert.equal(bounty.rewardFormatted, '10.00 USDC');
+  assert.equal(bounty.escrow.contributions.length, 3);
+
+  const funders = fundersOf(bounty.escrow, assetOf(bounty));
+  assert.deepEqual(funders.map(f => [f.address, f.amount, f.contributions, f.creator]), [[CREATOR, '5000000', 1, true], [B, '5000000', 2, false]]);
+});
+
+test('refunds are pro-rata and add up to the refundable amount', () => {
+  const funders = [{ address: CREATOR, amount: '5000000' }, { address: B, amount: '3000000' }, { address: C, amount: '1000000' }];
+  for (const refundable of ['9000000', '8910000', '1000001', '7']) {
+    const shares = allocateRefund({ refundable, funders });
+    assert.equal(shares.reduce((sum, s) => sum + s.grossReward, 0), Number(refundable), refundable);
+  }
+  // 1% refund fee kept: each funder loses 1%, the rounding dust goes to the creator
+  assert.deepEqual(allocateRefund({ refundable: '8910000', funders }).map(s => s.grossReward), [4950000, 2970000, 990000]);
+  assert.deepEqual(allocateRefund({ refundable: '1000001', funders }).map(s => s.grossReward), [555557, 333333, 111111]);
+});
+
+test('funders whose share rounds to nothing get no refund job', () => {
+  const funders = [{ address: CREATOR, amount: '5000000' }, { address: B, amount: '1' }];
+  assert.deepEqual(allocateRefund({ refundable: '100', funders }), [{ address: CREATOR, grossReward: 100 }]);
+});
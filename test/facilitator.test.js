@@ -0,0 +1,113 @@
+/**
+ * Local facilitator: verify and settle an EIP-3009 payment, on the fake chain
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+  createFacilitator,
+  decodePaymentHeader,
+  buildPaymentRequirements,
+  TRANSFER_WITH_AUTHORIZATION_TYPES
+} = require('../facilitator');
+const { createFakeChain } = require('../chain');
+const { getNetwork } = require('../networks');
+
+const payer = new ethers.Wallet('0x' + '11'.repeat(32));
+const treasury = new ethers.Wallet('0x' + '22'.repeat(32)).address;
+
+/** Sign an X-Payment header for requirements, like agent-client.js does */
+async function paymentHeader(requirements, overrides = {}) {
+  const authorization = {
+    from: payer.address,
+    to: requirements.payTo,
+    value: requirements.maxAmountRequired,
+    validAfter: '0',
+    validBefore: String(Math.floor(Date.now() / 1000) + 300),
+    nonce: ethers.hexlify(ethers.randomBytes(32)),
+    ...overrides
+  };
+  const domain = { ...requirements.extra, chainId: getNetwork(requirements.network).chainId, verifyingContract: requirements.asset };
+  const signature = await payer.signTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization);
+  const payment = { x402Version: 1, scheme: 'exact', network: requirements.network, payload: { signature, authorization } };
+  return Buffer.from(JSON.stringify(payment)).toString('base64');
+}
+
+const requirements = buildPaymentRequirements({ amount: '5000000', payTo: treasury, resource: '/bounties' });
+
+test('verifies a signed authorization and returns the payer', async () => {
+  const facilitator = createFacilitator({ mode: 'local' });
+  const payment = decodePaymentHeader(await paymentHeader(requirements));
+  const result = await facilitator.verify(payment, requirements);
+  assert.equal(result.isValid, true);
+  assert.equal(result.payer, payer.address.toLowerCase());
+});
+
+test('rejects underpayment, overpayment, the wrong recipient and expired authorizations', async () => {
+  const facilitator = createFacilitator({ mode: 'local' });
+  const cases = [
+    [{ value: '4999999' }, /Insufficient payment/],
+    [{ value: '5000001' }, /Overpayment/],
+    [{ to: payer.address }, /does not match payTo/],
+    [{ validBefore: String(Math.floor(Date.now() / 1000) - 1) }, /expired/]
+  ];
+  for (const [overrides, reason] of cases) {
+    const payment = decodePaymentHeader(await paymentHeader(requirements, overrides));
+    const result = await facilitator.verify(payment, requirements);
+    assert.equal(result.isValid, false);
+    assert.match(result.invalidReason, reason);
+  }
+});
+
+test('rejects a payment whose authorization was altered after signing', async () => {
+  const facilitator = createFacilitator({ mode: 'local' });
+  const payment = decodePaymentHeader(await paymentHeader(requirements));
+  payment.payload.authorization.nonce = ethers.hexlify(ethers.randomBytes(32));
+  const result = await facilitator.verify(payment, requirements);
+  assert.equal(result.isValid, false);
+  assert.match(result.invalidReason, /signature/i);
+});
+
+test('settles on the fake chain, moving the tokens to payTo', async () => {
+  const chain = createFakeChain();
+  const facilitator = createFacilitator({ mode: 'local', chain });
+  const payment = decodePaymentHeader(await paymentHeader(requirements));
+  const settlement = await facilitator.settle(payment, requirements);
+  assert.equal(settlement.success, true);
+  assert.equal(settlement.network, 'base');
+  assert.equal(settlement.payer, payer.address.toLowerCase());
+  assert.equal(chain.balance('base', requirements.asset, treasury), 5000000n);
+  assert.equal((await chain.getReceipt('base', settlement.transaction)).status, 1);
+});
+
+test('does not settle an invalid payment', async () => {
+  const chain = createFakeChain();
+  const facilitator = createFacilitator({ mode: 'local', chain });
+  const payment = decodePaymentHeader(await paymentHeader(requirements, { value: '1' }));
+  const settlement = await facilitator.settle(payment, requirements);
+  assert.equal(settlement.success, false);
+  assert.equal(settlement.transaction, null);
+  assert.equal(chain.balance('base', requirements.asset, treasury), 0n);
+});
+
+test('decodePaymentHeader refuses payloads that are not x402 exact', () => {
+  assert.throws(() => decodePaymentHeader('not base64 json'), /not base64 JSON/);
+  assert.throws(() => decodePaymentHeader(Buffer.from('{"payload":{}}').toString('base64')), /EIP-3009/);
+});
+
+test('the remote facilitator passes a timeout to its HTTP client and reports failures', async () => {
+  const calls = [];
+  const facilitator = createFacilitator({
+    mode: 'remote',
+    url: 'https://facilitator.example/',
+    fetch: async (url, init) => {
+      calls.push({ url, init });
+      throw new Error('No response within 30000ms');
+    }
+  });
+  const payment = decodePaymentHeader(await paymentHeader(requirements));
+  await assert.rejects(facilitator.verify(payment, requirements), /Facilitator verify failed: No response/);
+  assert.equal(calls[0].url, 'https://facilitator.example/verify');
+  assert.ok(calls[0].init.timeoutMs > 0);
+});
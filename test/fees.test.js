@@ -0,0 +1,78 @@
+/**
+ * Fees: tier, creator rate and override selection, then reputation discounts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFeePolicy, parsePolicy } = require('../fees');
+
+const CREATOR = '0x' + 'aa'.repeat(20);
+
+const policy = parsePolicy({
+  postingFee: '500000',
+  tiers: [
+    { maxReward: null, feeBps: 300 },
+    { maxReward: '10000000', feeBps: 800 },
+    { maxReward: '100000000', feeBps: 500 }
+  ],
+  reputationDiscounts: [
+    { minReputation: 50, discountBps: 100 },
+    { minReputation: 200, discountBps: 400 }
+  ],
+  minFeeBps: 200
+});
+
+test('tiers are sorted and the first covering tier wins', () => {
+  const fees = createFeePolicy({ policy });
+  assert.deepEqual(policy.tiers.map(t => t.maxReward), ['10000000', '100000000', null]);
+  assert.equal(fees.quote({ reward: '10000000' }).feeBps, 800);
+  assert.equal(fees.quote({ reward: '10000001' }).feeBps, 500);
+  assert.equal(fees.quote({ reward: '500000000' }).feeBps, 300);
+
+  const quote = fees.quote({ reward: '20000000' });
+  assert.deepEqual([quote.fee, quote.netReward, quote.source], [1000000, 19000000, 'tier']);
+});
+
+test('reputation discounts take the highest threshold met, never below minFeeBps', () => {
+  const fees = createFeePolicy({ policy });
+  assert.equal(fees.quote({ reward: '20000000', workerReputation: 49 }).discountBps, 0);
+  const some = fees.quote({ reward: '20000000', workerReputation: 50 });
+  assert.deepEqual([some.baseFeeBps, some.feeBps, some.discountBps], [500, 400, 100]);
+  const most = fees.quote({ reward: '20000000', workerReputation: 500 });
+  assert.deepEqual([most.feeBps, most.discountBps], [200, 300]);
+});
+
+test('a creator rate replaces the tier, and a bounty override beats both without discounts', () => {
+  const fees = createFeePolicy({ policy });
+  fees.setCreatorRate(CREATOR.toUpperCase().replace('0X', '0x'), { feeBps: 250, postingFee: '0' });
+
+  const rate = fees.quote({ reward: '20000000', creator: CREATOR, workerReputation: 50 });
+  assert.deepEqual([rate.source, rate.baseFeeBps, rate.feeBps], ['creator-rate', 250, 200]);
+  assert.equal(fees.postingFee(CREATOR), '0');
+  assert.equal(fees.postingFee(null), '500000');
+
+  const override = fees.quote({ reward: '20000000', creator: CREATOR, workerReputation: 500, overrideBps: 0 });
+  assert.deepEqual([override.source, override.feeBps, override.fee], ['bounty-override', 0, 0]);
+
+  fees.removeCreatorRate(CREATOR);
+  assert.equal(fees.quote({ reward: '20000000', creator: CREATOR }).source, 'tier');
+});
+
+test('fees round down so the worker keeps the remainder', () => {
+  const fees = createFeePolicy({ policy: parsePolicy({ tiers: [{ maxReward: null, feeBps: 333 }] }) });
+  const quote = fees.quote({ reward: '1000001' });
+  assert.equal(quote.fee, 33300);
+  assert.equal(quote.fee + quote.netReward, 1000001);
+});
+
+test('the schedule describes each tier range', () => {
+  const { payoutFeeTiers } = createFeePolicy({ policy }).schedule();
+  assert.deepEqual(payoutFeeTiers.map(t => [t.minReward, t.maxReward]), [['0', '10000000'], ['10000001', '100000000'], ['100000001', null]]);
+  assert.equal(payoutFeeTiers[2].description, '3% on rewards above 100.00 USDC');
+});
+
+test('invalid policies are rejected', () => {
+  assert.throws(() => parsePolicy({ tiers: [{ maxReward: '100', feeBps: 500 }] }), /open-ended tier/);
+  assert.throws(() => parsePolicy({ tiers: [{ maxReward: null, feeBps: 10001 }] }), /tiers\[0\]\.feeBps/);
+  assert.throws(() => createFeePolicy({ policy }).setCreatorRate(CREATOR, { feeBps: 1.5 }), /feeBps must be an integer/);
+});
@@ -0,0 +1,143 @@
+/**
+ * Gaming detector: signals from bounty history, and the flag lifecycle
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGamingDetector, analyze, similarity, parsePolicy } = require('../gaming-detector');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.now();
+const A = '0x' + 'aa'.repeat(20);
+const B = '0x' + 'bb'.repeat(20);
+const C = '0x' + 'cc'.repeat(20);
+
+const ESSAY = 'A detailed write up of the indexer design covering schema migrations, retry queues and how backfills are sharded across workers';
+const OTHER = 'Landing page copy for the grants round with three headline options and a short FAQ about eligibility';
+
+let nextId = 0;
+const bounty = fields => ({ id: String(++nextId), status: 'open', ...fields });
+const release = (wallet, at = now - DAY, submissions = []) => ({ releasedBy: wallet, releasedAt: at, claimedAt: at - 60000, submissions });
+const rejection = (wallet, content) => ({ previousClaimant: wallet, rejectedAt: now - DAY, previousSubmissions: [{ id: `s${++nextId}`, content, submittedAt: now - DAY }] });
+const signalsOf = (results, wallet) => (results.get(wallet)?.signals || []).map(s => s.signal).sort();
+
+test('similarity is 1 for the same text and low for unrelated texts', () => {
+  assert.equal(similarity(ESSAY, ESSAY.toUpperCase() + '!'), 1);
+  assert.ok(similarity(ESSAY, OTHER) < 0.1);
+});
+
+test('churn fires for wallets that keep releasing their claims', () => {
+  const bounties = [1, 2, 3].map(() => bounty({ releases: [release(A)] }));
+  const results = analyze(bounties, { now });
+  assert.deepEqual(signalsOf(results, A), ['churn']);
+  assert.equal(results.get(A).signals[0].evidence.releases[0].heldMinutes, 1);
+});
+
+test('history older than the window is ignored', () => {
+  const bounties = [1, 2, 3].map(() => bounty({ releases: [release(A, now - 40 * DAY)] }));
+  assert.equal(analyze(bounties, { now }).size, 0);
+});
+
+test('rejections fire past the minimum count and ratio', () => {
+  const bounties = [ESSAY, OTHER, 'a third unrelated submission about documentation'].map(content => bounty({ rejections: [rejection(A, content)] }));
+  const results = analyze(bounties, { now });
+  assert.deepEqual(signalsOf(results, A), ['rejections']);
+  assert.equal(results.get(A).signals[0].summary, '3 of 3 reviewed submissions rejected');
+});
+
+test('duplicates fire for the same work on different bounties only', () => {
+  const sameBounty = bounty({ rejections: [rejection(A, ESSAY), rejection(A, ESSAY)] });
+  assert.deepEqual(signalsOf(analyze([sameBounty], { now }), A), []);
+
+  const elsewhere = bounty({ rejections: [rejection(A, ESSAY + ' v2')] });
+  const results = analyze([sameBounty, elsewhere], { now });
+  const duplicates = results.get(A).signals.find(s => s.signal === 'duplicates');
+  assert.equal(duplicates.evidence.pairs.length, 2);
+  assert.ok(duplicates.evidence.pairs.every(p => p.a.bountyId !== p.b.bountyId));
+});
+
+test('cluster links wallets that share most of their bounties', () => {
+  const bounties = [1, 2, 3].map(() => bounty({ releases: [release(A)], claimedBy: B }));
+  bounties.push(bounty({ claimedBy: C }));
+  const results = analyze(bounties, { now, policy: parsePolicy({ churn: { minReleases: 99 } }) });
+  assert.deepEqual(signalsOf(results, A), ['cluster']);
+  assert.deepEqual(signalsOf(results, B), ['cluster']);
+  assert.equal(results.get(A).signals[0].evidence.peers[0].wallet, B);
+  assert.equal(results.get(A).signals[0].evidence.peers[0].sharedBounties.length, 3);
+  assert.equal(results.has(C), false);
+});
+
+test('cluster links wallets that submit each other\'s work', () => {
+  const bounties = [
+    bounty({ rejections: [rejection(A, ESSAY)] }),
+    bounty({ claimedBy: B, submissions: [{ id: 'copy', content: ESSAY, submittedAt: now - DAY }] }),
+    bounty({ claimedBy: C, submissions: [{ id: 'own', content: OTHER, submittedAt: now - DAY }] })
+  ];
+  const results = analyze(bounties, { now });
+  const [peer] = results.get(B).signals.find(s => s.signal === 'cluster').evidence.peers;
+  assert.equal(peer.wallet, A);
+  assert.deepEqual(peer.sharedBounties, []);
+  assert.equal(peer.copiedSubmissions[0][B].submissionId, 'copy');
+  assert.equal(results.has(C), false);
+});
+
+test('scans flag wallets, and a dismissed flag reopens only when its score rises', async () => {
+  let bounties = [1, 2, 3].map(() => bounty({ releases: [release(A)] }));
+  const detector = createGamingDetector({ getAllBounties: async () => bounties, policy: parsePolicy() });
+
+  assert.equal((await detector.scan()).flagged, 1);
+  assert.equal(detector.get(A).status, 'open');
+  assert.equal(detector.get(A.toUpperCase().replace('0X', '0x')).wallet, A);
+
+  await detector.review(A, { decision: 'dismiss', by: 'mod' });
+  await detector.scan();
+  assert.equal(detector.get(A).status, 'dismissed');
+
+  bounties = [...bounties, ...[ESSAY, OTHER, 'another rejected piece of work entirely'].map(content => bounty({ rejections: [rejection(A, content)] }))];
+  await detector.scan();
+  assert.equal(detector.get(A).status, 'open');
+  assert.deepEqual(detector.list().map(f => f.wallet), [A]);
+});
+
+test('open flags whose signals went away are cleared', async () => {
+  let bounties = [1, 2, 3].map(() => bounty({ releases: [release(A)] }));
+  const detector = createGamingDetector({ getAllBounties: async () => bounties, policy: parsePolicy() });
+  await detector.scan();
+  bounties = [];
+  await detector.scan();
+  assert.equal(detector.get(A).status, 'cleared');
+  assert.equal(detector.list().length, 0);
+});
+
+test('autoBlock escalates flags at the block score, except protected wallets', async () => {
+  const churnAndRejections = wallet => [
+    ...[1, 2, 3].map(() => bounty({ releases: [release(wallet)] })),
+    ...[ESSAY, OTHER, 'a third unrelated submission'].map(content => bounty({ rejections: [rejection(wallet, `${content} ${wallet}`)] }))
+  ];
+  const escalated = [];
+  const detector = createGamingDetector({
+    getAllBounties: async () => [...churnAndRejections(A), ...churnAndRejections(B)],
+    escalate: async flag => { escalated.push(flag.wallet); },
+    isProtected: wallet => wallet === B,
+    policy: parsePolicy({ autoBlock: true, blockScore: 60 })
+  });
+  const result = await detector.scan();
+  assert.deepEqual(result.escalated, [A]);
+  assert.deepEqual(escalated, [A]);
+  assert.equal(detector.get(A).status, 'blocked');
+  assert.equal(detector.get(B).status, 'open');
+});
+
+test('reviews need a known decision and an existing flag', async () => {
+  const detector = createGamingDetector({ getAllBounties: async () => [], policy: parsePolicy() });
+  assert.equal((await detector.review(A, { decision: 'ban', by: 'mod' })).status, 400);
+  assert.equal((await detector.review(A, { decision: 'dismiss', by: 'mod' })).status, 404);
+});
+
+test('scanIfStale reuses a recent scan', async () => {
+  let loads = 0;
+  const detector = createGamingDetector({ getAllBounties: async () => { loads++; return []; }, policy: parsePolicy() });
+  const first = await detector.scanIfStale();
+  assert.equal(await detector.scanIfStale(), first);
+  assert.equal(loads, 1);
+});
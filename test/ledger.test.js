@@ -0,0 +1,101 @@
+/**
+ * Ledger: balanced double-entry postings and the treasury books they add up to
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLedger, ACCOUNTS } = require('../ledger');
+
+const CREATOR = '0x' + 'aa'.repeat(20);
+const WORKER = '0x' + 'bb'.repeat(20);
+const tx = n => '0x' + String(n).padStart(64, '0');
+
+/** Assets minus liabilities must equal revenue minus expenses, per asset */
+function assertBalanced(ledger) {
+  for (const [asset, book] of Object.entries(ledger.balances())) {
+    const total = prefix => Object.entries(book).filter(([account]) => account.startsWith(prefix)).reduce((sum, [, v]) => sum + BigInt(v), 0n);
+    assert.equal(total('assets:') - total('liabilities:'), total('revenue:') - total('expenses:'), asset);
+  }
+  for (const entry of ledger.entries()) {
+    const debits = entry.lines.reduce((sum, l) => sum + BigInt(l.debit), 0n);
+    const credits = entry.lines.reduce((sum, l) => sum + BigInt(l.credit), 0n);
+    assert.equal(debits, credits, entry.id);
+  }
+}
+
+test('a deposit, payout and refund leave escrow empty and the fees as net position', () => {
+  const ledger = createLedger(new Map());
+  ledger.recordDeposit({ bountyId: '1', payer: CREATOR, reward: '5000000', postingFee: '1000000', txHash: tx(1) });
+  ledger.recordDeposit({ bountyId: '2', payer: CREATOR, reward: '2000000', postingFee: '1000000', txHash: tx(2) });
+  let summary = ledger.summary();
+  assert.equal(summary.treasuryBalance.amount, '9000000');
+  assert.equal(summary.escrowLiabilities.amount, '7000000');
+  assertBalanced(ledger);
+
+  ledger.recordPayout({ bountyId: '1', recipient: WORKER, grossReward: '5000000', fee: '250000', netReward: '4750000', txHash: tx(3) });
+  ledger.recordRefund({ bountyId: '2', recipient: CREATOR, grossReward: '2000000', fee: '20000', netReward: '1980000', txHash: tx(4) });
+  summary = ledger.summary();
+  assert.equal(summary.escrowLiabilities.amount, '0');
+  assert.equal(summary.feesEarned.amount, '2270000');
+  assert.equal(summary.feesEarned.payoutFees.amount, '250000');
+  assert.equal(summary.feesEarned.refundFees.amount, '20000');
+  assert.equal(summary.netPosition.amount, summary.feesEarned.amount);
+  assert.equal(summary.treasuryBalance.formatted, '2.27 USDC');
+  assertBalanced(ledger);
+});
+
+test('tips are held in escrow until forwarded, and grandfathered payouts are an expense', () => {
+  const ledger = createLedger(new Map());
+  ledger.recordTip({ bountyId: '1', payer: CREATOR, amount: '2000000', txHash: tx(1) });
+  assert.equal(ledger.summary().escrowLiabilities.amount, '2000000');
+  ledger.recordTipPayout({ bountyId: '1', recipient: WORKER, amount: '2000000', txHash: tx(2) });
+  ledger.recordPayout({ bountyId: '2', recipient: WORKER, grossReward: '1000000', fee: '0', netReward: '1000000', txHash: tx(3), grandfathered: true });
+
+  const summary = ledger.summary();
+  assert.equal(summary.escrowLiabilities.amount, '0');
+  assert.equal(summary.grandfatheredPayouts.amount, '1000000');
+  assert.equal(summary.treasuryBalance.amount, '-1000000');
+  assertBalanced(ledger);
+});
+
+test('unbalanced entries throw and empty ones post nothing', () => {
+  const ledger = createLedger(new Map());
+  assert.throws(() => ledger.post({ id: 'bad', type: 'test', lines: [{ account: ACCOUNTS.TREASURY, debit: 5 }, { account: ACCOUNTS.ESCROW, credit: 4 }] }), /Unbalanced ledger entry bad/);
+  assert.throws(() => ledger.post({ type: 'test', lines: [] }), /id required/);
+  assert.equal(ledger.post({ id: 'empty', type: 'test', lines: [{ account: ACCOUNTS.TREASURY, debit: 0 }] }), null);
+  assert.equal(ledger.entries().length, 0);
+});
+
+test('re-posting a movement is a no-op, and deposits without a tx hash are kept apart by contribution', () => {
+  const ledger = createLedger(new Map());
+  const deposit = { bountyId: '1', payer: CREATOR, reward: '5000000', postingFee: '1000000', txHash: tx(1) };
+  assert.equal(ledger.recordDeposit(deposit), ledger.recordDeposit({ ...deposit, reward: '9' }));
+
+  ledger.recordDeposit({ bountyId: '2', payer: CREATOR, reward: '3000000', txHash: null, contributionIndex: 0 });
+  ledger.recordDeposit({ bountyId: '2', payer: WORKER, reward: '1000000', txHash: null, contributionIndex: 1 });
+  ledger.recordDeposit({ bountyId: '2', payer: WORKER, reward: '1000000', txHash: null, contributionIndex: 1 });
+  assert.deepEqual(ledger.entries({ bountyId: '2' }).map(e => e.id), ['deposit:2:0', 'deposit:2:1']);
+  assert.equal(ledger.summary().escrowLiabilities.amount, '9000000');
+});
+
+test('assets on other networks keep their own books', () => {
+  const ledger = createLedger(new Map());
+  ledger.recordDeposit({ bountyId: '1', payer: CREATOR, reward: '5000000', postingFee: '1000000', txHash: tx(1) });
+  ledger.recordDeposit({ bountyId: '2', payer: CREATOR, reward: '7000000', txHash: tx(2), asset: 'USDC@base-sepolia' });
+  ledger.recordReputationGas({ txHash: tx(3), gasCost: '21000000000000' });
+
+  const summary = ledger.summary();
+  assert.equal(summary.escrowLiabilities.amount, '5000000');
+  assert.equal(summary.otherAssets['USDC@base-sepolia'].escrowLiabilities.amount, '7000000');
+  assert.equal(summary.reputationGas.amount, '21000000000000');
+  assert.equal(Object.keys(summary.otherAssets).length, 1);
+  assertBalanced(ledger);
+});
+
+test('CSV has one row per line and quotes memos that need it', () => {
+  const ledger = createLedger(new Map());
+  ledger.post({ id: 'manual', type: 'test', memo: 'Fix "typo", again', at: 0, lines: [{ account: ACCOUNTS.TREASURY, debit: 1 }, { account: ACCOUNTS.ESCROW, credit: 1 }] });
+  const rows = ledger.toCSV().trim().split('\n');
+  assert.equal(rows.length, 3);
+  assert.equal(rows[1], '1970-01-01T00:00:00.000Z,manual,test,,assets:treasury,USDC,1,0,,"Fix ""typo"", again"');
+});
@@ -0,0 +1,59 @@
+/**
+ * Milestones: shares of the reward, the bounty status they imply, and progress
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMilestones, allocateMilestones, findMilestone, bountyStatusFor, reopenMilestones, milestoneProgress } = require('../milestones');
+
+const USDC = { symbol: 'USDC', decimals: 6, network: 'base' };
+const plan = bps => bps.map((share, i) => ({ title: `Stage ${i + 1}`, bps: share }));
+const withStatuses = (milestones, statuses) => milestones.map((m, i) => ({ ...m, status: statuses[i] }));
+
+test('amounts follow the bps shares and add up to the reward, dust on the first', () => {
+  const { milestones } = parseMilestones(plan([3333, 3333, 3334]), '10000001', USDC);
+  assert.deepEqual(milestones.map(m => m.id), ['m1', 'm2', 'm3']);
+  assert.deepEqual(milestones.map(m => m.amount), ['3333001', '3333000', '3334000']);
+  assert.equal(milestones.reduce((sum, m) => sum + BigInt(m.amount), 0n), 10000001n);
+  assert.equal(milestones[2].amountFormatted, '3.33 USDC');
+
+  // Crowdfunding grows the reward, and the amounts are recomputed
+  allocateMilestones(milestones, '15000000', USDC);
+  assert.deepEqual(milestones.map(m => m.amount), ['4999500', '4999500', '5001000']);
+});
+
+test('invalid plans are refused', () => {
+  assert.match(parseMilestones('nope', '1000000', USDC).error, /must be an array/);
+  assert.match(parseMilestones(plan([10000]), '1000000', USDC).error, /between 2 and 10 milestones/);
+  assert.match(parseMilestones(plan([5000, 4000]), '1000000', USDC).error, /add up to 10000 \(got 9000\)/);
+  assert.match(parseMilestones(plan([5000, 5000.5]), '1000000', USDC).error, /milestones\[1\]\.bps must be a positive integer/);
+  assert.match(parseMilestones([{ title: ' ', bps: 5000 }, { title: 'b', bps: 5000 }], '1000000', USDC).error, /milestones\[0\]\.title required/);
+});
+
+test('the bounty status follows its milestones', () => {
+  const { milestones } = parseMilestones(plan([5000, 5000]), '1000000', USDC);
+  assert.equal(bountyStatusFor(withStatuses(milestones, ['pending', 'pending'])), 'claimed');
+  assert.equal(bountyStatusFor(withStatuses(milestones, ['paid', 'submitted'])), 'submitted');
+  assert.equal(bountyStatusFor(withStatuses(milestones, ['paid', 'approved'])), 'payment_pending');
+  assert.equal(bountyStatusFor(withStatuses(milestones, ['paid', 'paid'])), 'completed');
+});
+
+test('a new claimer reopens submitted milestones but keeps approved ones', () => {
+  const { milestones } = parseMilestones(plan([4000, 3000, 3000]), '1000000', USDC);
+  const bounty = { milestones: withStatuses(milestones, ['approved', 'submitted', 'pending']) };
+  reopenMilestones(bounty);
+  assert.deepEqual(bounty.milestones.map(m => m.status), ['approved', 'pending', 'pending']);
+  assert.equal(findMilestone(bounty, 2).id, 'm2');
+  assert.equal(findMilestone(bounty, 'm3').id, 'm3');
+  assert.equal(findMilestone(bounty, 'm9'), null);
+});
+
+test('progress counts paid milestones as released and approved ones as committed', () => {
+  const { milestones } = parseMilestones(plan([2500, 2500, 5000]), '8000000', USDC);
+  const progress = milestoneProgress({ milestones: withStatuses(milestones, ['paid', 'approved', 'pending']) });
+  assert.equal(progress.releasedAmount, '2000000');
+  assert.equal(progress.committedAmount, '4000000');
+  assert.equal(progress.percentReleased, 25);
+  assert.deepEqual([progress.paid, progress.approved, progress.pending], [1, 1, 1]);
+  assert.equal(milestoneProgress({}), null);
+});
@@ -0,0 +1,72 @@
+/**
+ * Mod auth: signed ModActions verify once, in any signature encoding
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createModVerifier, signModAction, staleReview, MOD_NONCE_OPTIONS } = require('../mod-auth');
+const { createNonceRegistry } = require('../nonce-registry');
+
+const mod = new ethers.Wallet('0x' + 'a1'.repeat(32));
+const stranger = new ethers.Wallet('0x' + 'b2'.repeat(32));
+
+function verifier() {
+  return createModVerifier({
+    authorize: address => address === mod.address.toLowerCase(),
+    nonces: createNonceRegistry(new Map(), MOD_NONCE_OPTIONS)
+  });
+}
+
+const request = (id, body) => ({ params: { id }, body });
+
+test('a signed approval verifies and names the mod', async () => {
+  const body = await signModAction(mod, { bountyId: '7', action: 'approve', submissionId: 's1' });
+  const auth = verifier().verify(request('7', body), 'approve', {});
+  assert.equal(auth.mod, mod.address.toLowerCase());
+  assert.equal(auth.record.message.submissionId, 's1');
+  assert.equal(staleReview(auth.record, { id: 's1' }), null);
+  assert.match(staleReview(auth.record, { id: 's2' }), /Signed for submission s1/);
+});
+
+test('a signed action can only be used once', async () => {
+  const modAuth = verifier();
+  const body = await signModAction(mod, { bountyId: '7', action: 'approve', submissionId: 's1' });
+  assert.ok(modAuth.verify(request('7', body), 'approve', {}).mod);
+  const replay = modAuth.verify(request('7', body), 'approve', {});
+  assert.equal(replay.status, 401);
+  assert.equal(replay.code, 'replay');
+});
+
+test('the compact (EIP-2098) form of a spent signature is a replay too', async () => {
+  const modAuth = verifier();
+  const body = await signModAction(mod, { bountyId: '7', action: 'reject', submissionId: 's1' });
+  assert.ok(modAuth.verify(request('7', body), 'reject', {}).mod);
+  const compact = ethers.Signature.from(body.signature).compactSerialized;
+  assert.notEqual(compact, body.signature);
+  const replay = modAuth.verify(request('7', { ...body, signature: compact }), 'reject', {});
+  assert.equal(replay.status, 401);
+  assert.equal(replay.code, 'replay');
+});
+
+test('a signature is bound to its bounty and action', async () => {
+  const modAuth = verifier();
+  const body = await signModAction(mod, { bountyId: '7', action: 'approve', submissionId: 's1' });
+  assert.equal(modAuth.verify(request('8', body), 'approve', {}).status, 401);
+  assert.equal(modAuth.verify(request('7', body), 'reject', {}).status, 401);
+});
+
+test('wallets the authorizer refuses get a 403', async () => {
+  const body = await signModAction(stranger, { bountyId: '7', action: 'approve' });
+  const auth = verifier().verify(request('7', body), 'approve', {});
+  assert.equal(auth.status, 403);
+  assert.equal(auth.signer, stranger.address.toLowerCase());
+});
+
+test('old and future timestamps are refused', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const old = await signModAction(mod, { bountyId: '7', action: 'approve', timestamp: now - 3600 });
+  assert.equal(verifier().verify(request('7', old), 'approve', {}).code, 'expired');
+  const future = await signModAction(mod, { bountyId: '7', action: 'approve', timestamp: now + 3600 });
+  assert.match(verifier().verify(request('7', future), 'approve', {}).error, /future/);
+});
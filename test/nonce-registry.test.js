@@ -0,0 +1,53 @@
+/**
+ * Nonce registry: spent payment nonces can't be replayed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNonceRegistry } = require('../nonce-registry');
+
+const now = () => Math.floor(Date.now() / 1000);
+const authorization = (overrides = {}) => ({
+  from: '0x' + 'aB'.repeat(20),
+  nonce: '0x' + '01'.repeat(32),
+  validAfter: '0',
+  validBefore: String(now() + 300),
+  ...overrides
+});
+
+test('a nonce can be consumed once', () => {
+  const nonces = createNonceRegistry(new Map());
+  assert.deepEqual(nonces.check(authorization()), { ok: true });
+  nonces.consume(authorization(), '/bounties');
+  assert.equal(nonces.check(authorization()).code, 'replay');
+  assert.throws(() => nonces.consume(authorization(), '/bounties'), err => err.code === 'replay');
+});
+
+test('replays are caught whatever the case of the payer and nonce', () => {
+  const nonces = createNonceRegistry(new Map());
+  nonces.consume(authorization());
+  const shouted = authorization({ from: authorization().from.toUpperCase().replace('0X', '0x'), nonce: authorization().nonce.toUpperCase().replace('0X', '0x') });
+  assert.equal(nonces.check(shouted).code, 'replay');
+});
+
+test('the same nonce from another payer is a different authorization', () => {
+  const nonces = createNonceRegistry(new Map());
+  nonces.consume(authorization());
+  assert.deepEqual(nonces.check(authorization({ from: '0x' + 'cd'.repeat(20) })), { ok: true });
+});
+
+test('expired, not yet valid and too long-lived authorizations are refused', () => {
+  const nonces = createNonceRegistry(new Map(), { maxWindowSeconds: 600 });
+  assert.equal(nonces.check(authorization({ validBefore: String(now() - 1) })).code, 'expired');
+  assert.equal(nonces.check(authorization({ validBefore: undefined })).code, 'expired');
+  assert.equal(nonces.check(authorization({ validAfter: String(now() + 60) })).code, 'expired');
+  assert.equal(nonces.check(authorization({ validBefore: String(now() + 601) })).code, 'window');
+});
+
+test('spent nonces survive a new registry on the same store', () => {
+  const store = new Map();
+  createNonceRegistry(store).consume(authorization(), '/bounties');
+  const restarted = createNonceRegistry(store);
+  assert.equal(restarted.check(authorization()).code, 'replay');
+  assert.equal(restarted.forPayer(authorization().from)[0].resource, '/bounties');
+});
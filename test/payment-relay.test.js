@@ -0,0 +1,262 @@
+/**
+ * Payment relay: the payout state machine on the fake chain
+ *
+ * Bounties live in a JSON "database" where every load is a fresh copy (like
+ * Supabase), and claimJob only writes when the stored job still matches.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChain } = require('../chain');
+const { createPaymentRelay, createPayoutJob, jobsOf, jobPath } = require('../payment-relay');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const GAS = '0x0000000000000000000000000000000000000000';
+const RELAY_KEY = '0x' + '33'.repeat(32);
+const WORKER = '0x' + 'ab'.repeat(20);
+const OTHER = '0x' + 'cd'.repeat(20);
+
+const assetFor = () => ({ network: 'base', address: USDC, decimals: 6, symbol: 'USDC' });
+const job = (amount, fields = {}) => createPayoutJob({ recipient: WORKER, grossReward: String(amount), fee: '0', netReward: String(amount), ...fields });
+
+function setup({ autoMine = true, funds = 10_000_000n, ...opts } = {}) {
+  const chain = createFakeChain({ autoMine });
+  const wallet = chain.wallet(RELAY_KEY);
+  chain.mint('base', GAS, wallet.address, 10n ** 18n);
+  chain.mint('base', USDC, wallet.address, funds);
+
+  const db = new Map();
+  const paid = [];
+  const put = bounty => db.set(bounty.id, JSON.stringify(bounty));
+  const load = id => JSON.parse(db.get(id));
+  const at = (obj, path) => path.reduce((o, k) => o?.[k], obj);
+
+  const relay = (walletOverride = wallet) => createPaymentRelay({
+    wallet: walletOverride,
+    assetFor,
+    getAllBounties: async () => [...db.keys()].map(load),
+    getBounty: async id => load(id),
+    updateBounty: async (id, bounty) => put(bounty),
+    claimJob: async (bounty, { path, expected }) => {
+      const stored = at(load(bounty.id), path);
+      if (stored.state !== expected.state || (stored.sendingAt ?? null) !== expected.sendingAt || (stored.nonce ?? null) !== expected.nonce) return null;
+      put(bounty);
+      return bounty;
+    },
+    onPaid: async (bounty, { job }) => paid.push(job.id),
+    ...opts
+  });
+
+  /** Edit a stored job in place (e.g. to skip its backoff) */
+  const patchJob = (id, jobId, fields) => {
+    const bounty = load(id);
+    Object.assign(at(bounty, jobPath(bounty, jobId)), fields);
+    put(bounty);
+  };
+
+  return { chain, wallet, db, paid, put, load, relay, patchJob };
+}
+
+test('a queued payout is broadcast, then confirmed once mined', async () => {
+  const { chain, wallet, put, load, paid, relay } = setup({ autoMine: false });
+  const payout = job(1_500_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  const worker = relay();
+
+  await worker.runOnce();
+  let stored = load('1').payout;
+  assert.equal(stored.state, 'broadcast');
+  assert.equal(stored.nonce, 0);
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.txHashes.length, 1);
+  assert.deepEqual(paid, []);
+
+  chain.mine();
+  await worker.runOnce();
+  stored = load('1').payout;
+  assert.equal(stored.state, 'confirmed');
+  assert.deepEqual(stored.history.map(h => h.state), ['queued', 'broadcast', 'confirmed']);
+  assert.deepEqual(paid, [payout.id]);
+  assert.equal(await wallet.balanceOf('base', USDC, WORKER), 1_500_000n);
+
+  // Nothing left to do
+  await worker.runOnce();
+  assert.deepEqual(paid, [payout.id]);
+});
+
+test('a send that fails before broadcasting retries with backoff and gives its nonce back', async () => {
+  const { put, load, patchJob, relay } = setup({ funds: 1_000_000n, maxAttempts: 2 });
+  const payout = job(5_000_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  const worker = relay();
+
+  await worker.runOnce();
+  let stored = load('1').payout;
+  assert.equal(stored.state, 'queued');
+  assert.equal(stored.nonce, null);
+  assert.equal(stored.attempts, 1);
+  assert.ok(stored.nextAttemptAt > Date.now());
+  assert.match(stored.lastError, /Insufficient USDC/);
+
+  // Still backing off
+  await worker.runOnce();
+  assert.equal(load('1').payout.attempts, 1);
+
+  patchJob('1', payout.id, { nextAttemptAt: null });
+  await worker.runOnce();
+  stored = load('1').payout;
+  assert.equal(stored.state, 'failed');
+  assert.equal(stored.attempts, 2);
+});
+
+test('the next job takes a released nonce and the failed job sends later on a fresh one', async () => {
+  const { chain, wallet, put, load, patchJob, relay } = setup({ funds: 3_000_000n });
+  const big = job(5_000_000);
+  put({ id: '1', status: 'payment_pending', payout: big });
+  put({ id: '2', status: 'payment_pending', payouts: [job(1_000_000), job(2_000_000)] });
+  // An RPC whose pending count lags one send behind
+  let last = null;
+  const lagging = { ...wallet, async getNonce(network, tag) {
+    const nonce = await wallet.getNonce(network, tag);
+    if (tag !== 'pending') return nonce;
+    const reported = last ?? nonce;
+    last = nonce;
+    return reported;
+  } };
+  const worker = relay(lagging);
+
+  await worker.runOnce();
+  assert.equal(load('1').payout.nonce, null);
+  assert.deepEqual(load('2').payouts.map(j => [j.state, j.nonce]), [['confirmed', 0], ['confirmed', 1]]);
+
+  chain.mint('base', USDC, wallet.address, 5_000_000n);
+  patchJob('1', big.id, { nextAttemptAt: null });
+  await worker.runOnce();
+  assert.equal(load('1').payout.state, 'confirmed');
+  assert.equal(load('1').payout.nonce, 2);
+});
+
+test('a tx stuck in the mempool is re-sent on the same nonce with a higher fee', async () => {
+  const { chain, put, load, patchJob, paid, relay } = setup({ autoMine: false });
+  const payout = job(1_000_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  const worker = relay();
+
+  await worker.runOnce();
+  const first = load('1').payout;
+  patchJob('1', payout.id, { broadcastAt: Date.now() - 60 * 60 * 1000 });
+  await worker.runOnce();
+  const bumped = load('1').payout;
+  assert.equal(bumped.state, 'broadcast');
+  assert.equal(bumped.nonce, first.nonce);
+  assert.equal(bumped.txHashes.length, 2);
+  assert.ok(BigInt(bumped.maxFeePerGas) > BigInt(first.maxFeePerGas));
+
+  chain.mine();
+  await worker.runOnce();
+  assert.equal(load('1').payout.state, 'confirmed');
+  assert.equal(load('1').payout.txHash, bumped.txHashes[1]);
+  assert.deepEqual(paid, [payout.id]);
+});
+
+test('a job whose nonce was mined by another tx is marked replaced', async () => {
+  const { chain, wallet, put, load, patchJob, paid, relay } = setup({ autoMine: false });
+  const payout = job(1_000_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  const worker = relay();
+
+  await worker.runOnce();
+  // Something else spends the relay's nonce 0
+  await wallet.transfer('base', USDC, OTHER, 1n, { nonce: 0 });
+  chain.mine();
+  patchJob('1', payout.id, { broadcastAt: Date.now() - 60 * 60 * 1000 });
+  await worker.runOnce();
+  const stored = load('1').payout;
+  assert.equal(stored.state, 'replaced');
+  assert.match(stored.lastError, /Nonce 0 was mined by a transaction that is not one of/);
+  assert.deepEqual(paid, []);
+  assert.equal(await wallet.balanceOf('base', USDC, WORKER), 0n);
+});
+
+test('a revert followed by a successful re-send confirms once and transfers once', async () => {
+  const { chain, wallet, put, load, patchJob, paid, relay } = setup({ autoMine: false });
+  const payout = job(1_000_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  // The first transfer asks for more than the wallet holds, so it reverts when mined
+  let reverts = 1;
+  const worker = relay({ ...wallet, transfer: (network, token, to, amount, overrides) =>
+    wallet.transfer(network, token, to, reverts-- > 0 ? 10n ** 30n : amount, overrides) });
+
+  await worker.runOnce();
+  chain.mine();
+  await worker.runOnce();
+  let stored = load('1').payout;
+  assert.equal(stored.state, 'queued');
+  assert.equal(stored.nonce, null);
+  assert.deepEqual(stored.txHashes, []);
+  assert.equal(stored.revertedTxHashes.length, 1);
+
+  for (let i = 0; i < 4; i++) {
+    patchJob('1', payout.id, { nextAttemptAt: null });
+    await worker.runOnce();
+    chain.mine();
+  }
+  await worker.runOnce();
+  stored = load('1').payout;
+  assert.equal(stored.state, 'confirmed');
+  assert.equal(stored.nonce, 1);
+  assert.equal(stored.attempts, 2);
+  assert.deepEqual(paid, [payout.id]);
+  assert.equal(await wallet.balanceOf('base', USDC, WORKER), 1_000_000n);
+});
+
+test('an admin retry with resetNonce sets the old hashes aside', async () => {
+  const { chain, put, load, relay } = setup({ autoMine: false });
+  const payout = job(1_000_000);
+  put({ id: '1', status: 'payment_pending', payout });
+  const worker = relay();
+  await worker.runOnce();
+  const sent = load('1').payout.txHashes;
+
+  const bounty = load('1');
+  bounty.payout.state = 'failed';
+  await worker.retry(bounty, { resetNonce: true });
+  const stored = load('1').payout;
+  assert.equal(stored.state, 'queued');
+  assert.equal(stored.nonce, null);
+  assert.deepEqual(stored.txHashes, []);
+  assert.deepEqual(stored.abandonedTxHashes, sent);
+  assert.equal(chain.state().pending.length, 1);
+});
+
+test('invalid recipients fail without sending', async () => {
+  const { chain, put, load, relay } = setup();
+  put({ id: '1', status: 'payment_pending', payout: { ...job(1_000_000), recipient: 'not-an-address' } });
+  await relay().runOnce();
+  assert.equal(load('1').payout.state, 'failed');
+  assert.equal(chain.state().pending.length, 0);
+});
+
+test('two relays and a stale kick pay every job exactly once', async () => {
+  const { wallet, put, load, paid, relay } = setup();
+  put({ id: '1', status: 'payment_pending', payouts: [job(1_000_000), job(2_000_000)] });
+  const [first, second] = [relay(), relay()];
+  const stale = load('1');
+
+  await Promise.all([first.runOnce(), second.runOnce(), first.kick(stale), second.kick(stale)]);
+  await first.runOnce();
+  await second.kick(stale);
+
+  const jobs = jobsOf(load('1'));
+  assert.deepEqual(jobs.map(j => j.state), ['confirmed', 'confirmed']);
+  assert.notEqual(jobs[0].nonce, jobs[1].nonce);
+  assert.deepEqual(jobs.map(j => j.txHashes.length), [1, 1]);
+  assert.equal(paid.length, 2);
+  assert.equal(new Set(paid).size, 2);
+  assert.equal(await wallet.balanceOf('base', USDC, WORKER), 3_000_000n);
+});
+
+test('without a relay key nothing runs', async () => {
+  const { relay } = setup();
+  assert.deepEqual(await relay(null).runOnce(), { ok: false, reason: 'no-relay-key' });
+});
@@ -0,0 +1,63 @@
+/**
+ * Payout splits: signed declarations, and shares that always add up
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { splitMessage, verifySplit, allocateSplit } = require('../payout-split');
+
+const claimer = new ethers.Wallet('0x' + 'c1'.repeat(32));
+const A = '0x' + 'aa'.repeat(20);
+const B = '0x' + 'bb'.repeat(20);
+const C = '0x' + 'cc'.repeat(20);
+
+async function signed(recipients, wallet = claimer, bountyId = '7') {
+  return { recipients, signature: await wallet.signMessage(splitMessage(bountyId, recipients)) };
+}
+
+const sum = (shares, field) => shares.reduce((total, s) => total + s[field], 0);
+
+test('shares add up to the reward, fee and net exactly, with the dust on the first recipient', () => {
+  const recipients = [{ address: A, bps: 3333 }, { address: B, bps: 3333 }, { address: C, bps: 3334 }];
+  for (const [grossReward, fee] of [[1000001, 50000], [7, 1], [999999999, 49999999], [10000000, 0]]) {
+    const shares = allocateSplit({ grossReward, fee, recipients });
+    assert.equal(sum(shares, 'grossReward'), grossReward);
+    assert.equal(sum(shares, 'fee'), fee);
+    assert.equal(sum(shares, 'netReward'), grossReward - fee);
+    assert.ok(shares.every(s => s.netReward === s.grossReward - s.fee));
+  }
+
+  const shares = allocateSplit({ grossReward: 1000001, fee: 50000, recipients });
+  assert.deepEqual(shares.map(s => s.grossReward), [333301, 333300, 333400]);
+  assert.deepEqual(shares.map(s => s.fee), [16665, 16665, 16670]);
+});
+
+test('a split signed by the claimer verifies, with addresses lowercased', async () => {
+  const recipients = [{ address: A.toUpperCase().replace('0X', '0x'), bps: 6000 }, { address: B, bps: 4000 }];
+  const { split, error } = verifySplit({ bountyId: '7', split: await signed(recipients), signer: claimer.address });
+  assert.equal(error, undefined);
+  assert.deepEqual(split.recipients, [{ address: A, bps: 6000 }, { address: B, bps: 4000 }]);
+  assert.equal(split.signedBy, claimer.address.toLowerCase());
+  assert.equal(split.message, `payout-split:7:${A}=6000,${B}=4000`);
+});
+
+test('a split signed by someone else or for another bounty is refused', async () => {
+  const recipients = [{ address: A, bps: 5000 }, { address: B, bps: 5000 }];
+  const other = new ethers.Wallet('0x' + 'd2'.repeat(32));
+  const byOther = verifySplit({ bountyId: '7', split: await signed(recipients, other), signer: claimer.address });
+  assert.match(byOther.error, /signed by the claimer/);
+  assert.equal(byOther.expectedMessage, splitMessage('7', recipients));
+  const elsewhere = verifySplit({ bountyId: '8', split: await signed(recipients), signer: claimer.address });
+  assert.match(elsewhere.error, /signed by the claimer/);
+});
+
+test('malformed splits are refused before the signature is checked', async () => {
+  const check = async recipients => verifySplit({ bountyId: '7', split: await signed(recipients), signer: claimer.address }).error;
+  assert.match(await check([{ address: A, bps: 10000 }]), /between 2 and 10 recipients/);
+  assert.match(await check([{ address: A, bps: 5000 }, { address: A, bps: 5000 }]), /Duplicate recipient/);
+  assert.match(await check([{ address: A, bps: 5000 }, { address: 'nope', bps: 5000 }]), /Invalid recipient address/);
+  assert.match(await check([{ address: A, bps: 10000 }, { address: B, bps: 0 }]), /positive integer/);
+  assert.match(await check([{ address: A, bps: 5000 }, { address: B, bps: 4000 }]), /add up to 10000 \(got 9000\)/);
+  assert.match(verifySplit({ bountyId: '7', split: { recipients: [] }, signer: claimer.address }).error, /split must be/);
+});
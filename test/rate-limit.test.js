@@ -0,0 +1,94 @@
+/**
+ * Rate limits: token buckets refill continuously (clock injected through `now`)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, parsePolicies, ipKey } = require('../rate-limit');
+
+const MINUTE = 60 * 1000;
+
+function limiter(policies, buckets = new Map()) {
+  const clock = { at: 1_000_000 };
+  const rateLimiter = createRateLimiter({ buckets, policies: parsePolicies(policies), now: () => clock.at });
+  return { clock, rateLimiter, buckets };
+}
+
+const takeN = (rateLimiter, n, identity) => Array.from({ length: n }, () => rateLimiter.take('claim', identity).allowed);
+
+test('a full bucket allows limit requests, then refuses with Retry-After', () => {
+  const { rateLimiter } = limiter({ claim: [{ by: 'wallet', limit: 3, windowMs: MINUTE }] });
+  assert.deepEqual(takeN(rateLimiter, 4, { wallet: '0xabc' }), [true, true, true, false]);
+  const refused = rateLimiter.take('claim', { wallet: '0xabc' });
+  assert.equal(refused.remaining, 0);
+  assert.equal(refused.retryAfter, 20);
+  assert.equal(rateLimiter.headers(refused)['Retry-After'], '20');
+  assert.equal(rateLimiter.headers(refused)['RateLimit-Policy'], '3;w=60');
+});
+
+test('tokens come back in proportion to the time waited', () => {
+  const { clock, rateLimiter } = limiter({ claim: [{ by: 'wallet', limit: 4, windowMs: MINUTE }] });
+  takeN(rateLimiter, 4, { wallet: '0xabc' });
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc' }).allowed, false);
+
+  clock.at += 14_999;
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc' }).allowed, false);
+  clock.at += 1;
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc' }).allowed, true);
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc' }).allowed, false);
+
+  // Half a window gives half the limit back
+  clock.at += MINUTE / 2;
+  assert.deepEqual(takeN(rateLimiter, 3, { wallet: '0xabc' }), [true, true, false]);
+});
+
+test('a bucket never refills past its limit', () => {
+  const { clock, rateLimiter } = limiter({ claim: [{ by: 'wallet', limit: 2, windowMs: MINUTE }] });
+  rateLimiter.take('claim', { wallet: '0xabc' });
+  clock.at += 10 * MINUTE;
+  assert.deepEqual(takeN(rateLimiter, 3, { wallet: '0xabc' }), [true, true, false]);
+});
+
+test('every policy must have a token, and none is taken on refusal', () => {
+  const { clock, rateLimiter } = limiter({
+    claim: [{ by: 'wallet', limit: 5, windowMs: MINUTE }, { by: 'ip', limit: 2, windowMs: MINUTE }]
+  });
+  assert.deepEqual(takeN(rateLimiter, 3, { wallet: '0xabc', ip: '203.0.113.9' }), [true, true, false]);
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc', ip: '203.0.113.9' }).policy, 'claim:ip');
+  // The wallet bucket kept the tokens the refused requests didn't use
+  assert.deepEqual(takeN(rateLimiter, 4, { wallet: '0xabc' }), [true, true, true, false]);
+  clock.at += MINUTE;
+  assert.equal(rateLimiter.take('claim', { ip: '203.0.113.9' }).allowed, true);
+});
+
+test('identities are separate buckets; wallets ignore case and IPv6 groups by /64', () => {
+  const { rateLimiter } = limiter({ claim: [{ by: 'wallet', limit: 1, windowMs: MINUTE }, { by: 'ip', limit: 1, windowMs: MINUTE }] });
+  assert.equal(rateLimiter.take('claim', { wallet: '0xABC' }).allowed, true);
+  assert.equal(rateLimiter.take('claim', { wallet: '0xabc' }).allowed, false);
+  assert.equal(rateLimiter.take('claim', { wallet: '0xdef' }).allowed, true);
+  assert.equal(rateLimiter.take('claim', { ip: '2001:db8:1:2::1' }).allowed, true);
+  assert.equal(rateLimiter.take('claim', { ip: '2001:db8:1:2:ffff::9' }).allowed, false);
+  assert.equal(ipKey('::ffff:203.0.113.9'), '203.0.113.9');
+  assert.equal(ipKey('2001:db8:1:2::1'), '2001:db8:1:2::/64');
+});
+
+test('routes without a matching policy or identity are not limited', () => {
+  const { rateLimiter } = limiter({ claim: [{ by: 'wallet', limit: 1, windowMs: MINUTE }] });
+  assert.deepEqual(rateLimiter.take('claim', { ip: '203.0.113.9' }), { allowed: true });
+  assert.deepEqual(rateLimiter.take('nope', { wallet: '0xabc' }), { allowed: true });
+});
+
+test('buckets in a shared store carry over to a new limiter', () => {
+  const buckets = new Map();
+  const policies = { claim: [{ by: 'wallet', limit: 2, windowMs: MINUTE }] };
+  const first = limiter(policies, buckets);
+  takeN(first.rateLimiter, 2, { wallet: '0xabc' });
+  const restarted = createRateLimiter({ buckets, policies: parsePolicies(policies), now: () => first.clock.at });
+  assert.equal(restarted.take('claim', { wallet: '0xabc' }).allowed, false);
+});
+
+test('invalid policies are rejected', () => {
+  assert.throws(() => parsePolicies({ claim: [{ by: 'email', limit: 1, windowMs: MINUTE }] }), /by must be one of/);
+  assert.throws(() => parsePolicies({ claim: [{ by: 'ip', limit: 0, windowMs: MINUTE }] }), /limit must be a positive integer/);
+  assert.throws(() => parsePolicies({ claim: [{ by: 'ip', limit: 1, windowMs: 10 }] }), /windowMs must be at least 1000/);
+});
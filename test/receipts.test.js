@@ -0,0 +1,73 @@
+/**
+ * Receipts: EIP-712 payout receipts recover to the treasury key, and only it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createReceiptSigner, payoutsOf, verifyReceipt, receiptMismatches } = require('../receipts');
+
+const TREASURY_KEY = '0x' + 'e1'.repeat(32);
+const treasury = new ethers.Wallet(TREASURY_KEY);
+const WORKER = '0x' + 'ab'.repeat(20);
+const MOD = '0x' + 'cd'.repeat(20);
+const tx = n => '0x' + String(n).padStart(64, '0');
+
+const job = (id, txHash, state = 'confirmed') => ({ id, state, recipient: WORKER, grossReward: '5000000', fee: '250000', netReward: '4750000', txHash, confirmedAt: 1_700_000_000_000 });
+const paid = () => ({ id: '12', status: 'completed', approvedBy: MOD, payout: job('p1', tx(1)) });
+
+test('a signed receipt verifies to the treasury and matches the payout', async () => {
+  const bounty = paid();
+  const [payout] = payoutsOf(bounty);
+  const receipt = await createReceiptSigner({ privateKey: TREASURY_KEY }).sign(bounty, payout);
+
+  assert.equal(verifyReceipt(receipt).signer, treasury.address);
+  assert.equal(ethers.verifyTypedData(receipt.domain, receipt.types, receipt.message, receipt.signature), treasury.address);
+  assert.deepEqual(receiptMismatches(bounty, payout, receipt), []);
+  assert.equal(receipt.message.recipient, ethers.getAddress(WORKER));
+  assert.equal(receipt.message.approvedBy, ethers.getAddress(MOD));
+  assert.equal(receipt.message.paidAt, '1700000000');
+  assert.equal(receipt.domain.chainId, 8453);
+});
+
+test('signatures are deterministic, so a payout always gets the same receipt', async () => {
+  const signer = createReceiptSigner({ privateKey: TREASURY_KEY });
+  const bounty = paid();
+  const [first, second] = await Promise.all([signer.sign(bounty, payoutsOf(bounty)[0]), signer.sign(paid(), payoutsOf(paid())[0])]);
+  assert.equal(first.signature, second.signature);
+});
+
+test('an edited receipt no longer recovers to the treasury', async () => {
+  const bounty = paid();
+  const [payout] = payoutsOf(bounty);
+  const receipt = await createReceiptSigner({ privateKey: TREASURY_KEY }).sign(bounty, payout);
+
+  const edited = { ...receipt, message: { ...receipt.message, netReward: '47500000' } };
+  assert.notEqual(verifyReceipt(edited).signer, treasury.address);
+  assert.deepEqual(receiptMismatches(bounty, payout, edited), ['netReward']);
+
+  const otherChain = { ...receipt, domain: { ...receipt.domain, chainId: 84532 } };
+  assert.notEqual(verifyReceipt(otherChain).signer, treasury.address);
+  assert.deepEqual(receiptMismatches(bounty, payout, otherChain), ['domain.chainId']);
+
+  assert.match(verifyReceipt({ ...receipt, signature: '0x1234' }).error, /Invalid receipt/);
+  assert.match(verifyReceipt({ message: receipt.message }).error, /must be \{ domain, message, signature \}/);
+});
+
+test('payoutsOf lists confirmed transfers only, per milestone or split', () => {
+  assert.deepEqual(payoutsOf({ payouts: [job('a', tx(1)), job('b', tx(2), 'broadcast')] }).map(p => p.job.id), ['a']);
+  const milestones = [{ id: 'm1', payout: job('m1p', tx(3)), approvedBy: WORKER }, { id: 'm2', payout: null }];
+  const [milestone] = payoutsOf({ milestones, approvedBy: MOD });
+  assert.deepEqual([milestone.milestone.id, milestone.approvedBy], ['m1', WORKER]);
+  assert.deepEqual(payoutsOf({ payout: job('x', 'not-a-hash') }), []);
+
+  // Paid before the payout queue existed
+  const legacy = payoutsOf({ id: '3', status: 'completed', claimedBy: WORKER, completedAt: 1, payment: { txHash: tx(4), grossReward: '1', fee: '0', netReward: '1' } });
+  assert.equal(legacy[0].job.id, 'payment:3');
+});
+
+test('signing without a key is refused', async () => {
+  const signer = createReceiptSigner({});
+  assert.equal(signer.enabled, false);
+  await assert.rejects(signer.sign(paid(), payoutsOf(paid())[0]), /not configured/);
+});
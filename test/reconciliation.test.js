@@ -0,0 +1,105 @@
+/**
+ * Reconciliation: each issue type, from payout records checked on the fake chain
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChain } = require('../chain');
+const { createReconciler, ISSUES } = require('../reconciliation');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const GAS = '0x0000000000000000000000000000000000000000';
+const WORKER = '0x' + 'ab'.repeat(20);
+const OTHER = '0x' + 'cd'.repeat(20);
+
+async function setup() {
+  const chain = createFakeChain();
+  const wallet = chain.wallet('0x' + '44'.repeat(32));
+  chain.mint('base', GAS, wallet.address, 10n ** 18n);
+  chain.mint('base', USDC, wallet.address, 100_000_000n);
+  const send = async (to, amount, overrides) => (await wallet.transfer('base', USDC, to, amount, overrides)).hash;
+  return { chain, wallet, send };
+}
+
+let nextId = 0;
+const job = (txHash, fields = {}) => ({ id: `job${++nextId}`, kind: 'payout', state: 'confirmed', recipient: WORKER, netReward: '1000000', txHash, txHashes: [txHash], ...fields });
+const bounty = (payout, status = 'completed') => ({ id: String(++nextId), status, payout });
+
+async function reconcile(chain, bounties) {
+  return createReconciler({ chain, getAllBounties: async () => bounties }).run();
+}
+
+const issuesOf = report => report.issues.map(i => i.issue);
+
+test('a payout that matches its transfer is not flagged', async () => {
+  const { chain, send } = await setup();
+  const report = await reconcile(chain, [bounty(job(await send(WORKER, 1_000_000n)))]);
+  assert.equal(report.checked, 1);
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(Object.keys(report.byIssue), ISSUES);
+});
+
+test('missing: unknown tx, a tx without the token transfer, and completed bounties without a paid payout', async () => {
+  const { chain, wallet } = await setup();
+  const gasOnly = (await wallet.transfer('base', GAS, WORKER, 1n)).hash;
+  const report = await reconcile(chain, [
+    bounty(job('0x' + '99'.repeat(32))),
+    bounty(job(gasOnly)),
+    bounty(job(null, { state: 'broadcast' })),
+    { id: 'old', status: 'completed' }
+  ]);
+  assert.deepEqual(issuesOf(report), ['missing', 'missing', 'missing', 'missing']);
+  assert.match(report.issues[0].detail, /not found on base/);
+  assert.match(report.issues[1].detail, /no USDC transfer/);
+  assert.match(report.issues[2].detail, /payout is broadcast/);
+  assert.match(report.issues[3].detail, /grandfathered/);
+});
+
+test('reverted: the recorded tx was mined with status 0', async () => {
+  const { chain, send } = await setup();
+  const report = await reconcile(chain, [bounty(job(await send(WORKER, 10n ** 30n)))]);
+  assert.deepEqual(issuesOf(report), ['reverted']);
+});
+
+test('wrong_amount and wrong_recipient compare the transfer with the record', async () => {
+  const { chain, send } = await setup();
+  const report = await reconcile(chain, [
+    bounty(job(await send(WORKER, 900_000n))),
+    bounty(job(await send(OTHER, 1_000_000n)))
+  ]);
+  assert.deepEqual(issuesOf(report), ['wrong_amount', 'wrong_recipient']);
+  assert.deepEqual(report.issues[0].actual, [{ to: WORKER, amount: '900000' }]);
+  assert.deepEqual(report.issues[0].expected, { recipient: WORKER, amount: '1000000' });
+  assert.match(report.issues[1].detail, new RegExp(OTHER));
+});
+
+test('duplicate: one tx credited twice, or one payout mined twice', async () => {
+  const { chain, send } = await setup();
+  const shared = await send(WORKER, 1_000_000n);
+  const first = await send(WORKER, 1_000_000n);
+  const second = await send(WORKER, 1_000_000n);
+  const report = await reconcile(chain, [
+    bounty(job(shared)),
+    bounty(job(shared)),
+    // A revert set aside before the re-send still counts if it was mined after all
+    bounty(job(second, { txHashes: [second], revertedTxHashes: [first] }))
+  ]);
+  assert.deepEqual(issuesOf(report), ['duplicate', 'duplicate']);
+  assert.match(report.issues[0].detail, /also credited to bounty/);
+  assert.match(report.issues[1].detail, /More than one/);
+});
+
+test('only completed and payment_pending bounties are scanned, and the report is kept', async () => {
+  const { chain } = await setup();
+  const reports = new Map();
+  const reconciler = createReconciler({
+    chain,
+    reports,
+    getAllBounties: async () => [bounty(job('0x' + '99'.repeat(32)), 'open'), bounty(job(null, { state: 'queued' }), 'payment_pending')]
+  });
+  const report = await reconciler.run();
+  assert.equal(report.scanned, 1);
+  assert.deepEqual(report.issues, []);
+  assert.equal(reconciler.latest(), report);
+  assert.equal(reports.get('latest'), report);
+});
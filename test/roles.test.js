@@ -0,0 +1,81 @@
+/**
+ * Roles: grants, revokes, implied roles, tag scopes and the seed guard
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoleStore } = require('../roles');
+
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+
+test('a grant holds until it is revoked, whatever the address case', () => {
+  const roles = createRoleStore();
+  const { grant } = roles.grant({ wallet: ALICE.toUpperCase().replace('0X', '0x'), role: 'mod', by: 'key:ops', reason: 'triage' });
+  assert.deepEqual([grant.wallet, grant.role, grant.tags, grant.grantedBy], [ALICE, 'mod', null, 'key:ops']);
+  assert.equal(roles.has(ALICE, 'mod'), true);
+  assert.equal(roles.has(BOB, 'mod'), false);
+
+  const { revoked } = roles.revoke({ wallet: ALICE, role: 'mod', by: 'key:ops' });
+  assert.equal(revoked.reason, 'triage');
+  assert.equal(roles.has(ALICE, 'mod'), false);
+  assert.deepEqual(roles.list(), []);
+  assert.equal(roles.revoke({ wallet: ALICE, role: 'mod', by: 'key:ops' }).status, 404);
+});
+
+test('admin implies every role and mod implies reviewer, never the other way', () => {
+  const roles = createRoleStore();
+  roles.grant({ wallet: ALICE, role: 'admin', by: 'seed' });
+  roles.grant({ wallet: BOB, role: 'mod', by: 'seed' });
+  assert.deepEqual(['admin', 'mod', 'reviewer', 'creator'].map(r => roles.has(ALICE, r)), [true, true, true, true]);
+  assert.deepEqual(['admin', 'mod', 'reviewer', 'creator'].map(r => roles.has(BOB, r)), [false, true, true, false]);
+});
+
+test('tag-scoped grants apply only to bounties carrying one of the tags', () => {
+  const roles = createRoleStore();
+  roles.grant({ wallet: ALICE, role: 'mod', tags: [' Coding ', 'coding', 'design'], by: 'seed' });
+  assert.deepEqual(roles.list({ wallet: ALICE })[0].tags, ['coding', 'design']);
+  assert.equal(roles.has(ALICE, 'mod', ['CODING']), true);
+  assert.equal(roles.has(ALICE, 'reviewer', ['design', 'docs']), true);
+  assert.equal(roles.has(ALICE, 'mod', ['docs']), false);
+  assert.equal(roles.has(ALICE, 'mod'), false);
+
+  // Re-granting replaces the scope, and the log keeps the old one
+  const { logEntry } = roles.grant({ wallet: ALICE, role: 'mod', by: 'seed' });
+  assert.deepEqual(logEntry.previousTags, ['coding', 'design']);
+  assert.equal(roles.has(ALICE, 'mod', ['docs']), true);
+});
+
+test('invalid grants are refused', () => {
+  const roles = createRoleStore();
+  assert.match(roles.grant({ wallet: 'alice', role: 'mod', by: 'seed' }).error, /0x address/);
+  assert.match(roles.grant({ wallet: ALICE, role: 'owner', by: 'seed' }).error, /role must be one of/);
+  assert.match(roles.grant({ wallet: ALICE, role: 'admin', tags: ['coding'], by: 'seed' }).error, /cannot be scoped/);
+  assert.deepEqual(roles.list(), []);
+});
+
+test('history lists grants and revokes newest first, filtered by wallet or role', () => {
+  const roles = createRoleStore();
+  roles.grant({ wallet: ALICE, role: 'mod', by: 'seed' });
+  roles.grant({ wallet: BOB, role: 'creator', by: 'seed' });
+  roles.revoke({ wallet: ALICE, role: 'mod', by: 'key:ops', reason: 'left' });
+  assert.deepEqual(roles.history().map(e => `${e.action}:${e.role}`), ['revoke:mod', 'grant:creator', 'grant:mod']);
+  assert.deepEqual(roles.history({ wallet: ALICE }).map(e => e.action), ['revoke', 'grant']);
+  assert.deepEqual(roles.history({ role: 'creator' }).map(e => e.wallet), [BOB]);
+  assert.equal(roles.history({ limit: 1 })[0].reason, 'left');
+});
+
+test('seed grants are written only into an empty store that loaded', () => {
+  const roles = createRoleStore();
+  assert.equal(roles.seed([{ wallet: ALICE, role: 'admin' }, { wallet: 'bad', role: 'mod' }]), 1);
+  assert.equal(roles.list()[0].grantedBy, 'seed');
+
+  // A revoke leaves the grants empty, but the log shows the store was used
+  roles.revoke({ wallet: ALICE, role: 'admin', by: 'key:ops' });
+  assert.equal(roles.seed([{ wallet: ALICE, role: 'admin' }]), 0);
+  assert.equal(roles.has(ALICE, 'admin'), false);
+
+  const grants = Object.assign(new Map(), { loadError: 'fetch failed' });
+  assert.throws(() => createRoleStore({ grants }).seed([{ wallet: ALICE, role: 'admin' }]), /did not load \(fetch failed\)/);
+  assert.equal(grants.size, 0);
+});
@@ -0,0 +1,126 @@
+/**
+ * Safe fetch: blocked address ranges and redirects, with a fake resolver
+ *
+ * The test server listens on 127.0.0.1, reached as public.test / other.test
+ * (allowHosts) so the redirects it sends can be checked hop by hop.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createSafeFetch, isBlockedAddress } = require('../safe-fetch');
+
+const DNS = {
+  'public.test': ['127.0.0.1'],
+  'other.test': ['127.0.0.1'],
+  'internal.test': ['10.0.0.8'],
+  'metadata.test': ['169.254.169.254'],
+  'mixed.test': ['93.184.216.34', '192.168.1.1'],
+  'mapped.test': ['::ffff:127.0.0.1']
+};
+
+const resolve = async hostname => {
+  if (!DNS[hostname]) throw new Error('ENOTFOUND');
+  return DNS[hostname].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+};
+
+let server;
+let port;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/to') {
+      res.writeHead(302, { location: url.searchParams.get('location') });
+      return res.end();
+    }
+    if (url.pathname === '/loop') {
+      res.writeHead(302, { location: '/loop' });
+      return res.end();
+    }
+    if (url.pathname === '/big') {
+      return res.end('x'.repeat(2048));
+    }
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ method: req.method, host: req.headers.host, authorization: req.headers.authorization || null }));
+  });
+  await new Promise(done => server.listen(0, '127.0.0.1', done));
+  port = server.address().port;
+});
+
+test.after(() => server.close());
+
+const client = (opts = {}) => createSafeFetch({ resolve, allowHosts: ['public.test', 'other.test'], ...opts });
+const blocked = code => err => err.code === code;
+
+test('isBlockedAddress covers private, loopback, link-local and reserved ranges', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.1', '169.254.169.254', '100.100.100.200', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:10.0.0.1', '64:ff9b::a9fe:a9fe', '2002:7f00:1::', 'not-an-ip']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('hostnames resolving to internal addresses are refused', async () => {
+  const outbound = client();
+  await assert.rejects(outbound.fetch('http://internal.test/'), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch('http://metadata.test/latest/meta-data'), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch('http://mixed.test/'), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch('http://mapped.test/'), blocked('blocked_address'));
+});
+
+test('IP literals are checked without DNS', async () => {
+  const outbound = client();
+  await assert.rejects(outbound.fetch(`http://127.0.0.1:${port}/`), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch('http://[::1]/'), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch('http://169.254.169.254/'), blocked('blocked_address'));
+});
+
+test('other protocols, bad URLs and unknown hosts are refused', async () => {
+  const outbound = client();
+  await assert.rejects(outbound.fetch('file:///etc/passwd'), blocked('blocked_protocol'));
+  await assert.rejects(outbound.fetch('not a url'), blocked('invalid_url'));
+  await assert.rejects(outbound.fetch('http://nowhere.test/'), blocked('dns_failed'));
+  assert.deepEqual(await outbound.check('http://internal.test/'), { ok: false, code: 'blocked_address', reason: 'internal.test resolves to 10.0.0.8, which is not a public address' });
+});
+
+test('allowed hosts are fetched', async () => {
+  const res = await client().fetch(`http://public.test:${port}/`);
+  assert.equal(res.status, 200);
+  assert.equal(res.redirected, false);
+  assert.equal((await res.json()).host, `public.test:${port}`);
+});
+
+test('every redirect hop is checked', async () => {
+  const outbound = client();
+  const via = location => `http://public.test:${port}/to?location=${encodeURIComponent(location)}`;
+  await assert.rejects(outbound.fetch(via('http://internal.test/')), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch(via(`http://127.0.0.1:${port}/`)), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch(via('http://[::ffff:7f00:1]/')), blocked('blocked_address'));
+  await assert.rejects(outbound.fetch(via('gopher://public.test/')), blocked('blocked_protocol'));
+});
+
+test('redirects are followed up to maxRedirects', async () => {
+  const res = await client().fetch(`http://public.test:${port}/to?location=/`);
+  assert.equal(res.status, 200);
+  assert.equal(res.redirected, true);
+  await assert.rejects(client({ maxRedirects: 2 }).fetch(`http://public.test:${port}/loop`), blocked('too_many_redirects'));
+});
+
+test('credentials are dropped when a redirect changes origin, and a 302 after POST becomes a GET', async () => {
+  const headers = { authorization: 'Bearer secret' };
+  const same = await client().fetch(`http://public.test:${port}/to?location=/`, { headers });
+  assert.equal((await same.json()).authorization, 'Bearer secret');
+
+  const cross = await client().fetch(`http://public.test:${port}/to?location=${encodeURIComponent(`http://other.test:${port}/`)}`, { method: 'POST', headers, body: '{}' });
+  const seen = await cross.json();
+  assert.equal(seen.authorization, null);
+  assert.equal(seen.method, 'GET');
+});
+
+test('bodies past maxBytes are refused', async () => {
+  await assert.rejects(client({ maxBytes: 1024 }).fetch(`http://public.test:${port}/big`), blocked('response_too_large'));
+  assert.equal((await (await client().fetch(`http://public.test:${port}/big`)).text()).length, 2048);
+});
@@ -0,0 +1,93 @@
+/**
+ * Treasury monitor: liabilities vs the payout wallet, and the canCover queue
+ *
+ * Claimed work and unconfirmed jobs come first, then open bounties oldest first.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeChain, NATIVE } = require('../chain');
+const { createTreasuryMonitor } = require('../treasury-monitor');
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PAYOUT = '0x' + 'aa'.repeat(20);
+
+const usdc = n => String(n * 1_000_000);
+const open = (id, reward, createdAt) => ({ id, status: 'open', reward: usdc(reward), createdAt });
+
+function setup(bounties, { balance = 10, ...opts } = {}) {
+  const chain = createFakeChain();
+  chain.mint('base', NATIVE, PAYOUT, 10n ** 18n);
+  chain.mint('base', USDC, PAYOUT, BigInt(usdc(balance)));
+  const alerts = [];
+  const monitor = createTreasuryMonitor({
+    chain,
+    getAllBounties: async () => bounties,
+    wallets: { payout: PAYOUT },
+    notify: alert => alerts.push(alert.key),
+    ...opts
+  });
+  return { chain, monitor, alerts };
+}
+
+// 5 USDC committed ahead of every open bounty: claimed work plus a queued payout
+const committed = () => [
+  { id: 'claimed', status: 'claimed', reward: usdc(4) },
+  { id: 'approved', status: 'payment_pending', payout: { state: 'queued', netReward: usdc(1) } }
+];
+
+test('open bounties are covered oldest first, after committed work', async () => {
+  const bounties = [...committed(), open('newest', 1, 300), open('oldest', 3, 100), open('middle', 2, 200)];
+  const { monitor } = setup(bounties);
+
+  const oldest = await monitor.canCover(bounties.find(b => b.id === 'oldest'));
+  assert.deepEqual([oldest.covered, oldest.required], [true, usdc(8)]);
+  const middle = await monitor.canCover(bounties.find(b => b.id === 'middle'));
+  assert.deepEqual([middle.covered, middle.required], [true, usdc(10)]);
+  const newest = await monitor.canCover(bounties.find(b => b.id === 'newest'));
+  assert.deepEqual([newest.covered, newest.required, newest.shortfall], [false, usdc(11), usdc(1)]);
+
+  const { coverage } = await monitor.health();
+  assert.deepEqual(coverage.USDC.queue.map(o => o.id), ['oldest', 'middle', 'newest']);
+  assert.equal(coverage.USDC.committed, usdc(5));
+  assert.deepEqual(coverage.USDC.uncovered, ['newest']);
+});
+
+test('a bounty created since the last check joins the end of the queue', async () => {
+  const bounties = [...committed(), open('oldest', 3, 100)];
+  const { monitor } = setup(bounties);
+  await monitor.health();
+  const late = await monitor.canCover(open('late', 3, 50));
+  assert.deepEqual([late.covered, late.required], [false, usdc(11)]);
+});
+
+test('milestone bounties only owe their unapproved milestones', async () => {
+  const bounty = { id: 'm', status: 'claimed', reward: usdc(10), milestones: [{ amount: usdc(6), payout: { state: 'confirmed', netReward: usdc(6) } }, { amount: usdc(4) }] };
+  const { monitor } = setup([bounty, open('next', 6, 1)]);
+  assert.equal((await monitor.canCover({ id: 'next' })).required, usdc(10));
+});
+
+test('a shortfall alerts once while it lasts', async () => {
+  const bounties = [{ id: 'claimed', status: 'claimed', reward: usdc(20) }];
+  const { monitor, alerts } = setup(bounties);
+  assert.equal((await monitor.health({ force: true })).status, 'critical');
+  await monitor.health({ force: true });
+  assert.deepEqual(alerts, ['shortfall:USDC']);
+
+  bounties.length = 0;
+  assert.equal((await monitor.health({ force: true })).status, 'ok');
+});
+
+test('unreadable balances and unmonitored wallets never block claims', async () => {
+  const { chain } = setup([]);
+  const broken = createTreasuryMonitor({
+    chain: { ...chain, balanceOf: async () => { throw new Error('rpc down'); } },
+    getAllBounties: async () => [open('a', 100, 1)],
+    wallets: { payout: PAYOUT }
+  });
+  assert.deepEqual(await broken.canCover(open('a', 100, 1)), { covered: true, reason: 'balance unknown' });
+  assert.equal((await broken.health()).errors[0].error, 'rpc down');
+
+  const unmonitored = createTreasuryMonitor({ chain, getAllBounties: async () => [] });
+  assert.equal((await unmonitored.canCover(open('a', 100, 1))).reason, 'not monitored');
+});
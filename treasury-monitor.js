@@ -0,0 +1,346 @@
+/**
+ * Treasury monitor - payout wallet balances vs. what the board owes
+ *
+ * Liabilities are everything the payout wallet may still have to send, per
+ * asset:
+ *   - payout, refund and tip jobs that haven't confirmed (failed ones too:
+ *     they get retried)
+ *   - rewards on open, claimed and submitted bounties, gross since the fee
+ *     isn't known until approval (milestone bounties: unapproved milestones)
+ *
+ * Each check reads the payout wallet's token and gas balances on every
+ * network it owes on (plus the default network), and the reputation wallet's
+ * gas on Base. Alerts go to notify() when a condition starts, not on every
+ * check:
+ *   shortfall    token balance < liabilities x minCoverage   (critical)
+ *   low_balance  token balance < minBalance[asset code]        (warning)
+ *   low_gas      gas balance < minGas                          (critical at 0)
+ *
+ * Claims are gated with canCover(bounty): claimed work and queued payouts come
+ * first, then open bounties oldest first. A bounty is covered if the payout
+ * wallet can pay everything ahead of it plus its own reward. When a balance
+ * can't be read the monitor fails open and doesn't block claims.
+ *
+ * Thresholds come from TREASURY_THRESHOLDS (JSON, whole-token amounts), e.g.
+ *   {"minGas":"0.005","minCoverage":1.2,"minBalance":{"USDC":"100"}}
+ *
+ * Usage:
+ *   const { createTreasuryMonitor } = require('./treasury-monitor');
+ *   const monitor = createTreasuryMonitor({ chain, getAllBounties, wallets: { payout, reputation }, notify });
+ *   await monitor.health();           // latest snapshot, refreshed when stale
+ *   await monitor.canCover(bounty);   // { covered, shortfall, ... }
+ *   monitor.start();                  // check every intervalMs
+ */
+
+const { ethers } = require('ethers');
+const { jobsOf } = require('./payment-relay');
+const { REPUTATION_NETWORK } = require('./reputation');
+const { assetOf, getAsset, assetCode, formatAmount, DEFAULT_NETWORK, DEFAULT_TOKEN } = require('./networks');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_AGE_MS = 60 * 1000; // health() and canCover() reuse a snapshot this fresh
+const UNAPPROVED_STATUSES = ['open', 'claimed', 'submitted'];
+
+const DEFAULT_THRESHOLDS = {
+  minGas: '0.005',       // ETH (or the network's gas token) per wallet
+  minCoverage: 1,        // token balance / liabilities
+  minBalance: {}         // asset code -> whole tokens
+};
+
+/**
+ * Load thresholds from TREASURY_THRESHOLDS (JSON), falling back to the defaults
+ */
+function thresholdsFromEnv() {
+  if (!process.env.TREASURY_THRESHOLDS) return { ...DEFAULT_THRESHOLDS };
+  try {
+    return { ...DEFAULT_THRESHOLDS, ...JSON.parse(process.env.TREASURY_THRESHOLDS) };
+  } catch (err) {
+    console.error(`[TREASURY] Invalid TREASURY_THRESHOLDS, using defaults: ${err.message}`);
+    return { ...DEFAULT_THRESHOLDS };
+  }
+}
+
+/**
+ * What one bounty may still cost the payout wallet
+ * Returns { asset, committed, unapproved } (bigints): committed is queued or
+ * unconfirmed jobs plus claimed work, unapproved is an open bounty's reward
+ */
+function liabilityOf(bounty) {
+  const asset = assetOf(bounty);
+  let committed = 0n;
+  let unapproved = 0n;
+  for (const job of jobsOf(bounty)) {
+    if (job.state !== 'confirmed') committed += BigInt(job.netReward || 0);
+  }
+  if (UNAPPROVED_STATUSES.includes(bounty.status)) {
+    const owed = bounty.milestones
+      ? bounty.milestones.filter(m => !m.payout).reduce((sum, m) => sum + BigInt(m.amount || 0), 0n)
+      : BigInt(bounty.reward || 0);
+    if (bounty.status === 'open') unapproved = owed;
+    else committed += owed;
+  }
+  return { asset, committed, unapproved };
+}
+
+/**
+ * Liabilities per asset code
+ * Returns Map code -> { asset, committed, total, open: [{ id, amount, createdAt }] }
+ */
+function liabilitiesOf(bounties) {
+  const byAsset = new Map();
+  for (const bounty of bounties) {
+    const { asset, committed, unapproved } = liabilityOf(bounty);
+    if (!committed && !unapproved) continue;
+    const code = assetCode(asset);
+    const entry = byAsset.get(code) || { asset, committed: 0n, total: 0n, open: [] };
+    entry.committed += committed;
+    entry.total += committed + unapproved;
+    if (unapproved) entry.open.push({ id: String(bounty.id), amount: unapproved, createdAt: bounty.createdAt || 0 });
+    byAsset.set(code, entry);
+  }
+  for (const entry of byAsset.values()) {
+    entry.open.sort((a, b) => a.createdAt - b.createdAt);
+  }
+  return byAsset;
+}
+
+// Whole-token threshold in smallest units
+const toUnits = (value, decimals) => ethers.parseUnits(String(value), decimals);
+
+/**
+ * Create a treasury monitor
+ * @param {object} opts
+ * @param {object} opts.chain - Chain adapter (chain.js)
+ * @param {Function} opts.getAllBounties - Loads all bounties
+ * @param {object} opts.wallets - { payout, reputation } addresses (either may be null)
+ * @param {Function} opts.notify - Called with each new alert
+ * @param {object} opts.thresholds - Defaults to TREASURY_THRESHOLDS env
+ */
+function createTreasuryMonitor({
+  chain,
+  getAllBounties,
+  wallets = {},
+  notify = () => {},
+  thresholds = thresholdsFromEnv(),
+  intervalMs = DEFAULT_INTERVAL_MS,
+  maxAgeMs = DEFAULT_MAX_AGE_MS
+}) {
+  let snapshot = null;
+  let checking = null;
+  let timer = null;
+  const activeAlerts = new Map(); // key -> alert, so each condition alerts once
+
+  async function readGas(role, address, network, errors) {
+    try {
+      const balance = BigInt(await chain.getBalance(network, address));
+      const min = toUnits(thresholds.minGas, 18);
+      return { role, network, balance: balance.toString(), formatted: ethers.formatEther(balance), min: min.toString(), low: balance < min };
+    } catch (err) {
+      errors.push({ role, network, error: err.message });
+      return { role, network, balance: null, low: null };
+    }
+  }
+
+  async function check() {
+    const startedAt = Date.now();
+    const errors = [];
+    const liabilities = liabilitiesOf(await getAllBounties());
+    const payoutWallet = wallets.payout;
+
+    const tokens = [];
+    const gas = [];
+    if (payoutWallet) {
+      const defaultAsset = getAsset(DEFAULT_NETWORK, DEFAULT_TOKEN);
+      const assets = new Map([[assetCode(defaultAsset), defaultAsset]]);
+      for (const [code, entry] of liabilities) assets.set(code, entry.asset);
+
+      for (const [code, asset] of assets) {
+        const owed = liabilities.get(code);
+        const total = owed ? owed.total : 0n;
+        const entry = { asset: code, network: asset.network, symbol: asset.symbol, liabilities: total.toString(), liabilitiesFormatted: formatAmount(total, asset) };
+        try {
+          const balance = BigInt(await chain.balanceOf(asset.network, asset.address, payoutWallet));
+          entry.balance = balance.toString();
+          entry.balanceFormatted = formatAmount(balance, asset);
+          entry.shortfall = total > balance ? (total - balance).toString() : '0';
+          entry.coverage = total > 0n ? Number(balance * 10000n / total) / 10000 : null;
+        } catch (err) {
+          entry.balance = null;
+          errors.push({ role: 'payout', asset: code, error: err.message });
+        }
+        tokens.push(entry);
+      }
+
+      for (const network of new Set(tokens.map(t => t.network))) {
+        gas.push(await readGas('payout', payoutWallet, network, errors));
+      }
+    }
+    if (wallets.reputation) {
+      gas.push(await readGas('reputation', wallets.reputation, REPUTATION_NETWORK, errors));
+    }
+
+    const alerts = alertsFor({ tokens, gas });
+    snapshot = {
+      checkedAt: startedAt,
+      durationMs: Date.now() - startedAt,
+      status: alerts.some(a => a.level === 'critical') ? 'critical' : alerts.length ? 'warning' : 'ok',
+      wallets: { payout: wallets.payout || null, reputation: wallets.reputation || null },
+      tokens,
+      gas,
+      alerts,
+      errors,
+      thresholds,
+      coverage: coverageOf(liabilities, tokens)
+    };
+    raiseAlerts(alerts);
+    return snapshot;
+  }
+
+  function alertsFor({ tokens, gas }) {
+    const alerts = [];
+    const minCoverage = Number(thresholds.minCoverage) || 0;
+    for (const t of tokens) {
+      if (t.balance === null) continue;
+      const balance = BigInt(t.balance);
+      const owed = BigInt(t.liabilities);
+      const required = BigInt(Math.round(minCoverage * 10000)) * owed / 10000n;
+      if (owed > 0n && balance < required) {
+        alerts.push({
+          key: `shortfall:${t.asset}`, kind: 'shortfall', level: 'critical', role: 'payout', asset: t.asset, network: t.network,
+          balance: t.balance, required: required.toString(),
+          message: `Payout wallet holds ${t.balanceFormatted} against ${t.liabilitiesFormatted} owed`
+        });
+      }
+      const minBalance = thresholds.minBalance?.[t.asset];
+      const asset = getAsset(t.network, t.symbol);
+      if (minBalance !== undefined && balance < toUnits(minBalance, asset.decimals)) {
+        alerts.push({
+          key: `low_balance:${t.asset}`, kind: 'low_balance', level: 'warning', role: 'payout', asset: t.asset, network: t.network,
+          balance: t.balance, required: toUnits(minBalance, asset.decimals).toString(),
+          message: `Payout wallet ${t.asset} balance ${t.balanceFormatted} is below ${minBalance}`
+        });
+      }
+    }
+    for (const g of gas) {
+      if (!g.low) continue;
+      alerts.push({
+        key: `low_gas:${g.role}:${g.network}`, kind: 'low_gas', level: BigInt(g.balance) === 0n ? 'critical' : 'warning', role: g.role, network: g.network,
+        balance: g.balance, required: g.min,
+        message: `${g.role} wallet has ${g.formatted} gas on ${g.network} (minimum ${thresholds.minGas})`
+      });
+    }
+    return alerts;
+  }
+
+  /** Send alerts for conditions that weren't active on the previous check */
+  function raiseAlerts(alerts) {
+    const current = new Set(alerts.map(a => a.key));
+    for (const key of activeAlerts.keys()) {
+      if (!current.has(key)) {
+        activeAlerts.delete(key);
+        console.log(`[TREASURY] Cleared: ${key}`);
+      }
+    }
+    for (const alert of alerts) {
+      if (activeAlerts.has(alert.key)) continue;
+      activeAlerts.set(alert.key, alert);
+      console.warn(`[TREASURY] ⚠️ ${alert.level}: ${alert.message}`);
+      Promise.resolve()
+        .then(() => notify({ ...alert, raisedAt: Date.now() }))
+        .catch(err => console.error(`[TREASURY] Alert delivery failed: ${err.message}`));
+    }
+  }
+
+  /** Per asset: balance, committed liabilities and the open bounties it can fund */
+  function coverageOf(liabilities, tokens) {
+    const coverage = {};
+    for (const t of tokens) {
+      if (t.balance === null) continue;
+      const owed = liabilities.get(t.asset);
+      let running = owed ? owed.committed : 0n;
+      const uncovered = [];
+      for (const open of owed ? owed.open : []) {
+        running += open.amount;
+        if (running > BigInt(t.balance)) uncovered.push(open.id);
+      }
+      coverage[t.asset] = {
+        balance: t.balance,
+        committed: (owed ? owed.committed : 0n).toString(),
+        queue: (owed ? owed.open : []).map(o => ({ id: o.id, amount: o.amount.toString() })),
+        uncovered
+      };
+    }
+    return coverage;
+  }
+
+  /**
+   * Run a check now (concurrent callers share the one in progress)
+   */
+  function refresh() {
+    if (!checking) {
+      checking = check().finally(() => { checking = null; });
+    }
+    return checking;
+  }
+
+  /**
+   * Latest snapshot, re-checked if older than maxAgeMs
+   */
+  async function health({ force = false } = {}) {
+    if (!enabled()) return { enabled: false, status: 'unknown', hint: 'No payout or reputation wallet configured' };
+    if (force || !snapshot || Date.now() - snapshot.checkedAt > maxAgeMs) await refresh();
+    return { enabled: true, ...snapshot };
+  }
+
+  /**
+   * Can the payout wallet fund this bounty on top of everything ahead of it?
+   * Returns { covered, reason?, balance?, required?, shortfall? }
+   */
+  async function canCover(bounty) {
+    if (!wallets.payout) return { covered: true, reason: 'not monitored' };
+    const current = await health();
+    const code = assetCode(assetOf(bounty));
+    const coverage = current.coverage?.[code];
+    if (!coverage) return { covered: true, reason: 'balance unknown' };
+
+    let required = BigInt(coverage.committed);
+    let inQueue = false;
+    for (const open of coverage.queue) {
+      required += BigInt(open.amount);
+      if (open.id === String(bounty.id)) { inQueue = true; break; }
+    }
+    if (!inQueue) required += liabilityOf(bounty).unapproved; // created since the last check
+    const balance = BigInt(coverage.balance);
+    return {
+      covered: balance >= required,
+      asset: code,
+      balance: balance.toString(),
+      required: required.toString(),
+      shortfall: balance >= required ? '0' : (required - balance).toString()
+    };
+  }
+
+  function enabled() {
+    return !!(wallets.payout || wallets.reputation);
+  }
+
+  function start() {
+    if (timer || !enabled()) return false;
+    timer = setInterval(() => {
+      refresh().catch(err => console.error(`[TREASURY] Check failed: ${err.message}`));
+    }, intervalMs);
+    if (timer.unref) timer.unref();
+    refresh().catch(err => console.error(`[TREASURY] Check failed: ${err.message}`));
+    console.log(`[TREASURY] Monitoring balances every ${intervalMs / 60000} min`);
+    return true;
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { health, refresh, canCover, start, stop, get enabled() { return enabled(); } };
+}
+
+module.exports = { createTreasuryMonitor, liabilityOf, liabilitiesOf, DEFAULT_THRESHOLDS };